@@ -0,0 +1,303 @@
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('./logger');
+const config = require('./config');
+
+// Larger request bodies are rejected, the API only receives small settings objects
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * An error with the HTTP status to answer with, handlers throw it for bad input or missing resources
+ */
+class ApiError extends Error {
+  /**
+   * @param {Number} status - The HTTP status code
+   * @param {String} message - The error message sent to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * A non-JSON response (pages, scripts, redirects), handlers return it instead of a response body
+ */
+class HttpResponse {
+  /**
+   * @param {Number} status - The HTTP status code
+   * @param {String|Buffer} body - The response body
+   * @param {Object} headers - Response headers, including the Content-Type
+   */
+  constructor(status, body = '', headers = {}) {
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Embedded HTTP server with token-authenticated JSON endpoints, modules add their routes with registerRoutes(api)
+ */
+class ApiServer {
+  constructor() {
+    this.routes = [];
+    this.authenticators = [];
+    this.server = null;
+  }
+
+  /**
+   * Register a route
+   * @param {String} method - The HTTP method
+   * @param {String} path - The path, segments starting with ':' are parameters (/api/tickets/:id)
+   * @param {Function} handler - async (request) => response body, request has params, query, body, headers and auth;
+   *                             set request.status to answer with another status than 200
+   * @param {Object} options - public: true skips authentication
+   */
+  route(method, path, handler, options = {}) {
+    const keys = [];
+    const pattern = path
+      .split('/')
+      .map(segment => {
+        if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      })
+      .join('/');
+
+    this.routes.push({ method, path, keys, regex: new RegExp(`^${pattern}/?$`), handler, public: Boolean(options.public) });
+  }
+
+  get(path, handler, options) {
+    this.route('GET', path, handler, options);
+  }
+
+  post(path, handler, options) {
+    this.route('POST', path, handler, options);
+  }
+
+  put(path, handler, options) {
+    this.route('PUT', path, handler, options);
+  }
+
+  patch(path, handler, options) {
+    this.route('PATCH', path, handler, options);
+  }
+
+  delete(path, handler, options) {
+    this.route('DELETE', path, handler, options);
+  }
+
+  /**
+   * Add another way to authenticate requests, tried after the API token
+   * @param {Function} authenticator - async (req) => auth object or null; an auth object with a guildId
+   *                                   only reaches the /api/guilds/:guildId routes of that guild
+   */
+  addAuthenticator(authenticator) {
+    this.authenticators.push(authenticator);
+  }
+
+  /**
+   * Start listening on the configured host and port
+   * @return {Promise<void>}
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(config.api.port, config.api.host, () => {
+        this.server.off('error', reject);
+        logger.info(`REST API listening on http://${config.api.host}:${this.server.address().port} with ${this.routes.length} routes`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop accepting requests
+   * @return {Promise<void>}
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    return new Promise(resolve => {
+      this.server.close(() => {
+        logger.info('REST API stopped');
+        resolve();
+      });
+      this.server = null;
+    });
+  }
+
+  /**
+   * Check the bearer token of a request
+   * @param {IncomingMessage} req - The request
+   * @return {Boolean} Whether the token matches config.api.token
+   */
+  checkToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match || !config.api.enabled || !config.api.token) return false;
+
+    // Compare digests so the comparison takes the same time whatever the token length
+    const expected = crypto.createHash('sha256').update(config.api.token).digest();
+    const actual = crypto.createHash('sha256').update(match[1].trim()).digest();
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Authenticate a request with the API token or one of the added authenticators
+   * @param {IncomingMessage} req - The request
+   * @return {Promise<Object|null>} The auth object, null if the request is not authenticated
+   */
+  async authenticate(req) {
+    if (this.checkToken(req)) {
+      return { type: 'token' };
+    }
+
+    for (const authenticator of this.authenticators) {
+      const auth = await authenticator(req);
+      if (auth) return auth;
+    }
+    return null;
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {IncomingMessage} req - The request
+   * @return {Promise<Object|null>} The parsed body, null when the body is empty
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          // Stop reading but keep the socket, so the client still receives the 413 before the connection closes
+          req.removeAllListeners('data');
+          req.pause();
+          reject(new ApiError(413, 'Request body too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        if (!raw.trim()) return resolve(null);
+
+        try {
+          resolve(JSON.parse(raw));
+        } catch (error) {
+          reject(new ApiError(400, 'Request body is not valid JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response, or the handler's HttpResponse as is
+   * @param {ServerResponse} res - The response
+   * @param {Number} status - The HTTP status code
+   * @param {*} body - The response body, nothing is sent for 204
+   */
+  sendJson(res, status, body) {
+    if (body instanceof HttpResponse) {
+      res.writeHead(body.status, body.headers);
+      res.end(body.body);
+      return;
+    }
+
+    if (status === 204 || body === undefined) {
+      res.writeHead(status === 200 ? 204 : status);
+      res.end();
+      return;
+    }
+
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(json),
+      'Cache-Control': 'no-store'
+    });
+    res.end(json);
+  }
+
+  /**
+   * Route a request to its handler and answer with the result or the error
+   * @param {IncomingMessage} req - The request
+   * @param {ServerResponse} res - The response
+   */
+  async handleRequest(req, res) {
+    try {
+      let url;
+      try {
+        url = new URL(req.url, 'http://localhost');
+      } catch (error) {
+        // A request line like "GET http://[ HTTP/1.1" is not a URL at all
+        throw new ApiError(400, 'Malformed URL');
+      }
+
+      const matches = this.routes
+        .map(route => ({ route, match: url.pathname.match(route.regex) }))
+        .filter(({ match }) => match);
+
+      if (matches.length === 0) {
+        throw new ApiError(404, 'Not found');
+      }
+
+      const found = matches.find(({ route }) => route.method === req.method);
+      if (!found) {
+        res.setHeader('Allow', [...new Set(matches.map(({ route }) => route.method))].join(', '));
+        throw new ApiError(405, 'Method not allowed');
+      }
+
+      const { route, match } = found;
+
+      const auth = route.public ? null : await this.authenticate(req);
+      if (!route.public && !auth) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        throw new ApiError(401, 'Missing or invalid API token');
+      }
+
+      let params;
+      try {
+        params = Object.fromEntries(route.keys.map((key, index) => [key, decodeURIComponent(match[index + 1])]));
+      } catch (error) {
+        // Malformed escapes like %E0%A4%A are the client's mistake, not a server error
+        throw new ApiError(400, 'Malformed URL parameter');
+      }
+      if (auth && auth.guildId && params.guildId && params.guildId !== auth.guildId) {
+        throw new ApiError(403, 'Not allowed for this guild');
+      }
+
+      const request = {
+        method: req.method,
+        params,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: ['POST', 'PUT', 'PATCH'].includes(req.method) ? await this.readBody(req) : null,
+        auth,
+        status: 200
+      };
+
+      const result = await route.handler(request);
+      this.sendJson(res, request.status, result);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        // The rest of a too large body is never read, so the connection can't be reused
+        if (error.status === 413) res.setHeader('Connection', 'close');
+        this.sendJson(res, error.status, { error: error.message });
+        return;
+      }
+
+      logger.error(`REST API error on ${req.method} ${req.url}: ${error.message}`);
+      this.sendJson(res, 500, { error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = { ApiServer, ApiError, HttpResponse };
@@ -4,20 +4,27 @@ const path = require('path');
 const logger = require('./logger');
 const config = require('./config');
 const database = require('./database');
+const { ApiServer } = require('./api');
 
 class Bot {
   constructor() {
-    this.client = new Client({
-      intents: [
-        GatewayIntentBits.Guilds,
-        GatewayIntentBits.GuildMessages,
-        GatewayIntentBits.MessageContent,
-        GatewayIntentBits.GuildMembers
-      ]
-    });
+    const intents = [
+      GatewayIntentBits.Guilds,
+      GatewayIntentBits.GuildMessages,
+      GatewayIntentBits.MessageContent,
+      GatewayIntentBits.GuildMembers
+    ];
+
+    // Presences tell auto-assignment which staff are online
+    if (config.autoAssign.usePresence) {
+      intents.push(GatewayIntentBits.GuildPresences);
+    }
+
+    this.client = new Client({ intents });
 
     this.commands = new Collection();
     this.modules = new Map();
+    this.api = null;
 
     this.client.once(Events.ClientReady, this.onReady.bind(this));
     this.client.on(Events.InteractionCreate, this.onInteraction.bind(this));
@@ -33,6 +40,11 @@ class Bot {
       
       // Load all available modules
       await this.loadModules();
+
+      // Start the REST API once the modules that provide its routes are loaded, the dashboard is served by it too
+      if (config.api.enabled || config.dashboard.enabled) {
+        await this.startApi();
+      }
       
       // Finally, log in to Discord
       await this.client.login(config.token);
@@ -89,6 +101,29 @@ class Bot {
     }
   }
 
+  /**
+   * Start the REST API with the routes of every module that has a registerRoutes method
+   */
+  async startApi() {
+    if (config.api.enabled && !config.api.token) {
+      if (!config.dashboard.enabled) {
+        logger.error('REST API is enabled but API_TOKEN is not set, the API was not started');
+        return;
+      }
+      logger.error('REST API is enabled but API_TOKEN is not set, only the dashboard can use the API');
+    }
+
+    this.api = new ApiServer();
+    for (const [name, module] of this.modules.entries()) {
+      if (typeof module.registerRoutes === 'function') {
+        module.registerRoutes(this.api);
+        logger.info(`Registered REST API routes from module: ${name}`);
+      }
+    }
+
+    await this.api.start();
+  }
+
   /**
    * Determine the order to load modules based on dependencies
    * @param {Array<string>} modules - List of module folder names
@@ -256,6 +291,11 @@ class Bot {
       }
     }
     
+    // Stop the REST API before the database it reads from
+    if (this.api) {
+      await this.api.stop().catch(err => logger.error(`Error stopping REST API: ${err.message}`));
+    }
+
     // Close database connection
     await database.close().catch(err => logger.error(`Error closing database: ${err.message}`));
     
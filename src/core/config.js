@@ -15,6 +15,7 @@ module.exports = {
   enableTicketLogs: process.env.ENABLE_TICKET_LOGS !== 'false', // Enable ticket logs by default
 
   // Ticket Configuration
+  // Initial departments, seeded into the database on first run (manage them afterwards with /department)
   departments: [
     {
       id: 'general',
@@ -77,7 +78,10 @@ module.exports = {
     // AI model configurations
     model: 'gemini-2.0-flash',
     temperature: 0.7,
-    maxOutputTokens: 1024
+    maxOutputTokens: 1024,
+
+    // Let the AI suggest the initial priority of new tickets from the description
+    suggestPriority: false
   },
 
   // Service Hours Configuration
@@ -106,6 +110,21 @@ module.exports = {
       emoji: '⏳',
       color: '#FEE75C'
     },
+    onHold: {
+      name: '暫停處理',
+      emoji: '⏸️',
+      color: '#99AAB5'
+    },
+    pendingCustomer: {
+      name: '等待客戶回覆',
+      emoji: '💬',
+      color: '#5865F2'
+    },
+    resolved: {
+      name: '已解決',
+      emoji: '✅',
+      color: '#3BA55C'
+    },
     closed: {
       name: '已關閉',
       emoji: '🔒',
@@ -113,12 +132,128 @@ module.exports = {
     }
   },
 
+  // Ticket priority levels
+  // channelPrefix is prepended to the ticket channel name, reminderTimeoutFactor scales the
+  // guild's reminder timeout unless a per-priority timeout is set with /reminder setprioritytimeout
+  ticketPriority: {
+    low: {
+      name: '低',
+      emoji: '🔵',
+      channelPrefix: '🔵',
+      reminderTimeoutFactor: 2
+    },
+    normal: {
+      name: '一般',
+      emoji: '🟢',
+      channelPrefix: '',
+      reminderTimeoutFactor: 1
+    },
+    high: {
+      name: '高',
+      emoji: '🟠',
+      channelPrefix: '🟠',
+      reminderTimeoutFactor: 0.5
+    },
+    urgent: {
+      name: '緊急',
+      emoji: '🔴',
+      channelPrefix: '🔴',
+      reminderTimeoutFactor: 0.25
+    }
+  },
+
+  // Resolution categories chosen when closing a ticket
+  closeResolution: {
+    resolved: { name: '已解決', emoji: '✅' },
+    duplicate: { name: '重複客服單', emoji: '📑' },
+    spam: { name: '垃圾訊息', emoji: '🚫' },
+    no_response: { name: '客戶無回應', emoji: '💤' },
+    refund: { name: '退款', emoji: '💰' },
+    other: { name: '其他', emoji: '📝' },
+    // Only set by /ticket merge, it is not offered when closing a ticket by hand
+    merged: { name: '已合併', emoji: '🔀' }
+  },
+
   // Reminder Configuration
   reminder: {
     // If set, reminder notifications will be sent to this channel instead of the ticket channel
     notificationChannelId: process.env.REMINDER_NOTIFICATION_CHANNEL || null
   },
 
+  // Auto-close Configuration
+  // Timeouts and the warning text are set per guild with /autoclose
+  autoClose: {
+    // Used when the guild has not set its own warning text
+    defaultWarningMessage: '我們已經有一段時間沒有收到您的回覆。如果您的問題已經解決，無需任何操作；如仍需協助，請直接在此頻道回覆。'
+  },
+
+  // Auto-assignment Configuration
+  // The mode and accept timeout are set per department with /autoassign mode
+  autoAssign: {
+    // Only pick staff shown as online. Off by default: this needs the privileged Presence intent, enable it
+    // in the Developer Portal first or the bot can't log in; when off every opted-in member is picked, online or not
+    usePresence: process.env.AUTO_ASSIGN_USE_PRESENCE === 'true',
+    modes: {
+      off: { name: '關閉' },
+      roundrobin: { name: '輪流分派' },
+      leastopen: { name: '最少進行中客服單' }
+    }
+  },
+
+  // REST API Configuration
+  // Optional HTTP server for internal tools, every request needs the token as 'Authorization: Bearer <token>'
+  api: {
+    enabled: process.env.API_ENABLED === 'true',
+    host: process.env.API_HOST || '127.0.0.1',
+    port: parseInt(process.env.API_PORT || '3000', 10),
+    token: process.env.API_TOKEN
+  },
+
+  // Web Dashboard Configuration
+  // Served by the REST API server, admins log in with a one-time link from /dashboard
+  dashboard: {
+    enabled: process.env.DASHBOARD_ENABLED === 'true',
+    // The address admins open the dashboard at, used to build the login links
+    publicUrl: (process.env.DASHBOARD_URL || `http://localhost:${process.env.API_PORT || '3000'}`).replace(/\/+$/, ''),
+    loginLinkMinutes: 10,
+    sessionHours: 12
+  },
+
+  // Outgoing Webhook Configuration
+  // Endpoints are registered with /webhook, every delivery is signed with the endpoint's secret
+  webhooks: {
+    // Failed deliveries are retried with exponential backoff: 30s, 1m, 2m, 4m...
+    maxAttempts: 5,
+    retryBaseSeconds: 30,
+    timeoutMs: 10000,
+    events: {
+      'ticket.created': { name: '建立客服單' },
+      'ticket.handoff': { name: '轉接人工客服' },
+      'ticket.claimed': { name: '認領客服單' },
+      'ticket.transferred': { name: '轉移部門' },
+      'ticket.reminder': { name: '發送提醒' },
+      'ticket.closed': { name: '關閉客服單' },
+      'ticket.csat': { name: '收到滿意度評分' }
+    }
+  },
+
+  // Customer Satisfaction Survey Configuration
+  csat: {
+    // Send a 1-5 star survey DM after the transcript when a ticket closes
+    enabled: process.env.CSAT_ENABLED !== 'false',
+    // Tickets closed with these resolution categories are not surveyed
+    // 'merged' is set on the source ticket of /merge, the customer keeps talking in the target ticket
+    skipResolutions: ['spam', 'duplicate', 'merged']
+  },
+
+  // Customer ticket history shown to staff when a ticket is created and with /ticket history
+  ticketHistory: {
+    // Warn staff when the customer opened another ticket within this many days
+    repeatContactDays: 7,
+    // Number of previous tickets listed
+    maxTickets: 10
+  },
+
   // WHMCS Integration Configuration
   whmcs: {
     enabled: process.env.WHMCS_ENABLED === 'true',
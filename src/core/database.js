@@ -88,6 +88,50 @@ class Database {
         FOREIGN KEY (department_id) REFERENCES departments (id)
       )`,
 
+      // Overflow categories created when a department's category is full
+      `CREATE TABLE IF NOT EXISTS department_categories (
+        category_id TEXT PRIMARY KEY,
+        department_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (department_id) REFERENCES departments (id)
+      )`,
+
+      // Escalation ladder of a department, level 1 is the first tier above the department roles
+      `CREATE TABLE IF NOT EXISTS department_escalation_tiers (
+        department_id TEXT NOT NULL,
+        level INTEGER NOT NULL,
+        role_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        PRIMARY KEY (department_id, level),
+        FOREIGN KEY (department_id) REFERENCES departments (id)
+      )`,
+
+      // Auto-assignment opt-ins and load of department staff, counts are kept per department
+      `CREATE TABLE IF NOT EXISTS staff_assignment_stats (
+        department_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        opted_in BOOLEAN DEFAULT 0,
+        assignment_count INTEGER DEFAULT 0,
+        last_offered_at DATETIME,
+        last_assigned_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (department_id, user_id),
+        FOREIGN KEY (department_id) REFERENCES departments (id)
+      )`,
+
+      // Pending auto-assignment offers, the department role is pinged when an offer expires
+      `CREATE TABLE IF NOT EXISTS ticket_assignment_offers (
+        ticket_id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        message_id TEXT,
+        declined_user_ids TEXT,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (ticket_id) REFERENCES tickets (id)
+      )`,
+
       // Messages Table
       `CREATE TABLE IF NOT EXISTS messages (
         id TEXT PRIMARY KEY,
@@ -184,6 +228,140 @@ class Database {
         invitee_id TEXT NOT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (ticket_id) REFERENCES tickets (id)
+      )`,
+
+      // Department Form Fields Table for per-department intake forms
+      `CREATE TABLE IF NOT EXISTS department_form_fields (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        department_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        style TEXT DEFAULT 'short',
+        required BOOLEAN DEFAULT 1,
+        min_length INTEGER,
+        max_length INTEGER,
+        placeholder TEXT,
+        position INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (department_id) REFERENCES departments (id)
+      )`,
+
+      // Ticket Ratings Table for customer satisfaction surveys
+      `CREATE TABLE IF NOT EXISTS ticket_ratings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticket_id TEXT NOT NULL UNIQUE,
+        user_id TEXT NOT NULL,
+        department_id TEXT NOT NULL,
+        staff_id TEXT,
+        ai_only BOOLEAN DEFAULT 0,
+        rating INTEGER NOT NULL,
+        comment TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (ticket_id) REFERENCES tickets (id),
+        FOREIGN KEY (department_id) REFERENCES departments (id)
+      )`,
+
+      // Ticket Notes Table for staff-only internal notes
+      `CREATE TABLE IF NOT EXISTS ticket_notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticket_id TEXT NOT NULL,
+        author_id TEXT NOT NULL,
+        author_tag TEXT,
+        content TEXT NOT NULL,
+        source_message_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (ticket_id) REFERENCES tickets (id)
+      )`,
+
+      // Ticket Events Table, the audit log of every lifecycle change of a ticket
+      `CREATE TABLE IF NOT EXISTS ticket_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticket_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        actor_id TEXT,
+        actor_tag TEXT,
+        before_value TEXT,
+        after_value TEXT,
+        details TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (ticket_id) REFERENCES tickets (id)
+      )`,
+
+      // Webhooks Table for outgoing event notifications, events is a JSON array of event names
+      `CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        description TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Webhook Deliveries Table, the delivery log and retry queue of the webhooks
+      `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        next_attempt_at DATETIME,
+        delivered_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks (id)
+      )`,
+
+      // Dashboard Login Tokens Table, the one-time links created with /dashboard (only the hash is stored)
+      `CREATE TABLE IF NOT EXISTS dashboard_login_tokens (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        guild_id TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Dashboard Sessions Table, the browser sessions started with a login link
+      `CREATE TABLE IF NOT EXISTS dashboard_sessions (
+        session_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        guild_id TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Snippets Table for staff canned responses
+      `CREATE TABLE IF NOT EXISTS snippets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        content TEXT NOT NULL,
+        department_id TEXT,
+        created_by TEXT,
+        use_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (guild_id, name)
+      )`,
+
+      // Ticket Blacklist Table, users listed here cannot open tickets until the entry expires
+      `CREATE TABLE IF NOT EXISTS ticket_blacklist (
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        reason TEXT,
+        expires_at DATETIME,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (guild_id, user_id)
+      )`,
+
+      // Full-text index over message text for /ticket search, rowid matches messages.rowid
+      // The trigram tokenizer also matches inside CJK text, which has no word separators
+      `CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+        content,
+        tokenize = 'trigram'
       )`
     ];
 
@@ -204,13 +382,148 @@ class Database {
       // Column might already exist, ignore error
     }
 
-    // Insert default departments if they don't exist yet
-    for (const dept of config.departments) {
-      await this.run(
-        `INSERT OR IGNORE INTO departments (id, name, description, emoji, color, category_id)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [dept.id, dept.name, dept.description, dept.emoji, dept.color, dept.categoryId]
-      );
+    try {
+      await this.run(`ALTER TABLE tickets ADD COLUMN form_data TEXT`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE settings ADD COLUMN claim_exclusive BOOLEAN DEFAULT 0`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE tickets ADD COLUMN priority TEXT DEFAULT 'normal'`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE ticket_reminder_settings ADD COLUMN priority_timeouts TEXT`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE settings ADD COLUMN autoclose_enabled BOOLEAN DEFAULT 0`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE settings ADD COLUMN autoclose_hours INTEGER DEFAULT 48`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE settings ADD COLUMN autoclose_grace_hours INTEGER DEFAULT 24`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE settings ADD COLUMN autoclose_message TEXT`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE ticket_response_tracking ADD COLUMN autoclose_warned_at DATETIME`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE settings ADD COLUMN reopen_window_hours INTEGER DEFAULT 72`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE settings ADD COLUMN log_channel_id TEXT`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE tickets ADD COLUMN close_reason TEXT`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE tickets ADD COLUMN resolution TEXT`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE tickets ADD COLUMN notes_thread_id TEXT`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE settings ADD COLUMN max_open_tickets INTEGER DEFAULT 0`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE settings ADD COLUMN ticket_cooldown_minutes INTEGER DEFAULT 0`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE departments ADD COLUMN thread_channel_id TEXT`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE tickets ADD COLUMN escalation_level INTEGER DEFAULT 0`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE departments ADD COLUMN assign_mode TEXT DEFAULT 'off'`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE departments ADD COLUMN assign_timeout_minutes INTEGER DEFAULT 5`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE tickets ADD COLUMN guild_id TEXT`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    try {
+      await this.run(`ALTER TABLE webhooks ADD COLUMN guild_id TEXT`);
+    } catch (error) {
+      // Column might already exist, ignore error
+    }
+
+    // Seed default departments on first run only, afterwards they are managed with /department
+    const departmentCount = await this.get('SELECT COUNT(*) as count FROM departments');
+    if (departmentCount.count === 0) {
+      for (const dept of config.departments) {
+        await this.run(
+          `INSERT OR IGNORE INTO departments (id, name, description, emoji, color, category_id)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [dept.id, dept.name, dept.description, dept.emoji, dept.color, dept.categoryId]
+        );
+      }
     }
 
     // Insert default AI prompts if they don't exist yet
@@ -0,0 +1,63 @@
+const { ApiError } = require('../../core/api');
+
+// Longer prompts are rejected, the /aiprompt edit modal allows 4000 characters
+const MAX_PROMPT_LENGTH = 4000;
+
+/**
+ * Resolve the :departmentId route parameter, 'default' is the prompt used by departments without their own
+ * @param {AIRepository} repository - The AI repository
+ * @param {String} departmentId - The route parameter
+ * @return {Promise<String|null>} The department ID, null for the default prompt
+ */
+async function resolveDepartment(repository, departmentId) {
+  if (departmentId === 'default') return null;
+
+  if (!await repository.getDepartmentName(departmentId)) {
+    throw new ApiError(404, 'Department not found');
+  }
+  return departmentId;
+}
+
+/**
+ * Register the AI prompt endpoints
+ * @param {ApiServer} api - The API server
+ * @param {AIModule} module - The AI module
+ */
+module.exports = function registerAIRoutes(api, module) {
+  const { repository, service } = module;
+
+  // The prompt the AI uses for a department, with where it comes from (file or database)
+  api.get('/api/prompts/:departmentId', async ({ params }) => {
+    const departmentId = await resolveDepartment(repository, params.departmentId);
+    const prompt = await repository.getAIPrompt(departmentId);
+
+    return {
+      departmentId,
+      promptText: prompt ? prompt.promptText : '',
+      // A department without its own prompt falls back to the default one
+      inherited: Boolean(prompt && departmentId && prompt.isDefault),
+      source: prompt ? (prompt.source || 'database') : null,
+      updatedAt: prompt ? prompt.updatedAt : null
+    };
+  });
+
+  // Replace a prompt: { "promptText": "..." }
+  api.put('/api/prompts/:departmentId', async ({ params, body }) => {
+    const departmentId = await resolveDepartment(repository, params.departmentId);
+    const promptText = body && body.promptText;
+    if (typeof promptText !== 'string' || !promptText.trim() || promptText.length > MAX_PROMPT_LENGTH) {
+      throw new ApiError(400, `promptText must be a non-empty string of at most ${MAX_PROMPT_LENGTH} characters`);
+    }
+
+    // Prompt files take priority over the database, so a file backed prompt is written to its file as well
+    const current = await repository.getPromptFromFile(departmentId);
+    if (current && !await service.savePromptToFile(departmentId, promptText)) {
+      throw new Error('Could not write the prompt file');
+    }
+    if (!await service.updatePrompt(departmentId, promptText)) {
+      throw new Error('Could not save the prompt');
+    }
+
+    return { departmentId, promptText, source: current ? 'file' : 'database' };
+  });
+};
@@ -18,10 +18,7 @@ module.exports = {
             .setName('department')
             .setDescription('選擇部門')
             .setRequired(false)
-            .addChoices(
-              ...config.departments.map(dept => ({ name: dept.name, value: dept.id })),
-              { name: '預設提示詞', value: 'default' }
-            )
+            .setAutocomplete(true)
         )
     )
     .addSubcommand(subcommand =>
@@ -33,10 +30,7 @@ module.exports = {
             .setName('department')
             .setDescription('選擇部門')
             .setRequired(false)
-            .addChoices(
-              ...config.departments.map(dept => ({ name: dept.name, value: dept.id })),
-              { name: '預設提示詞', value: 'default' }
-            )
+            .setAutocomplete(true)
         )
     )
     .addSubcommand(subcommand =>
@@ -48,10 +42,7 @@ module.exports = {
             .setName('department')
             .setDescription('選擇部門')
             .setRequired(false)
-            .addChoices(
-              ...config.departments.map(dept => ({ name: dept.name, value: dept.id })),
-              { name: '預設提示詞', value: 'default' }
-            )
+            .setAutocomplete(true)
         )
     )
     .addSubcommand(subcommand =>
@@ -63,10 +54,7 @@ module.exports = {
             .setName('department')
             .setDescription('選擇部門')
             .setRequired(false)
-            .addChoices(
-              ...config.departments.map(dept => ({ name: dept.name, value: dept.id })),
-              { name: '預設提示詞', value: 'default' }
-            )
+            .setAutocomplete(true)
         )
     ),
     
@@ -85,6 +73,17 @@ module.exports = {
   }
 };
 
+/**
+ * Get the display name of a department
+ * @param {string|null} departmentId - The department ID or null for the default prompt
+ * @returns {Promise<string>} The department name
+ */
+async function getDepartmentName(departmentId) {
+  if (!departmentId) return '預設';
+  const name = await service.repository.getDepartmentName(departmentId);
+  return name || departmentId;
+}
+
 /**
  * Handle view prompt subcommand
  * @param {Interaction} interaction - The command interaction
@@ -111,11 +110,7 @@ async function handleViewPrompt(interaction) {
     }
     
     // Format the department name
-    let deptName = '預設';
-    if (departmentId) {
-      const dept = config.departments.find(d => d.id === departmentId);
-      if (dept) deptName = dept.name;
-    }
+    const deptName = await getDepartmentName(departmentId);
     
     // Show prompt source
     const source = prompt.source ? ` (來源: ${prompt.source})` : '';
@@ -153,11 +148,7 @@ async function handleEditPrompt(interaction) {
     }
     
     // Format the department name for display
-    let deptName = '預設';
-    if (departmentId) {
-      const dept = config.departments.find(d => d.id === departmentId);
-      if (dept) deptName = dept.name;
-    }
+    const deptName = await getDepartmentName(departmentId);
     
     // Create a modal for editing the prompt
     const modal = new ModalBuilder()
@@ -211,11 +202,7 @@ async function handleSaveToFile(interaction) {
     await service.repository.savePromptToFile(departmentId, prompt.promptText);
     
     // Format the department name for display
-    let deptName = '預設';
-    if (departmentId) {
-      const dept = config.departments.find(d => d.id === departmentId);
-      if (dept) deptName = dept.name;
-    }
+    const deptName = await getDepartmentName(departmentId);
     
     await interaction.editReply({
       content: `已成功將${deptName}部門的AI提示詞儲存至檔案！`
@@ -244,11 +231,7 @@ async function handleLoadFromFile(interaction) {
     
     if (!filePrompt) {
       // Format the department name for display
-      let deptName = '預設';
-      if (departmentId) {
-        const dept = config.departments.find(d => d.id === departmentId);
-        if (dept) deptName = dept.name;
-      }
+      const deptName = await getDepartmentName(departmentId);
       
       await interaction.editReply({
         content: `找不到${deptName}部門的提示詞檔案。`
@@ -260,11 +243,7 @@ async function handleLoadFromFile(interaction) {
     await service.updatePrompt(departmentId, filePrompt.promptText);
     
     // Format the department name for display
-    let deptName = '預設';
-    if (departmentId) {
-      const dept = config.departments.find(d => d.id === departmentId);
-      if (dept) deptName = dept.name;
-    }
+    const deptName = await getDepartmentName(departmentId);
     
     await interaction.editReply({
       content: `已成功從檔案載入${deptName}部門的AI提示詞！`
@@ -293,11 +272,7 @@ async function handlePromptEditSubmit(interaction, departmentOption) {
     await service.updatePrompt(departmentId, promptText);
     
     // Format the department name for display
-    let deptName = '預設';
-    if (departmentId) {
-      const dept = config.departments.find(d => d.id === departmentId);
-      if (dept) deptName = dept.name;
-    }
+    const deptName = await getDepartmentName(departmentId);
     
     await interaction.editReply({
       content: `${deptName}部門的AI提示詞已更新成功！`
@@ -11,9 +11,11 @@ class ConversationContext {
    * Initialize a new conversation context for a ticket
    * @param {string} ticketId - The ticket ID
    * @param {string} description - Initial ticket description
+   * @param {string} departmentId - The department ID used to pick the system prompt
+   * @param {Array} intakeForm - Intake form answers ({ label, value }) provided at ticket creation
    * @returns {Promise<boolean>} Success status
    */
-  async initializeContext(ticketId, description = null, departmentId = null) {
+  async initializeContext(ticketId, description = null, departmentId = null, intakeForm = []) {
     try {
       // Create context with initial ticket description if provided
       const messages = [];
@@ -51,8 +53,10 @@ class ConversationContext {
         });
       }
 
+      // Intake form answers are kept outside the message list so they survive context trimming
       const context = JSON.stringify({
-        messages: messages
+        messages: messages,
+        intakeForm: (intakeForm || []).map(field => ({ label: field.label, value: field.value }))
       });
 
       return await this.repository.saveAIContext(ticketId, context);
@@ -115,6 +119,43 @@ class ConversationContext {
     }
   }
 
+  /**
+   * Move the conversation of a merged ticket into the context of the ticket it was merged into
+   * @param {string} sourceTicketId - The merged ticket ID
+   * @param {string} targetTicketId - The ticket ID the conversation moves to
+   * @returns {Promise<boolean>} Success status
+   */
+  async mergeContext(sourceTicketId, targetTicketId) {
+    try {
+      const sourceData = await this.repository.getAIContext(sourceTicketId);
+      if (!sourceData) return true;
+
+      const source = JSON.parse(sourceData.context);
+      const target = await this.getContext(targetTicketId);
+
+      // Keep the target's system prompt first, the conversations are interleaved by time
+      const isSystemPrompt = message => message.isSystemPrompt;
+      const conversation = [
+        ...target.messages.filter(message => !isSystemPrompt(message)),
+        ...(source.messages || []).filter(message => !isSystemPrompt(message))
+      ].sort((a, b) => moment(a.timestamp).valueOf() - moment(b.timestamp).valueOf());
+      target.messages = [...target.messages.filter(isSystemPrompt), ...conversation];
+
+      // Label the source answers so the AI can tell both intake forms apart
+      const sourceLabel = sourceTicketId.split('-')[0];
+      target.intakeForm = [
+        ...(target.intakeForm || []),
+        ...(source.intakeForm || []).map(field => ({ label: `${field.label} (${sourceLabel})`, value: field.value }))
+      ];
+
+      await this.repository.saveAIContext(targetTicketId, JSON.stringify(target));
+      return await this.repository.deleteAIContext(sourceTicketId);
+    } catch (error) {
+      logger.error(`Error merging conversation context: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Reset the conversation context for a ticket
    * @param {string} ticketId - The ticket ID
@@ -99,6 +99,14 @@ class GeminiAPI {
         }
       }
 
+      // Append the labelled intake form answers so the AI can use them directly
+      if (contextData && Array.isArray(contextData.intakeForm) && contextData.intakeForm.length > 0) {
+        const formLines = contextData.intakeForm
+          .map(field => `- ${field.label}: ${field.value || '未填寫'}`)
+          .join('\n');
+        systemPrompt += `\n\n用戶在開單表單中提供的資料：\n${formLines}`;
+      }
+
       // Add debug logging to see what prompt is being used
       const promptPreview = systemPrompt.substring(0, 50) + '...';
       logger.info(`Prompt preview: ${promptPreview}`);
@@ -273,6 +281,50 @@ class GeminiAPI {
     }
   }
 
+  /**
+   * Suggest an initial priority for a new ticket
+   * @param {string} description - The ticket description
+   * @param {Array} formData - Optional labelled intake form answers
+   * @returns {Promise<string|null>} One of the configured priority keys, or null if no suggestion
+   */
+  async suggestPriority(description, formData = []) {
+    try {
+      if (!this.isInitialized()) {
+        await this.initialize();
+        if (!this.isInitialized()) return null;
+      }
+
+      const levels = Object.keys(config.ticketPriority);
+      const formLines = formData
+        .map(field => `- ${field.label}: ${field.value || '未填寫'}`)
+        .join('\n');
+
+      const prompt = `請根據以下客服單內容判斷處理優先級，只回覆下列其中一個英文單字：${levels.join(', ')}。
+urgent 表示服務中斷或影響大量用戶，high 表示影響正常使用，normal 為一般問題，low 為諮詢或建議。
+
+問題描述：
+${description}${formLines ? `\n\n表單資料：\n${formLines}` : ''}`;
+
+      const model = this.genAI.getGenerativeModel({
+        model: config.ai.model || 'gemini-2.0-flash',
+        generationConfig: {
+          temperature: 0,
+          maxOutputTokens: 10,
+        },
+      });
+
+      const result = await model.generateContent(prompt);
+      const answer = result.response.text().trim().toLowerCase();
+      const priority = levels.find(level => answer.includes(level)) || null;
+
+      logger.info(`Gemini suggested priority: ${priority || 'none'} (raw: "${answer}")`);
+      return priority;
+    } catch (error) {
+      logger.error(`Error suggesting ticket priority: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Create a chat history structure for Gemini from messages
    * @param {Array} messages - Array of message objects
@@ -6,6 +6,7 @@ const config = require('../../core/config');
 const AIRepository = require('./repository');
 const AIService = require('./service');
 const gemini = require('./gemini');
+const registerApiRoutes = require('./api');
 
 class AIModule {
   constructor(bot) {
@@ -118,6 +119,14 @@ class AIModule {
     }
   }
   
+  /**
+   * Register the AI prompt endpoints of the REST API
+   * @param {ApiServer} api - The API server
+   */
+  registerRoutes(api) {
+    registerApiRoutes(api, this);
+  }
+  
   async shutdown() {
     logger.info('AI module shutting down');
     return true;
@@ -106,8 +106,11 @@ class AIRepository {
       const isDefault = !departmentId;
       const now = moment().tz(config.timezone || 'UTC').toISOString();
       
-      // Check if prompt already exists
-      const existingPrompt = await this.getAIPrompt(departmentId);
+      // Check if the prompt row already exists, getAIPrompt would also find a prompt file or the default prompt
+      const existingPrompt = await database.get(
+        `SELECT id FROM ai_prompts WHERE ${isDefault ? 'is_default = 1' : 'department_id = ?'}`,
+        isDefault ? [] : [departmentId]
+      );
       
       if (existingPrompt) {
         // Update existing prompt
@@ -230,6 +233,24 @@ class AIRepository {
     }
   }
 
+  /**
+   * Delete the AI conversation context of a ticket
+   * @param {string} ticketId - The ticket ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteAIContext(ticketId) {
+    try {
+      await database.run(
+        'DELETE FROM ai_conversations WHERE ticket_id = ?',
+        [ticketId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error deleting AI context: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Update ticket AI handling status
    * @param {string} ticketId - The ticket ID
@@ -286,6 +307,24 @@ class AIRepository {
       throw error;
     }
   }
+
+  /**
+   * Get a department's display name
+   * @param {string} departmentId - The department ID
+   * @returns {Promise<string|null>} The department name or null if not found
+   */
+  async getDepartmentName(departmentId) {
+    try {
+      const department = await database.get(
+        'SELECT name FROM departments WHERE id = ?',
+        [departmentId]
+      );
+      return department ? department.name : null;
+    } catch (error) {
+      logger.error(`Database error getting department name: ${error.message}`);
+      throw error;
+    }
+  }
 }
 
 module.exports = AIRepository;
\ No newline at end of file
@@ -5,6 +5,7 @@ const gemini = require('./gemini');
 const ConversationContext = require('./context');
 const aiLogger = require('./ai-logger');
 const moment = require('moment-timezone');
+const { TicketStatus } = require('../ticket/lifecycle');
 
 // Import service-hours module if available
 let serviceHoursModule;
@@ -54,9 +55,9 @@ class AIService {
         return null;
       }
 
-      // If ticket is waiting for staff, don't respond with AI
-      if (ticket.status === 'waitingStaff') {
-        logger.info(`Ticket ${ticket.id} is waiting for staff, skipping AI response`);
+      // Once staff have taken over (waiting for staff, on hold, pending customer, resolved), don't respond with AI
+      if (ticket.status !== TicketStatus.OPEN) {
+        logger.info(`Ticket ${ticket.id} is handled by staff (${ticket.status}), skipping AI response`);
         return null;
       }
 
@@ -98,6 +99,20 @@ class AIService {
     }
   }
 
+  /**
+   * Suggest an initial priority for a new ticket
+   * @param {string} description - The ticket description
+   * @param {Array} formData - Optional labelled intake form answers
+   * @returns {Promise<string|null>} The suggested priority, or null if unavailable
+   */
+  async suggestPriority(description, formData = []) {
+    if (!config.ai || !config.ai.enabled || !config.ai.suggestPriority) {
+      return null;
+    }
+
+    return await gemini.suggestPriority(description, formData);
+  }
+
   /**
    * Get an AI prompt for a department
    * @param {string} departmentId - The department ID or null for default
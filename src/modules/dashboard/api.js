@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../core/config');
+const Permissions = require('../../utils/permissions');
+const { ApiError, HttpResponse } = require('../../core/api');
+const { TicketStatus, TicketLifecycle } = require('../ticket/lifecycle');
+
+const SESSION_COOKIE = 'dcticket_session';
+// The dashboard sends this header with every request, a form on another site can't
+const CSRF_HEADER = 'x-requested-with';
+const CSRF_VALUE = 'DCTicket-Dashboard';
+// Login tokens are 32 random bytes in base64url
+const LOGIN_TOKEN = /^[A-Za-z0-9_-]{43}$/;
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const STATIC_FILES = {
+  '/dashboard': { file: 'index.html', type: 'text/html; charset=utf-8' },
+  '/dashboard/app.js': { file: 'app.js', type: 'text/javascript; charset=utf-8' },
+  '/dashboard/style.css': { file: 'style.css', type: 'text/css; charset=utf-8' }
+};
+
+// Pages only load their own script and style, and can't be framed
+const PAGE_HEADERS = {
+  'Content-Security-Policy': "default-src 'self'; frame-ancestors 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'Referrer-Policy': 'no-referrer',
+  'Cache-Control': 'no-store'
+};
+
+/**
+ * Read the session ID from the cookie header
+ * @param {Object} headers - The request headers
+ * @return {String|null} The session ID
+ */
+function getSessionId(headers) {
+  const cookies = (headers.cookie || '').split(';').map(cookie => cookie.trim());
+  const cookie = cookies.find(value => value.startsWith(`${SESSION_COOKIE}=`));
+  if (!cookie) return null;
+
+  try {
+    return decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1));
+  } catch (error) {
+    // A malformed cookie is no session, not a server error
+    return null;
+  }
+}
+
+/**
+ * Build the Set-Cookie header of the session cookie
+ * @param {String} value - The session ID, empty to clear the cookie
+ * @param {Number} maxAge - The cookie lifetime in seconds
+ * @return {String} The header value
+ */
+function sessionCookie(value, maxAge) {
+  const secure = config.dashboard.publicUrl.startsWith('https://') ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure}`;
+}
+
+/**
+ * A minimal page in the dashboard style
+ * @param {Number} status - The HTTP status code
+ * @param {String} content - The HTML inside the notice box
+ * @return {HttpResponse} The page
+ */
+function noticePage(status, content) {
+  const html = '<!DOCTYPE html><html lang="zh-Hant"><head><meta charset="utf-8"><title>DCTicket 管理面板</title>' +
+    '<link rel="stylesheet" href="/dashboard/style.css"></head><body><main class="notice">' +
+    content +
+    '</main></body></html>';
+  return new HttpResponse(status, html, { ...PAGE_HEADERS, 'Content-Type': 'text/html; charset=utf-8' });
+}
+
+/**
+ * The page telling the admin the login link can't be used
+ * @return {HttpResponse} The page
+ */
+function invalidLinkPage() {
+  return noticePage(403, '<h1>登入連結無效</h1><p>此連結已使用過或已過期，請在 Discord 重新使用 <code>/dashboard</code> 取得新的登入連結。</p>');
+}
+
+/**
+ * Register the dashboard pages, its login and the session authentication of the REST API
+ * @param {ApiServer} api - The API server
+ * @param {DashboardModule} module - The dashboard module
+ */
+module.exports = function registerDashboardRoutes(api, module) {
+  const { bot, service } = module;
+
+  // Dashboard sessions reach the same endpoints as the API token, limited to the guild of the login link
+  api.addAuthenticator(async (req) => {
+    const sessionId = getSessionId(req.headers);
+    const session = await service.getSession(sessionId);
+    if (!session) return null;
+
+    // The admin may have lost the Administrator permission or left since logging in
+    const guild = bot.client.guilds.cache.get(session.guildId);
+    const member = guild ? await guild.members.fetch(session.userId).catch(() => null) : null;
+    if (!Permissions.hasGuildPermission(member, ['Administrator'])) {
+      await service.logout(sessionId);
+      return null;
+    }
+
+    if (req.method !== 'GET' && req.headers[CSRF_HEADER] !== CSRF_VALUE) {
+      throw new ApiError(403, `Dashboard requests must send ${CSRF_HEADER}: ${CSRF_VALUE}`);
+    }
+    return { type: 'session', userId: session.userId, guildId: session.guildId };
+  });
+
+  for (const [route, { file, type }] of Object.entries(STATIC_FILES)) {
+    api.get(route, async () => {
+      const body = await fs.promises.readFile(path.join(PUBLIC_DIR, file));
+      return new HttpResponse(200, body, { ...PAGE_HEADERS, 'Content-Type': type });
+    }, { public: true });
+  }
+
+  // The one-time link from /dashboard only shows a button, link previews and scanners fetch links with GET
+  // and would otherwise use up the token and receive the session cookie
+  api.get('/dashboard/login', async ({ query }) => {
+    if (typeof query.token !== 'string' || !LOGIN_TOKEN.test(query.token)) return invalidLinkPage();
+
+    return noticePage(200,
+      '<h1>登入管理面板</h1><p>此登入連結只能使用一次，請確認是您本人要登入。</p>' +
+      `<form method="post" action="/dashboard/login?token=${query.token}"><button type="submit">登入</button></form>`
+    );
+  }, { public: true });
+
+  // The button of the login page swaps the token for a session cookie
+  api.post('/dashboard/login', async ({ query }) => {
+    const session = await service.login(query.token);
+    if (!session) return invalidLinkPage();
+
+    return new HttpResponse(303, '', {
+      ...PAGE_HEADERS,
+      Location: '/dashboard',
+      'Set-Cookie': sessionCookie(session.sessionId, config.dashboard.sessionHours * 60 * 60)
+    });
+  }, { public: true });
+
+  api.post('/dashboard/logout', async ({ headers }) => {
+    await service.logout(getSessionId(headers));
+    return new HttpResponse(204, '', { 'Set-Cookie': sessionCookie('', 0) });
+  });
+
+  // Who is logged in, the labels the dashboard shows and which statuses count as active
+  api.get('/api/session', async ({ auth }) => {
+    if (auth.type !== 'session') throw new ApiError(400, 'Only available to dashboard sessions');
+
+    const guild = bot.client.guilds.cache.get(auth.guildId);
+    const user = bot.client.users.cache.get(auth.userId);
+
+    return {
+      userId: auth.userId,
+      userTag: user ? user.tag : null,
+      guildId: auth.guildId,
+      guildName: guild ? guild.name : null,
+      ticketStatus: config.ticketStatus,
+      activeStatuses: Object.values(TicketStatus).filter(status => TicketLifecycle.isActive(status)),
+      ticketPriority: config.ticketPriority
+    };
+  });
+};
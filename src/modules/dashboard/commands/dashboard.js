@@ -0,0 +1,58 @@
+const { SlashCommandBuilder } = require('discord.js');
+const moment = require('moment-timezone');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+const Permissions = require('../../../utils/permissions');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('dashboard')
+    .setDescription('取得網頁管理面板的一次性登入連結')
+    .setDMPermission(false),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      // Check if user has permission
+      if (!Permissions.hasGuildPermission(interaction.member, ['Administrator'])) {
+        await interaction.reply({
+          content: '您沒有使用此命令的權限。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (!config.dashboard.enabled) {
+        await interaction.reply({
+          content: '網頁管理面板尚未啟用，請在 `.env` 設定 `DASHBOARD_ENABLED=true` 後重新啟動機器人。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const link = await this.module.service.createLoginLink(interaction.user.id, interaction.guild.id);
+      const expiresAt = moment(link.expiresAt).tz(config.timezone || 'UTC').format('YYYY-MM-DD HH:mm');
+
+      logger.info(`Dashboard login link created by ${interaction.user.tag}`);
+
+      // The link logs in as this admin, so it is only shown to them; <> keeps Discord from fetching a preview
+      await interaction.reply({
+        content: `🔐 網頁管理面板登入連結（只能使用一次，${expiresAt} 前有效，請勿分享）:\n<${link.url}>\n\n` +
+          `登入後 ${config.dashboard.sessionHours} 小時內有效，可在面板右上角登出。`,
+        ephemeral: true
+      });
+    } catch (error) {
+      logger.error(`Error executing dashboard command: ${error.message}`);
+      await interaction.reply({
+        content: `建立登入連結時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  }
+};
@@ -0,0 +1,84 @@
+const { Collection } = require('discord.js');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../core/logger');
+const config = require('../../core/config');
+const DashboardRepository = require('./repository');
+const DashboardService = require('./service');
+const registerApiRoutes = require('./api');
+
+class DashboardModule {
+  constructor(bot) {
+    this.bot = bot;
+    this.commands = new Collection();
+
+    this.repository = new DashboardRepository();
+    this.service = new DashboardService(this.repository);
+  }
+
+  async initialize() {
+    try {
+      await this.loadCommands();
+
+      logger.info(`Dashboard module initialized (${config.dashboard.enabled ? 'enabled' : 'disabled'})`);
+      return true;
+    } catch (error) {
+      logger.error(`Error initializing dashboard module: ${error.message}`);
+      return false;
+    }
+  }
+
+  async loadCommands() {
+    try {
+      const commandsPath = path.join(__dirname, 'commands');
+
+      if (!fs.existsSync(commandsPath)) {
+        logger.warn(`Dashboard commands directory does not exist: ${commandsPath}`);
+        return;
+      }
+
+      const commandFiles = fs.readdirSync(commandsPath).filter(file => file.endsWith('.js'));
+
+      for (const file of commandFiles) {
+        const filePath = path.join(commandsPath, file);
+        const command = require(filePath);
+
+        // Set references to the module in the command
+        if (command.setModule) {
+          command.setModule(this);
+        }
+
+        // Register the command
+        if ('data' in command && 'execute' in command) {
+          this.commands.set(command.data.name, command);
+          logger.info(`Loaded dashboard command: ${command.data.name}`);
+        } else {
+          logger.warn(`The command at ${filePath} is missing required properties`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error loading dashboard commands: ${error.message}`);
+    }
+  }
+
+  async onReady() {
+    logger.info('Dashboard module ready');
+    return true;
+  }
+
+  /**
+   * Register the dashboard pages and its session login, only when the dashboard is enabled
+   * @param {ApiServer} api - The API server
+   */
+  registerRoutes(api) {
+    if (!config.dashboard.enabled) return;
+    registerApiRoutes(api, this);
+  }
+
+  async shutdown() {
+    logger.info('Dashboard module shutting down');
+    return true;
+  }
+}
+
+module.exports = DashboardModule;
@@ -0,0 +1,394 @@
+'use strict';
+
+// Refresh the ticket overview this often while its tab is open
+const REFRESH_INTERVAL_MS = 15000;
+
+const state = {
+  session: null,
+  departments: [],
+  refreshTimer: null
+};
+
+/**
+ * Call the bot's API with the session cookie
+ * @param {String} path - The path, guildPath() builds the /api/guilds/:guildId paths
+ * @param {Object} options - method and body
+ * @return {Promise<*>} The parsed response, null for 204
+ */
+async function request(path, options = {}) {
+  const response = await fetch(path, {
+    method: options.method || 'GET',
+    credentials: 'same-origin',
+    headers: {
+      'X-Requested-With': 'DCTicket-Dashboard',
+      ...(options.body !== undefined ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+  });
+
+  if (response.status === 401) {
+    document.body.textContent = '登入已過期，請在 Discord 重新使用 /dashboard 取得新的登入連結。';
+    throw new Error('Session expired');
+  }
+  if (response.status === 204) return null;
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+  return data;
+}
+
+function guildPath(path) {
+  return `/api/guilds/${state.session.guildId}${path}`;
+}
+
+function showMessage(text, isError = false) {
+  const message = document.getElementById('message');
+  message.textContent = text;
+  message.className = isError ? 'error' : 'success';
+  message.hidden = false;
+  clearTimeout(showMessage.timer);
+  showMessage.timer = setTimeout(() => { message.hidden = true; }, 5000);
+}
+
+/**
+ * Run an action and show its error instead of failing silently
+ * @param {Function} action - async () => message shown on success
+ */
+async function run(action) {
+  try {
+    const done = await action();
+    if (done) showMessage(done);
+  } catch (error) {
+    showMessage(`❌ ${error.message}`, true);
+  }
+}
+
+/**
+ * Create an element, text is set with textContent so nothing from the API is parsed as HTML
+ */
+function el(tag, text, attributes = {}) {
+  const element = document.createElement(tag);
+  if (text !== undefined && text !== null) element.textContent = text;
+  for (const [name, value] of Object.entries(attributes)) element.setAttribute(name, value);
+  return element;
+}
+
+function row(cells) {
+  const tr = document.createElement('tr');
+  for (const cell of cells) {
+    const td = document.createElement('td');
+    if (cell instanceof Node) td.appendChild(cell); else td.textContent = cell ?? '';
+    tr.appendChild(td);
+  }
+  return tr;
+}
+
+function button(text, onClick, className = 'secondary') {
+  const element = el('button', text, { type: 'button', class: className });
+  element.addEventListener('click', onClick);
+  return element;
+}
+
+function actions(...children) {
+  const span = el('span', null, { class: 'actions' });
+  span.append(...children);
+  return span;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString('zh-TW', { hour12: false }) : '';
+}
+
+function departmentName(departmentId) {
+  const department = state.departments.find(item => item.id === departmentId);
+  return department ? `${department.emoji || ''} ${department.name}`.trim() : departmentId;
+}
+
+function statusName(status) {
+  const info = state.session.ticketStatus[status];
+  return info ? `${info.emoji} ${info.name}` : status;
+}
+
+function priorityName(priority) {
+  const info = state.session.ticketPriority[priority];
+  return info ? `${info.emoji} ${info.name}` : priority;
+}
+
+// Ticket overview
+
+async function loadTickets() {
+  const { total, counts, tickets } = await request('/api/tickets/active');
+  const statuses = state.session.activeStatuses;
+
+  document.getElementById('ticket-total').textContent = `（${total}）`;
+
+  const countTable = document.getElementById('ticket-counts');
+  countTable.replaceChildren();
+  const head = el('tr');
+  head.appendChild(el('th', '部門'));
+  statuses.forEach(status => head.appendChild(el('th', statusName(status))));
+  head.appendChild(el('th', '合計'));
+  countTable.appendChild(el('thead')).appendChild(head);
+
+  const body = countTable.appendChild(el('tbody'));
+  for (const department of state.departments) {
+    const departmentCounts = counts[department.id] || {};
+    const sum = Object.values(departmentCounts).reduce((a, b) => a + b, 0);
+    body.appendChild(row([departmentName(department.id), ...statuses.map(status => departmentCounts[status] || 0), sum]));
+  }
+
+  const list = document.querySelector('#ticket-list tbody');
+  list.replaceChildren(...tickets.map(ticket => row([
+    ticket.id.substring(0, 8),
+    departmentName(ticket.departmentId),
+    statusName(ticket.status),
+    priorityName(ticket.priority),
+    ticket.userId,
+    ticket.staffId || '-',
+    formatDate(ticket.createdAt)
+  ])));
+  if (tickets.length === 0) list.appendChild(row(['目前沒有進行中的客服單']));
+
+  document.getElementById('tickets-updated').textContent = new Date().toLocaleTimeString('zh-TW', { hour12: false });
+}
+
+// AI prompts
+
+async function loadPrompt() {
+  const departmentId = document.getElementById('prompt-department').value;
+  const prompt = await request(`/api/prompts/${encodeURIComponent(departmentId)}`);
+
+  document.getElementById('prompt-text').value = prompt.promptText;
+  const sources = { file: '提示詞檔案', database: '資料庫' };
+  document.getElementById('prompt-source').textContent = [
+    prompt.source ? `來源：${sources[prompt.source] || prompt.source}` : '尚未設定提示詞',
+    prompt.inherited ? '此部門目前使用預設提示詞，儲存後會建立部門專屬提示詞' : null,
+    prompt.updatedAt ? `最後更新：${formatDate(prompt.updatedAt)}` : null
+  ].filter(Boolean).join('　');
+}
+
+function setupPrompts() {
+  const select = document.getElementById('prompt-department');
+  select.appendChild(el('option', '預設提示詞', { value: 'default' }));
+  for (const department of state.departments) {
+    select.appendChild(el('option', departmentName(department.id), { value: department.id }));
+  }
+
+  select.addEventListener('change', () => run(loadPrompt));
+  document.getElementById('prompt-save').addEventListener('click', () => run(async () => {
+    await request(`/api/prompts/${encodeURIComponent(select.value)}`, {
+      method: 'PUT',
+      body: { promptText: document.getElementById('prompt-text').value }
+    });
+    await loadPrompt();
+    return '✅ 提示詞已儲存';
+  }));
+}
+
+// Service hours
+
+async function loadHours() {
+  const { enabled, hours } = await request(guildPath('/service-hours'));
+  document.getElementById('hours-enabled').checked = enabled;
+
+  const list = document.querySelector('#hours-list tbody');
+  list.replaceChildren(...hours.map(item => row([
+    item.id,
+    el('code', item.cronExpression),
+    item.description,
+    item.enabled ? '✅ 啟用' : '⛔ 停用',
+    actions(
+      button(item.enabled ? '停用' : '啟用', () => run(async () => {
+        await request(guildPath(`/service-hours/${item.id}`), { method: 'PATCH', body: { enabled: !item.enabled } });
+        await loadHours();
+      })),
+      button('刪除', () => confirm(`確定要刪除服務時間 #${item.id}？`) && run(async () => {
+        await request(guildPath(`/service-hours/${item.id}`), { method: 'DELETE' });
+        await loadHours();
+        return '✅ 服務時間已刪除';
+      }), 'danger')
+    )
+  ])));
+  if (hours.length === 0) list.appendChild(row(['尚未設定服務時間']));
+}
+
+function setupHours() {
+  document.getElementById('hours-enabled').addEventListener('change', event => run(async () => {
+    await request(guildPath('/service-hours'), { method: 'PATCH', body: { enabled: event.target.checked } });
+    return event.target.checked ? '✅ 已啟用服務時間檢查' : '✅ 已停用服務時間檢查';
+  }));
+
+  const form = document.getElementById('hours-form');
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    run(async () => {
+      await request(guildPath('/service-hours'), {
+        method: 'POST',
+        body: { cronExpression: form.cronExpression.value.trim(), description: form.description.value.trim() }
+      });
+      form.reset();
+      await loadHours();
+      return '✅ 服務時間已新增';
+    });
+  });
+}
+
+// Holidays
+
+async function loadHolidays() {
+  const { enabled, holidays } = await request(guildPath('/holidays'));
+  document.getElementById('holidays-enabled').checked = enabled;
+
+  const list = document.querySelector('#holiday-list tbody');
+  list.replaceChildren(...holidays.map(holiday => row([
+    holiday.id,
+    holiday.name,
+    holiday.isRecurring ? el('code', holiday.cronExpression) : `${formatDate(holiday.startDate)} ~ ${formatDate(holiday.endDate)}`,
+    holiday.reason,
+    holiday.enabled ? '✅ 啟用' : '⛔ 停用',
+    actions(
+      button(holiday.enabled ? '停用' : '啟用', () => run(async () => {
+        await request(guildPath(`/holidays/${holiday.id}`), { method: 'PATCH', body: { enabled: !holiday.enabled } });
+        await loadHolidays();
+      })),
+      button('刪除', () => confirm(`確定要刪除休假「${holiday.name}」？`) && run(async () => {
+        await request(guildPath(`/holidays/${holiday.id}`), { method: 'DELETE' });
+        await loadHolidays();
+        return '✅ 休假已刪除';
+      }), 'danger')
+    )
+  ])));
+  if (holidays.length === 0) list.appendChild(row(['尚未設定休假']));
+}
+
+function setupHolidays() {
+  document.getElementById('holidays-enabled').addEventListener('change', event => run(async () => {
+    await request(guildPath('/holidays'), { method: 'PATCH', body: { enabled: event.target.checked } });
+    return event.target.checked ? '✅ 已啟用休假檢查' : '✅ 已停用休假檢查';
+  }));
+
+  const form = document.getElementById('holiday-form');
+  form.type.addEventListener('change', () => {
+    form.querySelectorAll('[data-holiday-type]').forEach(group => {
+      group.hidden = group.dataset.holidayType !== form.type.value;
+    });
+  });
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    run(async () => {
+      const body = { name: form.name.value.trim(), reason: form.reason.value.trim() || null };
+      if (form.type.value === 'recurring') {
+        body.cronExpression = form.cronExpression.value.trim();
+      } else {
+        // datetime-local has no timezone, the browser's own timezone is used
+        if (!form.startDate.value || !form.endDate.value) throw new Error('請填寫開始與結束時間');
+        body.startDate = new Date(form.startDate.value).toISOString();
+        body.endDate = new Date(form.endDate.value).toISOString();
+      }
+
+      await request(guildPath('/holidays'), { method: 'POST', body });
+      form.reset();
+      form.type.dispatchEvent(new Event('change'));
+      await loadHolidays();
+      return '✅ 休假已新增';
+    });
+  });
+}
+
+// Reminder settings, the form uses minutes like /reminder while the API stores seconds
+
+async function loadReminders() {
+  const settings = await request(guildPath('/reminder-settings'));
+  const form = document.getElementById('reminder-form');
+
+  form.enabled.checked = settings.enabled;
+  form.reminderTimeout.value = Math.round(settings.reminderTimeout / 60);
+  form.reminderRoleId.value = settings.reminderRoleId || '';
+  form.reminderMode.value = settings.reminderMode;
+  form.reminderInterval.value = settings.reminderInterval;
+  form.reminderMaxCount.value = settings.reminderMaxCount;
+
+  for (const priority of Object.keys(state.session.ticketPriority)) {
+    const seconds = settings.priorityTimeouts[priority];
+    form[`priority-${priority}`].value = seconds ? Math.round(seconds / 60) : 0;
+  }
+}
+
+function setupReminders() {
+  const form = document.getElementById('reminder-form');
+  const fieldset = document.getElementById('priority-timeouts');
+  for (const priority of Object.keys(state.session.ticketPriority)) {
+    const label = el('label', priorityName(priority));
+    label.appendChild(el('input', null, { type: 'number', name: `priority-${priority}`, min: '0', max: '1440', required: '' }));
+    fieldset.appendChild(label);
+  }
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    run(async () => {
+      const priorityTimeouts = {};
+      for (const priority of Object.keys(state.session.ticketPriority)) {
+        priorityTimeouts[priority] = Number(form[`priority-${priority}`].value) * 60;
+      }
+
+      await request(guildPath('/reminder-settings'), {
+        method: 'PATCH',
+        body: {
+          enabled: form.enabled.checked,
+          reminderTimeout: Number(form.reminderTimeout.value) * 60,
+          reminderRoleId: form.reminderRoleId.value.trim() || null,
+          reminderMode: form.reminderMode.value,
+          reminderInterval: Number(form.reminderInterval.value),
+          reminderMaxCount: Number(form.reminderMaxCount.value),
+          priorityTimeouts
+        }
+      });
+      await loadReminders();
+      return '✅ 提醒設定已儲存';
+    });
+  });
+}
+
+// Tabs
+
+const TAB_LOADERS = {
+  tickets: loadTickets,
+  prompts: loadPrompt,
+  hours: loadHours,
+  holidays: loadHolidays,
+  reminders: loadReminders
+};
+
+function openTab(tab) {
+  document.querySelectorAll('nav button').forEach(item => item.classList.toggle('active', item.dataset.tab === tab));
+  document.querySelectorAll('main > section').forEach(section => { section.hidden = section.id !== `tab-${tab}`; });
+
+  clearInterval(state.refreshTimer);
+  if (tab === 'tickets') {
+    state.refreshTimer = setInterval(() => loadTickets().catch(() => {}), REFRESH_INTERVAL_MS);
+  }
+  run(TAB_LOADERS[tab]);
+}
+
+async function start() {
+  state.session = await request('/api/session');
+  state.departments = await request('/api/departments');
+
+  document.getElementById('account').textContent =
+    `${state.session.userTag || state.session.userId} · ${state.session.guildName || state.session.guildId}`;
+
+  document.getElementById('logout').addEventListener('click', () => run(async () => {
+    await request('/dashboard/logout', { method: 'POST' });
+    document.body.textContent = '已登出，請在 Discord 使用 /dashboard 重新登入。';
+  }));
+  document.querySelectorAll('nav button').forEach(item => item.addEventListener('click', () => openTab(item.dataset.tab)));
+
+  setupPrompts();
+  setupHours();
+  setupHolidays();
+  setupReminders();
+  openTab('tickets');
+}
+
+document.addEventListener('DOMContentLoaded', () => run(start));
@@ -0,0 +1,132 @@
+const database = require('../../core/database');
+const logger = require('../../core/logger');
+
+class DashboardRepository {
+  /**
+   * Map a dashboard_login_tokens or dashboard_sessions row
+   * @param {Object} row - The database row
+   * @return {Object} userId, guildId and expiresAt
+   */
+  mapGrant(row) {
+    return {
+      userId: row.user_id,
+      guildId: row.guild_id,
+      expiresAt: new Date(row.expires_at)
+    };
+  }
+
+  /**
+   * Save a login token
+   * @param {String} tokenHash - The SHA-256 hash of the token
+   * @param {String} userId - The admin the link was created for
+   * @param {String} guildId - The guild the link gives access to
+   * @param {Date} expiresAt - When the link stops working
+   * @return {Promise<Boolean>} Success status
+   */
+  async createLoginToken(tokenHash, userId, guildId, expiresAt) {
+    try {
+      await database.run(
+        'INSERT INTO dashboard_login_tokens (token_hash, user_id, guild_id, expires_at) VALUES (?, ?, ?, ?)',
+        [tokenHash, userId, guildId, expiresAt.toISOString()]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error creating dashboard login token: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get and delete a login token, so a link only works once
+   * @param {String} tokenHash - The SHA-256 hash of the token
+   * @return {Promise<Object|null>} The token, or null if it doesn't exist, expired or was already used
+   */
+  async takeLoginToken(tokenHash) {
+    try {
+      const token = await database.get('SELECT * FROM dashboard_login_tokens WHERE token_hash = ?', [tokenHash]);
+      if (!token) return null;
+
+      // Only the request that actually deletes the row may log in
+      const result = await database.run('DELETE FROM dashboard_login_tokens WHERE token_hash = ?', [tokenHash]);
+      if (result.changes !== 1) return null;
+
+      const grant = this.mapGrant(token);
+      return grant.expiresAt > new Date() ? grant : null;
+    } catch (error) {
+      logger.error(`Database error taking dashboard login token: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a session
+   * @param {String} sessionHash - The SHA-256 hash of the session ID
+   * @param {String} userId - The admin who logged in
+   * @param {String} guildId - The guild the session gives access to
+   * @param {Date} expiresAt - When the session ends
+   * @return {Promise<Boolean>} Success status
+   */
+  async createSession(sessionHash, userId, guildId, expiresAt) {
+    try {
+      await database.run(
+        'INSERT INTO dashboard_sessions (session_hash, user_id, guild_id, expires_at) VALUES (?, ?, ?, ?)',
+        [sessionHash, userId, guildId, expiresAt.toISOString()]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error creating dashboard session: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a session that has not expired
+   * @param {String} sessionHash - The SHA-256 hash of the session ID
+   * @return {Promise<Object|null>} The session, or null
+   */
+  async getSession(sessionHash) {
+    try {
+      const session = await database.get(
+        'SELECT * FROM dashboard_sessions WHERE session_hash = ? AND expires_at > ?',
+        [sessionHash, new Date().toISOString()]
+      );
+      return session ? this.mapGrant(session) : null;
+    } catch (error) {
+      logger.error(`Database error getting dashboard session: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a session
+   * @param {String} sessionHash - The SHA-256 hash of the session ID
+   * @return {Promise<Boolean>} Whether a session was deleted
+   */
+  async deleteSession(sessionHash) {
+    try {
+      const result = await database.run('DELETE FROM dashboard_sessions WHERE session_hash = ?', [sessionHash]);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Database error deleting dashboard session: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete expired login tokens and sessions
+   * @return {Promise<Number>} The number of removed rows
+   */
+  async deleteExpired() {
+    try {
+      const now = new Date().toISOString();
+      const tokens = await database.run('DELETE FROM dashboard_login_tokens WHERE expires_at <= ?', [now]);
+      const sessions = await database.run('DELETE FROM dashboard_sessions WHERE expires_at <= ?', [now]);
+      return tokens.changes + sessions.changes;
+    } catch (error) {
+      logger.error(`Database error deleting expired dashboard sessions: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = DashboardRepository;
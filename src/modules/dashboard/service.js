@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const logger = require('../../core/logger');
+const config = require('../../core/config');
+
+class DashboardService {
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  /**
+   * Hash a login token or session ID, only the hash is stored so a leaked database can't be used to log in
+   * @param {String} value - The token or session ID
+   * @return {String} The hex SHA-256 hash
+   */
+  static hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  /**
+   * Create a one-time login link for an admin
+   * @param {String} userId - The admin's user ID
+   * @param {String} guildId - The guild the dashboard manages
+   * @return {Promise<Object>} url and expiresAt
+   */
+  async createLoginLink(userId, guildId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + config.dashboard.loginLinkMinutes * 60 * 1000);
+
+    await this.repository.createLoginToken(DashboardService.hash(token), userId, guildId, expiresAt);
+    logger.info(`Dashboard login link created for ${userId} in guild ${guildId}`);
+
+    return {
+      url: `${config.dashboard.publicUrl}/dashboard/login?token=${token}`,
+      expiresAt
+    };
+  }
+
+  /**
+   * Use a login token and start a session
+   * @param {String} token - The token from the login link
+   * @return {Promise<Object|null>} sessionId, userId, guildId and expiresAt, null if the link is invalid, expired or used
+   */
+  async login(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const grant = await this.repository.takeLoginToken(DashboardService.hash(token));
+    if (!grant) return null;
+
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + config.dashboard.sessionHours * 60 * 60 * 1000);
+    await this.repository.createSession(DashboardService.hash(sessionId), grant.userId, grant.guildId, expiresAt);
+
+    // Logging in is a good moment to clean up, there are only a few rows per admin
+    await this.repository.deleteExpired().catch(error => {
+      logger.warn(`Could not delete expired dashboard sessions: ${error.message}`);
+    });
+
+    logger.info(`Dashboard session started for ${grant.userId} in guild ${grant.guildId}`);
+    return { sessionId, userId: grant.userId, guildId: grant.guildId, expiresAt };
+  }
+
+  /**
+   * Get the session of a session ID
+   * @param {String} sessionId - The session ID from the cookie
+   * @return {Promise<Object|null>} userId, guildId and expiresAt, null if the session doesn't exist or expired
+   */
+  async getSession(sessionId) {
+    if (!sessionId) return null;
+    return this.repository.getSession(DashboardService.hash(sessionId));
+  }
+
+  /**
+   * End a session
+   * @param {String} sessionId - The session ID from the cookie
+   * @return {Promise<Boolean>} Whether a session was ended
+   */
+  async logout(sessionId) {
+    if (!sessionId) return false;
+    return this.repository.deleteSession(DashboardService.hash(sessionId));
+  }
+}
+
+module.exports = DashboardService;
@@ -0,0 +1,219 @@
+const nodeCron = require('node-cron');
+const cronParser = require('cron-parser');
+const moment = require('moment-timezone');
+const config = require('../../core/config');
+const { ApiError } = require('../../core/api');
+
+/**
+ * Map a service_hours row for the API
+ * @param {Object} hours - The database row
+ * @return {Object} The service hours object
+ */
+function mapHours(hours) {
+  return {
+    id: hours.id,
+    cronExpression: hours.cron_expression,
+    description: hours.description,
+    enabled: Boolean(hours.enabled)
+  };
+}
+
+/**
+ * Map a holidays row for the API
+ * @param {Object} holiday - The database row
+ * @return {Object} The holiday object
+ */
+function mapHoliday(holiday) {
+  return {
+    id: holiday.id,
+    name: holiday.name,
+    reason: holiday.reason,
+    isRecurring: Boolean(holiday.is_recurring),
+    cronExpression: holiday.cron_expression,
+    startDate: holiday.start_date ? moment(holiday.start_date).toISOString() : null,
+    endDate: holiday.end_date ? moment(holiday.end_date).toISOString() : null,
+    enabled: Boolean(holiday.enabled),
+    createdBy: holiday.created_by,
+    createdAt: holiday.created_at
+  };
+}
+
+/**
+ * Parse a route ID parameter
+ * @param {String} value - The parameter
+ * @return {Number} The ID
+ */
+function parseId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) throw new ApiError(400, 'Invalid ID');
+  return id;
+}
+
+/**
+ * Validate the schedule of a holiday, the same rules as the /holiday add modal
+ * @param {Object} body - name, reason and either cronExpression or startDate and endDate
+ * @return {Object} The holiday fields for the repository
+ */
+function parseHoliday(body) {
+  if (!body || typeof body.name !== 'string' || !body.name.trim()) {
+    throw new ApiError(400, 'name is required');
+  }
+
+  const holiday = {
+    name: body.name.trim(),
+    reason: body.reason || null,
+    cronExpression: null,
+    startDate: null,
+    endDate: null,
+    isRecurring: false
+  };
+
+  if (body.cronExpression) {
+    try {
+      cronParser.parseExpression(body.cronExpression, { tz: config.timezone || 'Asia/Taipei' });
+    } catch (error) {
+      throw new ApiError(400, `Invalid cronExpression: ${error.message}`);
+    }
+    holiday.cronExpression = body.cronExpression;
+    holiday.isRecurring = true;
+    return holiday;
+  }
+
+  const startDate = moment(body.startDate, moment.ISO_8601, true);
+  const endDate = moment(body.endDate, moment.ISO_8601, true);
+  if (!startDate.isValid() || !endDate.isValid()) {
+    throw new ApiError(400, 'Either cronExpression or ISO 8601 startDate and endDate are required');
+  }
+  if (!endDate.isAfter(startDate)) {
+    throw new ApiError(400, 'endDate must be after startDate');
+  }
+
+  holiday.startDate = startDate.toDate();
+  holiday.endDate = endDate.toDate();
+  return holiday;
+}
+
+/**
+ * Register the service hours and holiday endpoints, everything is per guild
+ * @param {ApiServer} api - The API server
+ * @param {ServiceHoursModule} module - The service hours module
+ */
+module.exports = function registerServiceHoursRoutes(api, module) {
+  const repository = module.repository;
+
+  api.get('/api/guilds/:guildId/service-hours', async ({ params }) => {
+    const [settings, hours] = await Promise.all([
+      repository.getSettings(params.guildId),
+      repository.getAllHours(params.guildId)
+    ]);
+    return { enabled: settings.enabled, hours: hours.map(mapHours) };
+  });
+
+  // Turn the service hours check on or off for the guild: { "enabled": true }
+  api.patch('/api/guilds/:guildId/service-hours', async ({ params, body }) => {
+    if (!body || typeof body.enabled !== 'boolean') throw new ApiError(400, 'enabled must be a boolean');
+    await repository.toggleGlobalSetting(params.guildId, body.enabled);
+    return repository.getSettings(params.guildId);
+  });
+
+  api.post('/api/guilds/:guildId/service-hours', async (request) => {
+    const { params, body } = request;
+    if (!body || typeof body.cronExpression !== 'string' || !nodeCron.validate(body.cronExpression)) {
+      throw new ApiError(400, 'cronExpression must be a valid cron expression (second minute hour day month weekday)');
+    }
+
+    // Adding hours turns the check on, the same as /hours add
+    await repository.toggleGlobalSetting(params.guildId, true);
+    const hours = await repository.addHours(params.guildId, body.cronExpression, body.description || '');
+
+    request.status = 201;
+    return { id: hours.id, cronExpression: hours.cronExpression, description: hours.description, enabled: true };
+  });
+
+  api.patch('/api/guilds/:guildId/service-hours/:id', async ({ params, body }) => {
+    if (!body || typeof body.enabled !== 'boolean') throw new ApiError(400, 'enabled must be a boolean');
+    const updated = await repository.toggleHoursById(params.guildId, parseId(params.id), body.enabled);
+    if (!updated) throw new ApiError(404, 'Service hours not found');
+    return { id: parseId(params.id), enabled: body.enabled };
+  });
+
+  api.delete('/api/guilds/:guildId/service-hours/:id', async ({ params }) => {
+    const deleted = await repository.deleteHours(params.guildId, [parseId(params.id)]);
+    if (!deleted) throw new ApiError(404, 'Service hours not found');
+  });
+
+  api.get('/api/guilds/:guildId/holidays', async ({ params }) => {
+    const [settings, holidays] = await Promise.all([
+      repository.getHolidaySettings(params.guildId),
+      repository.getAllHolidays(params.guildId)
+    ]);
+    return { enabled: Boolean(settings.enabled), holidays: holidays.map(mapHoliday) };
+  });
+
+  // Turn the holiday check on or off for the guild: { "enabled": true }
+  api.patch('/api/guilds/:guildId/holidays', async ({ params, body }) => {
+    if (!body || typeof body.enabled !== 'boolean') throw new ApiError(400, 'enabled must be a boolean');
+    await repository.toggleHolidaySystem(params.guildId, body.enabled);
+    return { enabled: body.enabled };
+  });
+
+  api.post('/api/guilds/:guildId/holidays', async (request) => {
+    const { params, body } = request;
+    const holiday = await repository.addHoliday({
+      guildId: params.guildId,
+      ...parseHoliday(body),
+      createdBy: 'api'
+    });
+
+    request.status = 201;
+    const created = (await repository.getAllHolidays(params.guildId)).find(row => row.id === holiday.id);
+    return mapHoliday(created);
+  });
+
+  // Replace the schedule of a holiday, or only switch it with { "enabled": false }
+  api.patch('/api/guilds/:guildId/holidays/:id', async ({ params, body }) => {
+    const id = parseId(params.id);
+    const existing = (await repository.getAllHolidays(params.guildId)).find(row => row.id === id);
+    if (!existing) throw new ApiError(404, 'Holiday not found');
+    if (!body || typeof body !== 'object') throw new ApiError(400, 'Request body must be a JSON object');
+
+    if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+      throw new ApiError(400, 'enabled must be a boolean');
+    }
+
+    // Validate the new schedule before changing anything
+    let schedule = null;
+    const scheduleFields = ['name', 'reason', 'cronExpression', 'startDate', 'endDate'];
+    if (scheduleFields.some(field => body[field] !== undefined)) {
+      const current = mapHoliday(existing);
+      const merged = { name: current.name, reason: current.reason, ...body };
+      // Switching between a one-off and a recurring holiday drops the other schedule
+      if (body.startDate || body.endDate) {
+        merged.cronExpression = null;
+        merged.startDate = merged.startDate || current.startDate;
+        merged.endDate = merged.endDate || current.endDate;
+      } else if (!body.cronExpression && current.isRecurring) {
+        merged.cronExpression = current.cronExpression;
+      } else if (!body.cronExpression) {
+        merged.startDate = current.startDate;
+        merged.endDate = current.endDate;
+      }
+      schedule = parseHoliday(merged);
+    }
+
+    if (schedule) {
+      await repository.updateHoliday(id, params.guildId, schedule);
+    }
+    if (body.enabled !== undefined) {
+      await repository.toggleHoliday(id, params.guildId, body.enabled);
+    }
+
+    const updated = (await repository.getAllHolidays(params.guildId)).find(row => row.id === id);
+    return mapHoliday(updated);
+  });
+
+  api.delete('/api/guilds/:guildId/holidays/:id', async ({ params }) => {
+    const deleted = await repository.deleteHoliday(parseId(params.id), params.guildId);
+    if (!deleted) throw new ApiError(404, 'Holiday not found');
+  });
+};
@@ -5,6 +5,7 @@ const logger = require('../../core/logger');
 const config = require('../../core/config');
 const ServiceHoursRepository = require('./repository');
 const ServiceHoursService = require('./service');
+const registerApiRoutes = require('./api');
 
 class ServiceHoursModule {
   constructor(bot) {
@@ -124,6 +125,14 @@ class ServiceHoursModule {
     }
   }
   
+  /**
+   * Register the service hours and holiday endpoints of the REST API
+   * @param {ApiServer} api - The API server
+   */
+  registerRoutes(api) {
+    registerApiRoutes(api, this);
+  }
+  
   async shutdown() {
     logger.info('Service hours module shutting down');
     return true;
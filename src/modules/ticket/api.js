@@ -0,0 +1,243 @@
+const config = require('../../core/config');
+const { ApiError } = require('../../core/api');
+const { TicketStatus } = require('./lifecycle');
+const reminderService = require('./reminder/service');
+
+const SNOWFLAKE = /^\d{17,20}$/;
+const REMINDER_MODES = ['once', 'continuous', 'limited'];
+
+/**
+ * Check an integer setting against the range the matching slash command allows
+ * @param {*} value - The value from the request body
+ * @param {String} name - The field name used in the error message
+ * @param {Number} min - The minimum value
+ * @param {Number} max - The maximum value
+ * @return {Number} The value
+ */
+function requireInteger(value, name, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ApiError(400, `${name} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Get a ticket or answer 404
+ * @param {TicketService} service - The ticket service
+ * @param {String} ticketId - The full ticket ID or the short ID shown in the ticket embed
+ * @param {Object} auth - The request's auth object, guild-limited callers only see tickets of their guild
+ * @return {Promise<Object>} The ticket
+ */
+async function findTicket(service, ticketId, auth) {
+  const ticket = await service.getTicket(ticketId) || await service.getTicketByIdPrefix(ticketId);
+  if (!ticket || (auth.guildId && ticket.guildId !== auth.guildId)) throw new ApiError(404, 'Ticket not found');
+  return ticket;
+}
+
+/**
+ * Get the roles of the caller's guild, departments are shared by every guild but their roles are not
+ * @param {Client} client - The Discord client
+ * @param {Object} auth - The request's auth object
+ * @return {Collection|null} The guild's roles, null when the caller isn't limited to a guild
+ */
+function getGuildRoles(client, auth) {
+  if (!auth.guildId) return null;
+
+  const guild = client.guilds.cache.get(auth.guildId);
+  if (!guild) throw new ApiError(404, 'Guild not found');
+  return guild.roles.cache;
+}
+
+/**
+ * Get a department or answer 404
+ * @param {TicketService} service - The ticket service
+ * @param {String} departmentId - The department ID
+ * @return {Promise<Object>} The department
+ */
+async function findDepartment(service, departmentId) {
+  const department = await service.getDepartment(departmentId);
+  if (!department) throw new ApiError(404, 'Department not found');
+  return department;
+}
+
+/**
+ * Register the ticket, department and reminder endpoints
+ * @param {ApiServer} api - The API server
+ * @param {TicketModule} module - The ticket module, its service wraps the ticket repository
+ */
+module.exports = function registerTicketRoutes(api, module) {
+  const service = module.service;
+  const client = module.bot.client;
+
+  // Only the roles of the caller's guild, every role for the API token
+  const visibleRoles = (roles, auth) => {
+    const guildRoles = getGuildRoles(client, auth);
+    return guildRoles ? roles.filter(roleId => guildRoles.has(roleId)) : roles;
+  };
+
+  // Tickets, newest first: ?status=&department=&user=&staff=&keyword=&page=&pageSize=
+  api.get('/api/tickets', async ({ query, auth }) => {
+    if (query.status && !Object.values(TicketStatus).includes(query.status)) {
+      throw new ApiError(400, `status must be one of ${Object.values(TicketStatus).join(', ')}`);
+    }
+
+    const page = query.page ? requireInteger(Number(query.page), 'page', 0, Number.MAX_SAFE_INTEGER) : 0;
+    const pageSize = query.pageSize ? requireInteger(Number(query.pageSize), 'pageSize', 1, 100) : 25;
+
+    const result = await service.searchTickets({
+      guildId: auth.guildId || null,
+      status: query.status || null,
+      departmentIds: query.department ? query.department.split(',') : null,
+      userId: query.user || null,
+      staffId: query.staff || null,
+      keyword: query.keyword || null
+    }, page, pageSize);
+
+    return { total: result.total, page, pageSize, tickets: result.tickets };
+  });
+
+  // Open tickets counted by department and status, registered before /api/tickets/:id so 'active' isn't read as an ID
+  api.get('/api/tickets/active', async ({ auth }) => {
+    const tickets = await service.getActiveTickets(auth.guildId || null);
+
+    const counts = {};
+    for (const ticket of tickets) {
+      counts[ticket.departmentId] = counts[ticket.departmentId] || {};
+      counts[ticket.departmentId][ticket.status] = (counts[ticket.departmentId][ticket.status] || 0) + 1;
+    }
+
+    return { total: tickets.length, counts, tickets };
+  });
+
+  api.get('/api/tickets/:id', async ({ params, auth }) => {
+    const ticket = await findTicket(service, params.id, auth);
+    const [invites, events] = await Promise.all([
+      service.getTicketInvites(ticket.id),
+      service.getTicketEvents(ticket.id)
+    ]);
+
+    return {
+      ...ticket,
+      invitees: invites.map(invite => invite.invitee_id),
+      events
+    };
+  });
+
+  api.get('/api/tickets/:id/messages', async ({ params, auth }) => {
+    const ticket = await findTicket(service, params.id, auth);
+    return { ticketId: ticket.id, messages: await service.getTicketMessages(ticket.id) };
+  });
+
+  api.get('/api/departments', async ({ auth }) => {
+    const departments = await service.getAllDepartments();
+    return Promise.all(departments.map(async department => ({
+      ...department,
+      roles: visibleRoles(await service.getDepartmentRoles(department.id), auth)
+    })));
+  });
+
+  api.get('/api/departments/:id', async ({ params, auth }) => {
+    const department = await findDepartment(service, params.id);
+    const [roles, escalationTiers, formFields] = await Promise.all([
+      service.getDepartmentRoles(department.id),
+      service.getEscalationTiers(department.id),
+      service.getDepartmentFormFields(department.id)
+    ]);
+
+    const tierRoles = visibleRoles(escalationTiers.map(tier => tier.roleId), auth);
+    return {
+      ...department,
+      roles: visibleRoles(roles, auth),
+      escalationTiers: escalationTiers.filter(tier => tierRoles.includes(tier.roleId)),
+      formFields
+    };
+  });
+
+  api.get('/api/departments/:id/roles', async ({ params, auth }) => {
+    const department = await findDepartment(service, params.id);
+    return { departmentId: department.id, roles: visibleRoles(await service.getDepartmentRoles(department.id), auth) };
+  });
+
+  // Replace the staff roles of a department: { "roles": ["roleId", ...] }
+  // A guild-limited caller only replaces the roles of its own guild, the roles of other guilds are kept
+  api.put('/api/departments/:id/roles', async ({ params, body, auth }) => {
+    const department = await findDepartment(service, params.id);
+    const roles = body && body.roles;
+    if (!Array.isArray(roles) || roles.some(roleId => typeof roleId !== 'string' || !SNOWFLAKE.test(roleId))) {
+      throw new ApiError(400, 'roles must be an array of role IDs');
+    }
+
+    const guildRoles = getGuildRoles(client, auth);
+    let newRoles = [...new Set(roles)];
+    if (guildRoles) {
+      if (newRoles.some(roleId => !guildRoles.has(roleId))) {
+        throw new ApiError(400, 'roles must be roles of this guild');
+      }
+      const currentRoles = await service.getDepartmentRoles(department.id);
+      newRoles = [...currentRoles.filter(roleId => !guildRoles.has(roleId)), ...newRoles];
+    }
+
+    await service.setDepartmentRoles(department.id, newRoles);
+    return { departmentId: department.id, roles: visibleRoles(await service.getDepartmentRoles(department.id), auth) };
+  });
+
+  api.get('/api/guilds/:guildId/reminder-settings', async ({ params }) => {
+    return reminderService.getReminderSettings(params.guildId);
+  });
+
+  // Change some reminder settings, timeouts and intervals are in seconds like the stored values
+  api.patch('/api/guilds/:guildId/reminder-settings', async ({ params, body }) => {
+    if (!body || typeof body !== 'object') {
+      throw new ApiError(400, 'Request body must be a JSON object');
+    }
+
+    const settings = await reminderService.getReminderSettings(params.guildId);
+
+    if (body.enabled !== undefined) {
+      if (typeof body.enabled !== 'boolean') throw new ApiError(400, 'enabled must be a boolean');
+      settings.enabled = body.enabled;
+    }
+    if (body.reminderTimeout !== undefined) {
+      settings.reminderTimeout = requireInteger(body.reminderTimeout, 'reminderTimeout', 60, 3600);
+    }
+    if (body.reminderRoleId !== undefined) {
+      if (body.reminderRoleId !== null && !SNOWFLAKE.test(String(body.reminderRoleId))) {
+        throw new ApiError(400, 'reminderRoleId must be a role ID or null');
+      }
+      settings.reminderRoleId = body.reminderRoleId;
+    }
+    if (body.reminderMode !== undefined) {
+      if (!REMINDER_MODES.includes(body.reminderMode)) {
+        throw new ApiError(400, `reminderMode must be one of ${REMINDER_MODES.join(', ')}`);
+      }
+      settings.reminderMode = body.reminderMode;
+    }
+    if (body.reminderInterval !== undefined) {
+      settings.reminderInterval = requireInteger(body.reminderInterval, 'reminderInterval', 30, 600);
+    }
+    if (body.reminderMaxCount !== undefined) {
+      settings.reminderMaxCount = requireInteger(body.reminderMaxCount, 'reminderMaxCount', 1, 10);
+    }
+    if (body.priorityTimeouts !== undefined) {
+      // 0 or null removes the override, like /reminder setprioritytimeout with 0 minutes
+      if (!body.priorityTimeouts || typeof body.priorityTimeouts !== 'object') {
+        throw new ApiError(400, 'priorityTimeouts must be an object of priority to seconds');
+      }
+      const priorityTimeouts = { ...settings.priorityTimeouts };
+      for (const [priority, seconds] of Object.entries(body.priorityTimeouts)) {
+        if (!config.ticketPriority[priority]) {
+          throw new ApiError(400, `Unknown priority ${priority}`);
+        }
+        if (!seconds) {
+          delete priorityTimeouts[priority];
+        } else {
+          priorityTimeouts[priority] = requireInteger(seconds, `priorityTimeouts.${priority}`, 60, 86400);
+        }
+      }
+      settings.priorityTimeouts = priorityTimeouts;
+    }
+
+    await reminderService.updateReminderSettings(params.guildId, settings);
+    return reminderService.getReminderSettings(params.guildId);
+  });
+};
@@ -0,0 +1,233 @@
+const database = require('../../../core/database');
+const logger = require('../../../core/logger');
+const moment = require('moment-timezone');
+const config = require('../../../core/config');
+const { TicketStatus } = require('../lifecycle');
+
+class AssignRepository {
+  /**
+   * Map a ticket_assignment_offers row to an offer object
+   * @param {Object} offer - The database row
+   * @return {Object} The offer object
+   */
+  mapOffer(offer) {
+    let declinedUserIds = [];
+    try {
+      declinedUserIds = offer.declined_user_ids ? JSON.parse(offer.declined_user_ids) : [];
+    } catch (error) {
+      logger.warn(`Could not parse declined users of assignment offer ${offer.ticket_id}: ${error.message}`);
+    }
+
+    return {
+      ticketId: offer.ticket_id,
+      userId: offer.user_id,
+      channelId: offer.channel_id,
+      messageId: offer.message_id,
+      declinedUserIds,
+      expiresAt: new Date(offer.expires_at)
+    };
+  }
+
+  /**
+   * Get the auto-assignment stats of every staff member tracked for a department
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Array>} Stats objects
+   */
+  async getDepartmentStats(departmentId) {
+    try {
+      const rows = await database.all(
+        'SELECT * FROM staff_assignment_stats WHERE department_id = ? ORDER BY assignment_count DESC',
+        [departmentId]
+      );
+
+      return rows.map(row => ({
+        departmentId: row.department_id,
+        userId: row.user_id,
+        optedIn: Boolean(row.opted_in),
+        assignmentCount: row.assignment_count || 0,
+        lastOfferedAt: row.last_offered_at ? new Date(row.last_offered_at) : null,
+        lastAssignedAt: row.last_assigned_at ? new Date(row.last_assigned_at) : null
+      }));
+    } catch (error) {
+      logger.error(`Database error getting assignment stats: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Opt a staff member in or out of auto-assignment for a department
+   * @param {String} departmentId - The department ID
+   * @param {String} userId - The staff member's user ID
+   * @param {Boolean} optedIn - Whether they receive assignments
+   * @return {Promise<Boolean>} Success status
+   */
+  async setOptIn(departmentId, userId, optedIn) {
+    try {
+      await database.run(
+        `INSERT INTO staff_assignment_stats (department_id, user_id, opted_in, updated_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(department_id, user_id) DO UPDATE SET opted_in = excluded.opted_in, updated_at = excluded.updated_at`,
+        [departmentId, userId, optedIn ? 1 : 0, moment().tz(config.timezone || 'UTC').toISOString()]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error setting assignment opt-in: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a ticket was offered to a staff member, round-robin moves past them
+   * @param {String} departmentId - The department ID
+   * @param {String} userId - The staff member's user ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async recordOffer(departmentId, userId) {
+    try {
+      const now = moment().tz(config.timezone || 'UTC').toISOString();
+      await database.run(
+        'UPDATE staff_assignment_stats SET last_offered_at = ?, updated_at = ? WHERE department_id = ? AND user_id = ?',
+        [now, now, departmentId, userId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error recording assignment offer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Count an accepted assignment for a staff member
+   * @param {String} departmentId - The department ID
+   * @param {String} userId - The staff member's user ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async recordAssignment(departmentId, userId) {
+    try {
+      const now = moment().tz(config.timezone || 'UTC').toISOString();
+      await database.run(
+        `INSERT INTO staff_assignment_stats (department_id, user_id, assignment_count, last_assigned_at, updated_at)
+         VALUES (?, ?, 1, ?, ?)
+         ON CONFLICT(department_id, user_id) DO UPDATE SET
+           assignment_count = assignment_count + 1,
+           last_assigned_at = excluded.last_assigned_at,
+           updated_at = excluded.updated_at`,
+        [departmentId, userId, now, now]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error recording assignment: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the tickets each staff member has claimed that are not closed yet
+   * @param {Array<String>} userIds - The staff members' user IDs
+   * @return {Promise<Map<String, Number>>} Open ticket count per user ID
+   */
+  async countOpenTicketsByStaff(userIds) {
+    try {
+      const counts = new Map(userIds.map(userId => [userId, 0]));
+      if (userIds.length === 0) return counts;
+
+      const rows = await database.all(
+        `SELECT staff_id, COUNT(*) as count FROM tickets
+         WHERE status != ? AND staff_id IN (${userIds.map(() => '?').join(', ')})
+         GROUP BY staff_id`,
+        [TicketStatus.CLOSED, ...userIds]
+      );
+
+      for (const row of rows) {
+        counts.set(row.staff_id, row.count);
+      }
+      return counts;
+    } catch (error) {
+      logger.error(`Database error counting open tickets by staff: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the pending offer of a ticket, replacing an earlier one
+   * @param {Object} offer - The offer object
+   * @return {Promise<Boolean>} Success status
+   */
+  async saveOffer(offer) {
+    try {
+      await database.run(
+        `INSERT OR REPLACE INTO ticket_assignment_offers (ticket_id, user_id, channel_id, message_id, declined_user_ids, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          offer.ticketId,
+          offer.userId,
+          offer.channelId,
+          offer.messageId || null,
+          JSON.stringify(offer.declinedUserIds || []),
+          moment(offer.expiresAt).tz(config.timezone || 'UTC').toISOString()
+        ]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error saving assignment offer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the pending offer of a ticket
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<Object|null>} The offer, or null if the ticket has none
+   */
+  async getOffer(ticketId) {
+    try {
+      const offer = await database.get(
+        'SELECT * FROM ticket_assignment_offers WHERE ticket_id = ?',
+        [ticketId]
+      );
+
+      return offer ? this.mapOffer(offer) : null;
+    } catch (error) {
+      logger.error(`Database error getting assignment offer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the offers nobody accepted in time
+   * @return {Promise<Array>} Expired offers
+   */
+  async getExpiredOffers() {
+    try {
+      const offers = await database.all(
+        'SELECT * FROM ticket_assignment_offers WHERE expires_at < ?',
+        [moment().tz(config.timezone || 'UTC').toISOString()]
+      );
+
+      return offers.map(offer => this.mapOffer(offer));
+    } catch (error) {
+      logger.error(`Database error getting expired assignment offers: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the pending offer of a ticket
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<Boolean>} Whether an offer was deleted
+   */
+  async deleteOffer(ticketId) {
+    try {
+      const result = await database.run(
+        'DELETE FROM ticket_assignment_offers WHERE ticket_id = ?',
+        [ticketId]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Database error deleting assignment offer: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = AssignRepository;
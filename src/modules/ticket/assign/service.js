@@ -0,0 +1,195 @@
+const AssignRepository = require('./repository');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+
+class AssignService {
+  constructor() {
+    this.assignRepository = new AssignRepository();
+    this.checkInterval = null;
+    this.client = null;
+    this.controller = null;
+  }
+
+  /**
+   * Initialize the auto-assignment service
+   * @param {Client} client - The Discord client
+   * @param {TicketController} controller - The ticket controller, used to fall back to the department roles
+   */
+  initialize(client, controller) {
+    this.client = client;
+    this.controller = controller;
+    logger.info('Auto-assignment service initialized');
+
+    // Start the expired offer check interval
+    this.startOfferChecks();
+  }
+
+  /**
+   * Start periodic checks for offers nobody accepted in time
+   */
+  startOfferChecks() {
+    // Accept timeouts are set in minutes, so a check every minute is precise enough
+    this.checkInterval = setInterval(() => {
+      this.checkExpiredOffers();
+    }, 60 * 1000);
+
+    logger.info('Started auto-assignment check interval - checking every minute');
+
+    // Offers may have expired while the bot was offline
+    setTimeout(() => {
+      this.checkExpiredOffers();
+    }, 10000); // Wait 10 seconds for bot to be ready
+  }
+
+  /**
+   * Stop periodic offer checks
+   */
+  stopOfferChecks() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+      logger.info('Stopped auto-assignment check interval');
+    }
+  }
+
+  /**
+   * Hand expired offers back to the department roles
+   */
+  async checkExpiredOffers() {
+    try {
+      const offers = await this.assignRepository.getExpiredOffers();
+      for (const offer of offers) {
+        await this.controller.expireTicketAssignment(this.client, offer);
+      }
+    } catch (error) {
+      logger.error(`Error checking expired assignment offers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Choose the staff member a handed-off ticket is offered to
+   * @param {Guild} guild - The Discord guild
+   * @param {Object} department - The department, with its assign mode
+   * @param {Array<String>} departmentRoles - The department staff role IDs
+   * @param {Array<String>} excludeUserIds - Staff who already declined the ticket
+   * @return {Promise<String|null>} The chosen user ID, or null if nobody is available
+   */
+  async pickAssignee(guild, department, departmentRoles, excludeUserIds = []) {
+    if (!department.assignMode || department.assignMode === 'off') return null;
+
+    // role.members only lists cached members, fetch them (with presences when they are used) so every staff member is a candidate
+    await guild.members.fetch({ withPresences: config.autoAssign.usePresence }).catch(error => {
+      logger.warn(`Could not fetch guild members, only cached staff can be auto-assigned: ${error.message}`);
+    });
+
+    const roleMemberIds = new Set();
+    for (const roleId of departmentRoles) {
+      const role = guild.roles.cache.get(roleId);
+      if (!role) continue;
+      role.members.forEach(member => {
+        if (member.user.bot) return;
+        // Without the Presence intent every member looks offline, so presence is only checked when enabled
+        if (config.autoAssign.usePresence && (!member.presence || member.presence.status !== 'online')) return;
+        roleMemberIds.add(member.id);
+      });
+    }
+
+    const stats = await this.assignRepository.getDepartmentStats(department.id);
+    const candidates = stats.filter(stat =>
+      stat.optedIn && roleMemberIds.has(stat.userId) && !excludeUserIds.includes(stat.userId)
+    );
+    if (candidates.length === 0) return null;
+
+    const time = date => (date ? date.getTime() : 0);
+
+    if (department.assignMode === 'leastopen') {
+      const openCounts = await this.assignRepository.countOpenTicketsByStaff(candidates.map(stat => stat.userId));
+      candidates.sort((a, b) =>
+        openCounts.get(a.userId) - openCounts.get(b.userId)
+        || a.assignmentCount - b.assignmentCount
+        || time(a.lastOfferedAt) - time(b.lastOfferedAt)
+      );
+    } else {
+      // Round-robin goes to whoever was offered a ticket the longest time ago
+      candidates.sort((a, b) =>
+        time(a.lastOfferedAt) - time(b.lastOfferedAt)
+        || a.assignmentCount - b.assignmentCount
+      );
+    }
+
+    return candidates[0].userId;
+  }
+
+  /**
+   * Get the auto-assignment stats of a department
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Array>} Stats objects
+   */
+  async getDepartmentStats(departmentId) {
+    return await this.assignRepository.getDepartmentStats(departmentId);
+  }
+
+  /**
+   * Opt a staff member in or out of auto-assignment for a department
+   * @param {String} departmentId - The department ID
+   * @param {String} userId - The staff member's user ID
+   * @param {Boolean} optedIn - Whether they receive assignments
+   * @return {Promise<Boolean>} Success status
+   */
+  async setOptIn(departmentId, userId, optedIn) {
+    return await this.assignRepository.setOptIn(departmentId, userId, optedIn);
+  }
+
+  /**
+   * Record that a ticket was offered to a staff member
+   * @param {String} departmentId - The department ID
+   * @param {Object} offer - The offer object
+   * @return {Promise<Boolean>} Success status
+   */
+  async saveOffer(departmentId, offer) {
+    await this.assignRepository.recordOffer(departmentId, offer.userId);
+    return await this.assignRepository.saveOffer(offer);
+  }
+
+  /**
+   * Get the pending offer of a ticket
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<Object|null>} The offer, or null if the ticket has none
+   */
+  async getOffer(ticketId) {
+    return await this.assignRepository.getOffer(ticketId);
+  }
+
+  /**
+   * Delete the pending offer of a ticket
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<Boolean>} Whether an offer was deleted
+   */
+  async deleteOffer(ticketId) {
+    return await this.assignRepository.deleteOffer(ticketId);
+  }
+
+  /**
+   * Count an accepted assignment for a staff member
+   * @param {String} departmentId - The department ID
+   * @param {String} userId - The staff member's user ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async recordAssignment(departmentId, userId) {
+    return await this.assignRepository.recordAssignment(departmentId, userId);
+  }
+
+  /**
+   * Drop the pending offer of a closed ticket
+   * @param {String} ticketId - The ticket ID
+   */
+  async handleTicketClosure(ticketId) {
+    try {
+      await this.assignRepository.deleteOffer(ticketId);
+    } catch (error) {
+      logger.error(`Error clearing assignment offer for closed ticket: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AssignService();
@@ -0,0 +1,101 @@
+const database = require('../../../core/database');
+const logger = require('../../../core/logger');
+const moment = require('moment-timezone');
+const config = require('../../../core/config');
+const { TicketLifecycle } = require('../lifecycle');
+
+class AutoCloseRepository {
+  /**
+   * Get tickets of a guild where staff replied last and the customer has been silent since the cutoff
+   * @param {String} guildId - The guild ID
+   * @param {String} cutoffTime - ISO timestamp, staff replies before this are considered stale
+   * @return {Promise<Array>} Array of tickets that should receive the auto-close warning
+   */
+  async getTicketsNeedingWarning(guildId, cutoffTime) {
+    try {
+      const tickets = await database.all(
+        `SELECT t.*, trt.last_staff_response_at, trt.last_customer_message_at
+         FROM tickets t
+         JOIN ticket_response_tracking trt ON t.id = trt.ticket_id
+         WHERE t.guild_id = ?
+         AND t.status IN (${TicketLifecycle.sqlList(TicketLifecycle.AUTO_CLOSE_STATUSES)})
+         AND trt.last_staff_response_at IS NOT NULL
+         AND (trt.last_customer_message_at IS NULL OR trt.last_staff_response_at > trt.last_customer_message_at)
+         AND trt.last_staff_response_at < ?
+         AND trt.autoclose_warned_at IS NULL`,
+        [guildId, cutoffTime]
+      );
+
+      return tickets.map(ticket => this.mapTicket(ticket));
+    } catch (error) {
+      logger.error(`Database error getting tickets needing auto-close warning: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get warned tickets of a guild that nobody answered within the grace period
+   * @param {String} guildId - The guild ID
+   * @param {String} cutoffTime - ISO timestamp, warnings before this have expired
+   * @return {Promise<Array>} Array of tickets that should be closed
+   */
+  async getTicketsToClose(guildId, cutoffTime) {
+    try {
+      const tickets = await database.all(
+        `SELECT t.*, trt.last_staff_response_at, trt.last_customer_message_at
+         FROM tickets t
+         JOIN ticket_response_tracking trt ON t.id = trt.ticket_id
+         WHERE t.guild_id = ?
+         AND t.status IN (${TicketLifecycle.sqlList(TicketLifecycle.AUTO_CLOSE_STATUSES)})
+         AND trt.autoclose_warned_at IS NOT NULL
+         AND trt.autoclose_warned_at < ?
+         AND (trt.last_customer_message_at IS NULL OR trt.last_staff_response_at > trt.last_customer_message_at)`,
+        [guildId, cutoffTime]
+      );
+
+      return tickets.map(ticket => this.mapTicket(ticket));
+    } catch (error) {
+      logger.error(`Database error getting tickets to auto-close: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that the auto-close warning was sent for a ticket
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async markWarned(ticketId) {
+    try {
+      await database.run(
+        'UPDATE ticket_response_tracking SET autoclose_warned_at = ? WHERE ticket_id = ?',
+        [moment().tz(config.timezone || 'UTC').toISOString(), ticketId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error marking auto-close warning: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Map a ticket row to a ticket object
+   * @param {Object} ticket - The database row
+   * @return {Object} The ticket object
+   */
+  mapTicket(ticket) {
+    return {
+      id: ticket.id,
+      guildId: ticket.guild_id || null,
+      channelId: ticket.channel_id,
+      userId: ticket.user_id,
+      departmentId: ticket.department_id,
+      status: ticket.status,
+      staffId: ticket.staff_id,
+      lastStaffResponseAt: new Date(ticket.last_staff_response_at),
+      lastCustomerMessageAt: ticket.last_customer_message_at ? new Date(ticket.last_customer_message_at) : null
+    };
+  }
+}
+
+module.exports = AutoCloseRepository;
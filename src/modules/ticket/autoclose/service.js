@@ -0,0 +1,152 @@
+const AutoCloseRepository = require('./repository');
+const logger = require('../../../core/logger');
+const moment = require('moment-timezone');
+const config = require('../../../core/config');
+const { TicketStatus } = require('../lifecycle');
+
+class AutoCloseService {
+  constructor() {
+    this.autoCloseRepository = new AutoCloseRepository();
+    this.checkInterval = null;
+    this.client = null;
+    this.controller = null;
+  }
+
+  /**
+   * Initialize the auto-close service
+   * @param {Client} client - The Discord client
+   * @param {TicketController} controller - The ticket controller, used for the normal close path
+   */
+  initialize(client, controller) {
+    this.client = client;
+    this.controller = controller;
+    logger.info('Auto-close service initialized');
+
+    // Start the auto-close check interval
+    this.startAutoCloseChecks();
+  }
+
+  /**
+   * Start periodic auto-close checks
+   */
+  startAutoCloseChecks() {
+    // Timeouts are configured in hours, so checking every few minutes is precise enough
+    this.checkInterval = setInterval(() => {
+      this.checkAllGuildsForAutoClose();
+    }, 5 * 60 * 1000); // 5 minutes
+
+    logger.info('Started auto-close check interval - checking every 5 minutes');
+
+    // Run initial check shortly after startup
+    setTimeout(() => {
+      this.checkAllGuildsForAutoClose();
+    }, 10000); // Wait 10 seconds for bot to be ready
+  }
+
+  /**
+   * Stop periodic auto-close checks
+   */
+  stopAutoCloseChecks() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+      logger.info('Stopped auto-close check interval');
+    }
+  }
+
+  /**
+   * Check all guilds for tickets to warn or close
+   */
+  async checkAllGuildsForAutoClose() {
+    try {
+      for (const guild of this.client.guilds.cache.values()) {
+        await this.checkGuildForAutoClose(guild);
+      }
+    } catch (error) {
+      logger.error(`Error checking guilds for auto-close: ${error.message}`);
+    }
+  }
+
+  /**
+   * Warn or close silent tickets in a specific guild
+   * @param {Guild} guild - The Discord guild
+   */
+  async checkGuildForAutoClose(guild) {
+    try {
+      const settings = await this.controller.ticketService.getGuildSettings(guild.id);
+
+      if (!settings.autoCloseEnabled) {
+        return;
+      }
+
+      const warningCutoff = moment().subtract(settings.autoCloseHours, 'hours').toISOString();
+      const ticketsToWarn = await this.autoCloseRepository.getTicketsNeedingWarning(guild.id, warningCutoff);
+      for (const ticket of ticketsToWarn) {
+        const channel = guild.channels.cache.get(ticket.channelId);
+        if (channel) {
+          await this.sendWarning(channel, ticket, settings);
+        }
+      }
+
+      const closeCutoff = moment().subtract(settings.autoCloseGraceHours, 'hours').toISOString();
+      const ticketsToClose = await this.autoCloseRepository.getTicketsToClose(guild.id, closeCutoff);
+      for (const ticket of ticketsToClose) {
+        const channel = guild.channels.cache.get(ticket.channelId);
+        if (channel) {
+          await this.closeTicket(channel, ticket, settings);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error checking guild ${guild.id} for auto-close: ${error.message}`);
+    }
+  }
+
+  /**
+   * Warn the customer that the ticket will be closed
+   * @param {TextChannel} channel - The ticket channel
+   * @param {Object} ticket - The ticket data
+   * @param {Object} settings - The guild settings
+   */
+  async sendWarning(channel, ticket, settings) {
+    try {
+      const warningMessage = settings.autoCloseMessage || config.autoClose.defaultWarningMessage;
+
+      await channel.send({
+        content: `<@${ticket.userId}> ⏳ ${warningMessage}\n\n若 **${settings.autoCloseGraceHours} 小時**內沒有回覆，此客服單將自動關閉。`
+      });
+
+      await this.autoCloseRepository.markWarned(ticket.id);
+      logger.info(`Sent auto-close warning for ticket ${ticket.id}`);
+    } catch (error) {
+      logger.error(`Error sending auto-close warning for ticket ${ticket.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close a ticket through the normal close path
+   * @param {TextChannel} channel - The ticket channel
+   * @param {Object} ticket - The ticket data
+   * @param {Object} settings - The guild settings
+   */
+  async closeTicket(channel, ticket, settings) {
+    try {
+      // Load the full ticket, the close path needs the same data as a manual close
+      const fullTicket = await this.controller.ticketService.getTicket(ticket.id);
+      if (!fullTicket || fullTicket.status === TicketStatus.CLOSED) return;
+
+      const silentHours = settings.autoCloseHours + settings.autoCloseGraceHours;
+      await this.controller.closeTicketChannel(
+        channel,
+        fullTicket,
+        `此客服單已超過 ${silentHours} 小時未收到回覆，已自動關閉。頻道將在 5 秒後刪除...`,
+        { closedBy: '自動關閉', resolution: 'no_response', reason: `客戶超過 ${silentHours} 小時未回覆` }
+      );
+
+      logger.info(`Auto-closed ticket ${ticket.id}`);
+    } catch (error) {
+      logger.error(`Error auto-closing ticket ${ticket.id}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AutoCloseService();
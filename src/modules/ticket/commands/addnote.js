@@ -0,0 +1,28 @@
+const { ContextMenuCommandBuilder, ApplicationCommandType } = require('discord.js');
+const logger = require('../../../core/logger');
+
+module.exports = {
+  data: new ContextMenuCommandBuilder()
+    .setName('新增備註')
+    .setType(ApplicationCommandType.Message)
+    .setDMPermission(false),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      await this.module.controller.showNoteModal(interaction);
+    } catch (error) {
+      logger.error(`Error executing add note context menu: ${error.message}`);
+      await interaction.reply({
+        content: `新增備註時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  }
+};
@@ -0,0 +1,187 @@
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+const Permissions = require('../../../utils/permissions');
+const assignService = require('../assign/service');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('autoassign')
+    .setDescription('管理轉接人工客服時的自動分派')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('mode')
+        .setDescription('設定部門的自動分派模式（管理員）')
+        .addStringOption(option =>
+          option
+            .setName('department')
+            .setDescription('選擇部門')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('mode')
+            .setDescription('分派模式')
+            .setRequired(true)
+            .addChoices(...Object.entries(config.autoAssign.modes).map(([value, mode]) => ({ name: mode.name, value })))
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('timeout')
+            .setDescription('等待接受的分鐘數 (1-60)，逾時改為通知部門角色，預設 5 分鐘')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(60)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('join')
+        .setDescription('加入部門的自動分派名單')
+        .addStringOption(option =>
+          option
+            .setName('department')
+            .setDescription('選擇部門')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('leave')
+        .setDescription('退出部門的自動分派名單')
+        .addStringOption(option =>
+          option
+            .setName('department')
+            .setDescription('選擇部門')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('status')
+        .setDescription('查看部門的自動分派設定及分派次數')
+        .addStringOption(option =>
+          option
+            .setName('department')
+            .setDescription('選擇部門')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      const department = await this.module.service.getDepartment(interaction.options.getString('department'));
+      if (!department) {
+        await interaction.reply({ content: '無效的部門ID。', ephemeral: true });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'mode') {
+        if (!Permissions.hasGuildPermission(interaction.member, ['Administrator'])) {
+          await interaction.reply({
+            content: '您沒有使用此命令的權限。',
+            ephemeral: true
+          });
+          return;
+        }
+        await this.handleMode(interaction, department);
+        return;
+      }
+
+      // Everything else is for the department's own staff
+      if (!(await this.module.controller.isTicketStaff(interaction.member, { departmentId: department.id }))) {
+        await interaction.reply({
+          content: '只有該部門的客服人員可以使用此命令。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      switch (subcommand) {
+        case 'join':
+          await this.handleOptIn(interaction, department, true);
+          break;
+        case 'leave':
+          await this.handleOptIn(interaction, department, false);
+          break;
+        case 'status':
+          await this.handleStatus(interaction, department);
+          break;
+      }
+    } catch (error) {
+      logger.error(`Error executing autoassign command: ${error.message}`);
+      await interaction.reply({
+        content: `處理自動分派時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  },
+
+  async handleMode(interaction, department) {
+    const mode = interaction.options.getString('mode');
+    const timeout = interaction.options.getInteger('timeout') || department.assignTimeoutMinutes;
+
+    await this.module.service.updateDepartmentAssignMode(department.id, mode, timeout);
+    logger.info(`Auto-assign mode of department ${department.id} set to ${mode} (${timeout} minutes) by ${interaction.user.tag}`);
+
+    await interaction.reply({
+      content: mode === 'off'
+        ? `✅ 已關閉 ${department.name} 部門的自動分派，轉接人工客服時會通知所有部門角色。`
+        : `✅ ${department.name} 部門的自動分派模式已設為 **${config.autoAssign.modes[mode].name}**，被分派的客服人員需在 ${timeout} 分鐘內接受。\n` +
+          '客服人員需使用 `/autoassign join` 加入分派名單。',
+      ephemeral: true
+    });
+  },
+
+  async handleOptIn(interaction, department, optedIn) {
+    await assignService.setOptIn(department.id, interaction.user.id, optedIn);
+    logger.info(`${interaction.user.tag} ${optedIn ? 'joined' : 'left'} auto-assignment of department ${department.id}`);
+
+    await interaction.reply({
+      content: optedIn
+        ? `✅ 您已加入 ${department.name} 部門的自動分派名單。`
+        : `✅ 您已退出 ${department.name} 部門的自動分派名單。`,
+      ephemeral: true
+    });
+  },
+
+  async handleStatus(interaction, department) {
+    const stats = await assignService.getDepartmentStats(department.id);
+    const optedIn = stats.filter(stat => stat.optedIn);
+    const mode = config.autoAssign.modes[department.assignMode] || config.autoAssign.modes.off;
+
+    let staffText = optedIn.length > 0
+      ? optedIn.map(stat => `<@${stat.userId}> · 已分派 ${stat.assignmentCount} 次`).join('\n')
+      : '尚無客服人員加入';
+    if (staffText.length > 1024) {
+      staffText = staffText.substring(0, 1020) + '...';
+    }
+
+    await interaction.reply({
+      embeds: [{
+        title: `🎯 ${department.name} 自動分派`,
+        color: 0x5865F2,
+        fields: [
+          { name: '分派模式', value: mode.name, inline: true },
+          { name: '接受時限', value: `${department.assignTimeoutMinutes} 分鐘`, inline: true },
+          { name: '僅分派在線人員', value: config.autoAssign.usePresence ? '是' : '否', inline: true },
+          { name: `分派名單（${optedIn.length}）`, value: staffText }
+        ]
+      }],
+      ephemeral: true
+    });
+  }
+};
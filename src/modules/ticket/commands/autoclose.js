@@ -0,0 +1,180 @@
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+const Permissions = require('../../../utils/permissions');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('autoclose')
+    .setDescription('管理客服單自動關閉設定')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('enable')
+        .setDescription('啟用客服單自動關閉')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('disable')
+        .setDescription('停用客服單自動關閉')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('settimeout')
+        .setDescription('設定客戶多久未回覆後發送警告，以及警告後多久自動關閉')
+        .addIntegerOption(option =>
+          option
+            .setName('hours')
+            .setDescription('客服回覆後客戶多少小時未回覆即發送警告 (1-720)')
+            .setRequired(true)
+            .setMinValue(1)
+            .setMaxValue(720)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('grace')
+            .setDescription('發送警告後多少小時仍無回覆即自動關閉 (1-168)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(168)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('setmessage')
+        .setDescription('設定發送給客戶的警告訊息')
+        .addStringOption(option =>
+          option
+            .setName('message')
+            .setDescription('警告訊息（不填則恢復預設訊息）')
+            .setRequired(false)
+            .setMaxLength(1500)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('status')
+        .setDescription('查看目前的自動關閉設定')
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      // Check if user has permission
+      if (!Permissions.hasGuildPermission(interaction.member, ['Administrator'])) {
+        await interaction.reply({
+          content: '您沒有使用此命令的權限。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'enable') {
+        await this.handleToggle(interaction, true);
+      } else if (subcommand === 'disable') {
+        await this.handleToggle(interaction, false);
+      } else if (subcommand === 'settimeout') {
+        await this.handleSetTimeout(interaction);
+      } else if (subcommand === 'setmessage') {
+        await this.handleSetMessage(interaction);
+      } else if (subcommand === 'status') {
+        await this.handleStatus(interaction);
+      }
+    } catch (error) {
+      logger.error(`Error executing autoclose command: ${error.message}`);
+      await interaction.reply({
+        content: `處理自動關閉設定時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  },
+
+  async handleToggle(interaction, enabled) {
+    await this.module.service.updateGuildSettings(interaction.guild.id, { autoCloseEnabled: enabled });
+    const settings = await this.module.service.getGuildSettings(interaction.guild.id);
+
+    logger.info(`Auto-close ${enabled ? 'enabled' : 'disabled'} in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+
+    await interaction.reply({
+      content: enabled
+        ? `✅ 已啟用自動關閉：客服回覆後客戶 ${settings.autoCloseHours} 小時未回覆將收到警告，再過 ${settings.autoCloseGraceHours} 小時仍未回覆則自動關閉。`
+        : '✅ 已停用自動關閉。',
+      ephemeral: true
+    });
+  },
+
+  async handleSetTimeout(interaction) {
+    const hours = interaction.options.getInteger('hours');
+    const grace = interaction.options.getInteger('grace');
+
+    const update = { autoCloseHours: hours };
+    if (grace !== null) {
+      update.autoCloseGraceHours = grace;
+    }
+
+    await this.module.service.updateGuildSettings(interaction.guild.id, update);
+    const settings = await this.module.service.getGuildSettings(interaction.guild.id);
+
+    await interaction.reply({
+      content: `✅ 客服回覆後客戶 ${settings.autoCloseHours} 小時未回覆將收到警告，再過 ${settings.autoCloseGraceHours} 小時仍未回覆則自動關閉。` +
+        (settings.autoCloseEnabled ? '' : '\n（自動關閉目前停用，請使用 `/autoclose enable` 啟用）'),
+      ephemeral: true
+    });
+  },
+
+  async handleSetMessage(interaction) {
+    const message = interaction.options.getString('message');
+    await this.module.service.updateGuildSettings(interaction.guild.id, { autoCloseMessage: message || null });
+
+    await interaction.reply({
+      content: message
+        ? '✅ 已更新自動關閉警告訊息。'
+        : '✅ 已恢復預設的自動關閉警告訊息。',
+      ephemeral: true
+    });
+  },
+
+  async handleStatus(interaction) {
+    const settings = await this.module.service.getGuildSettings(interaction.guild.id);
+
+    const embed = {
+      title: '⏳ 客服單自動關閉設定',
+      color: 0x3498db,
+      fields: [
+        {
+          name: '功能狀態',
+          value: settings.autoCloseEnabled ? '✅ 已啟用' : '❌ 已停用',
+          inline: true
+        },
+        {
+          name: '警告時間',
+          value: `客戶 ${settings.autoCloseHours} 小時未回覆`,
+          inline: true
+        },
+        {
+          name: '關閉時間',
+          value: `警告後 ${settings.autoCloseGraceHours} 小時`,
+          inline: true
+        },
+        {
+          name: '警告訊息',
+          value: settings.autoCloseMessage || `${config.autoClose.defaultWarningMessage}（預設）`,
+          inline: false
+        }
+      ],
+      footer: {
+        text: '使用 /autoclose 子指令來修改設定'
+      },
+      timestamp: new Date()
+    };
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+};
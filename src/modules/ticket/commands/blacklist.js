@@ -0,0 +1,159 @@
+const { SlashCommandBuilder } = require('discord.js');
+const moment = require('moment-timezone');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+const Permissions = require('../../../utils/permissions');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('blacklist')
+    .setDescription('管理禁止建立客服單的用戶')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('禁止用戶建立客服單')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('要禁止的用戶')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('reason')
+            .setDescription('原因（會顯示給該用戶）')
+            .setRequired(true)
+            .setMaxLength(500)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('days')
+            .setDescription('禁止天數，不填則永久禁止')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(3650)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('解除用戶的禁止')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('要解除禁止的用戶')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('列出被禁止建立客服單的用戶')
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      // Check if user has permission
+      if (!Permissions.hasGuildPermission(interaction.member, ['Administrator'])) {
+        await interaction.reply({
+          content: '您沒有使用此命令的權限。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'add':
+          await this.handleAdd(interaction);
+          break;
+        case 'remove':
+          await this.handleRemove(interaction);
+          break;
+        case 'list':
+          await this.handleList(interaction);
+          break;
+      }
+    } catch (error) {
+      logger.error(`Error executing blacklist command: ${error.message}`);
+      await interaction.reply({
+        content: `處理黑名單時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  },
+
+  async handleAdd(interaction) {
+    const user = interaction.options.getUser('user');
+    const reason = interaction.options.getString('reason');
+    const days = interaction.options.getInteger('days');
+    const expiresAt = days ? moment().add(days, 'days').toDate() : null;
+
+    await this.module.service.addToBlacklist({
+      guildId: interaction.guild.id,
+      userId: user.id,
+      reason,
+      expiresAt,
+      createdBy: interaction.user.id
+    });
+
+    logger.info(`User ${user.tag} blacklisted in guild ${interaction.guild.id} by ${interaction.user.tag}${days ? ` for ${days} days` : ''}`);
+
+    await interaction.reply({
+      content: expiresAt
+        ? `✅ 已禁止 ${user} 建立客服單，直到 ${moment(expiresAt).tz(config.timezone || 'UTC').format('YYYY-MM-DD HH:mm')}。`
+        : `✅ 已永久禁止 ${user} 建立客服單。`,
+      ephemeral: true
+    });
+  },
+
+  async handleRemove(interaction) {
+    const user = interaction.options.getUser('user');
+    const removed = await this.module.service.removeFromBlacklist(interaction.guild.id, user.id);
+
+    if (!removed) {
+      await interaction.reply({ content: `${user} 不在黑名單中。`, ephemeral: true });
+      return;
+    }
+
+    logger.info(`User ${user.tag} removed from blacklist in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+
+    await interaction.reply({ content: `✅ 已解除 ${user} 的禁止，該用戶可以再次建立客服單。`, ephemeral: true });
+  },
+
+  async handleList(interaction) {
+    const entries = await this.module.service.getBlacklist(interaction.guild.id);
+
+    if (entries.length === 0) {
+      await interaction.reply({ content: '黑名單中沒有任何用戶。', ephemeral: true });
+      return;
+    }
+
+    const timezone = config.timezone || 'UTC';
+    let description = entries.map(entry => {
+      const expiry = entry.expiresAt ? moment(entry.expiresAt).tz(timezone).format('YYYY-MM-DD HH:mm') : '永久';
+      return `<@${entry.userId}> · 到期: ${expiry} · 加入者: ${entry.createdBy ? `<@${entry.createdBy}>` : '未知'}\n原因: ${entry.reason || '未提供'}`;
+    }).join('\n\n');
+
+    if (description.length > 4000) {
+      description = description.substring(0, 4000) + '...';
+    }
+
+    await interaction.reply({
+      embeds: [{
+        title: `🚫 客服單黑名單（${entries.length}）`,
+        description,
+        color: 0xED4245
+      }],
+      ephemeral: true
+    });
+  }
+};
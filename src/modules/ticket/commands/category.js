@@ -1,8 +1,10 @@
 const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
 const logger = require('../../../core/logger');
-const config = require('../../../core/config');
 const Permissions = require('../../../utils/permissions');
 
+// Discord allows at most 50 channels in a category
+const MAX_CATEGORY_CHANNELS = 50;
+
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('category')
@@ -17,12 +19,7 @@ module.exports = {
             .setName('department')
             .setDescription('選擇部門')
             .setRequired(true)
-            .addChoices(
-              ...config.departments.map(dept => ({
-                name: dept.name,
-                value: dept.id
-              }))
-            )
+            .setAutocomplete(true)
         )
         .addChannelOption(option =>
           option
@@ -35,7 +32,7 @@ module.exports = {
     .addSubcommand(subcommand =>
       subcommand
         .setName('refresh')
-        .setDescription('刷新所有部門的分類頻道（如果頻道被刪除會重新創建）')
+        .setDescription('刷新並列出所有部門管理的分類頻道（包含溢出分類，主分類被刪除時會重新創建）')
     ),
   
   // This will be set by the module loader
@@ -96,8 +93,9 @@ module.exports = {
         return;
       }
       
-      // Update the department category ID
+      // Update the department category ID, a former overflow category becomes the main one
       await this.module.service.updateDepartmentCategory(departmentId, category.id);
+      await this.module.service.removeOverflowCategory(category.id);
       
       await interaction.editReply({
         content: `已成功將 ${department.name} 部門的分類頻道設置為 ${category.name}。`
@@ -117,16 +115,17 @@ module.exports = {
       const guild = interaction.guild;
       let report = [];
       
-      for (const dept of config.departments) {
-        // Get the current department with category ID
-        const department = await this.module.service.getDepartment(dept.id);
-        if (!department) {
-          report.push(`- ${dept.name}: 部門不存在於資料庫中`);
+      const departments = await this.module.service.getAllDepartments();
+      
+      for (const department of departments) {
+        const categoryId = department.categoryId;
+
+        // Thread mode departments open their tickets in a support channel instead of a category
+        if (department.threadChannelId) {
+          report.push(`- ${department.name}: 使用討論串模式 (<#${department.threadChannelId}>)`);
           continue;
         }
         
-        const categoryId = department.categoryId;
-        
         // Skip if no category is set yet
         if (!categoryId) {
           report.push(`- ${department.name}: 未設置分類頻道`);
@@ -136,7 +135,8 @@ module.exports = {
         // Try to fetch the category channel
         try {
           const categoryChannel = await guild.channels.fetch(categoryId);
-          report.push(`- ${department.name}: 分類頻道 "${categoryChannel.name}" 已存在 (ID: ${categoryId})`);
+          report.push(`- ${department.name}: 分類頻道 "${categoryChannel.name}" 已存在 (ID: ${categoryId}，${categoryChannel.children.cache.size}/${MAX_CATEGORY_CHANNELS} 個頻道)`);
+          report.push(...await this.refreshOverflowCategories(guild, department));
         } catch (error) {
           // Category doesn't exist or was deleted, create a new one
           try {
@@ -195,5 +195,31 @@ module.exports = {
         content: `刷新分類頻道時出錯: ${error.message}`
       });
     }
+  },
+
+  /**
+   * Check the overflow categories of a department, dropping deleted and empty ones
+   * @param {Guild} guild - The guild
+   * @param {Object} department - The department
+   * @return {Promise<Array<String>>} Report lines for the overflow categories
+   */
+  async refreshOverflowCategories(guild, department) {
+    const report = [];
+    const overflowCategories = await this.module.service.getOverflowCategories(department.id);
+
+    for (const overflow of overflowCategories) {
+      const categoryChannel = await guild.channels.fetch(overflow.categoryId).catch(() => null);
+
+      if (!categoryChannel) {
+        await this.module.service.removeOverflowCategory(overflow.categoryId);
+        report.push(`  - 溢出分類 ${overflow.position}: 已被刪除，已移除記錄`);
+      } else if (await this.module.controller.removeEmptyOverflowCategory(guild, overflow.categoryId)) {
+        report.push(`  - 溢出分類 "${categoryChannel.name}": 沒有客服單，已刪除`);
+      } else {
+        report.push(`  - 溢出分類 "${categoryChannel.name}" (ID: ${overflow.categoryId}，${categoryChannel.children.cache.size}/${MAX_CATEGORY_CHANNELS} 個頻道)`);
+      }
+    }
+
+    return report;
   }
 };
\ No newline at end of file
@@ -0,0 +1,80 @@
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../../../core/logger');
+const Permissions = require('../../../utils/permissions');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('claim')
+    .setDescription('認領或取消認領客服單')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('take')
+        .setDescription('認領當前的客服單')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('release')
+        .setDescription('取消認領當前的客服單')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('exclusive')
+        .setDescription('設置是否只有認領人（及管理員）可以回覆客服單')
+        .addBooleanOption(option =>
+          option
+            .setName('enabled')
+            .setDescription('是否啟用')
+            .setRequired(true)
+        )
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'take') {
+        await this.module.controller.claimTicket(interaction);
+      } else if (subcommand === 'release') {
+        await this.module.controller.unclaimTicket(interaction);
+      } else if (subcommand === 'exclusive') {
+        await this.handleExclusive(interaction);
+      }
+    } catch (error) {
+      logger.error(`Error executing claim command: ${error.message}`);
+      await interaction.reply({
+        content: `處理認領時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  },
+
+  async handleExclusive(interaction) {
+    // Check if user has permission
+    if (!Permissions.hasGuildPermission(interaction.member, ['Administrator'])) {
+      await interaction.reply({
+        content: '您沒有使用此命令的權限。',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const enabled = interaction.options.getBoolean('enabled');
+    await this.module.service.updateGuildSettings(interaction.guild.id, { claimExclusive: enabled });
+
+    logger.info(`Exclusive claims ${enabled ? 'enabled' : 'disabled'} in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+
+    await interaction.reply({
+      content: enabled
+        ? '✅ 已啟用獨佔認領：客服單被認領後，只有認領人及管理員可以回覆。（僅套用於之後的認領）'
+        : '✅ 已停用獨佔認領：部門客服人員皆可回覆已認領的客服單。（僅套用於之後的認領）',
+      ephemeral: true
+    });
+  }
+};
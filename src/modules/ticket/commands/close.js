@@ -31,10 +31,10 @@ module.exports = {
       const isAdmin = Permissions.hasGuildPermission(interaction.member, ['Administrator']);
       const isTicketCreator = interaction.user.id === ticket.userId;
       
-      // Get department roles first (since it's an async function)
-      const departmentRoles = await this.module.service.getDepartmentRoles(ticket.departmentId);
+      // Get the staff roles first (since it's an async function)
+      const staffRoles = await this.module.controller.getTicketStaffRoles(ticket);
       const isSupportStaff = interaction.member.roles.cache.some(role => 
-        departmentRoles.includes(role.id)
+        staffRoles.includes(role.id)
       );
       
       if (!isAdmin && !isTicketCreator && !isSupportStaff) {
@@ -0,0 +1,97 @@
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+const Permissions = require('../../../utils/permissions');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('closereport')
+    .setDescription('查看已關閉客服單的解決類別統計')
+    .addIntegerOption(option =>
+      option
+        .setName('days')
+        .setDescription('統計最近幾天 (1-365)，預設 30 天')
+        .setRequired(false)
+        .setMinValue(1)
+        .setMaxValue(365)
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      // Check if user has permission
+      if (!Permissions.hasGuildPermission(interaction.member, ['Administrator'])) {
+        await interaction.reply({
+          content: '您沒有使用此命令的權限。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const days = interaction.options.getInteger('days') || 30;
+      const rows = await this.module.service.getResolutionReport(days);
+
+      if (rows.length === 0) {
+        await interaction.reply({
+          content: `最近 ${days} 天沒有已關閉的客服單。`,
+          ephemeral: true
+        });
+        return;
+      }
+
+      const formatResolution = resolution => {
+        const resolutionConfig = config.closeResolution[resolution];
+        return resolutionConfig ? `${resolutionConfig.emoji} ${resolutionConfig.name}` : '❔ 未分類';
+      };
+
+      // Totals per resolution category across all departments
+      const totals = new Map();
+      for (const row of rows) {
+        totals.set(row.resolution, (totals.get(row.resolution) || 0) + row.count);
+      }
+
+      // Breakdown per department
+      const departments = new Map();
+      for (const row of rows) {
+        if (!departments.has(row.departmentId)) departments.set(row.departmentId, []);
+        departments.get(row.departmentId).push(`${formatResolution(row.resolution)}: ${row.count}`);
+      }
+
+      const fields = [];
+      for (const [departmentId, lines] of departments) {
+        const department = await this.module.service.getDepartment(departmentId);
+        fields.push({
+          name: department ? `${department.emoji || ''} ${department.name}`.trim() : departmentId,
+          value: lines.join('\n'),
+          inline: true
+        });
+      }
+
+      const total = rows.reduce((sum, row) => sum + row.count, 0);
+      const embed = {
+        title: `📊 客服單關閉統計（最近 ${days} 天）`,
+        color: 0x5865F2,
+        description: [...totals.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .map(([resolution, count]) => `${formatResolution(resolution)}: **${count}**`)
+          .join('\n') + `\n\n共 **${total}** 張客服單`,
+        fields: fields.slice(0, 25),
+        timestamp: new Date()
+      };
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+    } catch (error) {
+      logger.error(`Error executing closereport command: ${error.message}`);
+      await interaction.reply({
+        content: `取得關閉統計時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  }
+};
@@ -0,0 +1,133 @@
+const { SlashCommandBuilder } = require('discord.js');
+const moment = require('moment-timezone');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+const Permissions = require('../../../utils/permissions');
+const csatService = require('../csat/service');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('csat')
+    .setDescription('客戶滿意度調查')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('report')
+        .setDescription('查看各部門及客服人員的平均評分')
+        .addStringOption(option =>
+          option
+            .setName('from')
+            .setDescription('開始日期 (YYYY-MM-DD)，預設為 30 天前')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('to')
+            .setDescription('結束日期 (YYYY-MM-DD)，包含當天，預設為今天')
+            .setRequired(false)
+        )
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'report') {
+        await this.handleReport(interaction);
+      }
+    } catch (error) {
+      logger.error(`Error executing csat command: ${error.message}`);
+      await interaction.reply({
+        content: `取得滿意度報告時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  },
+
+  async handleReport(interaction) {
+    // Check if user has permission
+    if (!Permissions.hasGuildPermission(interaction.member, ['Administrator'])) {
+      await interaction.reply({
+        content: '您沒有使用此命令的權限。',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const timezone = config.timezone || 'UTC';
+    const fromOption = interaction.options.getString('from');
+    const toOption = interaction.options.getString('to');
+
+    const startDate = fromOption
+      ? moment.tz(fromOption, 'YYYY-MM-DD', true, timezone)
+      : moment().tz(timezone).subtract(30, 'days').startOf('day');
+    const endDate = toOption
+      ? moment.tz(toOption, 'YYYY-MM-DD', true, timezone)
+      : moment().tz(timezone).startOf('day');
+
+    if (!startDate.isValid() || !endDate.isValid()) {
+      await interaction.reply({
+        content: '日期格式錯誤，請使用 YYYY-MM-DD 格式。',
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (startDate.isAfter(endDate)) {
+      await interaction.reply({
+        content: '開始日期不能晚於結束日期。',
+        ephemeral: true
+      });
+      return;
+    }
+
+    // The end date is inclusive
+    const report = await csatService.getReport(startDate.toDate(), endDate.clone().add(1, 'day').toDate());
+    const rangeText = `${startDate.format('YYYY-MM-DD')} ~ ${endDate.format('YYYY-MM-DD')}`;
+
+    if (report.departments.length === 0) {
+      await interaction.reply({
+        content: `${rangeText} 期間沒有任何評分。`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    const formatAverage = row => `⭐ ${row.average.toFixed(2)}（${row.count} 則）`;
+
+    const departmentLines = [];
+    for (const row of report.departments) {
+      const department = await this.module.service.getDepartment(row.key);
+      const name = department ? `${department.emoji || ''} ${department.name}`.trim() : row.key;
+      departmentLines.push(`${name}: ${formatAverage(row)}`);
+    }
+
+    const staffLines = report.staff.map(row =>
+      `${row.key ? `<@${row.key}>` : '未認領'}: ${formatAverage(row)}`
+    );
+
+    const aiOnlyLines = report.aiOnly.map(row =>
+      `${row.key ? '🤖 僅 AI 處理' : '👤 客服人員處理'}: ${formatAverage(row)}`
+    );
+
+    const embed = {
+      title: '📊 客戶滿意度報告',
+      description: rangeText,
+      color: 0xFEE75C,
+      fields: [
+        { name: '各部門平均', value: departmentLines.join('\n').substring(0, 1024) },
+        { name: '各客服人員平均（認領人）', value: staffLines.join('\n').substring(0, 1024) },
+        { name: 'AI 與人工處理', value: aiOnlyLines.join('\n') }
+      ],
+      timestamp: new Date()
+    };
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+};
@@ -0,0 +1,889 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, ChannelType } = require('discord.js');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+const Permissions = require('../../../utils/permissions');
+
+// Panel embeds hold at most 25 fields (one is used by the notice) and 5 rows of 5 buttons
+const MAX_DEPARTMENTS = 20;
+
+// A modal holds at most 5 inputs and the description always takes one of them
+const MAX_FORM_FIELDS = 4;
+
+// Button emojis are a custom emoji (<:name:id> or <a:name:id>) or a single unicode emoji, flags and keycaps included
+const CUSTOM_EMOJI = /^<a?:\w{2,32}:\d{17,20}>$/;
+const UNICODE_EMOJI = /^(?:\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?)*)$/u;
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('department')
+    .setDescription('管理客服單部門')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('新增部門')
+        .addStringOption(option =>
+          option
+            .setName('id')
+            .setDescription('部門ID（小寫英文、數字、- 或 _）')
+            .setRequired(true)
+            .setMaxLength(32)
+        )
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('部門名稱')
+            .setRequired(true)
+            .setMaxLength(80)
+        )
+        .addStringOption(option =>
+          option
+            .setName('description')
+            .setDescription('部門說明（顯示在面板上）')
+            .setRequired(true)
+            .setMaxLength(1024)
+        )
+        .addStringOption(option =>
+          option
+            .setName('emoji')
+            .setDescription('按鈕表情符號（Unicode 表情符號或 <:名稱:ID>）')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('color')
+            .setDescription('部門顏色（例如 #5865F2）')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('edit')
+        .setDescription('編輯部門')
+        .addStringOption(option =>
+          option
+            .setName('department')
+            .setDescription('選擇部門')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('新的部門名稱')
+            .setRequired(false)
+            .setMaxLength(80)
+        )
+        .addStringOption(option =>
+          option
+            .setName('description')
+            .setDescription('新的部門說明')
+            .setRequired(false)
+            .setMaxLength(1024)
+        )
+        .addStringOption(option =>
+          option
+            .setName('emoji')
+            .setDescription('新的按鈕表情符號（Unicode 表情符號或 <:名稱:ID>）')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('color')
+            .setDescription('新的部門顏色（例如 #5865F2）')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('刪除部門')
+        .addStringOption(option =>
+          option
+            .setName('department')
+            .setDescription('選擇部門')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('列出所有部門')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('threadmode')
+        .setDescription('設定部門以私人討論串代替頻道建立客服單')
+        .addStringOption(option =>
+          option
+            .setName('department')
+            .setDescription('選擇部門')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('建立討論串的客服頻道，不填則改回建立客服單頻道')
+            .setRequired(false)
+            .addChannelTypes(ChannelType.GuildText)
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('form')
+        .setDescription('管理部門的開單表單欄位')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('add')
+            .setDescription('新增表單欄位')
+            .addStringOption(option =>
+              option
+                .setName('department')
+                .setDescription('選擇部門')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+            .addStringOption(option =>
+              option
+                .setName('label')
+                .setDescription('欄位名稱')
+                .setRequired(true)
+                .setMaxLength(45)
+            )
+            .addStringOption(option =>
+              option
+                .setName('style')
+                .setDescription('欄位樣式')
+                .setRequired(false)
+                .addChoices(
+                  { name: '單行', value: 'short' },
+                  { name: '多行', value: 'paragraph' }
+                )
+            )
+            .addBooleanOption(option =>
+              option
+                .setName('required')
+                .setDescription('是否必填（預設：是）')
+                .setRequired(false)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('min_length')
+                .setDescription('最少字數')
+                .setRequired(false)
+                .setMinValue(0)
+                .setMaxValue(4000)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('max_length')
+                .setDescription('最多字數')
+                .setRequired(false)
+                .setMinValue(1)
+                .setMaxValue(4000)
+            )
+            .addStringOption(option =>
+              option
+                .setName('placeholder')
+                .setDescription('提示文字')
+                .setRequired(false)
+                .setMaxLength(100)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('remove')
+            .setDescription('刪除表單欄位')
+            .addStringOption(option =>
+              option
+                .setName('department')
+                .setDescription('選擇部門')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('field')
+                .setDescription('欄位ID（可用 /department form list 查看）')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('列出部門的表單欄位')
+            .addStringOption(option =>
+              option
+                .setName('department')
+                .setDescription('選擇部門')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('escalation')
+        .setDescription('管理部門的升級層級')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('add')
+            .setDescription('在最上層新增一個升級層級')
+            .addStringOption(option =>
+              option
+                .setName('department')
+                .setDescription('選擇部門')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+            .addRoleOption(option =>
+              option
+                .setName('role')
+                .setDescription('升級至此層級時加入並通知的角色')
+                .setRequired(true)
+            )
+            .addStringOption(option =>
+              option
+                .setName('name')
+                .setDescription('層級名稱，例如：二線支援')
+                .setRequired(true)
+                .setMaxLength(50)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('remove')
+            .setDescription('刪除最上層的升級層級')
+            .addStringOption(option =>
+              option
+                .setName('department')
+                .setDescription('選擇部門')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('列出部門的升級層級')
+            .addStringOption(option =>
+              option
+                .setName('department')
+                .setDescription('選擇部門')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+        )
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      // Check if user has permission
+      if (!Permissions.hasGuildPermission(interaction.member, ['Administrator'])) {
+        await interaction.reply({
+          content: '您沒有使用此命令的權限。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const group = interaction.options.getSubcommandGroup(false);
+      const subcommand = interaction.options.getSubcommand();
+
+      if (group === 'form') {
+        switch (subcommand) {
+          case 'add':
+            await this.handleFormAdd(interaction);
+            break;
+          case 'remove':
+            await this.handleFormRemove(interaction);
+            break;
+          case 'list':
+            await this.handleFormList(interaction);
+            break;
+        }
+        return;
+      }
+
+      if (group === 'escalation') {
+        switch (subcommand) {
+          case 'add':
+            await this.handleEscalationAdd(interaction);
+            break;
+          case 'remove':
+            await this.handleEscalationRemove(interaction);
+            break;
+          case 'list':
+            await this.handleEscalationList(interaction);
+            break;
+        }
+        return;
+      }
+
+      switch (subcommand) {
+        case 'add':
+          await this.handleAdd(interaction);
+          break;
+        case 'edit':
+          await this.handleEdit(interaction);
+          break;
+        case 'remove':
+          await this.handleRemove(interaction);
+          break;
+        case 'list':
+          await this.handleList(interaction);
+          break;
+        case 'threadmode':
+          await this.handleThreadMode(interaction);
+          break;
+      }
+    } catch (error) {
+      logger.error(`Error executing department command: ${error.message}`);
+      await interaction.reply({
+        content: `管理部門時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  },
+
+  async handleAdd(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const id = interaction.options.getString('id').trim().toLowerCase();
+      const name = interaction.options.getString('name').trim();
+      const description = interaction.options.getString('description').trim();
+      const emoji = interaction.options.getString('emoji')?.trim() || null;
+      const color = interaction.options.getString('color')?.trim() || '#5865F2';
+
+      // The ID is used in button custom IDs, so keep it simple
+      if (!/^[a-z0-9_-]+$/.test(id)) {
+        await interaction.editReply({
+          content: '部門ID只能包含小寫英文、數字、- 或 _。'
+        });
+        return;
+      }
+
+      if (!this.isValidColor(color)) {
+        await interaction.editReply({
+          content: '顏色格式錯誤，請使用 #RRGGBB 格式（例如 #5865F2）。'
+        });
+        return;
+      }
+
+      if (emoji && !this.isValidEmoji(emoji)) {
+        await interaction.editReply({
+          content: '表情符號格式錯誤，請輸入一個 Unicode 表情符號或伺服器表情符號（<:名稱:ID>）。'
+        });
+        return;
+      }
+
+      const existing = await this.module.service.getDepartment(id);
+      if (existing) {
+        await interaction.editReply({
+          content: `部門ID \`${id}\` 已存在。`
+        });
+        return;
+      }
+
+      const departments = await this.module.service.getAllDepartments();
+      if (departments.length >= MAX_DEPARTMENTS) {
+        await interaction.editReply({
+          content: `部門數量已達上限 (${MAX_DEPARTMENTS})。`
+        });
+        return;
+      }
+
+      await this.module.service.createDepartment({ id, name, description, emoji, color });
+      // Departments are shared by every guild, so every panel shows the change
+      await this.module.controller.refreshPanels(interaction.client);
+
+      logger.info(`Department ${id} created by ${interaction.user.tag}`);
+
+      await interaction.editReply({
+        content: `✅ 已新增部門 ${emoji || ''} **${name}** (\`${id}\`)。請使用 \`/role set\` 為此部門指派客服角色。`
+      });
+    } catch (error) {
+      logger.error(`Error adding department: ${error.message}`);
+      await interaction.editReply({
+        content: `新增部門時出錯: ${error.message}`
+      });
+    }
+  },
+
+  async handleEdit(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const departmentId = interaction.options.getString('department');
+      const department = await this.module.service.getDepartment(departmentId);
+
+      if (!department) {
+        await interaction.editReply({
+          content: '無效的部門ID。'
+        });
+        return;
+      }
+
+      const name = interaction.options.getString('name')?.trim();
+      const description = interaction.options.getString('description')?.trim();
+      const emoji = interaction.options.getString('emoji')?.trim();
+      const color = interaction.options.getString('color')?.trim();
+
+      if (!name && !description && !emoji && !color) {
+        await interaction.editReply({
+          content: '請至少提供一個要修改的欄位。'
+        });
+        return;
+      }
+
+      if (color && !this.isValidColor(color)) {
+        await interaction.editReply({
+          content: '顏色格式錯誤，請使用 #RRGGBB 格式（例如 #5865F2）。'
+        });
+        return;
+      }
+
+      if (emoji && !this.isValidEmoji(emoji)) {
+        await interaction.editReply({
+          content: '表情符號格式錯誤，請輸入一個 Unicode 表情符號或伺服器表情符號（<:名稱:ID>）。'
+        });
+        return;
+      }
+
+      const updated = {
+        name: name || department.name,
+        description: description || department.description,
+        emoji: emoji || department.emoji,
+        color: color || department.color
+      };
+
+      await this.module.service.updateDepartment(departmentId, updated);
+      // Departments are shared by every guild, so every panel shows the change
+      await this.module.controller.refreshPanels(interaction.client);
+
+      logger.info(`Department ${departmentId} updated by ${interaction.user.tag}`);
+
+      await interaction.editReply({
+        content: `✅ 已更新部門 ${updated.emoji || ''} **${updated.name}** (\`${departmentId}\`)。`
+      });
+    } catch (error) {
+      logger.error(`Error editing department: ${error.message}`);
+      await interaction.editReply({
+        content: `編輯部門時出錯: ${error.message}`
+      });
+    }
+  },
+
+  async handleRemove(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const departmentId = interaction.options.getString('department');
+      const department = await this.module.service.getDepartment(departmentId);
+
+      if (!department) {
+        await interaction.editReply({
+          content: '無效的部門ID。'
+        });
+        return;
+      }
+
+      // Don't orphan tickets that are still being handled
+      const activeTickets = await this.module.service.countActiveDepartmentTickets(departmentId);
+      if (activeTickets > 0) {
+        await interaction.editReply({
+          content: `${department.name} 部門仍有 ${activeTickets} 張未關閉的客服單，請先關閉或轉移它們。`
+        });
+        return;
+      }
+
+      const departments = await this.module.service.getAllDepartments();
+      if (departments.length <= 1) {
+        await interaction.editReply({
+          content: '至少需要保留一個部門。'
+        });
+        return;
+      }
+
+      // A ticket may have been opened in the department since the check above
+      const deleted = await this.module.service.deleteDepartment(departmentId);
+      if (!deleted) {
+        await interaction.editReply({
+          content: `${department.name} 部門仍有未關閉的客服單，請先關閉或轉移它們。`
+        });
+        return;
+      }
+
+      // Departments are shared by every guild, so every panel shows the change
+      await this.module.controller.refreshPanels(interaction.client);
+
+      logger.info(`Department ${departmentId} removed by ${interaction.user.tag}`);
+
+      await interaction.editReply({
+        content: `✅ 已刪除部門 **${department.name}** (\`${departmentId}\`)。`
+      });
+    } catch (error) {
+      logger.error(`Error removing department: ${error.message}`);
+      await interaction.editReply({
+        content: `刪除部門時出錯: ${error.message}`
+      });
+    }
+  },
+
+  async handleList(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const departments = await this.module.service.getAllDepartments();
+
+      if (departments.length === 0) {
+        await interaction.editReply({
+          content: '目前沒有任何部門。'
+        });
+        return;
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle('📋 部門列表')
+        .setColor(0x5865F2)
+        .setTimestamp();
+
+      for (const department of departments) {
+        const roles = await this.module.service.getDepartmentRoles(department.id);
+        const roleText = roles.length > 0 ? roles.map(roleId => `<@&${roleId}>`).join(' ') : '未設置';
+        const categoryText = department.threadChannelId
+          ? `討論串模式 (<#${department.threadChannelId}>)`
+          : department.categoryId ? `<#${department.categoryId}>` : '未設置';
+
+        embed.addFields({
+          name: `${department.emoji || ''} ${department.name} (${department.id})`.trim(),
+          value: `${department.description || '無說明'}\n顏色: ${department.color || '未設置'}\n分類頻道: ${categoryText}\n角色: ${roleText}\n自動分派: ${(config.autoAssign.modes[department.assignMode] || config.autoAssign.modes.off).name}`,
+          inline: false
+        });
+      }
+
+      await interaction.editReply({
+        embeds: [embed]
+      });
+    } catch (error) {
+      logger.error(`Error listing departments: ${error.message}`);
+      await interaction.editReply({
+        content: `列出部門時出錯: ${error.message}`
+      });
+    }
+  },
+
+  async handleThreadMode(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const departmentId = interaction.options.getString('department');
+      const department = await this.module.service.getDepartment(departmentId);
+
+      if (!department) {
+        await interaction.editReply({
+          content: '無效的部門ID。'
+        });
+        return;
+      }
+
+      const channel = interaction.options.getChannel('channel');
+
+      if (!channel) {
+        await this.module.service.updateDepartmentThreadChannel(departmentId, null);
+        logger.info(`Thread mode disabled for department ${departmentId} by ${interaction.user.tag}`);
+
+        await interaction.editReply({
+          content: `✅ ${department.name} 部門的新客服單將改回建立獨立頻道，現有的討論串客服單不受影響。`
+        });
+        return;
+      }
+
+      // The bot creates the private threads and adds members to them
+      const botPermissions = channel.permissionsFor(interaction.guild.members.me);
+      const requiredPermissions = [
+        PermissionFlagsBits.ViewChannel,
+        PermissionFlagsBits.CreatePrivateThreads,
+        PermissionFlagsBits.SendMessagesInThreads,
+        PermissionFlagsBits.ManageThreads
+      ];
+      if (!botPermissions || !botPermissions.has(requiredPermissions)) {
+        await interaction.editReply({
+          content: `機器人在 ${channel} 需要「查看頻道」、「建立私人討論串」、「在討論串中傳送訊息」及「管理討論串」權限。`
+        });
+        return;
+      }
+
+      await this.module.service.updateDepartmentThreadChannel(departmentId, channel.id);
+      logger.info(`Thread mode enabled for department ${departmentId} in channel ${channel.id} by ${interaction.user.tag}`);
+
+      await interaction.editReply({
+        content: `✅ ${department.name} 部門的新客服單將在 ${channel} 建立私人討論串。\n` +
+          '請確認客戶可以查看此頻道並在討論串中傳送訊息，客戶只會看到自己被加入的討論串。現有的客服單頻道不受影響。'
+      });
+    } catch (error) {
+      logger.error(`Error setting department thread mode: ${error.message}`);
+      await interaction.editReply({
+        content: `設定討論串模式時出錯: ${error.message}`
+      });
+    }
+  },
+
+  async handleFormAdd(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const departmentId = interaction.options.getString('department');
+      const department = await this.module.service.getDepartment(departmentId);
+
+      if (!department) {
+        await interaction.editReply({
+          content: '無效的部門ID。'
+        });
+        return;
+      }
+
+      const fields = await this.module.service.getDepartmentFormFields(departmentId);
+      if (fields.length >= MAX_FORM_FIELDS) {
+        await interaction.editReply({
+          content: `${department.name} 部門的表單欄位已達上限 (${MAX_FORM_FIELDS})，問題描述欄位會佔用表單的第五個欄位。`
+        });
+        return;
+      }
+
+      const required = interaction.options.getBoolean('required');
+      const minLength = interaction.options.getInteger('min_length');
+      const maxLength = interaction.options.getInteger('max_length');
+
+      if (minLength !== null && maxLength !== null && minLength > maxLength) {
+        await interaction.editReply({
+          content: '最少字數不能大於最多字數。'
+        });
+        return;
+      }
+
+      const field = await this.module.service.addDepartmentFormField({
+        departmentId,
+        label: interaction.options.getString('label').trim(),
+        style: interaction.options.getString('style') || 'short',
+        required: required === null ? true : required,
+        minLength,
+        maxLength,
+        placeholder: interaction.options.getString('placeholder'),
+        position: fields.length
+      });
+
+      logger.info(`Form field ${field.id} added to department ${departmentId} by ${interaction.user.tag}`);
+
+      await interaction.editReply({
+        content: `✅ 已為 ${department.name} 部門新增表單欄位 **${field.label}** (ID: ${field.id})。`
+      });
+    } catch (error) {
+      logger.error(`Error adding form field: ${error.message}`);
+      await interaction.editReply({
+        content: `新增表單欄位時出錯: ${error.message}`
+      });
+    }
+  },
+
+  async handleFormRemove(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const departmentId = interaction.options.getString('department');
+      const fieldId = interaction.options.getInteger('field');
+
+      const removed = await this.module.service.removeDepartmentFormField(departmentId, fieldId);
+      if (!removed) {
+        await interaction.editReply({
+          content: `找不到 ID 為 ${fieldId} 的表單欄位。`
+        });
+        return;
+      }
+
+      logger.info(`Form field ${fieldId} removed from department ${departmentId} by ${interaction.user.tag}`);
+
+      await interaction.editReply({
+        content: `✅ 已刪除表單欄位 (ID: ${fieldId})。`
+      });
+    } catch (error) {
+      logger.error(`Error removing form field: ${error.message}`);
+      await interaction.editReply({
+        content: `刪除表單欄位時出錯: ${error.message}`
+      });
+    }
+  },
+
+  async handleFormList(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const departmentId = interaction.options.getString('department');
+      const department = await this.module.service.getDepartment(departmentId);
+
+      if (!department) {
+        await interaction.editReply({
+          content: '無效的部門ID。'
+        });
+        return;
+      }
+
+      const fields = await this.module.service.getDepartmentFormFields(departmentId);
+      if (fields.length === 0) {
+        await interaction.editReply({
+          content: `${department.name} 部門沒有設置表單欄位，開單時只會詢問問題描述。`
+        });
+        return;
+      }
+
+      const lines = fields.map(field => {
+        const style = field.style === 'paragraph' ? '多行' : '單行';
+        const required = field.required ? '必填' : '選填';
+        const length = `${field.minLength ?? 0}-${field.maxLength ?? 4000} 字`;
+        return `- **${field.label}** (ID: ${field.id}) - ${style}、${required}、${length}`;
+      });
+
+      await interaction.editReply({
+        content: `${department.name} 部門的表單欄位:\n${lines.join('\n')}`
+      });
+    } catch (error) {
+      logger.error(`Error listing form fields: ${error.message}`);
+      await interaction.editReply({
+        content: `列出表單欄位時出錯: ${error.message}`
+      });
+    }
+  },
+
+  async handleEscalationAdd(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const departmentId = interaction.options.getString('department');
+      const department = await this.module.service.getDepartment(departmentId);
+
+      if (!department) {
+        await interaction.editReply({
+          content: '無效的部門ID。'
+        });
+        return;
+      }
+
+      const role = interaction.options.getRole('role');
+      const name = interaction.options.getString('name').trim();
+
+      // A department role is already in every ticket, escalating to it would change nothing
+      const departmentRoles = await this.module.service.getDepartmentRoles(departmentId);
+      const tiers = await this.module.service.getEscalationTiers(departmentId);
+      if (departmentRoles.includes(role.id) || tiers.some(tier => tier.roleId === role.id)) {
+        await interaction.editReply({
+          content: `${role} 已經是 ${department.name} 部門的角色或升級層級。`
+        });
+        return;
+      }
+
+      const level = await this.module.service.addEscalationTier(departmentId, role.id, name);
+      logger.info(`Escalation tier ${level} (${role.id}) added to department ${departmentId} by ${interaction.user.tag}`);
+
+      await interaction.editReply({
+        content: `✅ 已為 ${department.name} 部門新增第 ${level} 級升級層級 **${name}** (${role})。`
+      });
+    } catch (error) {
+      logger.error(`Error adding escalation tier: ${error.message}`);
+      await interaction.editReply({
+        content: `新增升級層級時出錯: ${error.message}`
+      });
+    }
+  },
+
+  async handleEscalationRemove(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const departmentId = interaction.options.getString('department');
+      const department = await this.module.service.getDepartment(departmentId);
+
+      if (!department) {
+        await interaction.editReply({
+          content: '無效的部門ID。'
+        });
+        return;
+      }
+
+      const tier = await this.module.service.removeTopEscalationTier(departmentId);
+      if (!tier) {
+        await interaction.editReply({
+          content: `${department.name} 部門沒有設置升級層級。`
+        });
+        return;
+      }
+
+      logger.info(`Escalation tier ${tier.level} removed from department ${departmentId} by ${interaction.user.tag}`);
+
+      await interaction.editReply({
+        content: `✅ 已刪除 ${department.name} 部門的第 ${tier.level} 級升級層級 **${tier.name}**。已升級至此層級的客服單會退回上一層級，但 <@&${tier.roleId}> 仍保有這些客服單的存取權限。`
+      });
+    } catch (error) {
+      logger.error(`Error removing escalation tier: ${error.message}`);
+      await interaction.editReply({
+        content: `刪除升級層級時出錯: ${error.message}`
+      });
+    }
+  },
+
+  async handleEscalationList(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const departmentId = interaction.options.getString('department');
+      const department = await this.module.service.getDepartment(departmentId);
+
+      if (!department) {
+        await interaction.editReply({
+          content: '無效的部門ID。'
+        });
+        return;
+      }
+
+      const tiers = await this.module.service.getEscalationTiers(departmentId);
+      if (tiers.length === 0) {
+        await interaction.editReply({
+          content: `${department.name} 部門沒有設置升級層級，客服單無法升級。`
+        });
+        return;
+      }
+
+      const departmentRoles = await this.module.service.getDepartmentRoles(departmentId);
+      const lines = [
+        `- **第 0 級** 部門角色 - ${departmentRoles.length > 0 ? departmentRoles.map(roleId => `<@&${roleId}>`).join(' ') : '未設置'}`,
+        ...tiers.map(tier => `- **第 ${tier.level} 級** ${tier.name} - <@&${tier.roleId}>`)
+      ];
+
+      await interaction.editReply({
+        content: `${department.name} 部門的升級層級:\n${lines.join('\n')}`
+      });
+    } catch (error) {
+      logger.error(`Error listing escalation tiers: ${error.message}`);
+      await interaction.editReply({
+        content: `列出升級層級時出錯: ${error.message}`
+      });
+    }
+  },
+
+  isValidColor(color) {
+    return /^#[0-9A-Fa-f]{6}$/.test(color);
+  },
+
+  isValidEmoji(emoji) {
+    return CUSTOM_EMOJI.test(emoji) || UNICODE_EMOJI.test(emoji);
+  }
+};
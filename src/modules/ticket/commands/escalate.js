@@ -0,0 +1,34 @@
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../../../core/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('escalate')
+    .setDescription('將當前的客服單升級至部門的下一個升級層級')
+    .addStringOption(option =>
+      option
+        .setName('reason')
+        .setDescription('升級原因')
+        .setRequired(false)
+        .setMaxLength(500)
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      await this.module.controller.escalateTicket(interaction, interaction.options.getString('reason'));
+    } catch (error) {
+      logger.error(`Error executing escalate command: ${error.message}`);
+      await interaction.reply({
+        content: `升級客服單時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  }
+};
@@ -32,9 +32,9 @@ module.exports = {
       
       // 檢查權限（票單創建者或部門角色成員）
       const isTicketCreator = interaction.user.id === ticket.userId;
-      const departmentRoles = await this.module.service.getDepartmentRoles(ticket.departmentId);
+      const staffRoles = await this.module.controller.getTicketStaffRoles(ticket);
       const isStaff = interaction.member.roles.cache.some(role => 
-        departmentRoles.includes(role.id)
+        staffRoles.includes(role.id)
       );
       
       if (!isTicketCreator && !isStaff) {
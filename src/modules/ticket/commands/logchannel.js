@@ -0,0 +1,83 @@
+const { SlashCommandBuilder, ChannelType } = require('discord.js');
+const logger = require('../../../core/logger');
+const Permissions = require('../../../utils/permissions');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('logchannel')
+    .setDescription('管理客服單記錄頻道')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('設定客服單關閉時發送摘要及對話記錄的頻道')
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('選擇記錄頻道')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('disable')
+        .setDescription('停用客服單記錄頻道')
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      // Check if user has permission
+      if (!Permissions.hasGuildPermission(interaction.member, ['Administrator'])) {
+        await interaction.reply({
+          content: '您沒有使用此命令的權限。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'set') {
+        await this.handleSet(interaction);
+      } else if (subcommand === 'disable') {
+        await this.handleDisable(interaction);
+      }
+    } catch (error) {
+      logger.error(`Error executing logchannel command: ${error.message}`);
+      await interaction.reply({
+        content: `處理記錄頻道設定時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  },
+
+  async handleSet(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    await this.module.service.updateGuildSettings(interaction.guild.id, { logChannelId: channel.id });
+
+    logger.info(`Ticket log channel set to ${channel.id} in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+
+    await interaction.reply({
+      content: `✅ 客服單關閉時，摘要及對話記錄將發送至 ${channel}。`,
+      ephemeral: true
+    });
+  },
+
+  async handleDisable(interaction) {
+    await this.module.service.updateGuildSettings(interaction.guild.id, { logChannelId: null });
+
+    logger.info(`Ticket log channel disabled in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+
+    await interaction.reply({
+      content: '✅ 已停用客服單記錄頻道。',
+      ephemeral: true
+    });
+  }
+};
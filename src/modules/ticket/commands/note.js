@@ -0,0 +1,92 @@
+const { SlashCommandBuilder } = require('discord.js');
+const moment = require('moment-timezone');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('note')
+    .setDescription('管理客服單的內部備註（僅客服人員可見）')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('為當前客服單新增內部備註')
+        .addStringOption(option =>
+          option
+            .setName('content')
+            .setDescription('備註內容')
+            .setRequired(true)
+            .setMaxLength(1000)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('列出當前客服單的內部備註')
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'add') {
+        await this.module.controller.addTicketNote(interaction, interaction.options.getString('content'));
+      } else if (subcommand === 'list') {
+        await this.handleList(interaction);
+      }
+    } catch (error) {
+      logger.error(`Error executing note command: ${error.message}`);
+      const reply = { content: `處理備註時出錯: ${error.message}`, ephemeral: true };
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(reply).catch(() => {});
+      } else {
+        await interaction.reply(reply).catch(() => {});
+      }
+    }
+  },
+
+  async handleList(interaction) {
+    const ticket = await this.module.controller.getTicketForChannel(interaction.channel);
+    if (!ticket) {
+      await interaction.reply({ content: '這不是一個客服單頻道。', ephemeral: true });
+      return;
+    }
+
+    if (!(await this.module.controller.isTicketStaff(interaction.member, ticket))) {
+      await interaction.reply({ content: '只有該部門的客服人員可以查看備註。', ephemeral: true });
+      return;
+    }
+
+    const notes = await this.module.service.getTicketNotes(ticket.id);
+    if (notes.length === 0) {
+      await interaction.reply({ content: '此客服單沒有任何內部備註。', ephemeral: true });
+      return;
+    }
+
+    const timezone = config.timezone || 'UTC';
+    let description = notes
+      .map(note => `**${note.authorTag || note.authorId}** · ${moment(note.createdAt).tz(timezone).format('YYYY-MM-DD HH:mm')}\n${note.content}`)
+      .join('\n\n');
+
+    // Embed descriptions are limited to 4096 characters, keep the latest notes
+    if (description.length > 4000) {
+      description = '...' + description.substring(description.length - 4000);
+    }
+
+    await interaction.reply({
+      embeds: [{
+        title: `📝 內部備註（${notes.length}）`,
+        description,
+        color: 0xEB459E
+      }],
+      ephemeral: true
+    });
+  }
+};
@@ -0,0 +1,46 @@
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('priority')
+    .setDescription('設定當前客服單的優先級')
+    .addStringOption(option =>
+      option
+        .setName('level')
+        .setDescription('優先級（不填則顯示選單）')
+        .setRequired(false)
+        .addChoices(
+          ...Object.entries(config.ticketPriority).map(([value, priority]) => ({
+            name: `${priority.emoji} ${priority.name}`,
+            value: value
+          }))
+        )
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      const level = interaction.options.getString('level');
+
+      if (level) {
+        await this.module.controller.setTicketPriority(interaction, level);
+      } else {
+        await this.module.controller.showPrioritySelect(interaction);
+      }
+    } catch (error) {
+      logger.error(`Error executing priority command: ${error.message}`);
+      await interaction.reply({
+        content: `設定優先級時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  }
+};
@@ -1,6 +1,7 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const reminderService = require('../reminder/service');
 const logger = require('../../../core/logger');
+const config = require('../../../core/config');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -34,6 +35,28 @@ module.exports = {
             .setRequired(true)
             .setMinValue(1)
             .setMaxValue(60)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('setprioritytimeout')
+        .setDescription('設定特定優先級客服單無回應多久後發送提醒')
+        .addStringOption(option =>
+          option
+            .setName('priority')
+            .setDescription('優先級')
+            .setRequired(true)
+            .addChoices(
+              ...Object.entries(config.ticketPriority).map(([value, priority]) => ({
+                name: `${priority.emoji} ${priority.name}`,
+                value: value
+              }))
+            ))
+        .addIntegerOption(option =>
+          option
+            .setName('minutes')
+            .setDescription('分鐘數 (1-1440)，設為 0 則依預設提醒時間換算')
+            .setRequired(true)
+            .setMinValue(0)
+            .setMaxValue(1440)))
     .addSubcommand(subcommand =>
       subcommand
         .setName('preference')
@@ -119,6 +142,9 @@ module.exports = {
         case 'settimeout':
           await this.handleSetTimeout(interaction);
           break;
+        case 'setprioritytimeout':
+          await this.handleSetPriorityTimeout(interaction);
+          break;
         case 'preference':
           await this.handlePreference(interaction);
           break;
@@ -249,6 +275,43 @@ module.exports = {
     });
   },
 
+  async handleSetPriorityTimeout(interaction) {
+    // Check admin permission
+    if (!interaction.member.permissions.has(PermissionFlagsBits.Administrator)) {
+      return await interaction.reply({
+        content: '❌ 只有管理員可以設定提醒時間。',
+        ephemeral: true
+      });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const priority = interaction.options.getString('priority');
+    const minutes = interaction.options.getInteger('minutes');
+    const settings = await reminderService.getReminderSettings(interaction.guild.id);
+
+    const priorityTimeouts = { ...settings.priorityTimeouts };
+    if (minutes > 0) {
+      priorityTimeouts[priority] = minutes * 60; // Convert to seconds
+    } else {
+      delete priorityTimeouts[priority];
+    }
+
+    await reminderService.updateReminderSettings(interaction.guild.id, {
+      ...settings,
+      priorityTimeouts
+    });
+
+    const priorityConfig = config.ticketPriority[priority];
+    const resolvedTimeout = reminderService.getPriorityTimeouts({ ...settings, priorityTimeouts })[priority];
+
+    await interaction.editReply({
+      content: minutes > 0
+        ? `✅ 已設定${priorityConfig.emoji} ${priorityConfig.name}優先級的客服單無回應 ${minutes} 分鐘後發送提醒。`
+        : `✅ 已重設${priorityConfig.emoji} ${priorityConfig.name}優先級的提醒時間，目前為 ${Math.round(resolvedTimeout / 60)} 分鐘。`
+    });
+  },
+
   async handlePreference(interaction) {
     await interaction.deferReply({ ephemeral: true });
 
@@ -408,6 +471,16 @@ module.exports = {
           value: settings.reminderRoleId ? `<@&${settings.reminderRoleId}>` : '未設定',
           inline: true
         },
+        {
+          name: '各優先級提醒時間',
+          value: Object.entries(reminderService.getPriorityTimeouts(settings))
+            .map(([priority, timeout]) => {
+              const priorityConfig = config.ticketPriority[priority];
+              return `${priorityConfig.emoji} ${priorityConfig.name}: ${Math.round(timeout / 60)} 分鐘`;
+            })
+            .join('\n'),
+          inline: false
+        },
         {
           name: '提醒模式',
           value: modeNames[settings.reminderMode] || '只提醒一次',
@@ -0,0 +1,68 @@
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../../../core/logger');
+const Permissions = require('../../../utils/permissions');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('reopen')
+    .setDescription('管理客服單重新開啟設定')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('window')
+        .setDescription('設定客服單關閉後多久內可從記錄私訊重新開啟')
+        .addIntegerOption(option =>
+          option
+            .setName('hours')
+            .setDescription('小時數 (0-720)，設為 0 則停用重新開啟')
+            .setRequired(true)
+            .setMinValue(0)
+            .setMaxValue(720)
+        )
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'window') {
+        await this.handleWindow(interaction);
+      }
+    } catch (error) {
+      logger.error(`Error executing reopen command: ${error.message}`);
+      await interaction.reply({
+        content: `處理重新開啟設定時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  },
+
+  async handleWindow(interaction) {
+    // Check if user has permission
+    if (!Permissions.hasGuildPermission(interaction.member, ['Administrator'])) {
+      await interaction.reply({
+        content: '您沒有使用此命令的權限。',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const hours = interaction.options.getInteger('hours');
+    await this.module.service.updateGuildSettings(interaction.guild.id, { reopenWindowHours: hours });
+
+    logger.info(`Reopen window set to ${hours} hours in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+
+    await interaction.reply({
+      content: hours > 0
+        ? `✅ 客服單關閉後 ${hours} 小時內，用戶可以使用記錄私訊中的按鈕重新開啟客服單。`
+        : '✅ 已停用從記錄私訊重新開啟客服單。',
+      ephemeral: true
+    });
+  }
+};
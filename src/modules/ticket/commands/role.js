@@ -1,7 +1,6 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const logger = require('../../../core/logger');
 const Permissions = require('../../../utils/permissions');
-const config = require('../../../core/config');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -17,12 +16,7 @@ module.exports = {
             .setName('department')
             .setDescription('選擇部門')
             .setRequired(true)
-            .addChoices(
-              ...config.departments.map(dept => ({
-                name: dept.name,
-                value: dept.id
-              }))
-            )
+            .setAutocomplete(true)
         )
         .addRoleOption(option =>
           option
@@ -40,12 +34,7 @@ module.exports = {
             .setName('department')
             .setDescription('選擇部門')
             .setRequired(true)
-            .addChoices(
-              ...config.departments.map(dept => ({
-                name: dept.name,
-                value: dept.id
-              }))
-            )
+            .setAutocomplete(true)
         )
     ),
   
@@ -0,0 +1,358 @@
+const { SlashCommandBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, EmbedBuilder } = require('discord.js');
+const moment = require('moment-timezone');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+const Permissions = require('../../../utils/permissions');
+const snippetService = require('../snippet/service');
+const reminderService = require('../reminder/service');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('snippet')
+    .setDescription('管理及發送常用回覆')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('新增常用回覆（內容於彈出視窗中輸入）')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('常用回覆名稱')
+            .setRequired(true)
+            .setMaxLength(32)
+        )
+        .addStringOption(option =>
+          option
+            .setName('department')
+            .setDescription('限定部門（不填則所有部門皆可使用）')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('edit')
+        .setDescription('編輯常用回覆的內容')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('常用回覆名稱')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('delete')
+        .setDescription('刪除常用回覆')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('常用回覆名稱')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('列出常用回覆')
+        .addStringOption(option =>
+          option
+            .setName('department')
+            .setDescription('只列出此部門可用的常用回覆')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('send')
+        .setDescription('在當前客服單發送常用回覆')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('常用回覆名稱')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'add':
+          await this.handleAdd(interaction);
+          break;
+        case 'edit':
+          await this.handleEdit(interaction);
+          break;
+        case 'delete':
+          await this.handleDelete(interaction);
+          break;
+        case 'list':
+          await this.handleList(interaction);
+          break;
+        case 'send':
+          await this.handleSend(interaction);
+          break;
+      }
+    } catch (error) {
+      logger.error(`Error executing snippet command: ${error.message}`);
+      await interaction.reply({
+        content: `處理常用回覆時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  },
+
+  /**
+   * Department snippets can be managed by that department's staff, shared snippets only by admins
+   * @param {GuildMember} member - The guild member
+   * @param {String|null} departmentId - The snippet's department
+   * @return {Promise<Boolean>} Whether the member may manage the snippet
+   */
+  async canManage(member, departmentId) {
+    if (!departmentId) return Permissions.hasGuildPermission(member, ['Administrator']);
+    return await this.module.controller.isTicketStaff(member, { departmentId });
+  },
+
+  async handleAdd(interaction) {
+    const name = interaction.options.getString('name').trim();
+    const departmentId = interaction.options.getString('department');
+
+    if (departmentId && !(await this.module.service.getDepartment(departmentId))) {
+      await interaction.reply({ content: '找不到此部門。', ephemeral: true });
+      return;
+    }
+
+    if (!(await this.canManage(interaction.member, departmentId))) {
+      await interaction.reply({
+        content: departmentId ? '只有該部門的客服人員可以新增此部門的常用回覆。' : '只有管理員可以新增所有部門共用的常用回覆。',
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (await snippetService.getSnippetByName(interaction.guild.id, name)) {
+      await interaction.reply({ content: `常用回覆 \`${name}\` 已存在，請使用 /snippet edit 修改。`, ephemeral: true });
+      return;
+    }
+
+    await interaction.showModal(this.buildContentModal(`snippet_modal:add:${departmentId || ''}:${name}`, `新增常用回覆 - ${name}`));
+  },
+
+  async handleEdit(interaction) {
+    const snippet = await snippetService.getSnippetByName(interaction.guild.id, interaction.options.getString('name'));
+    if (!snippet) {
+      await interaction.reply({ content: '找不到此常用回覆。', ephemeral: true });
+      return;
+    }
+
+    if (!(await this.canManage(interaction.member, snippet.departmentId))) {
+      await interaction.reply({ content: '您沒有編輯此常用回覆的權限。', ephemeral: true });
+      return;
+    }
+
+    await interaction.showModal(this.buildContentModal(`snippet_modal:edit:${snippet.id}`, `編輯常用回覆 - ${snippet.name}`, snippet.content));
+  },
+
+  async handleDelete(interaction) {
+    const snippet = await snippetService.getSnippetByName(interaction.guild.id, interaction.options.getString('name'));
+    if (!snippet) {
+      await interaction.reply({ content: '找不到此常用回覆。', ephemeral: true });
+      return;
+    }
+
+    if (!(await this.canManage(interaction.member, snippet.departmentId))) {
+      await interaction.reply({ content: '您沒有刪除此常用回覆的權限。', ephemeral: true });
+      return;
+    }
+
+    await snippetService.deleteSnippet(snippet.id);
+    logger.info(`Snippet ${snippet.name} deleted in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+
+    await interaction.reply({ content: `✅ 已刪除常用回覆 \`${snippet.name}\`。`, ephemeral: true });
+  },
+
+  async handleList(interaction) {
+    let departmentId = interaction.options.getString('department');
+
+    // Inside a ticket channel default to the ticket's department
+    if (!departmentId) {
+      const ticket = await this.module.service.getTicketByChannelId(interaction.channel.id);
+      if (ticket) departmentId = ticket.departmentId;
+    }
+
+    if (!(await this.canManage(interaction.member, departmentId))) {
+      await interaction.reply({ content: '只有客服人員可以查看常用回覆。', ephemeral: true });
+      return;
+    }
+
+    const snippets = await snippetService.getSnippets(interaction.guild.id, departmentId);
+    if (snippets.length === 0) {
+      await interaction.reply({ content: '目前沒有任何常用回覆。使用 /snippet add 新增。', ephemeral: true });
+      return;
+    }
+
+    const departments = await this.module.service.getAllDepartments();
+    const departmentNames = new Map(departments.map(department => [department.id, department.name]));
+
+    let description = snippets.map(snippet => {
+      const scope = snippet.departmentId ? departmentNames.get(snippet.departmentId) || snippet.departmentId : '共用';
+      const preview = snippet.content.replace(/\s+/g, ' ');
+      return `**${snippet.name}** · ${scope} · 使用 ${snippet.useCount} 次\n${preview.length > 80 ? `${preview.substring(0, 80)}...` : preview}`;
+    }).join('\n\n');
+
+    if (description.length > 4000) {
+      description = description.substring(0, 4000) + '...';
+    }
+
+    await interaction.reply({
+      embeds: [{
+        title: `💬 常用回覆（${snippets.length}）`,
+        description,
+        color: 0x5865F2,
+        footer: { text: '可用變數: {user} {staff} {ticket_id} {department} {next_service_time} {whmcs_client_id} {whmcs_services}' }
+      }],
+      ephemeral: true
+    });
+  },
+
+  async handleSend(interaction) {
+    const ticket = await this.module.service.getTicketByChannelId(interaction.channel.id);
+    if (!ticket) {
+      await interaction.reply({ content: '這不是一個客服單頻道。', ephemeral: true });
+      return;
+    }
+
+    if (!(await this.module.controller.isTicketStaff(interaction.member, ticket))) {
+      await interaction.reply({ content: '只有該部門的客服人員可以發送常用回覆。', ephemeral: true });
+      return;
+    }
+
+    const snippet = await snippetService.getSnippetByName(interaction.guild.id, interaction.options.getString('name'));
+    if (!snippet || (snippet.departmentId && snippet.departmentId !== ticket.departmentId)) {
+      await interaction.reply({ content: '找不到此部門可用的常用回覆。', ephemeral: true });
+      return;
+    }
+
+    const department = await this.module.service.getDepartment(ticket.departmentId);
+    const whmcsModule = this.module.bot?.modules?.get('whmcs');
+    const content = await snippetService.renderSnippet(snippet.content, {
+      ticket,
+      department,
+      guildId: interaction.guild.id,
+      staff: interaction.user,
+      whmcsService: whmcsModule ? whmcsModule.service : null
+    });
+
+    // Sent as an embed in the staff member's name, archiving skips bot embeds so the saved copy below stays attributed to staff
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: interaction.member.displayName || interaction.user.username, iconURL: interaction.user.displayAvatarURL() })
+      .setDescription(content)
+      .setColor(department?.color || '#5865F2');
+
+    const reply = await interaction.reply({ embeds: [embed], fetchReply: true });
+
+    await this.module.service.saveMessage({
+      id: reply.id,
+      ticketId: ticket.id,
+      userId: interaction.user.id,
+      username: interaction.user.tag,
+      avatarUrl: interaction.user.displayAvatarURL(),
+      content,
+      timestamp: moment().tz(config.timezone || 'UTC').toDate()
+    });
+
+    // A snippet is a staff reply, so it resets the reminder and auto-close timers like a typed message
+    await reminderService.handleTicketMessage({ author: interaction.user }, ticket, true);
+    await snippetService.recordUse(snippet.id);
+
+    logger.info(`Snippet ${snippet.name} sent in ticket ${ticket.id} by ${interaction.user.tag}`);
+  },
+
+  /**
+   * Build the modal used to enter snippet content
+   * @param {String} customId - The modal custom ID
+   * @param {String} title - The modal title
+   * @param {String} value - The current content
+   * @return {ModalBuilder} The modal
+   */
+  buildContentModal(customId, title, value = null) {
+    const modal = new ModalBuilder()
+      .setCustomId(customId)
+      .setTitle(title.substring(0, 45));
+
+    const contentInput = new TextInputBuilder()
+      .setCustomId('snippetContent')
+      .setLabel('內容（可使用 {user}、{ticket_id} 等變數）')
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(true)
+      .setMaxLength(2000);
+
+    if (value) contentInput.setValue(value);
+
+    modal.addComponents(new ActionRowBuilder().addComponents(contentInput));
+    return modal;
+  },
+
+  /**
+   * Handle the add/edit content modal
+   * @param {ModalSubmitInteraction} interaction - The modal submission
+   */
+  async handleModalSubmit(interaction) {
+    try {
+      const [, action, ...rest] = interaction.customId.split(':');
+      const content = interaction.fields.getTextInputValue('snippetContent');
+
+      if (action === 'add') {
+        // The name is last, it may itself contain colons
+        const departmentId = rest[0] || null;
+        const name = rest.slice(1).join(':');
+
+        if (await snippetService.getSnippetByName(interaction.guild.id, name)) {
+          await interaction.reply({ content: `常用回覆 \`${name}\` 已存在。`, ephemeral: true });
+          return;
+        }
+
+        await snippetService.createSnippet({
+          guildId: interaction.guild.id,
+          name,
+          content,
+          departmentId,
+          createdBy: interaction.user.id
+        });
+
+        logger.info(`Snippet ${name} added in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+        await interaction.reply({ content: `✅ 已新增常用回覆 \`${name}\`。`, ephemeral: true });
+      } else if (action === 'edit') {
+        const snippet = await snippetService.getSnippetById(parseInt(rest[0], 10));
+        if (!snippet) {
+          await interaction.reply({ content: '找不到此常用回覆。', ephemeral: true });
+          return;
+        }
+
+        await snippetService.updateSnippetContent(snippet.id, content);
+
+        logger.info(`Snippet ${snippet.name} edited in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+        await interaction.reply({ content: `✅ 已更新常用回覆 \`${snippet.name}\`。`, ephemeral: true });
+      }
+    } catch (error) {
+      logger.error(`Error saving snippet: ${error.message}`);
+      await interaction.reply({
+        content: `儲存常用回覆時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  }
+};
@@ -0,0 +1,52 @@
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+const { TicketLifecycle } = require('../lifecycle');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('status')
+    .setDescription('變更當前客服單的狀態')
+    .addStringOption(option =>
+      option
+        .setName('status')
+        .setDescription('新的狀態')
+        .setRequired(true)
+        .addChoices(
+          ...TicketLifecycle.STAFF_STATUSES.map(value => ({
+            name: `${config.ticketStatus[value].emoji} ${config.ticketStatus[value].name}`,
+            value
+          }))
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('note')
+        .setDescription('狀態說明，例如等待的對象')
+        .setRequired(false)
+        .setMaxLength(500)
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      await this.module.controller.changeTicketStatus(
+        interaction,
+        interaction.options.getString('status'),
+        interaction.options.getString('note')
+      );
+    } catch (error) {
+      logger.error(`Error executing status command: ${error.message}`);
+      await interaction.reply({
+        content: `變更客服單狀態時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  }
+};
@@ -0,0 +1,279 @@
+const { SlashCommandBuilder } = require('discord.js');
+const moment = require('moment-timezone');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+const Embeds = require('../../../utils/embeds');
+
+// Search results are paged with buttons, the filters are kept here until the session expires
+const SEARCH_PAGE_SIZE = 5;
+const SEARCH_SESSION_TTL = 15 * 60 * 1000;
+const searchSessions = new Map();
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('ticket')
+    .setDescription('查詢及管理客服單')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('search')
+        .setDescription('搜尋客服單（包含已關閉的客服單）')
+        .addStringOption(option =>
+          option
+            .setName('keyword')
+            .setDescription('搜尋訊息內容的關鍵字')
+            .setRequired(false)
+            .setMaxLength(100)
+        )
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('開單的用戶')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('department')
+            .setDescription('部門')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('status')
+            .setDescription('客服單狀態')
+            .setRequired(false)
+            .addChoices(...Object.entries(config.ticketStatus).map(([value, status]) => ({ name: status.name, value })))
+        )
+        .addUserOption(option =>
+          option
+            .setName('claimer')
+            .setDescription('認領客服單的客服人員')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('from')
+            .setDescription('開單日期起 (YYYY-MM-DD)')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('to')
+            .setDescription('開單日期迄 (YYYY-MM-DD)，包含當天')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('history')
+        .setDescription('查看用戶先前的客服單')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('要查看的用戶')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('merge')
+        .setDescription('將目前的客服單合併至另一張客服單並關閉目前的客服單')
+        .addStringOption(option =>
+          option
+            .setName('target')
+            .setDescription('目標客服單ID（頻道名稱最後 8 碼）')
+            .setRequired(true)
+            .setMaxLength(36)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('timeline')
+        .setDescription('查看客服單的變更記錄（狀態、認領、轉移、邀請等）')
+        .addStringOption(option =>
+          option
+            .setName('ticket')
+            .setDescription('客服單ID（完整或前 8 碼），不填則為目前頻道的客服單')
+            .setRequired(false)
+            .setMaxLength(36)
+        )
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'search') {
+        await this.handleSearch(interaction);
+      } else if (subcommand === 'history') {
+        await this.handleHistory(interaction);
+      } else if (subcommand === 'merge') {
+        await this.module.controller.mergeTickets(interaction, interaction.options.getString('target'));
+      } else if (subcommand === 'timeline') {
+        const ticketId = interaction.options.getString('ticket');
+        await this.module.controller.showTicketTimeline(interaction, ticketId ? ticketId.trim() : null);
+      }
+    } catch (error) {
+      logger.error(`Error executing ticket command: ${error.message}`);
+      const reply = { content: `查詢客服單時出錯: ${error.message}`, ephemeral: true };
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(reply).catch(() => {});
+      } else {
+        await interaction.reply(reply).catch(() => {});
+      }
+    }
+  },
+
+  async handleSearch(interaction) {
+    // Staff only see tickets of their own departments, admins see all of them
+    const staffDepartmentIds = await this.module.controller.getStaffDepartmentIds(interaction.member);
+    if (staffDepartmentIds && staffDepartmentIds.length === 0) {
+      await interaction.reply({ content: '只有客服人員可以搜尋客服單。', ephemeral: true });
+      return;
+    }
+
+    const timezone = config.timezone || 'UTC';
+    const keyword = interaction.options.getString('keyword');
+    const user = interaction.options.getUser('user');
+    const departmentId = interaction.options.getString('department');
+    const status = interaction.options.getString('status');
+    const claimer = interaction.options.getUser('claimer');
+    const fromOption = interaction.options.getString('from');
+    const toOption = interaction.options.getString('to');
+
+    const from = fromOption ? moment.tz(fromOption, 'YYYY-MM-DD', true, timezone) : null;
+    const to = toOption ? moment.tz(toOption, 'YYYY-MM-DD', true, timezone) : null;
+    if ((from && !from.isValid()) || (to && !to.isValid())) {
+      await interaction.reply({ content: '日期格式錯誤，請使用 YYYY-MM-DD 格式。', ephemeral: true });
+      return;
+    }
+
+    let department = null;
+    if (departmentId) {
+      department = await this.module.service.getDepartment(departmentId);
+      if (!department) {
+        await interaction.reply({ content: '找不到此部門。', ephemeral: true });
+        return;
+      }
+      if (staffDepartmentIds && !staffDepartmentIds.includes(departmentId)) {
+        await interaction.reply({ content: '您不是此部門的客服人員。', ephemeral: true });
+        return;
+      }
+    }
+
+    const filters = {
+      userId: user ? user.id : null,
+      departmentIds: departmentId ? [departmentId] : staffDepartmentIds,
+      status,
+      staffId: claimer ? claimer.id : null,
+      from: from ? from.toDate() : null,
+      // The end date is inclusive
+      to: to ? to.clone().add(1, 'day').toDate() : null,
+      keyword: keyword ? keyword.trim() : null
+    };
+
+    const filtersText = [
+      keyword ? `🔎 關鍵字: \`${keyword.trim()}\`` : null,
+      user ? `👤 用戶: ${user}` : null,
+      department ? `🏢 部門: ${department.name}` : null,
+      status ? `📌 狀態: ${config.ticketStatus[status].name}` : null,
+      claimer ? `🙋 認領人: ${claimer}` : null,
+      from || to ? `📅 日期: ${fromOption || '不限'} ~ ${toOption || '不限'}` : null
+    ].filter(Boolean).join('\n');
+
+    // Drop expired sessions before adding a new one
+    const now = Date.now();
+    for (const [sessionId, session] of searchSessions) {
+      if (now - session.createdAt > SEARCH_SESSION_TTL) searchSessions.delete(sessionId);
+    }
+
+    const sessionId = interaction.id;
+    searchSessions.set(sessionId, { filters, filtersText, userId: interaction.user.id, createdAt: now });
+
+    await interaction.deferReply({ ephemeral: true });
+    await interaction.editReply(await this.buildSearchPage(sessionId, 0));
+
+    logger.info(`Ticket search by ${interaction.user.tag}${keyword ? ` for "${keyword.trim()}"` : ''}`);
+  },
+
+  async handleHistory(interaction) {
+    const staffDepartmentIds = await this.module.controller.getStaffDepartmentIds(interaction.member);
+    if (staffDepartmentIds && staffDepartmentIds.length === 0) {
+      await interaction.reply({ content: '只有客服人員可以查看客服單歷史。', ephemeral: true });
+      return;
+    }
+
+    const user = interaction.options.getUser('user');
+    const historyMessage = await this.module.controller.buildUserHistoryMessage(user.id);
+
+    if (!historyMessage) {
+      await interaction.reply({ content: `${user} 沒有任何客服單記錄。`, ephemeral: true });
+      return;
+    }
+
+    await interaction.reply({ ...historyMessage, ephemeral: true });
+  },
+
+  /**
+   * Build one page of search results
+   * @param {String} sessionId - The search session ID
+   * @param {Number} page - The zero-based page number
+   * @return {Promise<Object>} The message payload
+   */
+  async buildSearchPage(sessionId, page) {
+    const session = searchSessions.get(sessionId);
+    const result = await this.module.service.searchTickets(session.filters, page, SEARCH_PAGE_SIZE);
+    const totalPages = Math.ceil(result.total / SEARCH_PAGE_SIZE);
+
+    const departments = await this.module.service.getAllDepartments();
+    const departmentMap = new Map(departments.map(department => [department.id, department]));
+
+    return {
+      embeds: [Embeds.ticketSearchEmbed(result.tickets, departmentMap, {
+        page,
+        pageSize: SEARCH_PAGE_SIZE,
+        totalPages,
+        total: result.total,
+        filtersText: session.filtersText
+      })],
+      components: Embeds.ticketSearchComponents(sessionId, result.tickets, page, totalPages)
+    };
+  },
+
+  /**
+   * Handle the previous/next page buttons of the search results
+   * @param {ButtonInteraction} interaction - The button interaction
+   */
+  async handleSearchPage(interaction) {
+    try {
+      const [, sessionId, pageText] = interaction.customId.split(':');
+      const session = searchSessions.get(sessionId);
+
+      if (!session || Date.now() - session.createdAt > SEARCH_SESSION_TTL) {
+        searchSessions.delete(sessionId);
+        await interaction.reply({ content: '搜尋結果已過期，請重新使用 /ticket search。', ephemeral: true });
+        return;
+      }
+
+      if (session.userId !== interaction.user.id) {
+        await interaction.reply({ content: '只有執行搜尋的人可以切換頁面。', ephemeral: true });
+        return;
+      }
+
+      await interaction.update(await this.buildSearchPage(sessionId, Math.max(parseInt(pageText, 10) || 0, 0)));
+    } catch (error) {
+      logger.error(`Error changing ticket search page: ${error.message}`);
+      await interaction.reply({
+        content: `切換頁面時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  }
+};
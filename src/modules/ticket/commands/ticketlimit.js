@@ -0,0 +1,126 @@
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../../../core/logger');
+const Permissions = require('../../../utils/permissions');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('ticketlimit')
+    .setDescription('管理每位用戶建立客服單的限制')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('maxopen')
+        .setDescription('設定每位用戶最多可同時開啟的客服單數量（所有部門合計）')
+        .addIntegerOption(option =>
+          option
+            .setName('count')
+            .setDescription('數量 (0-25)，設為 0 則不限制')
+            .setRequired(true)
+            .setMinValue(0)
+            .setMaxValue(25)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('cooldown')
+        .setDescription('設定客服單關閉後，用戶需等待多久才能建立新的客服單')
+        .addIntegerOption(option =>
+          option
+            .setName('minutes')
+            .setDescription('分鐘數 (0-10080)，設為 0 則停用')
+            .setRequired(true)
+            .setMinValue(0)
+            .setMaxValue(10080)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('show')
+        .setDescription('查看目前的客服單限制')
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      // Check if user has permission
+      if (!Permissions.hasGuildPermission(interaction.member, ['Administrator'])) {
+        await interaction.reply({
+          content: '您沒有使用此命令的權限。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'maxopen':
+          await this.handleMaxOpen(interaction);
+          break;
+        case 'cooldown':
+          await this.handleCooldown(interaction);
+          break;
+        case 'show':
+          await this.handleShow(interaction);
+          break;
+      }
+    } catch (error) {
+      logger.error(`Error executing ticketlimit command: ${error.message}`);
+      await interaction.reply({
+        content: `處理客服單限制時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  },
+
+  async handleMaxOpen(interaction) {
+    const count = interaction.options.getInteger('count');
+    await this.module.service.updateGuildSettings(interaction.guild.id, { maxOpenTickets: count });
+
+    logger.info(`Max open tickets set to ${count} in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+
+    await interaction.reply({
+      content: count > 0
+        ? `✅ 每位用戶最多可同時開啟 ${count} 張客服單。`
+        : '✅ 已取消每位用戶的開啟客服單數量限制（同一部門仍只能有一張）。',
+      ephemeral: true
+    });
+  },
+
+  async handleCooldown(interaction) {
+    const minutes = interaction.options.getInteger('minutes');
+    await this.module.service.updateGuildSettings(interaction.guild.id, { ticketCooldownMinutes: minutes });
+
+    logger.info(`Ticket cooldown set to ${minutes} minutes in guild ${interaction.guild.id} by ${interaction.user.tag}`);
+
+    await interaction.reply({
+      content: minutes > 0
+        ? `✅ 客服單關閉後，用戶需等待 ${minutes} 分鐘才能建立新的客服單。`
+        : '✅ 已停用建立客服單的冷卻時間。',
+      ephemeral: true
+    });
+  },
+
+  async handleShow(interaction) {
+    const settings = await this.module.service.getGuildSettings(interaction.guild.id);
+    const blacklist = await this.module.service.getBlacklist(interaction.guild.id);
+
+    await interaction.reply({
+      embeds: [{
+        title: '🎫 客服單限制',
+        color: 0x5865F2,
+        fields: [
+          { name: '同時開啟上限', value: settings.maxOpenTickets > 0 ? `${settings.maxOpenTickets} 張` : '不限制', inline: true },
+          { name: '關閉後冷卻時間', value: settings.ticketCooldownMinutes > 0 ? `${settings.ticketCooldownMinutes} 分鐘` : '停用', inline: true },
+          { name: '黑名單', value: `${blacklist.length} 位用戶（/blacklist list）`, inline: true }
+        ]
+      }],
+      ephemeral: true
+    });
+  }
+};
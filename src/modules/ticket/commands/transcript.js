@@ -0,0 +1,35 @@
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../../../core/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('transcript')
+    .setDescription('取得客服單的 HTML 對話記錄')
+    .addStringOption(option =>
+      option
+        .setName('ticket-id')
+        .setDescription('客服單 ID（可使用客服單資訊中顯示的短 ID）')
+        .setRequired(true)
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      await this.module.controller.sendTranscriptFile(interaction, interaction.options.getString('ticket-id').trim());
+    } catch (error) {
+      logger.error(`Error executing transcript command: ${error.message}`);
+      const reply = { content: `取得對話記錄時出錯: ${error.message}`, ephemeral: true };
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(reply).catch(() => {});
+      } else {
+        await interaction.reply(reply).catch(() => {});
+      }
+    }
+  }
+};
@@ -10,11 +10,7 @@ module.exports = {
       option.setName('department')
         .setDescription('目標部門')
         .setRequired(true)
-        .addChoices(
-          { name: '一般問題', value: 'general' },
-          { name: '帳務問題', value: 'billing' },
-          { name: '技術問題', value: 'tech' }
-        )),
+        .setAutocomplete(true)),
   
   // This will be set by the module loader
   module: null,
@@ -39,10 +35,10 @@ module.exports = {
       // Check if user has permission to transfer
       const isAdmin = Permissions.hasGuildPermission(interaction.member, ['Administrator']);
       
-      // Get department roles
-      const departmentRoles = await this.module.service.getDepartmentRoles(ticket.departmentId);
+      // Get the department and escalation tier roles
+      const staffRoles = await this.module.controller.getTicketStaffRoles(ticket);
       const isSupportStaff = interaction.member.roles.cache.some(role => 
-        departmentRoles.includes(role.id)
+        staffRoles.includes(role.id)
       );
       
       if (!isAdmin && !isSupportStaff) {
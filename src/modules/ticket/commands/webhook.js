@@ -0,0 +1,241 @@
+const { SlashCommandBuilder } = require('discord.js');
+const moment = require('moment-timezone');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+const Permissions = require('../../../utils/permissions');
+const webhookService = require('../webhook/service');
+
+const DELIVERY_STATUS = {
+  success: '✅ 成功',
+  pending: '🔄 重試中',
+  failed: '❌ 失敗'
+};
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('webhook')
+    .setDescription('管理客服單事件的 Webhook')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('新增 Webhook')
+        .addStringOption(option =>
+          option
+            .setName('url')
+            .setDescription('接收事件的網址（http 或 https）')
+            .setRequired(true)
+            .setMaxLength(500)
+        )
+        .addStringOption(option =>
+          option
+            .setName('event')
+            .setDescription('要接收的事件，不填則接收全部事件')
+            .setRequired(false)
+            .addChoices(
+              ...Object.entries(config.webhooks.events).map(([value, event]) => ({ name: event.name, value }))
+            )
+        )
+        .addStringOption(option =>
+          option
+            .setName('description')
+            .setDescription('說明')
+            .setRequired(false)
+            .setMaxLength(200)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('列出此伺服器的 Webhook')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('刪除 Webhook 及其發送紀錄')
+        .addIntegerOption(option =>
+          option
+            .setName('id')
+            .setDescription('Webhook 編號')
+            .setRequired(true)
+            .setMinValue(1)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('test')
+        .setDescription('發送測試事件並顯示結果')
+        .addIntegerOption(option =>
+          option
+            .setName('id')
+            .setDescription('Webhook 編號')
+            .setRequired(true)
+            .setMinValue(1)
+        )
+    ),
+
+  // This will be set by the module loader
+  module: null,
+
+  setModule(module) {
+    this.module = module;
+  },
+
+  async execute(interaction) {
+    try {
+      // Check if user has permission
+      if (!Permissions.hasGuildPermission(interaction.member, ['Administrator'])) {
+        await interaction.reply({
+          content: '您沒有使用此命令的權限。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'add':
+          await this.handleAdd(interaction);
+          break;
+        case 'list':
+          await this.handleList(interaction);
+          break;
+        case 'remove':
+          await this.handleRemove(interaction);
+          break;
+        case 'test':
+          await this.handleTest(interaction);
+          break;
+      }
+    } catch (error) {
+      logger.error(`Error executing webhook command: ${error.message}`);
+      await interaction.reply({
+        content: `處理 Webhook 時出錯: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  },
+
+  async handleAdd(interaction) {
+    const url = interaction.options.getString('url').trim();
+    const event = interaction.options.getString('event');
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      await interaction.reply({ content: '❌ 請輸入有效的 http 或 https 網址。', ephemeral: true });
+      return;
+    }
+
+    const webhook = await webhookService.addWebhook({
+      guildId: interaction.guild.id,
+      url,
+      events: event ? [event] : Object.keys(config.webhooks.events),
+      description: interaction.options.getString('description'),
+      createdBy: interaction.user.id
+    });
+
+    logger.info(`Webhook ${webhook.id} added for ${url} by ${interaction.user.tag}`);
+
+    // The secret is only shown once, it is needed to verify the X-DCTicket-Signature header
+    await interaction.reply({
+      content: `✅ 已新增 Webhook #${webhook.id}\n` +
+        `網址: ${url}\n` +
+        `事件: ${this.formatEvents(webhook.events)}\n\n` +
+        `簽章密鑰（只會顯示這一次，請妥善保存）:\n\`${webhook.secret}\`\n` +
+        '每個請求都帶有 `X-DCTicket-Signature: sha256=<HMAC-SHA256(密鑰, 請求內容)>`，請用此密鑰驗證。',
+      ephemeral: true
+    });
+  },
+
+  async handleList(interaction) {
+    const webhooks = await webhookService.getWebhooks(interaction.guild.id);
+
+    if (webhooks.length === 0) {
+      await interaction.reply({ content: '尚未設定任何 Webhook，使用 `/webhook add` 新增。', ephemeral: true });
+      return;
+    }
+
+    const timezone = config.timezone || 'UTC';
+    const fields = [];
+    for (const webhook of webhooks.slice(0, 25)) {
+      const [lastDelivery] = await webhookService.getRecentDeliveries(webhook.id, 1);
+      const lastStatus = lastDelivery
+        ? `${DELIVERY_STATUS[lastDelivery.status] || lastDelivery.status} · ${lastDelivery.event} · ${moment(lastDelivery.createdAt).tz(timezone).format('YYYY-MM-DD HH:mm')}` +
+          (lastDelivery.error ? `\n錯誤: ${lastDelivery.error}` : '')
+        : '尚無發送紀錄';
+
+      fields.push({
+        name: `#${webhook.id} ${webhook.description || ''}`.trim(),
+        value: `${webhook.url}\n事件: ${this.formatEvents(webhook.events)}\n最近發送: ${lastStatus}`.substring(0, 1024)
+      });
+    }
+
+    await interaction.reply({
+      embeds: [{
+        title: `🔗 Webhook（${webhooks.length}）`,
+        fields,
+        color: 0x5865F2
+      }],
+      ephemeral: true
+    });
+  },
+
+  async handleRemove(interaction) {
+    const webhookId = interaction.options.getInteger('id');
+    const webhook = await this.getGuildWebhook(interaction, webhookId);
+    const removed = webhook ? await webhookService.removeWebhook(webhookId) : false;
+
+    if (!removed) {
+      await interaction.reply({ content: `找不到 Webhook #${webhookId}。`, ephemeral: true });
+      return;
+    }
+
+    logger.info(`Webhook ${webhookId} removed by ${interaction.user.tag}`);
+
+    await interaction.reply({ content: `✅ 已刪除 Webhook #${webhookId}。`, ephemeral: true });
+  },
+
+  async handleTest(interaction) {
+    const webhookId = interaction.options.getInteger('id');
+    const webhook = await this.getGuildWebhook(interaction, webhookId);
+
+    if (!webhook) {
+      await interaction.reply({ content: `找不到 Webhook #${webhookId}。`, ephemeral: true });
+      return;
+    }
+
+    // The request may take up to the configured timeout
+    await interaction.deferReply({ ephemeral: true });
+
+    const result = await webhookService.sendTest(webhook, interaction.user);
+
+    await interaction.editReply({
+      content: result.status === 'success'
+        ? `✅ 測試事件已送達 Webhook #${webhookId}（HTTP ${result.responseStatus}）。`
+        : `❌ 測試事件發送失敗: ${result.error}`
+    });
+  },
+
+  /**
+   * Get a webhook of the interaction's guild, the webhooks of other guilds are treated as missing
+   * @param {Interaction} interaction - The interaction
+   * @param {Number} webhookId - The webhook ID
+   * @return {Promise<Object|null>} The webhook
+   */
+  async getGuildWebhook(interaction, webhookId) {
+    const webhook = await webhookService.getWebhook(webhookId);
+    return webhook && webhook.guildId === interaction.guild.id ? webhook : null;
+  },
+
+  formatEvents(events) {
+    if (events.length === Object.keys(config.webhooks.events).length) {
+      return '全部事件';
+    }
+    return events.map(event => (config.webhooks.events[event] ? config.webhooks.events[event].name : event)).join('、');
+  }
+};
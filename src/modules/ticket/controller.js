@@ -1,16 +1,25 @@
-const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, ChannelType, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, ChannelType, PermissionFlagsBits, EmbedBuilder, ThreadAutoArchiveDuration, RESTJSONErrorCodes } = require('discord.js');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../../core/logger');
 const config = require('../../core/config');
 const Embeds = require('../../utils/embeds');
 const Permissions = require('../../utils/permissions');
+const TranscriptRenderer = require('./transcript');
+const { TicketStatus, TicketLifecycle } = require('./lifecycle');
 const { service: aiService } = require('../ai');
 const reminderService = require('./reminder/service');
+const assignService = require('./assign/service');
+const csatService = require('./csat/service');
+const webhookService = require('./webhook/service');
 const moment = require('moment-timezone');
 
+// Discord allows at most 50 channels in a category
+const MAX_CATEGORY_CHANNELS = 50;
+
 class TicketController {
   constructor(ticketService) {
     this.ticketService = ticketService;
+    this.lifecycle = new TicketLifecycle(ticketService);
     
     // Create a set to track AI responses that have been sent
     this.sentAIResponses = new Set();
@@ -45,12 +54,13 @@ class TicketController {
       }
       
       // Create and send the panel message
-      const embed = Embeds.ticketPanelEmbed();
-      const buttons = Embeds.ticketPanelButtons();
+      const departments = await this.ticketService.getAllDepartments();
+      const embed = Embeds.ticketPanelEmbed(departments);
+      const buttons = Embeds.ticketPanelButtons(departments);
       
       const message = await channel.send({
         embeds: [embed],
-        components: [buttons]
+        components: buttons
       });
       
       // Save the panel info in the database
@@ -82,7 +92,12 @@ class TicketController {
       
       logger.info(`Restoring ${panels.length} ticket panels...`);
       
+      const departments = await this.ticketService.getAllDepartments();
+      
       for (const panel of panels) {
+        // Guilds can have settings without a panel
+        if (!panel.channelId || !panel.messageId) continue;
+        
         try {
           const guild = await client.guilds.fetch(panel.guildId);
           if (!guild) continue;
@@ -97,12 +112,12 @@ class TicketController {
           } catch (error) {
             // Message was deleted, create a new one
             logger.info(`Recreating panel in channel ${channel.name} in guild ${guild.name}`);
-            const embed = Embeds.ticketPanelEmbed();
-            const buttons = Embeds.ticketPanelButtons();
+            const embed = Embeds.ticketPanelEmbed(departments);
+            const buttons = Embeds.ticketPanelButtons(departments);
             
             const message = await channel.send({
               embeds: [embed],
-              components: [buttons]
+              components: buttons
             });
             
             // Update the panel info in the database
@@ -120,6 +135,65 @@ class TicketController {
     }
   }
 
+  /**
+   * Re-render existing panels so they reflect the current departments
+   * @param {Client} client - The Discord.js client
+   * @param {String} guildId - Only refresh the panel of this guild
+   * @return {Promise<void>}
+   */
+  async refreshPanels(client, guildId) {
+    try {
+      const panels = await this.ticketService.getPanels();
+      const departments = await this.ticketService.getAllDepartments();
+      
+      for (const panel of panels) {
+        if (guildId && panel.guildId !== guildId) continue;
+        if (!panel.channelId || !panel.messageId) continue;
+        
+        try {
+          const guild = await client.guilds.fetch(panel.guildId);
+          const channel = await guild.channels.fetch(panel.channelId).catch(() => null);
+          if (!channel) continue;
+          
+          const message = await channel.messages.fetch(panel.messageId).catch(() => null);
+          if (!message) continue;
+          
+          await message.edit({
+            embeds: [Embeds.ticketPanelEmbed(departments)],
+            components: Embeds.ticketPanelButtons(departments)
+          });
+          logger.info(`Refreshed panel in channel ${channel.name} in guild ${guild.name}`);
+        } catch (error) {
+          logger.error(`Error refreshing panel in guild ${panel.guildId}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error refreshing panels: ${error.message}`);
+    }
+  }
+
+  /**
+   * Respond to an autocomplete request for a department option
+   * @param {AutocompleteInteraction} interaction - The autocomplete interaction
+   * @param {Array} extraChoices - Additional choices to offer besides the departments
+   * @return {Promise<void>}
+   */
+  async respondDepartmentAutocomplete(interaction, extraChoices = []) {
+    const focusedValue = interaction.options.getFocused().toLowerCase();
+    const departments = await this.ticketService.getAllDepartments();
+    
+    const choices = [
+      ...departments.map(dept => ({ name: dept.name, value: dept.id })),
+      ...extraChoices
+    ].filter(choice =>
+      choice.name.toLowerCase().includes(focusedValue) ||
+      choice.value.toLowerCase().includes(focusedValue)
+    );
+    
+    // Discord accepts at most 25 autocomplete choices
+    await interaction.respond(choices.slice(0, 25));
+  }
+
   /**
    * Start the ticket creation process
    * @param {Interaction} interaction - The button interaction
@@ -128,15 +202,10 @@ class TicketController {
    */
   async startTicketCreation(interaction, departmentId) {
     try {
-      // Check if the user already has an open ticket for this department
-      const existingTicket = await this.ticketService.getUserTicketByDepartment(
-        interaction.user.id,
-        departmentId
-      );
-      
-      if (existingTicket) {
+      const refusal = await this.getTicketCreationRefusal(interaction.guild.id, interaction.user.id, departmentId);
+      if (refusal) {
         await interaction.reply({
-          content: `您已經有一個開放的客服單 (頻道: <#${existingTicket.channelId}>)。請先關閉它再創建新的。`,
+          content: refusal,
           ephemeral: true
         });
         return;
@@ -159,6 +228,22 @@ class TicketController {
       const firstActionRow = new ActionRowBuilder().addComponents(descriptionInput);
       modal.addComponents(firstActionRow);
       
+      // Add the department's intake form fields (a modal holds at most 5 inputs)
+      const formFields = await this.ticketService.getDepartmentFormFields(departmentId);
+      for (const field of formFields.slice(0, 4)) {
+        const fieldInput = new TextInputBuilder()
+          .setCustomId(`form_field:${field.id}`)
+          .setLabel(field.label)
+          .setStyle(field.style === 'paragraph' ? TextInputStyle.Paragraph : TextInputStyle.Short)
+          .setRequired(field.required);
+        
+        if (field.placeholder) fieldInput.setPlaceholder(field.placeholder);
+        if (field.minLength) fieldInput.setMinLength(field.minLength);
+        if (field.maxLength) fieldInput.setMaxLength(field.maxLength);
+        
+        modal.addComponents(new ActionRowBuilder().addComponents(fieldInput));
+      }
+      
       await interaction.showModal(modal);
     } catch (error) {
       logger.error(`Error starting ticket creation: ${error.message}`);
@@ -177,14 +262,93 @@ class TicketController {
     }
   }
 
+  /**
+   * Check the blacklist, duplicate, open ticket limit and cooldown rules for a new ticket
+   * @param {String} guildId - The guild ID
+   * @param {String} userId - The user who wants to open a ticket
+   * @param {String} departmentId - The department ID
+   * @param {Object} options - skipCooldown: true when reopening, the cooldown started with the closure of that same ticket
+   * @return {Promise<String|null>} The explanation shown to the user, or null if the ticket may be created
+   */
+  async getTicketCreationRefusal(guildId, userId, departmentId, options = {}) {
+    const timezone = config.timezone || 'UTC';
+
+    const blacklistEntry = await this.ticketService.getActiveBlacklistEntry(guildId, userId);
+    if (blacklistEntry) {
+      return [
+        '🚫 您已被禁止建立客服單。',
+        `原因: ${blacklistEntry.reason || '未提供'}`,
+        blacklistEntry.expiresAt
+          ? `解除時間: ${moment(blacklistEntry.expiresAt).tz(timezone).format('YYYY-MM-DD HH:mm')}`
+          : '此限制沒有期限，如有疑問請聯繫管理員。'
+      ].join('\n');
+    }
+
+    // Check if the user already has an open ticket for this department
+    const existingTicket = await this.ticketService.getUserTicketByDepartment(userId, departmentId);
+    if (existingTicket) {
+      return `您已經有一個開放的客服單 (頻道: <#${existingTicket.channelId}>)。請先關閉它再創建新的。`;
+    }
+
+    const settings = await this.ticketService.getGuildSettings(guildId);
+
+    if (settings.maxOpenTickets > 0) {
+      const openCount = await this.ticketService.countUserOpenTickets(guildId, userId);
+      if (openCount >= settings.maxOpenTickets) {
+        return `您目前已有 ${openCount} 張未關閉的客服單，每位用戶最多只能同時開啟 ${settings.maxOpenTickets} 張。請等待現有的客服單處理完成後再建立新的。`;
+      }
+    }
+
+    if (settings.ticketCooldownMinutes > 0 && !options.skipCooldown) {
+      const lastClosedAt = await this.ticketService.getUserLastClosedAt(guildId, userId);
+      const availableAt = lastClosedAt ? moment(lastClosedAt).add(settings.ticketCooldownMinutes, 'minutes') : null;
+      if (availableAt && availableAt.isAfter(moment())) {
+        const minutesLeft = Math.ceil(availableAt.diff(moment(), 'minutes', true));
+        return `您的上一張客服單剛關閉，需等待 ${settings.ticketCooldownMinutes} 分鐘才能建立新的客服單。請於 ${availableAt.tz(timezone).format('YYYY-MM-DD HH:mm')} 後再試（約 ${minutesLeft} 分鐘）。`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Collect the intake form answers from a ticket creation modal
+   * @param {Interaction} interaction - The modal submit interaction
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Array>} Array of { label, value, style } objects
+   */
+  async getFormAnswers(interaction, departmentId) {
+    const formFields = await this.ticketService.getDepartmentFormFields(departmentId);
+    const answers = [];
+    
+    for (const field of formFields) {
+      let value;
+      try {
+        value = interaction.fields.getTextInputValue(`form_field:${field.id}`);
+      } catch (error) {
+        // Field was added after the modal was shown, skip it
+        continue;
+      }
+      
+      answers.push({
+        label: field.label,
+        value: value ? value.trim() : '',
+        style: field.style
+      });
+    }
+    
+    return answers;
+  }
+
   /**
    * Create a new ticket
    * @param {Interaction} interaction - The modal submit interaction
    * @param {String} departmentId - The department ID
    * @param {String} description - The ticket description
+   * @param {Array} formData - The intake form answers ({ label, value, style })
    * @return {Promise<void>}
    */
-  async createTicket(interaction, departmentId, description) {
+  async createTicket(interaction, departmentId, description, formData = []) {
     await interaction.deferReply({ ephemeral: true });
 
     try {
@@ -196,6 +360,15 @@ class TicketController {
         });
         return;
       }
+
+      // Check again, another ticket may have been created while the form was open
+      const refusal = await this.getTicketCreationRefusal(interaction.guild.id, interaction.user.id, departmentId);
+      if (refusal) {
+        await interaction.editReply({
+          content: refusal
+        });
+        return;
+      }
       
       // Early response to user for better UX
       await interaction.editReply({
@@ -211,112 +384,33 @@ class TicketController {
       const guild = interaction.guild;
       const user = interaction.user;
 
-      // Check for department roles
-      const departmentRoles = await this.ticketService.getDepartmentRoles(departmentId);
+      // Let the AI suggest the initial priority when enabled, staff can change it later
+      const priority = await aiService.suggestPriority(description, formData) || 'normal';
 
       // Create the channel name with department name and UUID first section
-      const channelName = `${department.name}-${uuidFirstSection}`;
-
-      // Create permission overwrites for the channel
-      const permissionOverwrites = [
-        {
-          id: guild.roles.everyone.id,
-          deny: [PermissionFlagsBits.ViewChannel]
-        },
-        {
-          id: user.id,
-          allow: [
-            PermissionFlagsBits.ViewChannel,
-            PermissionFlagsBits.SendMessages,
-            PermissionFlagsBits.ReadMessageHistory
-          ]
-        },
-        {
-          id: guild.members.me.id,
-          allow: [
-            PermissionFlagsBits.ViewChannel,
-            PermissionFlagsBits.SendMessages,
-            PermissionFlagsBits.ManageChannels,
-            PermissionFlagsBits.ManageMessages,
-            PermissionFlagsBits.ReadMessageHistory
-          ]
-        }
-      ];
-
-      // Add permissions for department roles
-      for (const roleId of departmentRoles) {
-        permissionOverwrites.push({
-          id: roleId,
-          allow: [
-            PermissionFlagsBits.ViewChannel,
-            PermissionFlagsBits.SendMessages,
-            PermissionFlagsBits.ReadMessageHistory
-          ]
-        });
-      }
-
-      // Handle category channel
-      let categoryId = department.categoryId;
-      let categoryChannel = null;
-
-      // Check if we should use category channels and if there's a saved category
-      if (config.useCategoryChannels) {
-        if (categoryId) {
-          try {
-            // Try to get existing category
-            categoryChannel = await guild.channels.fetch(categoryId).catch(() => null);
-          } catch (error) {
-            logger.warn(`Could not fetch category channel: ${error.message}`);
-          }
-        }
-
-        // If no category exists, create one
-        if (!categoryChannel) {
-          try {
-            categoryChannel = await guild.channels.create({
-              name: `${department.name} 客服單`,
-              type: ChannelType.GuildCategory,
-              permissionOverwrites: permissionOverwrites
-            });
-
-            // Save the category ID
-            categoryId = categoryChannel.id;
-            await this.ticketService.updateDepartmentCategory(departmentId, categoryId);
-            logger.info(`Created new category channel for department ${department.name}: ${categoryId}`);
-          } catch (error) {
-            logger.error(`Failed to create category channel: ${error.message}`);
-          }
-        }
-      }
+      const channelName = this.buildChannelName(department.name, uuidFirstSection, priority);
 
-      // Create the ticket channel
-      const channelOptions = {
-        name: channelName,
-        type: ChannelType.GuildText,
-        permissionOverwrites: permissionOverwrites
-      };
-
-      // If we have a category, set it
-      if (categoryChannel) {
-        channelOptions.parent = categoryChannel.id;
-      }
-
-      const channel = await guild.channels.create(channelOptions);
+      const channel = await this.createTicketChannel(guild, department, user.id, channelName);
 
       // Determine initial status (check if within service hours)
-      const initialStatus = 'open';
+      const initialStatus = TicketStatus.OPEN;
 
       // Store the ticket in the database
       const ticket = {
         id: ticketUuid,
+        guildId: interaction.guild.id,
         channelId: channel.id,
         userId: user.id,
         departmentId: departmentId,
         status: initialStatus,
+        priority: priority,
+        formData: formData,
         createdAt: moment().tz(config.timezone || 'Asia/Taipei').toDate()
       };
 
       await this.ticketService.createTicket(ticket);
+      await this.ticketService.recordTicketEvent(ticket.id, 'created', user, { after: departmentId });
+      webhookService.dispatch('ticket.created', ticket, { actorId: user.id });
 
       // Save the description as a special message
       await this.ticketService.saveMessage({
@@ -324,6 +418,7 @@ class TicketController {
         ticketId: ticketUuid,
         userId: user.id,
         username: user.tag,
+        avatarUrl: user.displayAvatarURL(),
         content: JSON.stringify({isDescription: true, text: description}),
         timestamp: new Date()
       });
@@ -333,13 +428,16 @@ class TicketController {
         id: uuidFirstSection,
         departmentId: departmentId,
         description: description, // Use the original description value
+        formData: formData,
+        priority: priority,
         status: initialStatus,
         createdAt: moment().tz(config.timezone || 'Asia/Taipei').toDate()
-      }, user.tag);
+      }, user.tag, department);
 
       // Check if AI is enabled to determine whether to show handoff button
       const showHandoffButton = config.ai && config.ai.enabled;
-      const buttonsRow = Embeds.ticketControlButtons(showHandoffButton);
+      const { next: nextTier } = await this.getEscalationState(ticket);
+      const buttonsRow = Embeds.ticketControlButtons(showHandoffButton, null, Boolean(nextTier));
 
       await channel.send({ content: `<@${user.id}> 歡迎來到您的客服單。` });
       await channel.send({ embeds: [ticketEmbed], components: [buttonsRow] });
@@ -357,11 +455,18 @@ class TicketController {
         timestamp: new Date()
       });
 
+      // Show staff the customer's earlier tickets, the ticket works without it
+      try {
+        await this.postUserHistory(channel, ticket);
+      } catch (error) {
+        logger.error(`Error posting user ticket history: ${error.message}`);
+      }
+
       // Initialize AI conversation if AI is enabled
       if (config.ai && config.ai.enabled) {
         try {
           // Initialize AI conversation context with the initial description and department ID
-          await aiService.context.initializeContext(ticketUuid, description, ticket.departmentId);
+          await aiService.context.initializeContext(ticketUuid, description, ticket.departmentId, formData);
 
           // Check if we're within service hours when creating ticket
           const isWithinHours = await aiService.isWithinServiceHours(guild.id);
@@ -428,7 +533,7 @@ class TicketController {
           const aiResponse = await aiService.processMessage(ticket, description);
 
           if (aiResponse) {
-            // Keep the ticket in 'open' status when AI is handling it
+            // Keep the ticket in open status when AI is handling it
             // (Simplified status system: open → waitingStaff → closed)
 
             // Generate a new message ID for the Discord message
@@ -468,6 +573,271 @@ class TicketController {
     }
   }
 
+  /**
+   * Create the channel a ticket is handled in: a text channel in the department category,
+   * or a private thread under the support channel when the department uses thread mode
+   * @param {Guild} guild - The guild
+   * @param {Object} department - The department
+   * @param {String} userId - The ticket creator's user ID
+   * @param {String} channelName - The channel or thread name
+   * @param {Array<String>} inviteeIds - Users who were invited to the ticket before it was reopened
+   * @return {Promise<TextChannel|ThreadChannel>} The ticket channel
+   */
+  async createTicketChannel(guild, department, userId, channelName, inviteeIds = []) {
+    if (department.threadChannelId) {
+      const supportChannel = await guild.channels.fetch(department.threadChannelId).catch(() => null);
+      if (!supportChannel) {
+        throw new Error('找不到此部門的客服單討論串頻道，請聯繫管理員。');
+      }
+
+      // Private threads are only visible to added members, the customer only needs to see the support channel
+      const thread = await supportChannel.threads.create({
+        name: channelName,
+        type: ChannelType.PrivateThread,
+        invitable: false,
+        autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+        reason: `${department.name} 客服單`
+      });
+
+      await thread.members.add(userId);
+      for (const inviteeId of inviteeIds) {
+        await thread.members.add(inviteeId).catch(() => {}); // Ignore errors if user left server
+      }
+      await this.addDepartmentStaffToThread(thread, department.id);
+
+      return thread;
+    }
+
+    const departmentRoles = await this.ticketService.getDepartmentRoles(department.id);
+    const permissionOverwrites = this.buildTicketPermissionOverwrites(guild, userId, departmentRoles);
+    const categoryChannel = await this.getTicketCategory(guild, department, permissionOverwrites);
+
+    const channelOptions = {
+      name: channelName,
+      type: ChannelType.GuildText,
+      permissionOverwrites: permissionOverwrites
+    };
+
+    if (categoryChannel) {
+      channelOptions.parent = categoryChannel.id;
+    }
+
+    const channel = await guild.channels.create(channelOptions).catch(error => {
+      // The overflow categories can't help once the guild itself is full
+      if (error.code === RESTJSONErrorCodes.MaximumNumberOfGuildChannelsReached) {
+        throw new Error('伺服器的頻道數量已達上限，暫時無法建立客服單，請稍後再試或聯繫管理員。');
+      }
+      throw error;
+    });
+
+    for (const inviteeId of inviteeIds) {
+      await channel.permissionOverwrites.create(inviteeId, {
+        ViewChannel: true,
+        SendMessages: true,
+        ReadMessageHistory: true,
+        AttachFiles: true,
+        EmbedLinks: true
+      }).catch(() => {}); // Ignore errors if user left server
+    }
+
+    return channel;
+  }
+
+  /**
+   * Add the members of a department's staff roles to a private thread
+   * @param {ThreadChannel} thread - The ticket or notes thread
+   * @param {String} departmentId - The department ID
+   * @return {Promise<void>}
+   */
+  async addDepartmentStaffToThread(thread, departmentId) {
+    const departmentRoles = await this.ticketService.getDepartmentRoles(departmentId);
+    await this.addRoleMembersToThread(thread, departmentRoles);
+  }
+
+  /**
+   * Add every member of the given roles to a private ticket thread
+   * @param {ThreadChannel} thread - The ticket thread
+   * @param {Array<String>} roleIds - The role IDs
+   * @return {Promise<void>}
+   */
+  async addRoleMembersToThread(thread, roleIds) {
+    // role.members only lists cached members, fetch the guild members so staff who haven't been seen yet are added too
+    await thread.guild.members.fetch().catch(error => {
+      logger.warn(`Could not fetch guild members, only cached staff are added to the thread: ${error.message}`);
+    });
+
+    const staffIds = new Set();
+    for (const roleId of roleIds) {
+      const role = thread.guild.roles.cache.get(roleId);
+      if (!role) continue;
+      role.members.forEach(member => staffIds.add(member.id));
+    }
+
+    for (const staffId of staffIds) {
+      if (thread.members.cache.has(staffId)) continue;
+      await thread.members.add(staffId).catch(() => {}); // Ignore members that cannot view the channel
+    }
+  }
+
+  /**
+   * Build the permission overwrites for a ticket channel
+   * @param {Guild} guild - The guild
+   * @param {String} userId - The ticket creator's user ID
+   * @param {Array<String>} departmentRoles - The department staff role IDs
+   * @return {Array<Object>} The permission overwrites
+   */
+  buildTicketPermissionOverwrites(guild, userId, departmentRoles) {
+    const permissionOverwrites = [
+      {
+        id: guild.roles.everyone.id,
+        deny: [PermissionFlagsBits.ViewChannel]
+      },
+      {
+        id: userId,
+        allow: [
+          PermissionFlagsBits.ViewChannel,
+          PermissionFlagsBits.SendMessages,
+          PermissionFlagsBits.ReadMessageHistory
+        ]
+      },
+      {
+        id: guild.members.me.id,
+        allow: [
+          PermissionFlagsBits.ViewChannel,
+          PermissionFlagsBits.SendMessages,
+          PermissionFlagsBits.ManageChannels,
+          PermissionFlagsBits.ManageMessages,
+          PermissionFlagsBits.ReadMessageHistory
+        ]
+      }
+    ];
+
+    // Add permissions for department roles
+    for (const roleId of departmentRoles) {
+      permissionOverwrites.push({
+        id: roleId,
+        allow: [
+          PermissionFlagsBits.ViewChannel,
+          PermissionFlagsBits.SendMessages,
+          PermissionFlagsBits.ReadMessageHistory
+        ]
+      });
+    }
+
+    return permissionOverwrites;
+  }
+
+  /**
+   * Get the category channel for a department's tickets, creating it if needed
+   * @param {Guild} guild - The guild
+   * @param {Object} department - The department
+   * @param {Array<Object>} permissionOverwrites - Overwrites used when the category has to be created
+   * @return {Promise<CategoryChannel|null>} The category channel, or null if categories are not used
+   */
+  async getTicketCategory(guild, department, permissionOverwrites) {
+    let categoryId = department.categoryId;
+    let categoryChannel = null;
+
+    // Check if we should use category channels and if there's a saved category
+    if (config.useCategoryChannels) {
+      if (categoryId) {
+        try {
+          // Try to get existing category
+          categoryChannel = await guild.channels.fetch(categoryId).catch(() => null);
+        } catch (error) {
+          logger.warn(`Could not fetch category channel: ${error.message}`);
+        }
+      }
+
+      // If no category exists, create one
+      if (!categoryChannel) {
+        try {
+          categoryChannel = await guild.channels.create({
+            name: `${department.name} 客服單`,
+            type: ChannelType.GuildCategory,
+            permissionOverwrites: permissionOverwrites
+          });
+
+          // Save the category ID
+          categoryId = categoryChannel.id;
+          await this.ticketService.updateDepartmentCategory(department.id, categoryId);
+          logger.info(`Created new category channel for department ${department.name}: ${categoryId}`);
+        } catch (error) {
+          logger.error(`Failed to create category channel: ${error.message}`);
+        }
+      } else if (categoryChannel.children.cache.size >= MAX_CATEGORY_CHANNELS) {
+        categoryChannel = await this.getOverflowCategory(guild, department, permissionOverwrites);
+      }
+    }
+
+    return categoryChannel;
+  }
+
+  /**
+   * Get an overflow category with room for another ticket channel, creating the next one when all are full
+   * @param {Guild} guild - The guild
+   * @param {Object} department - The department whose main category is full
+   * @param {Array<Object>} permissionOverwrites - Overwrites used when the category has to be created
+   * @return {Promise<CategoryChannel|null>} The overflow category, or null if it could not be created
+   */
+  async getOverflowCategory(guild, department, permissionOverwrites) {
+    const overflowCategories = await this.ticketService.getOverflowCategories(department.id);
+    const usedPositions = new Set();
+
+    for (const overflow of overflowCategories) {
+      const overflowChannel = await guild.channels.fetch(overflow.categoryId).catch(() => null);
+      if (!overflowChannel) {
+        // Deleted by hand, its number can be used again
+        await this.ticketService.removeOverflowCategory(overflow.categoryId);
+        continue;
+      }
+
+      if (overflowChannel.children.cache.size < MAX_CATEGORY_CHANNELS) return overflowChannel;
+      usedPositions.add(overflow.position);
+    }
+
+    // The main category is number 1, reuse the lowest free number after it
+    let position = 2;
+    while (usedPositions.has(position)) position++;
+
+    try {
+      const overflowChannel = await guild.channels.create({
+        name: `${department.name} 客服單 ${position}`,
+        type: ChannelType.GuildCategory,
+        permissionOverwrites: permissionOverwrites
+      });
+
+      await this.ticketService.addOverflowCategory(department.id, overflowChannel.id, position);
+      logger.info(`Created overflow category ${position} for department ${department.name}: ${overflowChannel.id}`);
+      return overflowChannel;
+    } catch (error) {
+      logger.error(`Failed to create overflow category: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Delete an overflow category once its last ticket channel is gone
+   * @param {Guild} guild - The guild
+   * @param {String} categoryId - The category the ticket channel was in
+   * @return {Promise<Boolean>} Whether the category was removed
+   */
+  async removeEmptyOverflowCategory(guild, categoryId) {
+    const overflow = await this.ticketService.getOverflowCategory(categoryId);
+    if (!overflow) return false;
+
+    const categoryChannel = await guild.channels.fetch(categoryId).catch(() => null);
+    if (categoryChannel && categoryChannel.children.cache.size > 0) return false;
+
+    if (categoryChannel) {
+      await categoryChannel.delete('溢出分類中已沒有客服單');
+    }
+    await this.ticketService.removeOverflowCategory(categoryId);
+
+    logger.info(`Removed empty overflow category ${overflow.position} of department ${overflow.departmentId}: ${categoryId}`);
+    return true;
+  }
+
   /**
    * Handle the close ticket button click
    * @param {Interaction} interaction - The button interaction
@@ -477,14 +847,13 @@ class TicketController {
     try {
       const embed = Embeds.confirmationEmbed(
         '關閉客服單',
-        '您確定要關閉這個客服單嗎？所有對話記錄將被保存，但頻道會被刪除。'
+        '您確定要關閉這個客服單嗎？所有對話記錄將被保存，但頻道會被刪除。\n請選擇解決類別，接著填寫關閉原因。'
       );
 
-      const buttons = Embeds.confirmationButtons('confirm_close');
-
+      // Picking a resolution continues to the close reason modal
       await interaction.reply({
         embeds: [embed],
-        components: [buttons],
+        components: Embeds.closeResolutionComponents('confirm_close'),
         ephemeral: true
       });
     } catch (error) {
@@ -505,16 +874,56 @@ class TicketController {
   }
 
   /**
-   * Handle the resolve ticket button click
-   * @param {Interaction} interaction - The button interaction
+   * Show the close reason modal after a resolution category was picked
+   * @param {StringSelectMenuInteraction} interaction - The select menu interaction
+   * @param {String} resolution - The chosen resolution category
+   * @return {Promise<void>}
+   */
+  async showCloseReasonModal(interaction, resolution) {
+    const resolutionConfig = config.closeResolution[resolution];
+    if (!resolutionConfig) {
+      await interaction.reply({ content: '無效的解決類別。', ephemeral: true });
+      return;
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`close_reason_modal:${resolution}`)
+      .setTitle(`關閉客服單 - ${resolutionConfig.name}`);
+
+    const reasonInput = new TextInputBuilder()
+      .setCustomId('closeReason')
+      .setLabel('關閉原因')
+      .setPlaceholder('簡述處理結果，將顯示於對話記錄及用戶私訊中')
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(false)
+      .setMaxLength(1000);
+
+    modal.addComponents(new ActionRowBuilder().addComponents(reasonInput));
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Mark a ticket as resolved, the channel stays open until the ticket is closed
+   * @param {Interaction} interaction - The button or command interaction
    * @return {Promise<void>}
    */
   async resolveTicket(interaction) {
+    await this.changeTicketStatus(interaction, TicketStatus.RESOLVED);
+  }
+
+  /**
+   * Move a ticket to one of the statuses staff pick by hand and post the updated ticket embed
+   * @param {Interaction} interaction - The button or command interaction
+   * @param {String} status - The new status, one of TicketLifecycle.STAFF_STATUSES
+   * @param {String|null} note - Optional note shown with the status change
+   * @return {Promise<void>}
+   */
+  async changeTicketStatus(interaction, status, note = null) {
     try {
-      // Get the ticket from the database
       const ticket = await this.ticketService.getTicketByChannelId(interaction.channel.id);
 
-      if (!ticket) {
+      if (!ticket || ticket.status === TicketStatus.CLOSED) {
         await interaction.reply({
           content: '找不到與此頻道相關的客服單。',
           ephemeral: true
@@ -522,71 +931,77 @@ class TicketController {
         return;
       }
 
-      // Update ticket status to closed directly
-      await this.ticketService.updateTicketStatus(ticket.id, 'closed');
+      if (!(await this.isTicketStaff(interaction.member, ticket))) {
+        await interaction.reply({
+          content: '只有該部門的客服人員可以變更客服單狀態。',
+          ephemeral: true
+        });
+        return;
+      }
 
-      // Get department details for the embed
-      const department = await this.ticketService.getDepartment(ticket.departmentId);
+      if (!TicketLifecycle.STAFF_STATUSES.includes(status)) {
+        await interaction.reply({
+          content: '無效的客服單狀態。',
+          ephemeral: true
+        });
+        return;
+      }
 
-      // Get user details
-      const user = await interaction.client.users.fetch(ticket.userId).catch(() => null);
-      const userTag = user ? user.tag : 'Unknown User';
+      if (ticket.status === status) {
+        await interaction.reply({
+          content: `此客服單已經是「${TicketLifecycle.statusName(status)}」狀態。`,
+          ephemeral: true
+        });
+        return;
+      }
 
-      // Get the ticket description from messages
-      const messages = await this.ticketService.getTicketMessages(ticket.id);
-      let description = '無描述';
+      if (!TicketLifecycle.canTransition(ticket.status, status)) {
+        await interaction.reply({
+          content: `無法將客服單狀態從「${TicketLifecycle.statusName(ticket.status)}」變更為「${TicketLifecycle.statusName(status)}」。`,
+          ephemeral: true
+        });
+        return;
+      }
 
-      // Find the description message
-      for (const message of messages) {
-        try {
-          const content = JSON.parse(message.content);
-          if (content.isDescription) {
-            description = content.text;
-            break;
-          }
-        } catch (e) {
-          // Not a JSON message, skip
-        }
+      const previousStatus = ticket.status;
+      await this.lifecycle.transition(ticket, status, interaction.user, note);
+
+      // Staff picking a status takes the ticket over from the AI, the same way a handoff does
+      if (previousStatus === TicketStatus.OPEN) {
+        await this.ticketService.updateTicketAIHandled(ticket.id, false);
+        await this.ticketService.assignTicketToStaff(ticket.id, ticket.staffId || null);
       }
 
-      // Create updated ticket info embed
-      const ticketEmbed = Embeds.ticketInfoEmbed({
-        id: ticket.id.split('-')[0],
-        departmentId: ticket.departmentId,
-        description: description,
-        status: 'closed',
-        createdAt: ticket.createdAt
-      }, userTag);
-
-      // Create control buttons
-      const buttonsRow = Embeds.ticketControlButtons(false);
-
-      // Send notification message
-      await interaction.reply({
-        content: `✅ 此客服單已被 ${interaction.user.tag} 標記為已解決。`,
-      });
+      // Reminders were paused, an unanswered customer gets a fresh countdown instead of an instant reminder
+      if (status === TicketStatus.WAITING_STAFF) {
+        await reminderService.handleTicketResume(ticket);
+      }
 
-      // Update the ticket embed with new status
-      await interaction.channel.send({
-        embeds: [ticketEmbed],
-        components: [buttonsRow]
-      });
+      const statusConfig = config.ticketStatus[status];
+      await this.sendTicketUpdate(
+        interaction,
+        ticket,
+        `${statusConfig.emoji} 此客服單已被 ${interaction.user} 標記為「${statusConfig.name}」。${note ? `\n> ${note}` : ''}`
+      );
 
+      logger.info(`Ticket ${ticket.id} marked as ${status} by ${interaction.user.tag}`);
     } catch (error) {
-      logger.error(`Error resolving ticket: ${error.message}`);
+      logger.error(`Error changing ticket status: ${error.message}`);
       await interaction.reply({
-        content: '標記客服單為已解決時出錯。請稍後再試。',
+        content: `變更客服單狀態時出錯: ${error.message}`,
         ephemeral: true
-      });
+      }).catch(() => {});
     }
   }
 
   /**
    * Handle the confirmation of closing a ticket
-   * @param {Interaction} interaction - The button interaction
+   * @param {Interaction} interaction - The close reason modal submission (or legacy confirm button)
+   * @param {String|null} resolution - The resolution category
+   * @param {String|null} reason - The close reason
    * @return {Promise<void>}
    */
-  async confirmCloseTicket(interaction) {
+  async confirmCloseTicket(interaction, resolution = null, reason = null) {
     await interaction.update({ content: '正在關閉客服單...', components: [], embeds: [] });
 
     try {
@@ -600,205 +1015,1470 @@ class TicketController {
         return;
       }
 
-      // First update ticket status to closed then close the ticket
-      await this.ticketService.updateTicketStatus(ticket.id, 'closed');
-      await this.ticketService.closeTicket(ticket.id);
+      await this.closeTicketChannel(
+        interaction.channel,
+        ticket,
+        `此客服單已被 ${interaction.user.tag} 關閉。頻道將在 5 秒後刪除...`,
+        { closedBy: `<@${interaction.user.id}>`, actor: interaction.user, resolution, reason }
+      );
+    } catch (error) {
+      logger.error(`Error confirming ticket close: ${error.message}`);
+      await interaction.editReply({
+        content: `關閉客服單時出錯: ${error.message}`
+      });
+    }
+  }
 
-      // Clear reminder tracking for closed ticket
-      await reminderService.handleTicketClosure(ticket.id);
-      
+  /**
+   * Close a ticket: lock and archive the channel, send the transcript and delete the channel
+   * @param {TextChannel} channel - The ticket channel
+   * @param {Object} ticket - The ticket object
+   * @param {String} closeMessage - The final message posted before the channel is deleted
+   * @param {Object} closeInfo - Who closed the ticket (closedBy mention and actor user), the resolution category and the close reason
+   * @return {Promise<void>}
+   */
+  async closeTicketChannel(channel, ticket, closeMessage, closeInfo = {}) {
+    // Validate the status change first, then store the close details
+    const resolution = closeInfo.resolution ? config.closeResolution[closeInfo.resolution] : null;
+    await this.lifecycle.transition(
+      ticket,
+      TicketStatus.CLOSED,
+      closeInfo.actor || null,
+      [resolution ? resolution.name : null, closeInfo.reason].filter(Boolean).join(' · ') || null
+    );
+    await this.ticketService.closeTicket(ticket.id, closeInfo);
+    webhookService.dispatch('ticket.closed', { ...ticket, closedAt: new Date() }, {
+      actorId: closeInfo.actor ? closeInfo.actor.id : null,
+      resolution: closeInfo.resolution || null,
+      reason: closeInfo.reason || null
+    });
+
+    // Clear reminder tracking and a pending assignment offer for closed ticket
+    await reminderService.handleTicketClosure(ticket.id);
+    await assignService.handleTicketClosure(ticket.id);
+    
+    if (channel.isThread()) {
+      // Threads have no permission overwrites, a locked thread only accepts messages from moderators and the bot
+      await channel.setLocked(true, '客服單已關閉').catch(error => {
+        logger.warn(`Could not lock ticket thread: ${error.message}`);
+      });
+    } else {
       // Remove send message permissions for all users to prevent further messages
-      await interaction.channel.permissionOverwrites.edit(interaction.guild.roles.everyone, {
+      await channel.permissionOverwrites.edit(channel.guild.roles.everyone, {
         SendMessages: false
       });
-      
+
       // For the ticket creator
       if (ticket.userId) {
-        await interaction.channel.permissionOverwrites.edit(ticket.userId, {
+        await channel.permissionOverwrites.edit(ticket.userId, {
           SendMessages: false
         }).catch(() => {}); // Ignore errors if user left server
       }
-      
-      // For department roles
-      const departmentRoles = await this.ticketService.getDepartmentRoles(ticket.departmentId);
-      for (const roleId of departmentRoles) {
-        await interaction.channel.permissionOverwrites.edit(roleId, {
+
+      // For department roles and the escalation tiers the ticket reached
+      const staffRoles = await this.getTicketStaffRoles(ticket);
+      for (const roleId of staffRoles) {
+        await channel.permissionOverwrites.edit(roleId, {
           SendMessages: false
         }).catch(() => {}); // Ignore errors if role was deleted
       }
-      
+
       // For invited users
       const invites = await this.ticketService.getTicketInvites(ticket.id);
       for (const invite of invites) {
-        await interaction.channel.permissionOverwrites.edit(invite.invitee_id, {
+        await channel.permissionOverwrites.edit(invite.invitee_id, {
           SendMessages: false
         }).catch(() => {}); // Ignore errors if user left server
       }
-      
-      // Archive all messages to the database
-      await this.archiveTicketMessages(interaction.channel, ticket.id);
-      
-      // Send final message before deleting
-      await interaction.channel.send({
-        content: `此客服單已被 ${interaction.user.tag} 關閉。頻道將在 5 秒後刪除...`
-      });
-      
-      // Send ticket transcript to user
+    }
+
+    // Archive all messages to the database
+    await this.archiveTicketMessages(channel, ticket.id);
+    
+    // Send final message before deleting
+    await channel.send({
+      content: closeMessage
+    });
+    
+    // Send ticket transcript to user
+    try {
+      // Export the ticket and send it to the user
+      const success = await this.ticketService.sendTicketTranscriptToUser(ticket.id, channel.client, channel.guild.id);
+      if (!success) {
+        logger.warn(`Failed to send ticket transcript to user ${ticket.userId} for ticket ${ticket.id}`);
+      }
+    } catch (transcriptError) {
+      logger.error(`Error sending ticket transcript: ${transcriptError.message}`);
+      // Don't stop the ticket closing process if sending transcript fails
+    }
+
+    // Ask the customer to rate the service
+    try {
+      const closedTicket = await this.ticketService.getTicket(ticket.id);
+      const department = await this.ticketService.getDepartment(ticket.departmentId);
+      await csatService.sendSurvey(channel.client, closedTicket, department);
+    } catch (surveyError) {
+      logger.error(`Error sending satisfaction survey: ${surveyError.message}`);
+    }
+
+    // Post the summary to the ticket log channel
+    try {
+      await this.sendTicketLog(channel.guild, ticket, closeInfo);
+    } catch (logError) {
+      logger.error(`Error posting ticket log: ${logError.message}`);
+    }
+
+    // A ticket thread's notes thread lives next to it in the support channel instead of being deleted with it
+    const notesThreadId = channel.isThread() ? (await this.ticketService.getTicket(ticket.id))?.notesThreadId : null;
+
+    // Wait 5 seconds then delete the channel
+    setTimeout(async () => {
       try {
-        // Export the ticket and send it to the user
-        const success = await this.ticketService.sendTicketTranscriptToUser(ticket.id, interaction.client);
-        if (!success) {
-          logger.warn(`Failed to send ticket transcript to user ${ticket.userId} for ticket ${ticket.id}`);
-        }
-      } catch (transcriptError) {
-        logger.error(`Error sending ticket transcript: ${transcriptError.message}`);
-        // Don't stop the ticket closing process if sending transcript fails
+        await channel.delete('客服單已關閉');
+      } catch (error) {
+        logger.error(`Error deleting ticket channel: ${error.message}`);
       }
 
-      // Wait 5 seconds then delete the channel
-      setTimeout(async () => {
-        try {
-          await interaction.channel.delete('客服單已關閉');
-        } catch (error) {
-          logger.error(`Error deleting ticket channel: ${error.message}`);
+      if (!channel.isThread() && channel.parentId) {
+        await this.removeEmptyOverflowCategory(channel.guild, channel.parentId).catch(error => {
+          logger.error(`Error removing overflow category: ${error.message}`);
+        });
+      }
+
+      if (notesThreadId && channel.parent) {
+        const notesThread = await channel.parent.threads.fetch(notesThreadId).catch(() => null);
+        if (notesThread) {
+          await notesThread.delete('客服單已關閉').catch(error => {
+            logger.error(`Error deleting notes thread: ${error.message}`);
+          });
         }
-      }, 5000);
-    } catch (error) {
-      logger.error(`Error confirming ticket close: ${error.message}`);
-      await interaction.editReply({
-        content: `關閉客服單時出錯: ${error.message}`
-      });
+      }
+    }, 5000);
+  }
+
+  /**
+   * Post a closed ticket's summary and transcript to the guild's ticket log channel
+   * @param {Guild} guild - The guild
+   * @param {Object} ticket - The ticket object
+   * @param {Object} closeInfo - Who closed the ticket and why
+   * @return {Promise<void>}
+   */
+  async sendTicketLog(guild, ticket, closeInfo) {
+    const settings = await this.ticketService.getGuildSettings(guild.id);
+    if (!settings.logChannelId) return;
+
+    const logChannel = await guild.channels.fetch(settings.logChannelId).catch(() => null);
+    if (!logChannel) {
+      logger.warn(`Ticket log channel ${settings.logChannelId} not found in guild ${guild.id}`);
+      return;
     }
+
+    const department = await this.ticketService.getDepartment(ticket.departmentId);
+    const messages = await this.ticketService.getTicketMessages(ticket.id);
+    const messageCount = TranscriptRenderer.normalizeMessages(messages)
+      .filter(entry => entry.kind === 'message' || entry.kind === 'ai')
+      .length;
+
+    const files = await this.ticketService.exportTicketTranscripts(ticket.id, true);
+
+    await logChannel.send({
+      embeds: [Embeds.ticketLogEmbed(ticket, department, { ...closeInfo, messageCount })],
+      components: files.length > 0 ? [Embeds.resendTranscriptButton(ticket.id)] : [],
+      files
+    });
   }
 
   /**
-   * Handle human handoff button click
-   * @param {Interaction} interaction - The button interaction
+   * Handle the resend transcript button in the ticket log channel
+   * @param {ButtonInteraction} interaction - The button interaction
+   * @param {String} ticketId - The ticket ID
    * @return {Promise<void>}
    */
-  async handleHumanHandoff(interaction) {
+  async resendTranscript(interaction, ticketId) {
+    const ticket = await this.ticketService.getTicket(ticketId);
+    if (!ticket) {
+      await interaction.reply({ content: '找不到此客服單。', ephemeral: true });
+      return;
+    }
+
+    if (!(await this.isTicketStaff(interaction.member, ticket))) {
+      await interaction.reply({
+        content: '只有該部門的客服人員可以取得客服單記錄。',
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const files = await this.ticketService.exportTicketTranscripts(ticket.id, true);
+    if (files.length === 0) {
+      await interaction.editReply({ content: '客服單記錄功能已停用，無法產生對話記錄。' });
+      return;
+    }
+
     try {
-      // Get the ticket from the database
-      const ticket = await this.ticketService.getTicketByChannelId(interaction.channel.id);
+      await interaction.user.send({
+        content: `📜 客服單 \`${ticket.id.split('-')[0]}\` 的對話記錄：`,
+        files
+      });
+      await interaction.editReply({ content: '✅ 已透過私訊傳送對話記錄。' });
+    } catch (dmError) {
+      logger.warn(`Could not DM transcript of ticket ${ticket.id} to ${interaction.user.tag}: ${dmError.message}`);
+      await interaction.editReply({ content: '無法傳送私訊給您，請確認您已開啟私訊。' });
+    }
+  }
 
-      if (!ticket) {
-        await interaction.reply({
-          content: '找不到與此頻道相關的客服單。',
-          ephemeral: true
-        });
-        return;
-      }
+  /**
+   * Reply with the HTML transcript of a ticket as an ephemeral attachment
+   * @param {Interaction} interaction - The command or button interaction
+   * @param {String} ticketId - The full ticket ID or its short ID
+   * @return {Promise<void>}
+   */
+  async sendTranscriptFile(interaction, ticketId) {
+    const ticket = await this.ticketService.getTicketByIdPrefix(ticketId);
+    if (!ticket) {
+      await interaction.reply({ content: '找不到此客服單。', ephemeral: true });
+      return;
+    }
 
-      // Allow human handoff at any time, but include a note if it's outside service hours
-      const isWithinHours = await aiService.isWithinServiceHours(interaction.guild.id);
+    if (!(await this.isTicketStaff(interaction.member, ticket))) {
+      await interaction.reply({
+        content: '只有該部門的客服人員可以查看客服單記錄。',
+        ephemeral: true
+      });
+      return;
+    }
 
-      // Save the off-hours notice information if outside service hours
-      // But we'll send it AFTER the embed message
-      let offHoursMessage = null;
-      if (!isWithinHours) {
-        offHoursMessage = await aiService.getOffHoursMessage(interaction.guild.id);
+    await interaction.deferReply({ ephemeral: true });
 
-        // Save the off-hours message to the database with a special tag
-        await this.ticketService.saveMessage({
-          id: uuidv4(),
-          ticketId: ticket.id,
-          userId: interaction.client.user.id,
-          username: interaction.client.user.tag,
-          content: JSON.stringify({
-            isOffHoursNotice: true,
-            timestamp: moment().tz(config.timezone || 'Asia/Taipei').toISOString(),
-            message: offHoursMessage
-          }),
-          timestamp: moment().tz(config.timezone || 'Asia/Taipei').toDate()
-        });
+    const htmlPath = await this.ticketService.exportTicketHtml(ticket.id, true);
+    if (!htmlPath) {
+      await interaction.editReply({ content: '客服單記錄功能已停用，無法產生對話記錄。' });
+      return;
+    }
+
+    logger.info(`HTML transcript for ticket ${ticket.id} requested by ${interaction.user.tag}`);
+
+    await interaction.editReply({
+      content: `📜 客服單 \`${ticket.id.split('-')[0]}\` 的對話記錄：`,
+      files: [htmlPath]
+    });
+  }
+
+  /**
+   * Show the audit log timeline of a ticket to staff
+   * @param {Interaction} interaction - The command interaction
+   * @param {String|null} ticketId - The full or short ticket ID, defaults to the ticket of the current channel
+   * @return {Promise<void>}
+   */
+  async showTicketTimeline(interaction, ticketId = null) {
+    const ticket = ticketId
+      ? await this.ticketService.getTicketByIdPrefix(ticketId)
+      : await this.ticketService.getTicketByChannelId(interaction.channel.id);
+    if (!ticket) {
+      await interaction.reply({
+        content: ticketId ? '找不到此客服單。' : '找不到與此頻道相關的客服單，請指定客服單ID。',
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (!(await this.isTicketStaff(interaction.member, ticket))) {
+      await interaction.reply({
+        content: '只有該部門的客服人員可以查看客服單時間軸。',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const events = await this.ticketService.getTicketEvents(ticket.id);
+    const departments = await this.ticketService.getAllDepartments();
+    const entries = TranscriptRenderer.normalizeEvents(events, {
+      departments: new Map(departments.map(department => [department.id, department])),
+      formatUser: userId => `<@${userId}>`
+    });
+
+    await interaction.reply({
+      embeds: [Embeds.ticketTimelineEmbed(ticket, entries)],
+      ephemeral: true
+    });
+  }
+
+  /**
+   * Show the summary of any ticket, open or closed, to staff
+   * @param {ButtonInteraction} interaction - The button interaction
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<void>}
+   */
+  async showTicketSummary(interaction, ticketId) {
+    const ticket = await this.ticketService.getTicket(ticketId);
+    if (!ticket) {
+      await interaction.reply({ content: '找不到此客服單。', ephemeral: true });
+      return;
+    }
+
+    if (!(await this.isTicketStaff(interaction.member, ticket))) {
+      await interaction.reply({
+        content: '只有該部門的客服人員可以查看客服單摘要。',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const department = await this.ticketService.getDepartment(ticket.departmentId);
+    const messages = await this.ticketService.getTicketMessages(ticket.id);
+    const messageCount = TranscriptRenderer.normalizeMessages(messages)
+      .filter(entry => entry.kind === 'message' || entry.kind === 'ai')
+      .length;
+
+    const embeds = [Embeds.ticketSummaryEmbed(ticket, department, messageCount)];
+    const conversationEmbed = await this.buildPreviousMessagesEmbed(ticket.id, 10);
+    if (conversationEmbed) {
+      embeds.push(conversationEmbed.setTitle('📜 最近的對話'));
+    }
+
+    await interaction.reply({
+      embeds,
+      components: [Embeds.ticketTranscriptButton(ticket.id)],
+      ephemeral: true
+    });
+  }
+
+  /**
+   * Build the previous tickets message of a customer
+   * @param {String} userId - The customer's user ID
+   * @param {String|null} excludeTicketId - The ticket being created, left out of the history
+   * @return {Promise<Object|null>} The message payload, or null if the customer has no previous tickets
+   */
+  async buildUserHistoryMessage(userId, excludeTicketId = null) {
+    const history = await this.ticketService.getUserTicketHistory(userId, excludeTicketId);
+    if (history.total === 0) return null;
+
+    const departments = await this.ticketService.getAllDepartments();
+    const departmentMap = new Map(departments.map(department => [department.id, department]));
+
+    return {
+      embeds: [Embeds.userTicketHistoryEmbed(userId, history, departmentMap)],
+      components: Embeds.ticketLinkButtons(history.tickets)
+    };
+  }
+
+  /**
+   * Post the customer's previous tickets to the staff-only notes thread of a new ticket
+   * @param {TextChannel} channel - The ticket channel
+   * @param {Object} ticket - The new ticket
+   * @return {Promise<void>}
+   */
+  async postUserHistory(channel, ticket) {
+    const historyMessage = await this.buildUserHistoryMessage(ticket.userId, ticket.id);
+    if (!historyMessage) return;
+
+    const thread = await this.getNotesThread(channel, ticket);
+    await thread.send(historyMessage);
+  }
+
+  /**
+   * Get the departments a member handles as staff
+   * @param {GuildMember} member - The guild member
+   * @return {Promise<Array<String>|null>} Department IDs, or null for admins who may see every department
+   */
+  async getStaffDepartmentIds(member) {
+    if (Permissions.hasGuildPermission(member, ['Administrator'])) return null;
+
+    const departments = await this.ticketService.getAllDepartments();
+    const departmentIds = [];
+    for (const department of departments) {
+      if (await this.isTicketStaff(member, { departmentId: department.id })) {
+        departmentIds.push(department.id);
       }
+    }
+    return departmentIds;
+  }
 
-      logger.debug(`Handling human handoff for ticket ${ticket.id}`);
-      
-      // Update the ticket status to waiting for staff and mark as human handled
-      await this.ticketService.updateTicketStatus(ticket.id, 'waitingStaff');
-      logger.debug(`Updated ticket status to waitingStaff`);
-      
-      await this.ticketService.updateTicketAIHandled(ticket.id, false);
-      logger.debug(`Updated AI handled to false`);
-      
-      // Mark ticket as requiring human handling (this sets human_handled = 1)
-      await this.ticketService.assignTicketToStaff(ticket.id, null); // null staff ID means any staff can handle
-      logger.debug(`Assigned ticket to staff (human_handled should now be 1)`);
-      
-      // Initialize reminder tracking with the ticket creation time as the "last customer message"
-      // This way, the countdown starts from when the ticket was created
-      const mockMessage = { author: { tag: 'System', id: ticket.userId } };
-      await reminderService.handleTicketMessage(mockMessage, ticket, false, ticket.createdAt);
+  /**
+   * Get the ticket of a ticket channel or thread, or of the ticket a notes thread belongs to
+   * @param {Channel} channel - The channel the interaction came from
+   * @return {Promise<Object|null>} The ticket object
+   */
+  async getTicketForChannel(channel) {
+    const ticket = await this.ticketService.getTicketByChannelId(channel.id);
+    if (ticket || !channel.isThread()) return ticket;
 
-      // Get department details for mention
-      const department = await this.ticketService.getDepartment(ticket.departmentId);
-      const departmentRoles = await this.ticketService.getDepartmentRoles(ticket.departmentId);
+    return await this.ticketService.getTicketByNotesThreadId(channel.id)
+      || await this.ticketService.getTicketByChannelId(channel.parentId);
+  }
 
-      // Create role mentions for notification
-      const roleMentions = departmentRoles.map(roleId => `<@&${roleId}>`).join(' ');
+  /**
+   * Show the note modal for the "add note" message context menu
+   * @param {MessageContextMenuCommandInteraction} interaction - The context menu interaction
+   * @return {Promise<void>}
+   */
+  async showNoteModal(interaction) {
+    const ticket = await this.getTicketForChannel(interaction.channel);
+    if (!ticket) {
+      await interaction.reply({ content: '這不是一個客服單頻道。', ephemeral: true });
+      return;
+    }
 
-      // Update the ticket embed to show new status
-      const user = await interaction.client.users.fetch(ticket.userId).catch(() => null);
-      const userTag = user ? user.tag : 'Unknown User';
+    if (!(await this.isTicketStaff(interaction.member, ticket))) {
+      await interaction.reply({ content: '只有該部門的客服人員可以新增備註。', ephemeral: true });
+      return;
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`ticket_note_modal:${interaction.targetMessage.id}`)
+      .setTitle('新增內部備註');
+
+    // Start from the quoted message so staff only need to add their context
+    const quoted = interaction.targetMessage.content
+      ? `> ${interaction.targetMessage.content.replace(/\n/g, '\n> ')}`.substring(0, 900) + '\n'
+      : '';
+
+    const noteInput = new TextInputBuilder()
+      .setCustomId('noteContent')
+      .setLabel('備註內容（僅客服人員可見）')
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(true)
+      .setMaxLength(1000);
+
+    if (quoted) noteInput.setValue(quoted);
+
+    modal.addComponents(new ActionRowBuilder().addComponents(noteInput));
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Add an internal note to the ticket and post it to the staff-only notes thread
+   * @param {Interaction} interaction - The /note command or note modal submission
+   * @param {String} content - The note text
+   * @param {String|null} sourceMessageId - The message the note was added from
+   * @return {Promise<void>}
+   */
+  async addTicketNote(interaction, content, sourceMessageId = null) {
+    const ticket = await this.getTicketForChannel(interaction.channel);
+    if (!ticket) {
+      await interaction.reply({ content: '這不是一個客服單頻道。', ephemeral: true });
+      return;
+    }
+
+    if (!(await this.isTicketStaff(interaction.member, ticket))) {
+      await interaction.reply({ content: '只有該部門的客服人員可以新增備註。', ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const note = await this.ticketService.addTicketNote({
+      ticketId: ticket.id,
+      authorId: interaction.user.id,
+      authorTag: interaction.user.tag,
+      content,
+      sourceMessageId
+    });
+
+    // The note is saved either way, the thread is only a convenient place for staff to read them
+    let thread = null;
+    try {
+      const ticketChannel = interaction.channel.id === ticket.channelId
+        ? interaction.channel
+        : await interaction.guild.channels.fetch(ticket.channelId);
+      thread = await this.getNotesThread(ticketChannel, ticket);
+      await thread.send({ embeds: [Embeds.ticketNoteEmbed(note, ticketChannel)] });
+    } catch (threadError) {
+      logger.error(`Error posting note to notes thread of ticket ${ticket.id}: ${threadError.message}`);
+    }
+
+    logger.info(`Note added to ticket ${ticket.id} by ${interaction.user.tag}`);
+
+    await interaction.editReply({
+      content: thread ? `📝 已新增內部備註 (${thread})` : '📝 已新增內部備註。'
+    });
+  }
+
+  /**
+   * Get the private notes thread of a ticket channel, creating it on first use
+   * @param {TextChannel|ThreadChannel} channel - The ticket channel or thread
+   * @param {Object} ticket - The ticket object
+   * @return {Promise<ThreadChannel>} The notes thread
+   */
+  async getNotesThread(channel, ticket) {
+    // Threads cannot hold threads, so a ticket thread's notes go to a separate thread in the support channel
+    const threadParent = channel.isThread() ? channel.parent : channel;
+
+    if (ticket.notesThreadId) {
+      const existingThread = await threadParent.threads.fetch(ticket.notesThreadId).catch(() => null);
+      if (existingThread) {
+        if (existingThread.archived) await existingThread.setArchived(false);
+        return existingThread;
+      }
+    }
+
+    // Private threads are only visible to added members (and moderators), so the customer never sees them
+    const thread = await threadParent.threads.create({
+      name: channel.isThread() ? `🔒 內部備註 ${ticket.id.split('-')[0]}` : '🔒 內部備註',
+      type: ChannelType.PrivateThread,
+      invitable: false,
+      autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+      reason: `客服單 ${ticket.id} 的內部備註`
+    });
+
+    await this.addRoleMembersToThread(thread, await this.getTicketStaffRoles(ticket));
+
+    await this.ticketService.updateNotesThread(ticket.id, thread.id);
+    return thread;
+  }
+
+  /**
+   * Reopen a closed ticket from the reopen button on the transcript DM
+   * @param {ButtonInteraction} interaction - The button interaction (sent from a DM)
+   * @param {String} guildId - The guild the ticket belongs to
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<void>}
+   */
+  async reopenTicket(interaction, guildId, ticketId) {
+    await interaction.deferUpdate();
+
+    try {
+      const ticket = await this.ticketService.getTicket(ticketId);
+
+      if (!ticket || ticket.userId !== interaction.user.id) {
+        await interaction.followUp({ content: '找不到此客服單。' });
+        return;
+      }
+
+      if (TicketLifecycle.isActive(ticket.status)) {
+        await interaction.editReply({ components: [] });
+        await interaction.followUp({ content: `此客服單已經重新開啟 (頻道: <#${ticket.channelId}>)。` });
+        return;
+      }
+
+      // The conversation of a merged ticket lives on in the ticket it was merged into
+      if (ticket.resolution === 'merged') {
+        await interaction.editReply({ components: [] });
+        await interaction.followUp({ content: '此客服單已合併至其他客服單，無法重新開啟。' });
+        return;
+      }
+
+      // The window is read at click time so changing it also applies to transcripts already sent
+      const settings = await this.ticketService.getGuildSettings(guildId);
+      const reopenDeadline = moment(ticket.closedAt).add(settings.reopenWindowHours, 'hours');
+      if (!settings.reopenWindowHours || !ticket.closedAt || moment().isAfter(reopenDeadline)) {
+        await interaction.editReply({ components: [] });
+        await interaction.followUp({ content: '此客服單已超過可重新開啟的期限，請建立新的客服單。' });
+        return;
+      }
+
+      // A reopened ticket is a live ticket again, so the blacklist and open ticket rules apply like for a new one
+      const refusal = await this.getTicketCreationRefusal(guildId, ticket.userId, ticket.departmentId, { skipCooldown: true });
+      if (refusal) {
+        await interaction.followUp({ content: refusal });
+        return;
+      }
+
+      const department = await this.ticketService.getDepartment(ticket.departmentId);
+      const guild = await interaction.client.guilds.fetch(guildId).catch(() => null);
+      if (!department || !guild) {
+        await interaction.followUp({ content: '無法重新開啟此客服單，請建立新的客服單。' });
+        return;
+      }
+
+      // Recreate the channel the way the department creates tickets now, restoring access for invited users
+      const invites = await this.ticketService.getTicketInvites(ticket.id);
+      const channel = await this.createTicketChannel(
+        guild,
+        department,
+        ticket.userId,
+        this.buildChannelName(department.name, ticket.id.split('-')[0], ticket.priority),
+        invites.map(invite => invite.invitee_id)
+      );
+
+      TicketLifecycle.assertTransition(ticket.status, TicketStatus.OPEN);
+      await this.ticketService.reopenTicket(ticket.id, channel.id);
+      await this.lifecycle.record(ticket.id, ticket.status, TicketStatus.OPEN, interaction.user, '客戶重新開啟');
+      ticket.status = TicketStatus.OPEN;
+      ticket.channelId = channel.id;
+      ticket.staffId = null;
+      ticket.escalationLevel = 0;
+
+      const ticketEmbed = Embeds.ticketInfoEmbed({
+        id: ticket.id.split('-')[0],
+        departmentId: ticket.departmentId,
+        description: await this.getTicketDescription(ticket.id),
+        formData: ticket.formData,
+        priority: ticket.priority,
+        status: ticket.status,
+        createdAt: ticket.createdAt
+      }, interaction.user.tag, department);
+
+      const showHandoffButton = config.ai && config.ai.enabled;
+      const { next: nextTier } = await this.getEscalationState(ticket);
+      const buttonsRow = Embeds.ticketControlButtons(showHandoffButton, null, Boolean(nextTier));
+
+      await channel.send({ content: `<@${ticket.userId}> 您的客服單已重新開啟。` });
+      await channel.send({ embeds: [ticketEmbed], components: [buttonsRow] });
+
+      const summaryEmbed = await this.buildPreviousMessagesEmbed(ticket.id);
+      if (summaryEmbed) {
+        await channel.send({ embeds: [summaryEmbed] });
+      }
+
+      // Remove the button so the transcript can't be used to reopen twice
+      await interaction.editReply({ components: [] });
+      await interaction.followUp({ content: `✅ 您的客服單已重新開啟：${channel}` });
+
+      logger.info(`Ticket ${ticket.id} reopened by ${interaction.user.tag} in channel ${channel.id}`);
+    } catch (error) {
+      logger.error(`Error reopening ticket: ${error.message}`);
+      await interaction.followUp({
+        content: '重新開啟客服單時出錯。請稍後再試或建立新的客服單。'
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Build an embed summarizing the last messages of a ticket, used when it is reopened
+   * @param {String} ticketId - The ticket ID
+   * @param {Number} limit - The maximum number of messages to include
+   * @return {Promise<EmbedBuilder|null>} The summary embed, or null if there is nothing to show
+   */
+  async buildPreviousMessagesEmbed(ticketId, limit = 15) {
+    const messages = await this.ticketService.getTicketMessages(ticketId);
+    const lines = [];
+
+    for (const entry of TranscriptRenderer.normalizeMessages(messages)) {
+      // The description is already in the ticket embed, notices and embeds are not conversation
+      if (entry.kind !== 'message' && entry.kind !== 'ai') continue;
+      if (!entry.text || !entry.text.trim()) continue;
+
+      const author = entry.author === entry.authorId ? `<@${entry.authorId}>` : entry.author;
+      const singleLine = entry.text.replace(/\s+/g, ' ').trim();
+      lines.push(`**${author}**: ${singleLine.length > 200 ? `${singleLine.substring(0, 200)}...` : singleLine}`);
+    }
+
+    if (lines.length === 0) return null;
+
+    // Embed descriptions are limited to 4096 characters
+    let description = lines.slice(-limit).join('\n');
+    if (description.length > 4000) {
+      description = '...' + description.substring(description.length - 4000);
+    }
+
+    return new EmbedBuilder()
+      .setTitle('📜 先前的對話摘要')
+      .setDescription(description)
+      .setColor('#5865F2')
+      .setFooter({ text: lines.length > limit ? `僅顯示最後 ${limit} 則訊息，完整記錄請參閱客服單記錄檔` : '完整記錄請參閱客服單記錄檔' });
+  }
+
+  /**
+   * Handle human handoff button click
+   * @param {Interaction} interaction - The button interaction
+   * @return {Promise<void>}
+   */
+  async handleHumanHandoff(interaction) {
+    try {
+      // Get the ticket from the database
+      const ticket = await this.ticketService.getTicketByChannelId(interaction.channel.id);
+
+      if (!ticket) {
+        await interaction.reply({
+          content: '找不到與此頻道相關的客服單。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      // Allow human handoff at any time, but include a note if it's outside service hours
+      const isWithinHours = await aiService.isWithinServiceHours(interaction.guild.id);
+
+      // Save the off-hours notice information if outside service hours
+      // But we'll send it AFTER the embed message
+      let offHoursMessage = null;
+      if (!isWithinHours) {
+        offHoursMessage = await aiService.getOffHoursMessage(interaction.guild.id);
+
+        // Save the off-hours message to the database with a special tag
+        await this.ticketService.saveMessage({
+          id: uuidv4(),
+          ticketId: ticket.id,
+          userId: interaction.client.user.id,
+          username: interaction.client.user.tag,
+          content: JSON.stringify({
+            isOffHoursNotice: true,
+            timestamp: moment().tz(config.timezone || 'Asia/Taipei').toISOString(),
+            message: offHoursMessage
+          }),
+          timestamp: moment().tz(config.timezone || 'Asia/Taipei').toDate()
+        });
+      }
+
+      logger.debug(`Handling human handoff for ticket ${ticket.id}`);
+      
+      // Update the ticket status to waiting for staff and mark as human handled
+      await this.lifecycle.transition(ticket, TicketStatus.WAITING_STAFF, interaction.user, '轉接人工客服');
+      logger.debug(`Updated ticket status to waitingStaff`);
+      webhookService.dispatch('ticket.handoff', ticket, { actorId: interaction.user.id, withinServiceHours: isWithinHours });
+      
+      await this.ticketService.updateTicketAIHandled(ticket.id, false);
+      logger.debug(`Updated AI handled to false`);
+      
+      // Mark ticket as requiring human handling (this sets human_handled = 1)
+      // Keep an existing claim, otherwise null staff ID means any staff can handle
+      await this.ticketService.assignTicketToStaff(ticket.id, ticket.staffId || null);
+      logger.debug(`Assigned ticket to staff (human_handled should now be 1)`);
+      
+      // Initialize reminder tracking with the ticket creation time as the "last customer message"
+      // This way, the countdown starts from when the ticket was created
+      const mockMessage = { author: { tag: 'System', id: ticket.userId } };
+      await reminderService.handleTicketMessage(mockMessage, ticket, false, ticket.createdAt);
+
+      // Get department details for mention
+      const department = await this.ticketService.getDepartment(ticket.departmentId);
+      const departmentRoles = await this.ticketService.getDepartmentRoles(ticket.departmentId);
+
+      // Create role mentions for notification
+      const roleMentions = departmentRoles.map(roleId => `<@&${roleId}>`).join(' ');
+
+      // With auto-assignment only the chosen staff member is mentioned, unclaimed tickets only
+      const assigneeId = ticket.staffId
+        ? null
+        : await assignService.pickAssignee(interaction.guild, department, departmentRoles);
+
+      // Role mentions don't add anyone to a private thread, so bring in staff who got the role after the ticket was opened
+      if (interaction.channel.isThread() && !(await this.isClaimedExclusively(interaction.guild.id, ticket))) {
+        await this.addRoleMembersToThread(interaction.channel, await this.getTicketStaffRoles(ticket));
+      }
+
+      // Update the ticket embed to show new status
+      const user = await interaction.client.users.fetch(ticket.userId).catch(() => null);
+      const userTag = user ? user.tag : 'Unknown User';
+
+      // Get the ticket description from messages
+      const messages = await this.ticketService.getTicketMessages(ticket.id);
+      let description = '無描述';
+
+      // Find the description message
+      for (const message of messages) {
+        try {
+          const content = JSON.parse(message.content);
+          if (content.isDescription) {
+            description = content.text;
+            break;
+          }
+        } catch (e) {
+          // Not a JSON message, skip
+        }
+      }
+
+      // Create new ticket info embed with updated status
+      const escalation = await this.getEscalationState(ticket);
+      const ticketEmbed = Embeds.ticketInfoEmbed({
+        id: ticket.id.split('-')[0],
+        departmentId: ticket.departmentId,
+        description: description,
+        formData: ticket.formData,
+        priority: ticket.priority,
+        status: ticket.status,
+        staffId: ticket.staffId,
+        escalation: escalation.current,
+        createdAt: ticket.createdAt
+      }, userTag, department);
+
+      // Send notification and update ticket status
+      await interaction.update({
+        content: '正在轉接至人工客服...',
+        components: []
+      });
+
+      // Send notification to department roles
+      await interaction.channel.send({
+        content: assigneeId
+          ? '此客服單已請求人工協助，已自動分派給客服人員，請稍候。'
+          : `${roleMentions}\n\n此客服單已請求人工協助，請盡快回應。`,
+        embeds: [ticketEmbed],
+        components: [Embeds.ticketControlButtons(false, ticket.staffId, Boolean(escalation.next))] // No handoff button needed anymore
+      });
+
+      if (assigneeId) {
+        await this.sendAssignmentOffer(interaction.channel, ticket, department, assigneeId);
+      }
+
+      // Send confirmation to the user
+      await interaction.followUp({
+        content: '已通知客服人員，請稍候片刻。',
+        ephemeral: true
+      });
+
+      // Now send the off-hours message if needed (after the embed and confirmation)
+      if (offHoursMessage) {
+        await interaction.channel.send(offHoursMessage);
+      }
+    } catch (error) {
+      logger.error(`Error handling human handoff: ${error.message}`);
+      
+      // Check if we can respond to this interaction
+      try {
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: '轉接人工客服時出錯。請稍後再試。',
+            ephemeral: true
+          });
+        }
+      } catch (replyError) {
+        logger.error(`Failed to reply to interaction: ${replyError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Claim the ticket in the current channel for the interacting staff member
+   * @param {Interaction} interaction - The button or command interaction
+   * @return {Promise<void>}
+   */
+  async claimTicket(interaction) {
+    try {
+      const ticket = await this.ticketService.getTicketByChannelId(interaction.channel.id);
+
+      if (!ticket || ticket.status === TicketStatus.CLOSED) {
+        await interaction.reply({
+          content: '找不到與此頻道相關的客服單。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      // Only department staff and admins may claim
+      if (!(await this.isTicketStaff(interaction.member, ticket))) {
+        await interaction.reply({
+          content: '只有該部門的客服人員可以認領此客服單。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (ticket.staffId === interaction.user.id) {
+        await interaction.reply({
+          content: '您已經認領了此客服單。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (ticket.staffId) {
+        await interaction.reply({
+          content: `此客服單已由 <@${ticket.staffId}> 認領，請先取消認領。`,
+          ephemeral: true
+        });
+        return;
+      }
+
+      // Claiming stops the AI, the same way a staff member's first reply does
+      if (ticket.status === TicketStatus.OPEN) {
+        await this.lifecycle.transition(ticket, TicketStatus.WAITING_STAFF, interaction.user);
+      }
+      await this.ticketService.claimTicket(ticket.id, interaction.user.id);
+      await this.ticketService.recordTicketEvent(ticket.id, 'claimed', interaction.user, { after: interaction.user.id });
+      await this.applyClaimPermissions(interaction.channel, ticket, interaction.user.id);
+      await this.cancelTicketAssignment(interaction.channel, ticket.id);
+
+      ticket.staffId = interaction.user.id;
+      webhookService.dispatch('ticket.claimed', ticket, { actorId: interaction.user.id });
+      await this.sendTicketUpdate(interaction, ticket, `🙋 <@${interaction.user.id}> 已認領此客服單。`);
+
+      logger.info(`Ticket ${ticket.id} claimed by ${interaction.user.tag}`);
+    } catch (error) {
+      logger.error(`Error claiming ticket: ${error.message}`);
+
+      try {
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: '認領客服單時出錯。請稍後再試。',
+            ephemeral: true
+          });
+        }
+      } catch (replyError) {
+        logger.error(`Failed to reply to interaction: ${replyError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Release the claim on the ticket in the current channel
+   * @param {Interaction} interaction - The button or command interaction
+   * @return {Promise<void>}
+   */
+  async unclaimTicket(interaction) {
+    try {
+      const ticket = await this.ticketService.getTicketByChannelId(interaction.channel.id);
+
+      if (!ticket || ticket.status === TicketStatus.CLOSED) {
+        await interaction.reply({
+          content: '找不到與此頻道相關的客服單。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (!ticket.staffId) {
+        await interaction.reply({
+          content: '此客服單目前沒有被認領。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      // Only the claimer or an admin may release the claim
+      const isAdmin = Permissions.hasGuildPermission(interaction.member, ['Administrator']);
+      if (ticket.staffId !== interaction.user.id && !isAdmin) {
+        await interaction.reply({
+          content: `只有認領人 <@${ticket.staffId}> 或管理員可以取消認領。`,
+          ephemeral: true
+        });
+        return;
+      }
+
+      const previousClaimerId = ticket.staffId;
+      await this.ticketService.unclaimTicket(ticket.id);
+      await this.ticketService.recordTicketEvent(ticket.id, 'unclaimed', interaction.user, { before: previousClaimerId });
+      await this.releaseClaimPermissions(interaction.channel, ticket, previousClaimerId);
+
+      ticket.staffId = null;
+      const content = previousClaimerId === interaction.user.id
+        ? `↩️ <@${interaction.user.id}> 已取消認領此客服單。`
+        : `↩️ ${interaction.user} 已取消 <@${previousClaimerId}> 對此客服單的認領。`;
+      await this.sendTicketUpdate(interaction, ticket, content);
+
+      logger.info(`Ticket ${ticket.id} unclaimed by ${interaction.user.tag}`);
+    } catch (error) {
+      logger.error(`Error unclaiming ticket: ${error.message}`);
+
+      try {
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: '取消認領客服單時出錯。請稍後再試。',
+            ephemeral: true
+          });
+        }
+      } catch (replyError) {
+        logger.error(`Failed to reply to interaction: ${replyError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Escalate the ticket in the current channel to the next tier of its department's ladder
+   * @param {Interaction} interaction - The button or command interaction
+   * @param {String|null} reason - Why the ticket is escalated
+   * @return {Promise<void>}
+   */
+  async escalateTicket(interaction, reason = null) {
+    try {
+      const ticket = await this.ticketService.getTicketByChannelId(interaction.channel.id);
+
+      if (!ticket || ticket.status === TicketStatus.CLOSED) {
+        await interaction.reply({
+          content: '找不到與此頻道相關的客服單。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (!(await this.isTicketStaff(interaction.member, ticket))) {
+        await interaction.reply({
+          content: '只有該部門的客服人員可以升級此客服單。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const { next } = await this.getEscalationState(ticket);
+      if (!next) {
+        await interaction.reply({
+          content: ticket.escalationLevel > 0 ? '此客服單已升級至最高層級。' : '此部門沒有設置升級層級。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      // Bring the tier into the ticket, earlier tiers keep their access
+      if (interaction.channel.isThread()) {
+        // An exclusive claim keeps the other staff out of the thread, the tier joins when the claim is released
+        if (!(await this.isClaimedExclusively(interaction.guild.id, ticket))) {
+          await this.addRoleMembersToThread(interaction.channel, [next.roleId]);
+        }
+      } else {
+        const settings = await this.ticketService.getGuildSettings(interaction.guild.id);
+        await interaction.channel.permissionOverwrites.create(next.roleId, {
+          ViewChannel: true,
+          // An exclusive claim keeps the other staff read-only, the new tier included
+          SendMessages: !(settings.claimExclusive && ticket.staffId),
+          ReadMessageHistory: true,
+          AttachFiles: true,
+          EmbedLinks: true
+        });
+      }
+
+      // The internal notes thread is private as well, so the tier's members are added to it
+      if (ticket.notesThreadId) {
+        const threadParent = interaction.channel.isThread() ? interaction.channel.parent : interaction.channel;
+        const notesThread = await threadParent.threads.fetch(ticket.notesThreadId).catch(() => null);
+        if (notesThread) {
+          await this.addRoleMembersToThread(notesThread, [next.roleId]);
+        }
+      }
+
+      await this.ticketService.updateTicketEscalation(ticket.id, next.level);
+      await this.ticketService.recordTicketEvent(ticket.id, 'escalated', interaction.user, {
+        before: ticket.escalationLevel || 0,
+        after: next.level,
+        details: reason ? `${next.name} · ${reason}` : next.name
+      });
+      ticket.escalationLevel = next.level;
+
+      // An escalated ticket needs a human, the same way a handoff does
+      if (ticket.status === TicketStatus.OPEN) {
+        await this.lifecycle.transition(ticket, TicketStatus.WAITING_STAFF, interaction.user);
+        await this.ticketService.updateTicketAIHandled(ticket.id, false);
+        await this.ticketService.assignTicketToStaff(ticket.id, ticket.staffId || null);
+      }
+
+      // The new tier gets the full reminder countdown
+      await reminderService.handleTicketEscalation(ticket);
+
+      await this.ticketService.saveMessage({
+        id: uuidv4(),
+        ticketId: ticket.id,
+        userId: interaction.client.user.id,
+        username: interaction.client.user.tag,
+        content: JSON.stringify({
+          isEscalationNotice: true,
+          timestamp: moment().tz(config.timezone || 'Asia/Taipei').toISOString(),
+          message: `${interaction.user.tag} 將客服單升級至第 ${next.level} 級：${next.name}${reason ? `（原因：${reason}）` : ''}`
+        }),
+        timestamp: moment().tz(config.timezone || 'Asia/Taipei').toDate()
+      });
+
+      const content = `<@&${next.roleId}>\n\n⏫ ${interaction.user} 已將此客服單升級至 **第 ${next.level} 級 · ${next.name}**，請盡快回應。` +
+        (reason ? `\n原因：${reason}` : '');
+      await this.sendTicketUpdate(interaction, ticket, content);
+
+      logger.info(`Ticket ${ticket.id} escalated to level ${next.level} by ${interaction.user.tag}`);
+    } catch (error) {
+      logger.error(`Error escalating ticket: ${error.message}`);
+
+      try {
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: '升級客服單時出錯。請稍後再試。',
+            ephemeral: true
+          });
+        }
+      } catch (replyError) {
+        logger.error(`Failed to reply to interaction: ${replyError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Post an auto-assignment offer that mentions only the chosen staff member
+   * @param {TextChannel|ThreadChannel} channel - The ticket channel
+   * @param {Object} ticket - The ticket object
+   * @param {Object} department - The ticket's department
+   * @param {String} userId - The chosen staff member's user ID
+   * @param {Array<String>} declinedUserIds - Staff who already declined the ticket
+   * @return {Promise<void>}
+   */
+  async sendAssignmentOffer(channel, ticket, department, userId, declinedUserIds = []) {
+    const message = await channel.send({
+      content: `<@${userId}> 此客服單已自動分派給您，請在 **${department.assignTimeoutMinutes} 分鐘**內接受，逾時將改為通知部門所有客服人員。`,
+      components: [Embeds.assignmentOfferButtons(ticket.id)]
+    });
+
+    await assignService.saveOffer(department.id, {
+      ticketId: ticket.id,
+      userId,
+      channelId: channel.id,
+      messageId: message.id,
+      declinedUserIds,
+      expiresAt: moment().add(department.assignTimeoutMinutes, 'minutes').toDate()
+    });
+
+    logger.info(`Ticket ${ticket.id} offered to ${userId} by auto-assignment (${department.assignMode})`);
+  }
+
+  /**
+   * Claim the ticket for the staff member who accepted its assignment offer
+   * @param {ButtonInteraction} interaction - The accept button interaction
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<void>}
+   */
+  async acceptTicketAssignment(interaction, ticketId) {
+    try {
+      const offer = await assignService.getOffer(ticketId);
+      if (!offer || offer.userId !== interaction.user.id) {
+        await interaction.reply({
+          content: '此分派已失效，或不是分派給您的。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      await assignService.deleteOffer(ticketId);
+
+      const ticket = await this.ticketService.getTicket(ticketId);
+      if (!ticket || ticket.status === TicketStatus.CLOSED || ticket.staffId) {
+        await interaction.update({ content: '此客服單已不需要分派。', components: [] });
+        return;
+      }
+
+      await this.ticketService.claimTicket(ticket.id, interaction.user.id);
+      await this.ticketService.recordTicketEvent(ticket.id, 'claimed', interaction.user, { after: interaction.user.id, details: '接受自動分派' });
+      await this.applyClaimPermissions(interaction.channel, ticket, interaction.user.id);
+      await assignService.recordAssignment(ticket.departmentId, interaction.user.id);
+
+      ticket.staffId = interaction.user.id;
+      webhookService.dispatch('ticket.claimed', ticket, { actorId: interaction.user.id, autoAssigned: true });
+      await this.sendTicketUpdate(interaction, ticket, `✅ <@${interaction.user.id}> 已接受分派並認領此客服單。`);
+
+      logger.info(`Ticket ${ticket.id} assignment accepted by ${interaction.user.tag}`);
+    } catch (error) {
+      logger.error(`Error accepting ticket assignment: ${error.message}`);
+
+      try {
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: '接受分派時出錯。請稍後再試。',
+            ephemeral: true
+          });
+        }
+      } catch (replyError) {
+        logger.error(`Failed to reply to interaction: ${replyError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Pass the ticket on to the next staff member, or to the department roles when nobody is left
+   * @param {ButtonInteraction} interaction - The decline button interaction
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<void>}
+   */
+  async declineTicketAssignment(interaction, ticketId) {
+    try {
+      const offer = await assignService.getOffer(ticketId);
+      if (!offer || offer.userId !== interaction.user.id) {
+        await interaction.reply({
+          content: '此分派已失效，或不是分派給您的。',
+          ephemeral: true
+        });
+        return;
+      }
+
+      await assignService.deleteOffer(ticketId);
+      await interaction.update({ content: `↩️ <@${interaction.user.id}> 已略過此客服單的分派。`, components: [] });
+
+      const ticket = await this.ticketService.getTicket(ticketId);
+      if (!ticket || ticket.status === TicketStatus.CLOSED || ticket.staffId) return;
+
+      const department = await this.ticketService.getDepartment(ticket.departmentId);
+      const departmentRoles = await this.ticketService.getDepartmentRoles(ticket.departmentId);
+      const declinedUserIds = [...offer.declinedUserIds, interaction.user.id];
+      const assigneeId = await assignService.pickAssignee(interaction.guild, department, departmentRoles, declinedUserIds);
+
+      if (assigneeId) {
+        await this.sendAssignmentOffer(interaction.channel, ticket, department, assigneeId, declinedUserIds);
+      } else {
+        await this.notifyDepartmentRoles(interaction.channel, ticket, '沒有其他可分派的客服人員');
+      }
+
+      logger.info(`Ticket ${ticket.id} assignment declined by ${interaction.user.tag}`);
+    } catch (error) {
+      logger.error(`Error declining ticket assignment: ${error.message}`);
+
+      try {
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: '略過分派時出錯。請稍後再試。',
+            ephemeral: true
+          });
+        }
+      } catch (replyError) {
+        logger.error(`Failed to reply to interaction: ${replyError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Fall back to the department roles when an assignment offer was not accepted in time
+   * @param {Client} client - The Discord client
+   * @param {Object} offer - The expired offer
+   * @return {Promise<void>}
+   */
+  async expireTicketAssignment(client, offer) {
+    try {
+      await assignService.deleteOffer(offer.ticketId);
+
+      const ticket = await this.ticketService.getTicket(offer.ticketId);
+      if (!ticket || ticket.status === TicketStatus.CLOSED || ticket.staffId) return;
+
+      const channel = await client.channels.fetch(offer.channelId).catch(() => null);
+      if (!channel) return;
+
+      if (offer.messageId) {
+        const message = await channel.messages.fetch(offer.messageId).catch(() => null);
+        if (message) {
+          await message.edit({ content: `⌛ <@${offer.userId}> 未在時限內接受分派。`, components: [] }).catch(() => {});
+        }
+      }
+
+      await this.notifyDepartmentRoles(channel, ticket, '分派的客服人員未在時限內接受');
+
+      logger.info(`Assignment offer of ticket ${ticket.id} to ${offer.userId} expired`);
+    } catch (error) {
+      logger.error(`Error expiring ticket assignment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Withdraw the pending assignment offer of a ticket, e.g. after someone else claimed it
+   * @param {TextChannel|ThreadChannel} channel - The ticket channel
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<void>}
+   */
+  async cancelTicketAssignment(channel, ticketId) {
+    const offer = await assignService.getOffer(ticketId);
+    if (!offer) return;
+
+    await assignService.deleteOffer(ticketId);
+
+    if (offer.messageId) {
+      const message = await channel.messages.fetch(offer.messageId).catch(() => null);
+      if (message) {
+        await message.edit({ components: [] }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Ping the department roles of a ticket that auto-assignment could not place
+   * @param {TextChannel|ThreadChannel} channel - The ticket channel
+   * @param {Object} ticket - The ticket object
+   * @param {String} reason - Why the roles are pinged
+   * @return {Promise<void>}
+   */
+  async notifyDepartmentRoles(channel, ticket, reason) {
+    const departmentRoles = await this.ticketService.getDepartmentRoles(ticket.departmentId);
+    const roleMentions = departmentRoles.map(roleId => `<@&${roleId}>`).join(' ');
+
+    await channel.send({
+      content: `${roleMentions}\n\n${reason}，請盡快回應此客服單。`
+    });
+  }
+
+  /**
+   * Post the updated ticket embed after a claim or priority change
+   * @param {Interaction} interaction - The button, select menu or command interaction
+   * @param {Object} ticket - The ticket object with the change applied
+   * @param {String} content - The notification text
+   * @return {Promise<void>}
+   */
+  async sendTicketUpdate(interaction, ticket, content) {
+    const department = await this.ticketService.getDepartment(ticket.departmentId);
+    const user = await interaction.client.users.fetch(ticket.userId).catch(() => null);
+    const userTag = user ? user.tag : 'Unknown User';
+    const escalation = await this.getEscalationState(ticket);
+
+    const ticketEmbed = Embeds.ticketInfoEmbed({
+      id: ticket.id.split('-')[0],
+      departmentId: ticket.departmentId,
+      description: await this.getTicketDescription(ticket.id),
+      formData: ticket.formData,
+      priority: ticket.priority,
+      status: ticket.status,
+      staffId: ticket.staffId,
+      escalation: escalation.current,
+      createdAt: ticket.createdAt
+    }, userTag, department);
+
+    // Handoff is only offered while the AI is still handling the ticket
+    const showHandoffButton = config.ai && config.ai.enabled && ticket.status === TicketStatus.OPEN;
+    const message = {
+      content,
+      embeds: [ticketEmbed],
+      components: [Embeds.ticketControlButtons(showHandoffButton, ticket.staffId, Boolean(escalation.next))]
+    };
+
+    if (interaction.isButton()) {
+      // Move the controls to the new message, like the handoff flow does
+      await interaction.update({ components: [] });
+      await interaction.channel.send(message);
+    } else if (interaction.isStringSelectMenu()) {
+      // The select menu lives on an ephemeral message, so just close it
+      await interaction.update({ content: '✅ 已更新客服單。', components: [] });
+      await interaction.channel.send(message);
+    } else {
+      await interaction.reply(message);
+    }
+  }
+
+  /**
+   * Build a ticket channel name, prefixed with the priority marker
+   * @param {String} departmentName - The department name
+   * @param {String} ticketIdSection - The first section of the ticket UUID
+   * @param {String} priority - The ticket priority
+   * @return {String} The channel name
+   */
+  buildChannelName(departmentName, ticketIdSection, priority = 'normal') {
+    const priorityConfig = config.ticketPriority[priority] || config.ticketPriority.normal;
+    const baseName = `${departmentName}-${ticketIdSection}`;
+
+    return priorityConfig.channelPrefix ? `${priorityConfig.channelPrefix}-${baseName}` : baseName;
+  }
+
+  /**
+   * Check whether a member is department staff for the ticket or an admin
+   * @param {GuildMember} member - The guild member
+   * @param {Object} ticket - The ticket object
+   * @return {Promise<Boolean>} Whether the member can manage the ticket
+   */
+  async isTicketStaff(member, ticket) {
+    if (Permissions.hasGuildPermission(member, ['Administrator'])) return true;
+
+    const staffRoles = await this.getTicketStaffRoles(ticket);
+    return member.roles.cache.some(role => staffRoles.includes(role.id));
+  }
+
+  /**
+   * Get the roles that staff a ticket, the department roles plus every escalation tier the ticket reached
+   * @param {Object} ticket - The ticket object
+   * @return {Promise<Array<String>>} Role IDs
+   */
+  async getTicketStaffRoles(ticket) {
+    const departmentRoles = await this.ticketService.getDepartmentRoles(ticket.departmentId);
+    if (!ticket.escalationLevel) return departmentRoles;
+
+    const tiers = await this.ticketService.getEscalationTiers(ticket.departmentId);
+    const tierRoles = tiers
+      .filter(tier => tier.level <= ticket.escalationLevel)
+      .map(tier => tier.roleId);
+
+    return [...new Set([...departmentRoles, ...tierRoles])];
+  }
+
+  /**
+   * Get the escalation tier a ticket is at and the tier above it
+   * @param {Object} ticket - The ticket object
+   * @return {Promise<Object>} The current tier (null while the department roles handle the ticket) and the next tier (null at the top)
+   */
+  async getEscalationState(ticket) {
+    const tiers = await this.ticketService.getEscalationTiers(ticket.departmentId);
+    const level = ticket.escalationLevel || 0;
+
+    return {
+      current: tiers.find(tier => tier.level === level) || null,
+      next: tiers.find(tier => tier.level === level + 1) || null
+    };
+  }
+
+  /**
+   * Show the priority select menu for the ticket in the current channel
+   * @param {Interaction} interaction - The command interaction
+   * @return {Promise<void>}
+   */
+  async showPrioritySelect(interaction) {
+    const ticket = await this.ticketService.getTicketByChannelId(interaction.channel.id);
+
+    if (!ticket || ticket.status === TicketStatus.CLOSED) {
+      await interaction.reply({
+        content: '找不到與此頻道相關的客服單。',
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (!(await this.isTicketStaff(interaction.member, ticket))) {
+      await interaction.reply({
+        content: '只有該部門的客服人員可以設定優先級。',
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.reply({
+      content: '請選擇此客服單的優先級：',
+      components: [Embeds.prioritySelectMenu(ticket.priority)],
+      ephemeral: true
+    });
+  }
+
+  /**
+   * Set the priority of the ticket in the current channel
+   * @param {Interaction} interaction - The select menu or command interaction
+   * @param {String} priority - The new priority (low, normal, high, urgent)
+   * @return {Promise<void>}
+   */
+  async setTicketPriority(interaction, priority) {
+    try {
+      const ticket = await this.ticketService.getTicketByChannelId(interaction.channel.id);
 
-      // Get the ticket description from messages
-      const messages = await this.ticketService.getTicketMessages(ticket.id);
-      let description = '無描述';
+      if (!ticket || ticket.status === TicketStatus.CLOSED) {
+        await interaction.reply({
+          content: '找不到與此頻道相關的客服單。',
+          ephemeral: true
+        });
+        return;
+      }
 
-      // Find the description message
-      for (const message of messages) {
-        try {
-          const content = JSON.parse(message.content);
-          if (content.isDescription) {
-            description = content.text;
-            break;
-          }
-        } catch (e) {
-          // Not a JSON message, skip
-        }
+      if (!config.ticketPriority[priority]) {
+        await interaction.reply({
+          content: '無效的優先級。',
+          ephemeral: true
+        });
+        return;
       }
 
-      // Create new ticket info embed with updated status
-      const ticketEmbed = Embeds.ticketInfoEmbed({
-        id: ticket.id.split('-')[0],
-        departmentId: ticket.departmentId,
-        description: description,
-        status: 'waitingStaff',
-        createdAt: ticket.createdAt
-      }, userTag);
+      if (!(await this.isTicketStaff(interaction.member, ticket))) {
+        await interaction.reply({
+          content: '只有該部門的客服人員可以設定優先級。',
+          ephemeral: true
+        });
+        return;
+      }
 
-      // Send notification and update ticket status
-      await interaction.update({
-        content: '正在轉接至人工客服...',
-        components: []
-      });
+      if (ticket.priority === priority) {
+        await interaction.reply({
+          content: '此客服單已經是該優先級。',
+          ephemeral: true
+        });
+        return;
+      }
 
-      // Send notification to department roles
-      await interaction.channel.send({
-        content: `${roleMentions}\n\n此客服單已請求人工協助，請盡快回應。`,
-        embeds: [ticketEmbed],
-        components: [Embeds.ticketControlButtons(false)] // No handoff button needed anymore
-      });
+      await this.ticketService.updateTicketPriority(ticket.id, priority);
+      await this.ticketService.recordTicketEvent(ticket.id, 'priority', interaction.user, { before: ticket.priority || 'normal', after: priority });
+      ticket.priority = priority;
 
-      // Send confirmation to the user
-      await interaction.followUp({
-        content: '已通知客服人員，請稍候片刻。',
-        ephemeral: true
-      });
+      const priorityConfig = config.ticketPriority[priority];
+      await this.sendTicketUpdate(interaction, ticket, `${priorityConfig.emoji} ${interaction.user} 已將此客服單的優先級設為 **${priorityConfig.name}**。`);
 
-      // Now send the off-hours message if needed (after the embed and confirmation)
-      if (offHoursMessage) {
-        await interaction.channel.send(offHoursMessage);
+      // Renames are heavily rate limited by Discord, so do it after the reply and don't fail on it
+      const department = await this.ticketService.getDepartment(ticket.departmentId);
+      if (department) {
+        const ticketIdMatch = interaction.channel.name.match(/([a-f0-9]{8})$/);
+        const ticketIdSection = ticketIdMatch ? ticketIdMatch[1] : ticket.id.split('-')[0];
+        interaction.channel.setName(this.buildChannelName(department.name, ticketIdSection, priority))
+          .catch(error => logger.warn(`Could not rename channel: ${error.message}`));
       }
+
+      logger.info(`Ticket ${ticket.id} priority set to ${priority} by ${interaction.user.tag}`);
     } catch (error) {
-      logger.error(`Error handling human handoff: ${error.message}`);
-      
-      // Check if we can respond to this interaction
+      logger.error(`Error setting ticket priority: ${error.message}`);
+
       try {
         if (!interaction.replied && !interaction.deferred) {
           await interaction.reply({
-            content: '轉接人工客服時出錯。請稍後再試。',
+            content: '設定優先級時出錯。請稍後再試。',
             ephemeral: true
           });
         }
@@ -808,6 +2488,131 @@ class TicketController {
     }
   }
 
+  /**
+   * Restrict replies to the claimer when the guild enables exclusive claims
+   * @param {TextChannel|ThreadChannel} channel - The ticket channel or thread
+   * @param {Object} ticket - The ticket object
+   * @param {String} claimerId - The staff member who claimed the ticket
+   * @return {Promise<void>}
+   */
+  async applyClaimPermissions(channel, ticket, claimerId) {
+    const settings = await this.ticketService.getGuildSettings(channel.guild.id);
+    if (!settings.claimExclusive) return;
+
+    const staffRoles = await this.getTicketStaffRoles(ticket);
+
+    // Thread members can't be made read-only, so the other staff leave the thread until the claim is released
+    if (channel.isThread()) {
+      await this.removeOtherStaffFromThread(channel, ticket, staffRoles, claimerId);
+      return;
+    }
+
+    for (const roleId of staffRoles) {
+      await channel.permissionOverwrites.edit(roleId, {
+        SendMessages: false
+      }).catch(() => {}); // Ignore errors if role was deleted
+    }
+
+    // Administrators bypass channel overwrites, so only the claimer needs an explicit grant
+    await channel.permissionOverwrites.edit(claimerId, {
+      ViewChannel: true,
+      SendMessages: true,
+      ReadMessageHistory: true,
+      AttachFiles: true,
+      EmbedLinks: true
+    });
+  }
+
+  /**
+   * Give department staff their reply permission back after a claim is released
+   * @param {TextChannel|ThreadChannel} channel - The ticket channel or thread
+   * @param {Object} ticket - The ticket object
+   * @param {String} claimerId - The staff member whose claim was released
+   * @return {Promise<void>}
+   */
+  async releaseClaimPermissions(channel, ticket, claimerId) {
+    // Always restore, the exclusive setting may have been turned off since the claim
+    const staffRoles = await this.getTicketStaffRoles(ticket);
+
+    if (channel.isThread()) {
+      await this.addRoleMembersToThread(channel, staffRoles);
+      return;
+    }
+
+    for (const roleId of staffRoles) {
+      await channel.permissionOverwrites.edit(roleId, {
+        SendMessages: true
+      }).catch(() => {}); // Ignore errors if role was deleted
+    }
+
+    // Keep the overwrite if the claimer was also invited to the ticket
+    const invites = await this.ticketService.getTicketInvites(ticket.id);
+    if (!invites.some(invite => invite.invitee_id === claimerId)) {
+      await channel.permissionOverwrites.delete(claimerId).catch(() => {});
+    }
+  }
+
+  /**
+   * Remove the staff of a claimed ticket thread except the claimer, the customer and invited users stay
+   * @param {ThreadChannel} thread - The ticket thread
+   * @param {Object} ticket - The ticket object
+   * @param {Array<String>} staffRoles - The ticket's staff role IDs
+   * @param {String} claimerId - The staff member who claimed the ticket
+   * @return {Promise<void>}
+   */
+  async removeOtherStaffFromThread(thread, ticket, staffRoles, claimerId) {
+    await thread.members.add(claimerId).catch(() => {}); // Admins may claim without being a thread member
+
+    const invites = await this.ticketService.getTicketInvites(ticket.id);
+    const keepIds = new Set([ticket.userId, claimerId, ...invites.map(invite => invite.invitee_id)]);
+
+    const threadMembers = await thread.members.fetch();
+    for (const threadMember of threadMembers.values()) {
+      if (keepIds.has(threadMember.id) || threadMember.id === thread.client.user.id) continue;
+
+      const member = await thread.guild.members.fetch(threadMember.id).catch(() => null);
+      if (!member || !staffRoles.some(roleId => member.roles.cache.has(roleId))) continue;
+
+      await thread.members.remove(threadMember.id).catch(error => {
+        logger.warn(`Could not remove ${threadMember.id} from claimed ticket thread: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Whether a ticket is claimed while the guild enables exclusive claims, its thread then only holds the claimer
+   * @param {String} guildId - The guild ID
+   * @param {Object} ticket - The ticket object
+   * @return {Promise<Boolean>} True if other staff must stay out of the ticket thread
+   */
+  async isClaimedExclusively(guildId, ticket) {
+    if (!ticket.staffId) return false;
+    const settings = await this.ticketService.getGuildSettings(guildId);
+    return Boolean(settings.claimExclusive);
+  }
+
+  /**
+   * Get the description a ticket was opened with
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<String>} The description text
+   */
+  async getTicketDescription(ticketId) {
+    const messages = await this.ticketService.getTicketMessages(ticketId);
+
+    for (const message of messages) {
+      try {
+        const content = JSON.parse(message.content);
+        if (content.isDescription) {
+          return content.text;
+        }
+      } catch (e) {
+        // Not a JSON message, skip
+      }
+    }
+
+    return '無描述';
+  }
+
   /**
    * Archive all messages from a ticket channel
    * @param {TextChannel} channel - The ticket channel
@@ -861,6 +2666,7 @@ class TicketController {
           ticketId: ticketId,
           userId: message.author.id,
           username: message.author.tag || message.author.username || 'Unknown User',
+          avatarUrl: message.author.displayAvatarURL(),
           content: content,
           timestamp: message.createdAt
         });
@@ -903,16 +2709,27 @@ class TicketController {
       const member = await message.guild.members.fetch(message.author.id).catch(() => null);
       let isStaff = false;
       if (member) {
-        const departmentRoles = await this.ticketService.getDepartmentRoles(ticket.departmentId);
-        isStaff = departmentRoles.some(roleId => member.roles.cache.has(roleId));
+        const staffRoles = await this.getTicketStaffRoles(ticket);
+        isStaff = staffRoles.some(roleId => member.roles.cache.has(roleId));
       }
 
       logger.debug(`Processing message in ticket ${ticket.id}: ` +
         `status=${ticket.status}, human_handled=${ticket.human_handled}, ` +
         `isStaff=${isStaff}, authorId=${message.author.id}, ticketUserId=${ticket.userId}`);
 
+      // A customer reply puts pending customer and resolved tickets back in the staff queue
+      if (!isStaff && message.author.id === ticket.userId && TicketLifecycle.CUSTOMER_REPLY_STATUSES.includes(ticket.status)) {
+        await this.lifecycle.transition(ticket, TicketStatus.WAITING_STAFF, message.author, '客戶回覆');
+        const status = config.ticketStatus[ticket.status];
+        await message.channel.send({
+          content: `💬 客戶已回覆，客服單狀態已變更為 ${status.emoji} ${status.name}。`
+        }).catch(error => {
+          logger.warn(`Could not send status change notice: ${error.message}`);
+        });
+      }
+
       // Handle reminder tracking first (for both staff and customer messages)
-      if (ticket.status === 'waitingStaff' || ticket.human_handled) {
+      if (ticket.status !== TicketStatus.OPEN || ticket.human_handled) {
         if (isStaff) {
           // Staff response
           await reminderService.handleTicketMessage(message, ticket, true);
@@ -922,15 +2739,21 @@ class TicketController {
         }
       }
 
-      // Skip AI processing if AI is disabled or ticket is waiting for staff
-      if (!config.ai || !config.ai.enabled || ticket.status === 'waitingStaff') return;
+      // Skip AI processing if AI is disabled or staff have taken over the ticket
+      if (!config.ai || !config.ai.enabled || ticket.status !== TicketStatus.OPEN) return;
 
       // Skip AI processing if the message author isn't the ticket creator
       if (message.author.id !== ticket.userId) {
         if (isStaff) {
-          // Update ticket to waiting for staff status
-          await this.ticketService.updateTicketStatus(ticket.id, 'waitingStaff');
-          await this.ticketService.assignTicketToStaff(ticket.id, message.author.id);
+          // The first staff reply implicitly claims the ticket unless someone already did
+          const claimerId = ticket.staffId || message.author.id;
+          await this.lifecycle.transition(ticket, TicketStatus.WAITING_STAFF, message.author);
+          await this.ticketService.claimTicket(ticket.id, claimerId);
+          if (!ticket.staffId) {
+            await this.ticketService.recordTicketEvent(ticket.id, 'claimed', message.author, { after: claimerId, details: '首次回覆' });
+            webhookService.dispatch('ticket.claimed', { ...ticket, staffId: claimerId }, { actorId: message.author.id });
+            await this.applyClaimPermissions(message.channel, ticket, claimerId);
+          }
 
           // Update the ticket embed with new status
           const user = await message.client.users.fetch(ticket.userId).catch(() => null);
@@ -954,19 +2777,25 @@ class TicketController {
           }
 
           // Create updated ticket info embed
+          const department = await this.ticketService.getDepartment(ticket.departmentId);
+          const escalation = await this.getEscalationState(ticket);
           const ticketEmbed = Embeds.ticketInfoEmbed({
             id: ticket.id.split('-')[0],
             departmentId: ticket.departmentId,
             description: description,
-            status: 'waitingStaff',
+            formData: ticket.formData,
+            priority: ticket.priority,
+            status: ticket.status,
+            staffId: claimerId,
+            escalation: escalation.current,
             createdAt: ticket.createdAt
-          }, userTag);
+          }, userTag, department);
 
           // Send updated status message
           await message.channel.send({
             content: `<@${message.author.id}> 已接手處理此客服單。`,
             embeds: [ticketEmbed],
-            components: [Embeds.ticketControlButtons(false)]
+            components: [Embeds.ticketControlButtons(false, claimerId, Boolean(escalation.next))]
           });
         }
         return;
@@ -1035,6 +2864,7 @@ class TicketController {
         ticketId: ticket.id,
         userId: message.author.id,
         username: message.author.tag || message.author.username || "Unknown User",
+        avatarUrl: message.author.displayAvatarURL(),
         content: message.content,
         timestamp: message.createdAt
       });
@@ -1118,57 +2948,31 @@ class TicketController {
       const ticketIdSection = ticketIdMatch ? ticketIdMatch[1] : ticket.id.split('-')[0];
       
       // Update channel name with new department name
-      const channelName = `${targetDepartment.name}-${ticketIdSection}`;
+      const channelName = this.buildChannelName(targetDepartment.name, ticketIdSection, ticket.priority);
       try {
         await currentChannel.setName(channelName);
       } catch (error) {
         logger.warn(`Could not rename channel: ${error.message}`);
       }
 
-      // Update channel category if different
-      if (targetDepartment.categoryId && targetDepartment.categoryId !== currentDepartment.categoryId) {
-        try {
-          await currentChannel.setParent(targetDepartment.categoryId);
-        } catch (error) {
-          logger.warn(`Could not move channel to new category: ${error.message}`);
-        }
-      }
-
-      // Update channel permissions - add new roles before removing old ones to maintain access
-      // First, add permissions for new department roles
-      const newDepartmentRoles = await this.ticketService.getDepartmentRoles(targetDepartmentId);
-      for (const roleId of newDepartmentRoles) {
-        try {
-          await currentChannel.permissionOverwrites.create(roleId, {
-            ViewChannel: true,
-            SendMessages: true,
-            ReadMessageHistory: true,
-            AttachFiles: true,
-            EmbedLinks: true
-          });
-        } catch (error) {
-          logger.warn(`Could not add role ${roleId} permissions: ${error.message}`);
-        }
-      }
-
-      // Small delay to ensure permissions are applied
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      // Then remove permissions for old department roles
-      const oldDepartmentRoles = await this.ticketService.getDepartmentRoles(ticket.departmentId);
-      for (const roleId of oldDepartmentRoles) {
-        try {
-          // Only delete if it's not in the new department roles (to handle cases where a role is in both departments)
-          if (!newDepartmentRoles.includes(roleId)) {
-            await currentChannel.permissionOverwrites.delete(roleId);
-          }
-        } catch (error) {
-          logger.warn(`Could not remove role ${roleId} permissions: ${error.message}`);
-        }
+      let moveWarning = null;
+      if (currentChannel.isThread()) {
+        // A thread can't move to another channel, it stays where it is and only its members change
+        await this.transferThreadMembers(currentChannel, ticket, targetDepartmentId);
+      } else {
+        moveWarning = await this.transferChannelPermissions(currentChannel, ticket, currentDepartment, targetDepartment);
       }
 
       // Update the ticket in database only after all channel operations succeed
       await this.ticketService.transferTicketDepartment(ticket.id, targetDepartmentId);
+      await this.ticketService.recordTicketEvent(ticket.id, 'transferred', interaction.user, { before: ticket.departmentId, after: targetDepartmentId });
+      webhookService.dispatch('ticket.transferred', { ...ticket, departmentId: targetDepartmentId }, {
+        actorId: interaction.user.id,
+        fromDepartmentId: ticket.departmentId
+      });
+
+      // The offered staff member may not work in the target department
+      await this.cancelTicketAssignment(currentChannel, ticket.id);
 
       // Send notification message
       const transferEmbed = new EmbedBuilder()
@@ -1189,6 +2993,10 @@ class TicketController {
         )
         .setTimestamp();
 
+      if (moveWarning) {
+        transferEmbed.addFields({ name: '⚠️ 注意', value: moveWarning });
+      }
+
       await interaction.editReply({
         embeds: [transferEmbed]
       });
@@ -1216,6 +3024,119 @@ class TicketController {
     }
   }
 
+  /**
+   * Move a ticket channel to the target department's category and swap the department role permissions
+   * @param {TextChannel} channel - The ticket channel
+   * @param {Object} ticket - The ticket object
+   * @param {Object} currentDepartment - The department the ticket is transferred from
+   * @param {Object} targetDepartment - The department the ticket is transferred to
+   * @return {Promise<String|null>} Why the channel stayed in its old category, null if it was moved or didn't need to
+   */
+  async transferChannelPermissions(channel, ticket, currentDepartment, targetDepartment) {
+    let moveWarning = null;
+
+    // Update channel category if different, the target's main category may be full
+    if (targetDepartment.categoryId && targetDepartment.categoryId !== currentDepartment.categoryId) {
+      const previousCategoryId = channel.parentId;
+      try {
+        let categoryChannel = await channel.guild.channels.fetch(targetDepartment.categoryId).catch(() => null);
+        if (!categoryChannel) {
+          moveWarning = `找不到 **${targetDepartment.name}** 部門的分類，頻道仍留在原本的分類中，請檢查部門設定。`;
+        } else if (categoryChannel.children.cache.size >= MAX_CATEGORY_CHANNELS) {
+          // New overflow categories copy the permissions of the main category
+          const permissionOverwrites = categoryChannel.permissionOverwrites.cache.map(overwrite => overwrite.toJSON());
+          categoryChannel = await this.getOverflowCategory(channel.guild, targetDepartment, permissionOverwrites);
+          if (!categoryChannel) {
+            moveWarning = `**${targetDepartment.name}** 部門的分類已滿且無法建立新的分類，頻道仍留在原本的分類中。`;
+          }
+        }
+
+        if (categoryChannel) {
+          await channel.setParent(categoryChannel.id);
+        }
+      } catch (error) {
+        logger.warn(`Could not move channel to new category: ${error.message}`);
+        moveWarning = `無法將頻道移至 **${targetDepartment.name}** 部門的分類，頻道仍留在原本的分類中。`;
+      }
+
+      if (previousCategoryId && channel.parentId !== previousCategoryId) {
+        await this.removeEmptyOverflowCategory(channel.guild, previousCategoryId).catch(error => {
+          logger.warn(`Could not remove overflow category: ${error.message}`);
+        });
+      }
+    }
+
+    // Update channel permissions - add new roles before removing old ones to maintain access
+    // First, add permissions for new department roles
+    const newDepartmentRoles = await this.ticketService.getDepartmentRoles(targetDepartment.id);
+    for (const roleId of newDepartmentRoles) {
+      try {
+        await channel.permissionOverwrites.create(roleId, {
+          ViewChannel: true,
+          SendMessages: true,
+          ReadMessageHistory: true,
+          AttachFiles: true,
+          EmbedLinks: true
+        });
+      } catch (error) {
+        logger.warn(`Could not add role ${roleId} permissions: ${error.message}`);
+      }
+    }
+
+    // Small delay to ensure permissions are applied
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    // Then remove permissions for old department roles, escalation starts over in the new department
+    const oldDepartmentRoles = await this.getTicketStaffRoles(ticket);
+    for (const roleId of oldDepartmentRoles) {
+      try {
+        // Only delete if it's not in the new department roles (to handle cases where a role is in both departments)
+        if (!newDepartmentRoles.includes(roleId)) {
+          await channel.permissionOverwrites.delete(roleId);
+        }
+      } catch (error) {
+        logger.warn(`Could not remove role ${roleId} permissions: ${error.message}`);
+      }
+    }
+
+    return moveWarning;
+  }
+
+  /**
+   * Swap the department staff of a ticket thread, keeping the customer, the claimer and invited users
+   * @param {ThreadChannel} thread - The ticket thread
+   * @param {Object} ticket - The ticket object
+   * @param {String} targetDepartmentId - The department the ticket is transferred to
+   * @return {Promise<void>}
+   */
+  async transferThreadMembers(thread, ticket, targetDepartmentId) {
+    // An exclusive claim keeps the new staff out as well, they join when the claim is released
+    if (!(await this.isClaimedExclusively(thread.guild.id, ticket))) {
+      await this.addDepartmentStaffToThread(thread, targetDepartmentId);
+    }
+
+    const newDepartmentRoles = await this.ticketService.getDepartmentRoles(targetDepartmentId);
+    const oldDepartmentRoles = await this.getTicketStaffRoles(ticket);
+    const invites = await this.ticketService.getTicketInvites(ticket.id);
+    const keepIds = new Set([ticket.userId, ticket.staffId, ...invites.map(invite => invite.invitee_id)]);
+
+    const threadMembers = await thread.members.fetch();
+    for (const threadMember of threadMembers.values()) {
+      if (keepIds.has(threadMember.id) || threadMember.id === thread.client.user.id) continue;
+
+      const member = thread.guild.members.cache.get(threadMember.id);
+      if (!member) continue;
+
+      const wasStaff = oldDepartmentRoles.some(roleId => member.roles.cache.has(roleId));
+      const isStaff = newDepartmentRoles.some(roleId => member.roles.cache.has(roleId));
+      if (wasStaff && !isStaff) {
+        await thread.members.remove(threadMember.id).catch(error => {
+          logger.warn(`Could not remove ${threadMember.id} from ticket thread: ${error.message}`);
+        });
+      }
+    }
+  }
+
   /**
    * Invite a user to a ticket
    * @param {Interaction} interaction - The command interaction
@@ -1240,9 +3161,11 @@ class TicketController {
       
       // Check if the invitee already has permission
       const channel = interaction.channel;
-      const permissions = channel.permissionOverwrites.cache.get(invitee.id);
+      const alreadyMember = channel.isThread()
+        ? Boolean(await channel.members.fetch(invitee.id).catch(() => null))
+        : Boolean(channel.permissionOverwrites.cache.get(invitee.id)?.allow.has(PermissionFlagsBits.ViewChannel));
       
-      if (permissions && permissions.allow.has(PermissionFlagsBits.ViewChannel)) {
+      if (alreadyMember) {
         await interaction.editReply({
           content: `❌ ${invitee} 已經可以查看此客服單。`
         });
@@ -1250,16 +3173,11 @@ class TicketController {
       }
       
       // Add permissions for the invitee
-      await channel.permissionOverwrites.create(invitee.id, {
-        ViewChannel: true,
-        SendMessages: true,
-        ReadMessageHistory: true,
-        AttachFiles: true,
-        EmbedLinks: true
-      });
+      await this.addUserToTicketChannel(channel, invitee.id);
       
       // Record the invite in the database
       await this.ticketService.recordInvite(ticket.id, interaction.user.id, invitee.id);
+      await this.ticketService.recordTicketEvent(ticket.id, 'invited', interaction.user, { after: invitee.id, details: invitee.tag });
       
       // Create an embed for the invitation notification
       const inviteEmbed = new EmbedBuilder()
@@ -1283,13 +3201,14 @@ class TicketController {
       
       // Try to notify the invitee via DM
       try {
+        const department = await this.ticketService.getDepartment(ticket.departmentId);
         const dmEmbed = new EmbedBuilder()
           .setColor(0x0099FF)
           .setTitle('🎫 您已被邀請到客服單')
           .setDescription(`您已被 ${interaction.user.tag} 邀請加入客服單。`)
           .addFields(
             { name: '客服單頻道', value: `<#${channel.id}>`, inline: true },
-            { name: '部門', value: config.departments.find(d => d.id === ticket.departmentId)?.name || '未知', inline: true }
+            { name: '部門', value: department?.name || '未知', inline: true }
           )
           .setFooter({ text: '請點擊上方頻道連結查看客服單' })
           .setTimestamp();
@@ -1312,6 +3231,140 @@ class TicketController {
       });
     }
   }
+
+  /**
+   * Let a user see and reply in a ticket, by adding them to the thread or giving them channel access
+   * @param {TextChannel|ThreadChannel} channel - The ticket channel
+   * @param {String} userId - The user ID
+   * @return {Promise<void>}
+   */
+  async addUserToTicketChannel(channel, userId) {
+    if (channel.isThread()) {
+      await channel.members.add(userId);
+      return;
+    }
+
+    await channel.permissionOverwrites.create(userId, {
+      ViewChannel: true,
+      SendMessages: true,
+      ReadMessageHistory: true,
+      AttachFiles: true,
+      EmbedLinks: true
+    });
+  }
+
+  /**
+   * Merge the ticket in the current channel into another open ticket and close it
+   * @param {Interaction} interaction - The /ticket merge command interaction
+   * @param {String} targetTicketId - The full or short ID of the ticket to merge into
+   * @return {Promise<void>}
+   */
+  async mergeTickets(interaction, targetTicketId) {
+    const sourceTicket = await this.ticketService.getTicketByChannelId(interaction.channel.id);
+    if (!sourceTicket || sourceTicket.status === TicketStatus.CLOSED) {
+      await interaction.reply({ content: '請在要合併的客服單頻道中使用此命令。', ephemeral: true });
+      return;
+    }
+
+    const targetTicket = await this.ticketService.getTicketByIdPrefix(targetTicketId.trim());
+    if (!targetTicket || targetTicket.status === TicketStatus.CLOSED) {
+      await interaction.reply({ content: '找不到目標客服單，或目標客服單已關閉。', ephemeral: true });
+      return;
+    }
+
+    if (targetTicket.id === sourceTicket.id) {
+      await interaction.reply({ content: '無法將客服單合併至它自己。', ephemeral: true });
+      return;
+    }
+
+    // Merging moves the conversation to the other department, so staff must handle both
+    if (!(await this.isTicketStaff(interaction.member, sourceTicket)) || !(await this.isTicketStaff(interaction.member, targetTicket))) {
+      await interaction.reply({ content: '只有兩張客服單所屬部門的客服人員可以合併客服單。', ephemeral: true });
+      return;
+    }
+
+    const targetChannel = await interaction.guild.channels.fetch(targetTicket.channelId).catch(() => null);
+    if (!targetChannel) {
+      await interaction.reply({ content: '找不到目標客服單的頻道。', ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply();
+
+    try {
+      // Give the source customer and invitees access to the ticket the conversation continues in
+      const sourceInvites = await this.ticketService.getTicketInvites(sourceTicket.id);
+      const targetInvites = await this.ticketService.getTicketInvites(targetTicket.id);
+      const userIds = new Set([sourceTicket.userId, ...sourceInvites.map(invite => invite.invitee_id)]);
+
+      for (const userId of userIds) {
+        if (userId === targetTicket.userId || targetInvites.some(invite => invite.invitee_id === userId)) continue;
+
+        try {
+          await this.addUserToTicketChannel(targetChannel, userId);
+          await this.ticketService.recordInvite(targetTicket.id, interaction.user.id, userId);
+          await this.ticketService.recordTicketEvent(targetTicket.id, 'invited', interaction.user, { after: userId });
+        } catch (error) {
+          logger.warn(`Could not add ${userId} to merged ticket ${targetTicket.id}: ${error.message}`);
+        }
+      }
+
+      const description = await this.getTicketDescription(sourceTicket.id);
+      const timestamp = moment().tz(config.timezone || 'UTC').toDate();
+
+      // Both tickets keep a notice of the merge in their transcripts
+      const targetNotice = Embeds.ticketMergeEmbed(sourceTicket, targetTicket, interaction.user.tag, description);
+      const targetMessage = await targetChannel.send({
+        content: `<@${sourceTicket.userId}>`,
+        embeds: [targetNotice]
+      });
+      await this.ticketService.saveMessage({
+        id: targetMessage.id,
+        ticketId: targetTicket.id,
+        userId: interaction.client.user.id,
+        username: interaction.client.user.tag,
+        content: JSON.stringify({ isMergeNotice: true, mergedTicketId: sourceTicket.id, embeds: [targetNotice] }),
+        timestamp
+      });
+
+      const sourceNotice = Embeds.ticketMergeEmbed(sourceTicket, targetTicket, interaction.user.tag);
+      const sourceMessage = await interaction.editReply({ embeds: [sourceNotice] });
+      await this.ticketService.saveMessage({
+        id: sourceMessage.id,
+        ticketId: sourceTicket.id,
+        userId: interaction.client.user.id,
+        username: interaction.client.user.tag,
+        content: JSON.stringify({ isMergeNotice: true, mergedIntoTicketId: targetTicket.id, embeds: [sourceNotice] }),
+        timestamp
+      });
+
+      await this.ticketService.recordTicketEvent(sourceTicket.id, 'merged', interaction.user, { before: sourceTicket.id, after: targetTicket.id });
+      await this.ticketService.recordTicketEvent(targetTicket.id, 'mergedFrom', interaction.user, { before: sourceTicket.id, after: targetTicket.id });
+
+      // Closing archives the channel first, so every message is stored before it is moved
+      await this.closeTicketChannel(
+        interaction.channel,
+        sourceTicket,
+        `此客服單已被 ${interaction.user.tag} 合併至 <#${targetTicket.channelId}>。頻道將在 5 秒後刪除...`,
+        {
+          closedBy: `<@${interaction.user.id}>`,
+          actor: interaction.user,
+          resolution: 'merged',
+          reason: `合併至客服單 ${targetTicket.id.split('-')[0]}`
+        }
+      );
+
+      const movedCount = await this.ticketService.moveTicketMessages(sourceTicket.id, targetTicket.id);
+      await aiService.context.mergeContext(sourceTicket.id, targetTicket.id);
+
+      logger.info(`Ticket ${sourceTicket.id} merged into ${targetTicket.id} by ${interaction.user.tag} (${movedCount} messages moved)`);
+    } catch (error) {
+      logger.error(`Error merging tickets: ${error.message}`);
+      await interaction.editReply({
+        content: `合併客服單時出錯: ${error.message}`
+      }).catch(() => {});
+    }
+  }
 }
 
 module.exports = TicketController;
\ No newline at end of file
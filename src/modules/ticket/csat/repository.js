@@ -0,0 +1,145 @@
+const database = require('../../../core/database');
+const logger = require('../../../core/logger');
+const moment = require('moment-timezone');
+const config = require('../../../core/config');
+
+class CsatRepository {
+  /**
+   * Get the ticket data a rating is linked to
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<Object|null>} The ticket's owner, department, claimer and handling flags
+   */
+  async getRatingTicket(ticketId) {
+    try {
+      const ticket = await database.get(
+        'SELECT id, user_id, department_id, staff_id, ai_handled, human_handled FROM tickets WHERE id = ?',
+        [ticketId]
+      );
+
+      if (!ticket) return null;
+
+      return {
+        id: ticket.id,
+        userId: ticket.user_id,
+        departmentId: ticket.department_id,
+        staffId: ticket.staff_id,
+        aiOnly: Boolean(ticket.ai_handled) && !ticket.human_handled
+      };
+    } catch (error) {
+      logger.error(`Database error getting ticket for rating: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a rating, a second rating for the same ticket replaces the first
+   * @param {Object} rating - The rating data
+   * @return {Promise<Boolean>} Success status
+   */
+  async saveRating(rating) {
+    try {
+      await database.run(
+        `INSERT INTO ticket_ratings (ticket_id, user_id, department_id, staff_id, ai_only, rating, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(ticket_id) DO UPDATE SET
+           rating = excluded.rating,
+           staff_id = excluded.staff_id,
+           ai_only = excluded.ai_only,
+           created_at = excluded.created_at`,
+        [
+          rating.ticketId,
+          rating.userId,
+          rating.departmentId,
+          rating.staffId || null,
+          rating.aiOnly ? 1 : 0,
+          rating.rating,
+          moment().tz(config.timezone || 'UTC').toISOString()
+        ]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error saving rating: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the optional comment of a rating
+   * @param {String} ticketId - The ticket ID
+   * @param {String} comment - The comment
+   * @return {Promise<Boolean>} Whether a rating existed for the ticket
+   */
+  async updateComment(ticketId, comment) {
+    try {
+      const result = await database.run(
+        'UPDATE ticket_ratings SET comment = ? WHERE ticket_id = ?',
+        [comment, ticketId]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Database error updating rating comment: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get average ratings grouped by a column within a date range
+   * @param {String} groupColumn - The column to group by
+   * @param {Date} startDate - Start of the range
+   * @param {Date} endDate - End of the range
+   * @return {Promise<Array>} Rows with key, average and count
+   */
+  async getAverages(groupColumn, startDate, endDate) {
+    try {
+      const rows = await database.all(
+        `SELECT ${groupColumn} as group_key, AVG(rating) as average, COUNT(*) as count
+         FROM ticket_ratings
+         WHERE created_at >= ? AND created_at < ?
+         GROUP BY ${groupColumn}
+         ORDER BY average DESC`,
+        [startDate.toISOString(), endDate.toISOString()]
+      );
+
+      return rows.map(row => ({
+        key: row.group_key,
+        average: row.average,
+        count: row.count
+      }));
+    } catch (error) {
+      logger.error(`Database error getting rating averages: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get average ratings per department
+   * @param {Date} startDate - Start of the range
+   * @param {Date} endDate - End of the range
+   * @return {Promise<Array>} Rows keyed by department ID
+   */
+  async getDepartmentAverages(startDate, endDate) {
+    return this.getAverages('department_id', startDate, endDate);
+  }
+
+  /**
+   * Get average ratings per claiming staff member
+   * @param {Date} startDate - Start of the range
+   * @param {Date} endDate - End of the range
+   * @return {Promise<Array>} Rows keyed by staff ID (null for unclaimed tickets)
+   */
+  async getStaffAverages(startDate, endDate) {
+    return this.getAverages('staff_id', startDate, endDate);
+  }
+
+  /**
+   * Get average ratings of AI-only tickets compared with tickets a human handled
+   * @param {Date} startDate - Start of the range
+   * @param {Date} endDate - End of the range
+   * @return {Promise<Array>} Rows keyed by the ai_only flag
+   */
+  async getAiOnlyAverages(startDate, endDate) {
+    return this.getAverages('ai_only', startDate, endDate);
+  }
+}
+
+module.exports = CsatRepository;
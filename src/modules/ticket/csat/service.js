@@ -0,0 +1,166 @@
+const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
+const CsatRepository = require('./repository');
+const TicketRepository = require('../repository');
+const webhookService = require('../webhook/service');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+const Embeds = require('../../../utils/embeds');
+
+class CsatService {
+  constructor() {
+    this.csatRepository = new CsatRepository();
+    this.ticketRepository = new TicketRepository();
+  }
+
+  /**
+   * Send the satisfaction survey to the ticket creator
+   * @param {Client} client - The Discord client
+   * @param {Object} ticket - The closed ticket
+   * @param {Object} department - The ticket's department
+   * @return {Promise<Boolean>} Whether the survey was sent
+   */
+  async sendSurvey(client, ticket, department) {
+    if (!config.csat.enabled) return false;
+
+    // Spam and duplicates were never really serviced, a rating would only skew the report
+    if (ticket.resolution && config.csat.skipResolutions.includes(ticket.resolution)) {
+      return false;
+    }
+
+    try {
+      const user = await client.users.fetch(ticket.userId).catch(() => null);
+      if (!user) {
+        logger.warn(`Could not find user ${ticket.userId} for satisfaction survey of ticket ${ticket.id}`);
+        return false;
+      }
+
+      await user.send({
+        embeds: [Embeds.csatSurveyEmbed(ticket, department)],
+        components: [Embeds.csatRatingButtons(ticket.id)]
+      });
+
+      logger.info(`Sent satisfaction survey for ticket ${ticket.id} to user ${user.tag}`);
+      return true;
+    } catch (error) {
+      // Users can have DMs closed, the ticket is closed either way
+      logger.error(`Failed to send satisfaction survey for ticket ${ticket.id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Handle a star rating button from the survey DM
+   * @param {ButtonInteraction} interaction - The button interaction
+   */
+  async handleRating(interaction) {
+    try {
+      const [, ticketId, ratingValue] = interaction.customId.split(':');
+      const rating = parseInt(ratingValue, 10);
+
+      const ticket = await this.csatRepository.getRatingTicket(ticketId);
+      if (!ticket || ticket.userId !== interaction.user.id || !(rating >= 1 && rating <= 5)) {
+        return await interaction.reply({ content: '❌ 無法記錄此評分。' });
+      }
+
+      await this.csatRepository.saveRating({
+        ticketId: ticket.id,
+        userId: ticket.userId,
+        departmentId: ticket.departmentId,
+        staffId: ticket.staffId,
+        aiOnly: ticket.aiOnly,
+        rating
+      });
+
+      await interaction.update({
+        content: `感謝您的評分！您給了 ${'⭐'.repeat(rating)}\n如果願意，也可以留下您的意見。`,
+        components: [Embeds.csatCommentButton(ticket.id)]
+      });
+
+      logger.info(`Ticket ${ticket.id} rated ${rating} by ${interaction.user.tag}`);
+
+      // The rating row only has a few ticket columns, webhooks get the full ticket
+      const fullTicket = await this.ticketRepository.getTicket(ticket.id);
+      webhookService.dispatch('ticket.csat', fullTicket || ticket, { rating, aiOnly: ticket.aiOnly });
+    } catch (error) {
+      logger.error(`Error handling satisfaction rating: ${error.message}`);
+      await interaction.reply({ content: '❌ 處理請求時發生錯誤' }).catch(() => {});
+    }
+  }
+
+  /**
+   * Show the optional comment modal
+   * @param {ButtonInteraction} interaction - The button interaction
+   */
+  async showCommentModal(interaction) {
+    const ticketId = interaction.customId.split(':')[1];
+
+    const modal = new ModalBuilder()
+      .setCustomId(`csat_comment_modal:${ticketId}`)
+      .setTitle('服務意見');
+
+    const commentInput = new TextInputBuilder()
+      .setCustomId('csatComment')
+      .setLabel('您對這次服務有什麼意見？')
+      .setPlaceholder('您的意見只會提供給客服團隊參考')
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(true)
+      .setMaxLength(1000);
+
+    modal.addComponents(new ActionRowBuilder().addComponents(commentInput));
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Handle the comment modal submission
+   * @param {ModalSubmitInteraction} interaction - The modal submission
+   */
+  async handleCommentSubmit(interaction) {
+    try {
+      const ticketId = interaction.customId.split(':')[1];
+      const ticket = await this.csatRepository.getRatingTicket(ticketId);
+      if (!ticket || ticket.userId !== interaction.user.id) {
+        return await interaction.reply({ content: '❌ 無法記錄此意見。' });
+      }
+
+      const comment = interaction.fields.getTextInputValue('csatComment').trim();
+      const saved = await this.csatRepository.updateComment(ticketId, comment);
+      if (!saved) {
+        return await interaction.reply({ content: '❌ 請先為這次服務評分。' });
+      }
+
+      await interaction.update({
+        content: `${interaction.message.content.split('\n')[0]}\n已收到您的意見，謝謝！`,
+        components: []
+      });
+
+      logger.info(`Comment added to rating of ticket ${ticketId} by ${interaction.user.tag}`);
+    } catch (error) {
+      logger.error(`Error handling satisfaction comment: ${error.message}`);
+      await interaction.reply({ content: '❌ 處理請求時發生錯誤' }).catch(() => {});
+    }
+  }
+
+  /**
+   * Get average ratings per department, per staff member and for AI-only tickets
+   * @param {Date} startDate - Start of the range
+   * @param {Date} endDate - End of the range
+   * @return {Promise<Object>} The report
+   */
+  async getReport(startDate, endDate) {
+    try {
+      const [departments, staff, aiOnly] = await Promise.all([
+        this.csatRepository.getDepartmentAverages(startDate, endDate),
+        this.csatRepository.getStaffAverages(startDate, endDate),
+        this.csatRepository.getAiOnlyAverages(startDate, endDate)
+      ]);
+
+      return { departments, staff, aiOnly };
+    } catch (error) {
+      logger.error(`Error getting satisfaction report: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CsatService();
@@ -8,6 +8,12 @@ const TicketService = require('./service');
 const TicketRepository = require('./repository');
 const { service: aiService } = require('../ai');
 const reminderService = require('./reminder/service');
+const autoCloseService = require('./autoclose/service');
+const assignService = require('./assign/service');
+const csatService = require('./csat/service');
+const snippetService = require('./snippet/service');
+const webhookService = require('./webhook/service');
+const registerApiRoutes = require('./api');
 
 class TicketModule {
   constructor(bot) {
@@ -81,6 +87,26 @@ class TicketModule {
       
       // Initialize reminder service
       reminderService.initialize(this.bot.client);
+
+      // Initialize auto-close service
+      autoCloseService.initialize(this.bot.client, this.controller);
+
+      // Initialize auto-assignment service
+      assignService.initialize(this.bot.client, this.controller);
+
+      // Initialize webhook retries
+      webhookService.initialize();
+
+      // Tickets created before the guild was stored are matched to their guild by channel
+      const backfilled = await this.service.backfillTicketGuilds(this.bot.client.guilds.cache);
+      if (backfilled > 0) {
+        logger.info(`Stored the guild of ${backfilled} older tickets`);
+      }
+
+      const backfilledWebhooks = await webhookService.backfillWebhookGuilds(this.bot.client.guilds.cache);
+      if (backfilledWebhooks > 0) {
+        logger.info(`Stored the guild of ${backfilledWebhooks} older webhooks`);
+      }
       
       return true;
     } catch (error) {
@@ -106,6 +132,26 @@ class TicketModule {
           await this.controller.handleHumanHandoff(interaction);
           return true;
         }
+        else if (interaction.customId === 'claim_ticket') {
+          await this.controller.claimTicket(interaction);
+          return true;
+        }
+        else if (interaction.customId === 'unclaim_ticket') {
+          await this.controller.unclaimTicket(interaction);
+          return true;
+        }
+        else if (interaction.customId === 'escalate_ticket') {
+          await this.controller.escalateTicket(interaction);
+          return true;
+        }
+        else if (interaction.customId.startsWith('assign_accept:')) {
+          await this.controller.acceptTicketAssignment(interaction, interaction.customId.split(':')[1]);
+          return true;
+        }
+        else if (interaction.customId.startsWith('assign_decline:')) {
+          await this.controller.declineTicketAssignment(interaction, interaction.customId.split(':')[1]);
+          return true;
+        }
         else if (interaction.customId.startsWith('confirm_close:')) {
           const action = interaction.customId.split(':')[1];
           if (action === 'yes') {
@@ -115,18 +161,82 @@ class TicketModule {
           }
           return true;
         }
+        else if (interaction.customId.startsWith('reopen_ticket:')) {
+          // Sent from the transcript DM, so the guild is part of the custom ID
+          const [, guildId, ticketId] = interaction.customId.split(':');
+          await this.controller.reopenTicket(interaction, guildId, ticketId);
+          return true;
+        }
+        else if (interaction.customId.startsWith('resend_transcript:')) {
+          const ticketId = interaction.customId.split(':')[1];
+          await this.controller.resendTranscript(interaction, ticketId);
+          return true;
+        }
+        else if (interaction.customId.startsWith('ticket_summary:')) {
+          const ticketId = interaction.customId.split(':')[1];
+          await this.controller.showTicketSummary(interaction, ticketId);
+          return true;
+        }
+        else if (interaction.customId.startsWith('ticket_transcript:')) {
+          const ticketId = interaction.customId.split(':')[1];
+          await this.controller.sendTranscriptFile(interaction, ticketId);
+          return true;
+        }
+        else if (interaction.customId.startsWith('ticket_search_page:')) {
+          await require('./commands/ticket').handleSearchPage(interaction);
+          return true;
+        }
+        else if (interaction.customId.startsWith('csat_rate:')) {
+          await csatService.handleRating(interaction);
+          return true;
+        }
+        else if (interaction.customId.startsWith('csat_comment:')) {
+          await csatService.showCommentModal(interaction);
+          return true;
+        }
         else if (interaction.customId.startsWith('no_response_needed_')) {
           // Handle "no response needed" button from reminder system
           await reminderService.handleNoResponseNeeded(interaction);
           return true;
         }
       }
+      else if (interaction.isStringSelectMenu()) {
+        if (interaction.customId === 'ticket_priority') {
+          await this.controller.setTicketPriority(interaction, interaction.values[0]);
+          return true;
+        }
+        else if (interaction.customId === 'close_resolution') {
+          await this.controller.showCloseReasonModal(interaction, interaction.values[0]);
+          return true;
+        }
+      }
       else if (interaction.isModalSubmit()) {
         // Handle modal submissions
         if (interaction.customId.startsWith('ticket_create_modal:')) {
           const departmentId = interaction.customId.split(':')[1];
           const description = interaction.fields.getTextInputValue('ticketDescription');
-          await this.controller.createTicket(interaction, departmentId, description);
+          const formData = await this.controller.getFormAnswers(interaction, departmentId);
+          await this.controller.createTicket(interaction, departmentId, description, formData);
+          return true;
+        }
+        else if (interaction.customId.startsWith('close_reason_modal:')) {
+          const resolution = interaction.customId.split(':')[1];
+          const reason = interaction.fields.getTextInputValue('closeReason').trim();
+          await this.controller.confirmCloseTicket(interaction, resolution, reason || null);
+          return true;
+        }
+        else if (interaction.customId.startsWith('ticket_note_modal:')) {
+          const sourceMessageId = interaction.customId.split(':')[1];
+          const content = interaction.fields.getTextInputValue('noteContent');
+          await this.controller.addTicketNote(interaction, content, sourceMessageId);
+          return true;
+        }
+        else if (interaction.customId.startsWith('csat_comment_modal:')) {
+          await csatService.handleCommentSubmit(interaction);
+          return true;
+        }
+        else if (interaction.customId.startsWith('snippet_modal:')) {
+          await require('./commands/snippet').handleModalSubmit(interaction);
           return true;
         }
         else if (interaction.customId.startsWith('edit_prompt:')) {
@@ -136,6 +246,23 @@ class TicketModule {
           return true;
         }
       }
+      else if (interaction.isAutocomplete()) {
+        // Department options are backed by the departments table, so they are answered here
+        const focusedOption = interaction.options.getFocused(true);
+        if (focusedOption.name === 'department') {
+          const extraChoices = interaction.commandName === 'aiprompt'
+            ? [{ name: '預設提示詞', value: 'default' }]
+            : [];
+          await this.controller.respondDepartmentAutocomplete(interaction, extraChoices);
+          return true;
+        }
+        if (interaction.commandName === 'snippet' && focusedOption.name === 'name') {
+          // Inside a ticket channel only offer snippets usable in the ticket's department
+          const ticket = await this.repository.getTicketByChannelId(interaction.channel.id);
+          await snippetService.respondAutocomplete(interaction, ticket ? ticket.departmentId : null);
+          return true;
+        }
+      }
 
       // If we got here, this interaction wasn't for us
       return false;
@@ -185,9 +312,23 @@ class TicketModule {
     }
   }
 
+  /**
+   * Register the ticket, department and reminder endpoints of the REST API
+   * @param {ApiServer} api - The API server
+   */
+  registerRoutes(api) {
+    registerApiRoutes(api, this);
+  }
+
   async shutdown() {
     // Stop reminder service
     reminderService.stopReminderChecks();
+    // Stop auto-close service
+    autoCloseService.stopAutoCloseChecks();
+    // Stop auto-assignment offer checks
+    assignService.stopOfferChecks();
+    // Stop webhook retries
+    webhookService.stopRetries();
     logger.info('Ticket module shutting down');
     return true;
   }
@@ -0,0 +1,133 @@
+const logger = require('../../core/logger');
+const config = require('../../core/config');
+
+/**
+ * Ticket statuses, compare against these instead of string literals
+ */
+const TicketStatus = Object.freeze({
+  OPEN: 'open',
+  WAITING_STAFF: 'waitingStaff',
+  ON_HOLD: 'onHold',
+  PENDING_CUSTOMER: 'pendingCustomer',
+  RESOLVED: 'resolved',
+  CLOSED: 'closed'
+});
+
+// The statuses a ticket may move to from each status.
+// 'open' means the AI (or nobody yet) is handling the ticket, staff statuses never go back to it,
+// only a reopened ticket starts at 'open' again.
+const TRANSITIONS = {
+  [TicketStatus.OPEN]: [TicketStatus.WAITING_STAFF, TicketStatus.ON_HOLD, TicketStatus.PENDING_CUSTOMER, TicketStatus.RESOLVED, TicketStatus.CLOSED],
+  [TicketStatus.WAITING_STAFF]: [TicketStatus.ON_HOLD, TicketStatus.PENDING_CUSTOMER, TicketStatus.RESOLVED, TicketStatus.CLOSED],
+  [TicketStatus.ON_HOLD]: [TicketStatus.WAITING_STAFF, TicketStatus.PENDING_CUSTOMER, TicketStatus.RESOLVED, TicketStatus.CLOSED],
+  [TicketStatus.PENDING_CUSTOMER]: [TicketStatus.WAITING_STAFF, TicketStatus.ON_HOLD, TicketStatus.RESOLVED, TicketStatus.CLOSED],
+  [TicketStatus.RESOLVED]: [TicketStatus.WAITING_STAFF, TicketStatus.CLOSED],
+  [TicketStatus.CLOSED]: [TicketStatus.OPEN]
+};
+
+/**
+ * Validates and applies ticket status changes, every status change goes through here
+ */
+class TicketLifecycle {
+  /**
+   * @param {TicketService} ticketService - The ticket service used to store status changes
+   */
+  constructor(ticketService) {
+    this.ticketService = ticketService;
+  }
+
+  /**
+   * Check whether a ticket may move from one status to another
+   * @param {String} from - The current status
+   * @param {String} to - The new status
+   * @return {Boolean} Whether the transition is allowed
+   */
+  static canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Throw if a ticket may not move from one status to another
+   * @param {String} from - The current status
+   * @param {String} to - The new status
+   */
+  static assertTransition(from, to) {
+    if (!TicketLifecycle.canTransition(from, to)) {
+      throw new Error(`無法將客服單狀態從「${TicketLifecycle.statusName(from)}」變更為「${TicketLifecycle.statusName(to)}」`);
+    }
+  }
+
+  /**
+   * Get the display name of a status
+   * @param {String} status - The status
+   * @return {String} The status name from config.ticketStatus
+   */
+  static statusName(status) {
+    return config.ticketStatus[status] ? config.ticketStatus[status].name : status;
+  }
+
+  /**
+   * Whether a ticket in this status still has a live channel
+   * @param {String} status - The status
+   * @return {Boolean} True for every status except closed
+   */
+  static isActive(status) {
+    return status !== TicketStatus.CLOSED;
+  }
+
+  /**
+   * Format a status list for a SQL IN clause, the values are the constants above so they are safe to inline
+   * @param {Array<String>} statuses - The statuses
+   * @return {String} Quoted, comma separated statuses
+   */
+  static sqlList(statuses) {
+    return statuses.map(status => `'${status}'`).join(', ');
+  }
+
+  /**
+   * Move a ticket to a new status and record the change in the audit log
+   * @param {Object} ticket - The ticket, its status is updated in place
+   * @param {String} status - The new status
+   * @param {User|null} actor - The user who made the change, null for the bot itself
+   * @param {String|null} details - Optional details shown in the timeline (close reason, status note)
+   * @return {Promise<Boolean>} False if the ticket already had the status
+   */
+  async transition(ticket, status, actor = null, details = null) {
+    if (ticket.status === status) return false;
+    TicketLifecycle.assertTransition(ticket.status, status);
+
+    await this.ticketService.updateTicketStatus(ticket.id, status);
+    await this.record(ticket.id, ticket.status, status, actor, details);
+    ticket.status = status;
+    return true;
+  }
+
+  /**
+   * Record a status change that was stored together with other ticket fields (reopening)
+   * @param {String} ticketId - The ticket ID
+   * @param {String} from - The previous status
+   * @param {String} to - The new status
+   * @param {User|null} actor - The user who made the change, null for the bot itself
+   * @param {String|null} details - Optional details shown in the timeline
+   * @return {Promise<void>}
+   */
+  async record(ticketId, from, to, actor = null, details = null) {
+    logger.info(`Ticket ${ticketId} moved from ${from} to ${to}${actor ? ` by ${actor.tag}` : ''}`);
+    await this.ticketService.recordTicketEvent(ticketId, 'status', actor, { before: from, after: to, details });
+  }
+}
+
+// Staff are reminded about unanswered customers only while the ticket is being worked on,
+// on hold and pending customer tickets pause the reminders and resolved tickets stop them
+TicketLifecycle.REMINDER_STATUSES = [TicketStatus.OPEN, TicketStatus.WAITING_STAFF];
+
+// On hold tickets wait on a third party, so a silent customer is expected and they are never auto-closed
+TicketLifecycle.AUTO_CLOSE_STATUSES = [TicketStatus.OPEN, TicketStatus.WAITING_STAFF, TicketStatus.PENDING_CUSTOMER, TicketStatus.RESOLVED];
+
+// The statuses staff can pick with /status, open and closed have their own flows
+TicketLifecycle.STAFF_STATUSES = [TicketStatus.WAITING_STAFF, TicketStatus.ON_HOLD, TicketStatus.PENDING_CUSTOMER, TicketStatus.RESOLVED];
+
+// A customer message moves these statuses back to waiting for staff
+TicketLifecycle.CUSTOMER_REPLY_STATUSES = [TicketStatus.PENDING_CUSTOMER, TicketStatus.RESOLVED];
+
+module.exports = { TicketStatus, TicketLifecycle };
@@ -2,6 +2,7 @@ const database = require('../../../core/database');
 const logger = require('../../../core/logger');
 const moment = require('moment-timezone');
 const config = require('../../../core/config');
+const { TicketLifecycle } = require('../lifecycle');
 
 class ReminderRepository {
   /**
@@ -25,7 +26,8 @@ class ReminderRepository {
           reminderRoleId: null,
           reminderMode: 'once',
           reminderInterval: 60,
-          reminderMaxCount: 3
+          reminderMaxCount: 3,
+          priorityTimeouts: {}
         };
       }
       
@@ -36,7 +38,8 @@ class ReminderRepository {
         reminderRoleId: settings.reminder_role_id,
         reminderMode: settings.reminder_mode || 'once',
         reminderInterval: settings.reminder_interval || 60,
-        reminderMaxCount: settings.reminder_max_count || 3
+        reminderMaxCount: settings.reminder_max_count || 3,
+        priorityTimeouts: this.parsePriorityTimeouts(settings.priority_timeouts)
       };
     } catch (error) {
       logger.error(`Database error getting reminder settings: ${error.message}`);
@@ -44,6 +47,22 @@ class ReminderRepository {
     }
   }
 
+  /**
+   * Parse the stored per-priority reminder timeouts
+   * @param {String} priorityTimeouts - The JSON encoded timeouts
+   * @return {Object} Map of priority to timeout in seconds
+   */
+  parsePriorityTimeouts(priorityTimeouts) {
+    if (!priorityTimeouts) return {};
+
+    try {
+      return JSON.parse(priorityTimeouts) || {};
+    } catch (error) {
+      logger.warn(`Invalid priority timeouts JSON: ${error.message}`);
+      return {};
+    }
+  }
+
   /**
    * Save reminder settings for a guild
    * @param {String} guildId - The guild ID
@@ -61,7 +80,8 @@ class ReminderRepository {
         await database.run(
           `UPDATE ticket_reminder_settings 
            SET enabled = ?, reminder_timeout = ?, reminder_role_id = ?, 
-               reminder_mode = ?, reminder_interval = ?, reminder_max_count = ?, updated_at = ?
+               reminder_mode = ?, reminder_interval = ?, reminder_max_count = ?,
+               priority_timeouts = ?, updated_at = ?
            WHERE guild_id = ?`,
           [
             settings.enabled ? 1 : 0,
@@ -70,6 +90,7 @@ class ReminderRepository {
             settings.reminderMode || 'once',
             settings.reminderInterval || 60,
             settings.reminderMaxCount || 3,
+            JSON.stringify(settings.priorityTimeouts || {}),
             moment().tz(config.timezone || 'UTC').toISOString(),
             guildId
           ]
@@ -78,8 +99,8 @@ class ReminderRepository {
         await database.run(
           `INSERT INTO ticket_reminder_settings 
            (guild_id, enabled, reminder_timeout, reminder_role_id, 
-            reminder_mode, reminder_interval, reminder_max_count, created_at, updated_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            reminder_mode, reminder_interval, reminder_max_count, priority_timeouts, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             guildId,
             settings.enabled ? 1 : 0,
@@ -88,6 +109,7 @@ class ReminderRepository {
             settings.reminderMode || 'once',
             settings.reminderInterval || 60,
             settings.reminderMaxCount || 3,
+            JSON.stringify(settings.priorityTimeouts || {}),
             moment().tz(config.timezone || 'UTC').toISOString(),
             moment().tz(config.timezone || 'UTC').toISOString()
           ]
@@ -224,6 +246,11 @@ class ReminderRepository {
           updateFields.push('last_reminder_message_id = ?');
           updateValues.push(tracking.lastReminderMessageId);
         }
+
+        if (tracking.autoCloseWarnedAt !== undefined) {
+          updateFields.push('autoclose_warned_at = ?');
+          updateValues.push(tracking.autoCloseWarnedAt);
+        }
         
         updateValues.push(ticketId);
         
@@ -236,8 +263,8 @@ class ReminderRepository {
           `INSERT INTO ticket_response_tracking 
            (ticket_id, last_customer_message_at, last_staff_response_at, 
             reminder_sent, reminder_sent_at, reminder_count, last_reminder_at,
-            no_response_needed, last_reminder_message_id)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            no_response_needed, last_reminder_message_id, autoclose_warned_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             ticketId,
             tracking.lastCustomerMessageAt || null,
@@ -247,7 +274,8 @@ class ReminderRepository {
             tracking.reminderCount || 0,
             tracking.lastReminderAt || null,
             tracking.noResponseNeeded ? 1 : 0,
-            tracking.lastReminderMessageId || null
+            tracking.lastReminderMessageId || null,
+            tracking.autoCloseWarnedAt || null
           ]
         );
       }
@@ -281,7 +309,8 @@ class ReminderRepository {
           reminderCount: 0,
           lastReminderAt: null,
           noResponseNeeded: false,
-          lastReminderMessageId: null
+          lastReminderMessageId: null,
+          autoCloseWarnedAt: null
         };
       }
       
@@ -294,7 +323,8 @@ class ReminderRepository {
         reminderCount: tracking.reminder_count || 0,
         lastReminderAt: tracking.last_reminder_at ? new Date(tracking.last_reminder_at) : null,
         noResponseNeeded: Boolean(tracking.no_response_needed),
-        lastReminderMessageId: tracking.last_reminder_message_id
+        lastReminderMessageId: tracking.last_reminder_message_id,
+        autoCloseWarnedAt: tracking.autoclose_warned_at ? new Date(tracking.autoclose_warned_at) : null
       };
     } catch (error) {
       logger.error(`Database error getting response tracking: ${error.message}`);
@@ -305,39 +335,51 @@ class ReminderRepository {
   /**
    * Get tickets that need reminders
    * @param {String} guildId - The guild ID
-   * @param {Number} timeoutSeconds - The timeout in seconds
+   * @param {Object} priorityTimeouts - Map of ticket priority to timeout in seconds
    * @return {Promise<Array>} Array of tickets needing reminders
    */
-  async getTicketsNeedingReminders(guildId, timeoutSeconds) {
+  async getTicketsNeedingReminders(guildId, priorityTimeouts) {
     try {
       const now = moment();
-      const cutoffTime = now.clone().subtract(timeoutSeconds, 'seconds').toISOString();
+      const cutoffTimes = {};
+      for (const [priority, timeoutSeconds] of Object.entries(priorityTimeouts)) {
+        cutoffTimes[priority] = now.clone().subtract(timeoutSeconds, 'seconds').toISOString();
+      }
+
+      // Each priority has its own cutoff, tickets with an unknown priority use the normal one
+      const cutoffCase = `CASE t.priority ${Object.keys(cutoffTimes).map(() => 'WHEN ? THEN ?').join(' ')} ELSE ? END`;
+      const cutoffParams = [
+        ...Object.entries(cutoffTimes).flat(),
+        cutoffTimes.normal
+      ];
       
       // Get reminder settings first
       const settings = await this.getReminderSettings(guildId);
       
       logger.debug(`Looking for tickets needing reminders in guild ${guildId}`);
       logger.debug(`Current time: ${now.toISOString()} (${now.tz(config.timezone || 'UTC').format('YYYY-MM-DD HH:mm:ss')} local)`);
-      logger.debug(`Timeout: ${timeoutSeconds} seconds, cutoff time: ${cutoffTime} (${moment(cutoffTime).tz(config.timezone || 'UTC').format('YYYY-MM-DD HH:mm:ss')} local)`);
+      for (const [priority, cutoffTime] of Object.entries(cutoffTimes)) {
+        logger.debug(`Timeout (${priority}): ${priorityTimeouts[priority]} seconds, cutoff time: ${cutoffTime} (${moment(cutoffTime).tz(config.timezone || 'UTC').format('YYYY-MM-DD HH:mm:ss')} local)`);
+      }
       
       // First, let's check what tickets exist
       const allTickets = await database.all(
         `SELECT t.id, t.status, t.human_handled, t.channel_id
          FROM tickets t
-         WHERE t.status IN ('open', 'waitingStaff')`
+         WHERE t.status IN (${TicketLifecycle.sqlList(TicketLifecycle.REMINDER_STATUSES)})`
       );
       logger.debug(`Total open/waiting tickets: ${allTickets.length}`);
       
       // Check all tickets (not just open) to debug
       const allTicketsDebug = await database.all(
-        `SELECT t.id, t.status, t.human_handled 
+        `SELECT t.id, t.status, t.human_handled, t.priority 
          FROM tickets t 
          ORDER BY t.created_at DESC 
          LIMIT 10`
       );
       logger.debug('Recent tickets (all statuses):');
       for (const t of allTicketsDebug) {
-        logger.debug(`  ${t.id}: status=${t.status}, human_handled=${t.human_handled}`);
+        logger.debug(`  ${t.id}: status=${t.status}, human_handled=${t.human_handled}, priority=${t.priority}`);
       }
       
       // Check tracking data
@@ -361,8 +403,7 @@ class ReminderRepository {
         );
         
         if (customerTime && timeSinceCustomerMessage !== null) {
-          logger.debug(`  -> Customer message was ${timeSinceCustomerMessage} seconds ago, needs reminder after ${timeoutSeconds} seconds`);
-          logger.debug(`  -> Should send reminder: ${timeSinceCustomerMessage >= timeoutSeconds ? 'YES' : 'NO'}`);
+          logger.debug(`  -> Customer message was ${timeSinceCustomerMessage} seconds ago, needs reminder after ${priorityTimeouts.normal} seconds (normal priority)`);
           
           // Additional debug for continuous/limited mode
           if (tracking.last_reminder_at) {
@@ -387,17 +428,18 @@ class ReminderRepository {
         const reminderCutoffTimeWithBuffer = moment().subtract(settings.reminderInterval - 5, 'seconds').toISOString();
         
         tickets = await database.all(
-          `SELECT t.*, trt.*, d.name as department_name
+          `SELECT t.*, trt.*, d.name as department_name, det.role_id as escalation_role_id
            FROM tickets t
            JOIN ticket_response_tracking trt ON t.id = trt.ticket_id
            JOIN departments d ON t.department_id = d.id
-           WHERE t.status IN ('open', 'waitingStaff')
+           LEFT JOIN department_escalation_tiers det ON det.department_id = t.department_id AND det.level = t.escalation_level
+           WHERE t.status IN (${TicketLifecycle.sqlList(TicketLifecycle.REMINDER_STATUSES)})
            AND t.human_handled = 1
            AND trt.last_customer_message_at IS NOT NULL
            AND (trt.last_staff_response_at IS NULL OR trt.last_customer_message_at > trt.last_staff_response_at)
            AND (trt.no_response_needed IS NULL OR trt.no_response_needed = 0)
            AND (
-             (trt.reminder_sent = 0 AND trt.last_customer_message_at < ?)
+             (trt.reminder_sent = 0 AND trt.last_customer_message_at < ${cutoffCase})
              OR (trt.reminder_sent = 1 AND trt.last_reminder_at < ? AND (
                '${settings.reminderMode}' = 'continuous' 
                OR (trt.reminder_count < ${settings.reminderMaxCount})
@@ -407,27 +449,28 @@ class ReminderRepository {
              SELECT 1 FROM settings s 
              WHERE s.guild_id = ?
            )`,
-          [cutoffTime, reminderCutoffTimeWithBuffer, guildId]
+          [...cutoffParams, reminderCutoffTimeWithBuffer, guildId]
         );
       } else {
         // Original query for 'once' mode
         tickets = await database.all(
-          `SELECT t.*, trt.*, d.name as department_name
+          `SELECT t.*, trt.*, d.name as department_name, det.role_id as escalation_role_id
            FROM tickets t
            JOIN ticket_response_tracking trt ON t.id = trt.ticket_id
            JOIN departments d ON t.department_id = d.id
-           WHERE t.status IN ('open', 'waitingStaff')
+           LEFT JOIN department_escalation_tiers det ON det.department_id = t.department_id AND det.level = t.escalation_level
+           WHERE t.status IN (${TicketLifecycle.sqlList(TicketLifecycle.REMINDER_STATUSES)})
            AND t.human_handled = 1
            AND trt.reminder_sent = 0
            AND trt.last_customer_message_at IS NOT NULL
            AND (trt.last_staff_response_at IS NULL OR trt.last_customer_message_at > trt.last_staff_response_at)
            AND (trt.no_response_needed IS NULL OR trt.no_response_needed = 0)
-           AND trt.last_customer_message_at < ?
+           AND trt.last_customer_message_at < ${cutoffCase}
            AND EXISTS (
              SELECT 1 FROM settings s 
              WHERE s.guild_id = ?
            )`,
-          [cutoffTime, guildId]
+          [...cutoffParams, guildId]
         );
       }
       
@@ -465,11 +508,14 @@ class ReminderRepository {
       
       return tickets.map(ticket => ({
         id: ticket.id,
+        guildId: ticket.guild_id || null,
         channelId: ticket.channel_id,
         userId: ticket.user_id,
         departmentId: ticket.department_id,
         departmentName: ticket.department_name,
         staffId: ticket.staff_id,
+        escalationRoleId: ticket.escalation_role_id || null,
+        priority: ticket.priority || 'normal',
         lastCustomerMessageAt: new Date(ticket.last_customer_message_at),
         lastStaffResponseAt: ticket.last_staff_response_at ? new Date(ticket.last_staff_response_at) : null
       }));
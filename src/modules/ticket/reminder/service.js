@@ -1,4 +1,5 @@
 const ReminderRepository = require('./repository');
+const webhookService = require('../webhook/service');
 const logger = require('../../../core/logger');
 const moment = require('moment-timezone');
 const config = require('../../../core/config');
@@ -109,7 +110,7 @@ class ReminderService {
       // Get tickets that need reminders
       const tickets = await this.reminderRepository.getTicketsNeedingReminders(
         guild.id,
-        settings.reminderTimeout
+        this.getPriorityTimeouts(settings)
       );
       
       logger.debug(`Found ${tickets.length} tickets needing reminders in guild ${guild.name}`);
@@ -123,6 +124,21 @@ class ReminderService {
     }
   }
 
+  /**
+   * Resolve the reminder timeout for every ticket priority
+   * @param {Object} settings - The reminder settings
+   * @return {Object} Map of priority to timeout in seconds
+   */
+  getPriorityTimeouts(settings) {
+    const timeouts = {};
+    for (const [priority, priorityConfig] of Object.entries(config.ticketPriority)) {
+      // An explicit per-priority timeout wins over the scaled guild timeout
+      timeouts[priority] = settings.priorityTimeouts[priority]
+        || Math.round(settings.reminderTimeout * (priorityConfig.reminderTimeoutFactor || 1));
+    }
+    return timeouts;
+  }
+
   /**
    * Send a reminder for a ticket
    * @param {Guild} guild - The Discord guild
@@ -144,6 +160,17 @@ class ReminderService {
       // Calculate time since last customer message
       const timeSinceMessage = moment().diff(moment(ticket.lastCustomerMessageAt), 'minutes');
       
+      // Claimed tickets only ping the claimer, escalated tickets only the tier they are at
+      const mention = ticket.staffId
+        ? `<@${ticket.staffId}>`
+        : `<@&${ticket.escalationRoleId || settings.reminderRoleId}>`;
+
+      // Flag higher priority tickets so they stand out in the reminder channel
+      const priorityConfig = config.ticketPriority[ticket.priority];
+      const priorityTag = priorityConfig && ticket.priority !== 'normal'
+        ? `${priorityConfig.emoji} **[${priorityConfig.name}]** `
+        : '';
+      
       // Determine where to send the reminder
       let targetChannel = ticketChannel;
       let reminderText;
@@ -152,15 +179,15 @@ class ReminderService {
         // Send to notification channel with channel tag
         try {
           targetChannel = await guild.channels.fetch(config.reminder.notificationChannelId);
-          reminderText = `<@&${settings.reminderRoleId}> ⏰ ${ticketChannel} 已經 **${timeSinceMessage} 分鐘**沒有工作人員回應，請盡快處理。`;
+          reminderText = `${mention} ⏰ ${priorityTag}${ticketChannel} 已經 **${timeSinceMessage} 分鐘**沒有工作人員回應，請盡快處理。`;
         } catch (error) {
           logger.warn(`Could not find notification channel ${config.reminder.notificationChannelId}, falling back to ticket channel`);
           targetChannel = ticketChannel;
-          reminderText = `<@&${settings.reminderRoleId}> ⏰ 此客服單已經 **${timeSinceMessage} 分鐘**沒有工作人員回應，請盡快處理。`;
+          reminderText = `${mention} ⏰ ${priorityTag}此客服單已經 **${timeSinceMessage} 分鐘**沒有工作人員回應，請盡快處理。`;
         }
       } else {
         // Send to ticket channel (original behavior)
-        reminderText = `<@&${settings.reminderRoleId}> ⏰ 此客服單已經 **${timeSinceMessage} 分鐘**沒有工作人員回應，請盡快處理。`;
+        reminderText = `${mention} ⏰ ${priorityTag}此客服單已經 **${timeSinceMessage} 分鐘**沒有工作人員回應，請盡快處理。`;
       }
       
       if (settings.reminderMode === 'limited' || settings.reminderMode === 'continuous') {
@@ -215,6 +242,12 @@ class ReminderService {
         `notification channel (${targetChannel.name})` : 
         `ticket channel (${ticketChannel.name})`;
       logger.info(`Sent reminder #${reminderCount} for ticket ${ticket.id} to ${channelInfo}`);
+
+      webhookService.dispatch('ticket.reminder', ticket, {
+        reminderCount,
+        lastCustomerMessageAt: moment(ticket.lastCustomerMessageAt).toISOString(),
+        minutesWaiting: timeSinceMessage
+      });
     } catch (error) {
       logger.error(`Error sending reminder for ticket ${ticket.id}: ${error.message}`);
     }
@@ -287,7 +320,8 @@ class ReminderService {
           reminderSent: false,
           reminderSentAt: null,
           reminderCount: 0,
-          lastReminderAt: null
+          lastReminderAt: null,
+          autoCloseWarnedAt: null  // A new staff reply restarts the auto-close countdown
         });
       } else {
         // Customer message - update last customer message time and reset no response needed status
@@ -295,7 +329,8 @@ class ReminderService {
         logger.debug(`${messageType} from ${message.author.tag} in ticket ${ticket.id} - updating last customer message time to ${timestamp} and resetting no response needed status`);
         await this.reminderRepository.updateResponseTracking(ticket.id, {
           lastCustomerMessageAt: timestamp,
-          noResponseNeeded: false  // Reset no response needed when customer sends new message
+          noResponseNeeded: false,  // Reset no response needed when customer sends new message
+          autoCloseWarnedAt: null  // The customer answered, so cancel any pending auto-close
         });
       }
     } catch (error) {
@@ -360,6 +395,49 @@ class ReminderService {
     }
   }
 
+  /**
+   * Restart the reminder countdown of an escalated ticket, so the new tier gets every reminder
+   * @param {Object} ticket - The ticket data
+   */
+  async handleTicketEscalation(ticket) {
+    try {
+      await this.reminderRepository.updateResponseTracking(ticket.id, {
+        lastCustomerMessageAt: moment().tz(config.timezone || 'UTC').toISOString(),
+        noResponseNeeded: false,
+        reminderSent: false,
+        reminderSentAt: null,
+        reminderCount: 0,
+        lastReminderAt: null
+      });
+    } catch (error) {
+      logger.error(`Error resetting reminder tracking for escalated ticket: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restart the reminder countdown of a ticket coming back from a paused status (on hold, pending customer)
+   * Only an unanswered customer message is tracked, otherwise the paused time would trigger a reminder right away
+   * @param {Object} ticket - The ticket data
+   */
+  async handleTicketResume(ticket) {
+    try {
+      const tracking = await this.reminderRepository.getResponseTracking(ticket.id);
+      const unanswered = tracking.lastCustomerMessageAt &&
+        (!tracking.lastStaffResponseAt || tracking.lastCustomerMessageAt > tracking.lastStaffResponseAt);
+      if (!unanswered) return;
+
+      await this.reminderRepository.updateResponseTracking(ticket.id, {
+        lastCustomerMessageAt: moment().tz(config.timezone || 'UTC').toISOString(),
+        reminderSent: false,
+        reminderSentAt: null,
+        reminderCount: 0,
+        lastReminderAt: null
+      });
+    } catch (error) {
+      logger.error(`Error resetting reminder tracking for resumed ticket: ${error.message}`);
+    }
+  }
+
   /**
    * Handle ticket closure
    * @param {String} ticketId - The ticket ID
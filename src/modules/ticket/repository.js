@@ -4,13 +4,46 @@ const config = require('../../core/config');
 const fs = require('fs');
 const path = require('path');
 const moment = require('moment-timezone');
+const TranscriptRenderer = require('./transcript');
+const { TicketStatus } = require('./lifecycle');
 
 class TicketRepository {
   async initialize() {
-    // No additional initialization needed as the database is already set up
+    // Messages stored before the search index existed are indexed once
+    const indexed = await database.get('SELECT COUNT(*) as count FROM messages_fts');
+    if (indexed.count === 0) {
+      await this.rebuildSearchIndex();
+    }
     return true;
   }
 
+  /**
+   * Map a tickets row to a ticket object
+   * @param {Object} ticket - The database row
+   * @return {Object} The ticket object
+   */
+  mapTicket(ticket) {
+    return {
+      id: ticket.id,
+      guildId: ticket.guild_id || null,
+      channelId: ticket.channel_id,
+      userId: ticket.user_id,
+      departmentId: ticket.department_id,
+      status: ticket.status,
+      aiHandled: Boolean(ticket.ai_handled),
+      humanHandled: Boolean(ticket.human_handled),
+      staffId: ticket.staff_id,
+      formData: this.parseFormData(ticket.form_data),
+      priority: ticket.priority || 'normal',
+      closeReason: ticket.close_reason,
+      resolution: ticket.resolution,
+      notesThreadId: ticket.notes_thread_id,
+      escalationLevel: ticket.escalation_level || 0,
+      createdAt: new Date(ticket.created_at),
+      closedAt: ticket.closed_at ? new Date(ticket.closed_at) : null
+    };
+  }
+
   /**
    * Save a ticket panel to the database
    * @param {String} guildId - The guild ID
@@ -65,6 +98,135 @@ class TicketRepository {
     }
   }
 
+  /**
+   * Get ticket settings for a guild
+   * @param {String} guildId - The guild ID
+   * @return {Promise<Object>} The guild settings
+   */
+  async getGuildSettings(guildId) {
+    try {
+      const settings = await database.get(
+        'SELECT * FROM settings WHERE guild_id = ?',
+        [guildId]
+      );
+
+      if (!settings) {
+        // Return default settings if none exist
+        return {
+          guildId,
+          claimExclusive: false,
+          autoCloseEnabled: false,
+          autoCloseHours: 48,
+          autoCloseGraceHours: 24,
+          autoCloseMessage: null,
+          reopenWindowHours: 72,
+          logChannelId: null,
+          maxOpenTickets: 0,
+          ticketCooldownMinutes: 0
+        };
+      }
+
+      return {
+        guildId: settings.guild_id,
+        claimExclusive: Boolean(settings.claim_exclusive),
+        autoCloseEnabled: Boolean(settings.autoclose_enabled),
+        autoCloseHours: settings.autoclose_hours || 48,
+        autoCloseGraceHours: settings.autoclose_grace_hours || 24,
+        autoCloseMessage: settings.autoclose_message,
+        reopenWindowHours: settings.reopen_window_hours ?? 72,
+        logChannelId: settings.log_channel_id,
+        maxOpenTickets: settings.max_open_tickets || 0,
+        ticketCooldownMinutes: settings.ticket_cooldown_minutes || 0
+      };
+    } catch (error) {
+      logger.error(`Database error getting guild settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update ticket settings for a guild
+   * @param {String} guildId - The guild ID
+   * @param {Object} settings - The settings to update
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateGuildSettings(guildId, settings) {
+    try {
+      const existingSettings = await database.get(
+        'SELECT * FROM settings WHERE guild_id = ?',
+        [guildId]
+      );
+
+      if (!existingSettings) {
+        await database.run(
+          'INSERT INTO settings (guild_id) VALUES (?)',
+          [guildId]
+        );
+      }
+
+      const updateFields = [];
+      const updateValues = [];
+
+      if (settings.claimExclusive !== undefined) {
+        updateFields.push('claim_exclusive = ?');
+        updateValues.push(settings.claimExclusive ? 1 : 0);
+      }
+
+      if (settings.autoCloseEnabled !== undefined) {
+        updateFields.push('autoclose_enabled = ?');
+        updateValues.push(settings.autoCloseEnabled ? 1 : 0);
+      }
+
+      if (settings.autoCloseHours !== undefined) {
+        updateFields.push('autoclose_hours = ?');
+        updateValues.push(settings.autoCloseHours);
+      }
+
+      if (settings.autoCloseGraceHours !== undefined) {
+        updateFields.push('autoclose_grace_hours = ?');
+        updateValues.push(settings.autoCloseGraceHours);
+      }
+
+      if (settings.autoCloseMessage !== undefined) {
+        updateFields.push('autoclose_message = ?');
+        updateValues.push(settings.autoCloseMessage);
+      }
+
+      if (settings.reopenWindowHours !== undefined) {
+        updateFields.push('reopen_window_hours = ?');
+        updateValues.push(settings.reopenWindowHours);
+      }
+
+      if (settings.logChannelId !== undefined) {
+        updateFields.push('log_channel_id = ?');
+        updateValues.push(settings.logChannelId);
+      }
+
+      if (settings.maxOpenTickets !== undefined) {
+        updateFields.push('max_open_tickets = ?');
+        updateValues.push(settings.maxOpenTickets);
+      }
+
+      if (settings.ticketCooldownMinutes !== undefined) {
+        updateFields.push('ticket_cooldown_minutes = ?');
+        updateValues.push(settings.ticketCooldownMinutes);
+      }
+
+      if (updateFields.length === 0) return true;
+
+      updateValues.push(guildId);
+
+      await database.run(
+        `UPDATE settings SET ${updateFields.join(', ')} WHERE guild_id = ?`,
+        updateValues
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error updating guild settings: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get a department by ID
    * @param {String} departmentId - The department ID
@@ -85,7 +247,10 @@ class TicketRepository {
         description: department.description,
         emoji: department.emoji,
         color: department.color,
-        categoryId: department.category_id
+        categoryId: department.category_id,
+        threadChannelId: department.thread_channel_id,
+        assignMode: department.assign_mode || 'off',
+        assignTimeoutMinutes: department.assign_timeout_minutes || 5
       };
     } catch (error) {
       logger.error(`Database error getting department: ${error.message}`);
@@ -93,6 +258,147 @@ class TicketRepository {
     }
   }
 
+  /**
+   * Get all departments
+   * @return {Promise<Array>} Array of department objects
+   */
+  async getAllDepartments() {
+    try {
+      const departments = await database.all(
+        'SELECT * FROM departments ORDER BY rowid ASC'
+      );
+
+      return departments.map(department => ({
+        id: department.id,
+        name: department.name,
+        description: department.description,
+        emoji: department.emoji,
+        color: department.color,
+        categoryId: department.category_id,
+        threadChannelId: department.thread_channel_id,
+        assignMode: department.assign_mode || 'off',
+        assignTimeoutMinutes: department.assign_timeout_minutes || 5
+      }));
+    } catch (error) {
+      logger.error(`Database error getting departments: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new department
+   * @param {Object} department - The department object
+   * @return {Promise<Object>} The created department
+   */
+  async createDepartment(department) {
+    try {
+      await database.run(
+        `INSERT INTO departments (id, name, description, emoji, color, category_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          department.id,
+          department.name,
+          department.description,
+          department.emoji,
+          department.color,
+          department.categoryId || null
+        ]
+      );
+
+      return department;
+    } catch (error) {
+      logger.error(`Database error creating department: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a department's display settings
+   * @param {String} departmentId - The department ID
+   * @param {Object} department - The department fields to update (name, description, emoji, color)
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateDepartment(departmentId, department) {
+    try {
+      await database.run(
+        'UPDATE departments SET name = ?, description = ?, emoji = ?, color = ? WHERE id = ?',
+        [department.name, department.description, department.emoji, department.color, departmentId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error updating department: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a department with everything that only applies to it, departments with tickets that are not closed are kept
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Boolean>} Whether the department was deleted
+   */
+  async deleteDepartment(departmentId) {
+    try {
+      // Checked in the same statement, so a ticket opened after the caller's check still keeps its department
+      const result = await database.run(
+        'DELETE FROM departments WHERE id = ? AND NOT EXISTS (SELECT 1 FROM tickets WHERE department_id = ? AND status != ?)',
+        [departmentId, departmentId, TicketStatus.CLOSED]
+      );
+      if (result.changes === 0) return false;
+
+      await database.run(
+        'DELETE FROM department_roles WHERE department_id = ?',
+        [departmentId]
+      );
+      await database.run(
+        'DELETE FROM department_form_fields WHERE department_id = ?',
+        [departmentId]
+      );
+      await database.run(
+        'DELETE FROM department_categories WHERE department_id = ?',
+        [departmentId]
+      );
+      await database.run(
+        'DELETE FROM department_escalation_tiers WHERE department_id = ?',
+        [departmentId]
+      );
+      await database.run(
+        'DELETE FROM staff_assignment_stats WHERE department_id = ?',
+        [departmentId]
+      );
+      // The default prompt has no department, only the department's own prompt goes
+      await database.run(
+        'DELETE FROM ai_prompts WHERE department_id = ? AND is_default = 0',
+        [departmentId]
+      );
+      await database.run(
+        'DELETE FROM snippets WHERE department_id = ?',
+        [departmentId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error deleting department: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the tickets of a department that are not closed yet
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Number>} Number of active tickets
+   */
+  async countActiveDepartmentTickets(departmentId) {
+    try {
+      const result = await database.get(
+        'SELECT COUNT(*) as count FROM tickets WHERE department_id = ? AND status != ?',
+        [departmentId, TicketStatus.CLOSED]
+      );
+      return result ? result.count : 0;
+    } catch (error) {
+      logger.error(`Database error counting department tickets: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Update department category ID
    * @param {String} departmentId - The department ID
@@ -112,6 +418,131 @@ class TicketRepository {
     }
   }
 
+  /**
+   * Get the overflow categories of a department
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Array>} Overflow categories ordered by their number
+   */
+  async getOverflowCategories(departmentId) {
+    try {
+      const categories = await database.all(
+        'SELECT * FROM department_categories WHERE department_id = ? ORDER BY position ASC',
+        [departmentId]
+      );
+
+      return categories.map(category => ({
+        categoryId: category.category_id,
+        departmentId: category.department_id,
+        position: category.position
+      }));
+    } catch (error) {
+      logger.error(`Database error getting overflow categories: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an overflow category by its channel ID
+   * @param {String} categoryId - The category channel ID
+   * @return {Promise<Object|null>} The overflow category, or null if the category is not an overflow category
+   */
+  async getOverflowCategory(categoryId) {
+    try {
+      const category = await database.get(
+        'SELECT * FROM department_categories WHERE category_id = ?',
+        [categoryId]
+      );
+
+      if (!category) return null;
+
+      return {
+        categoryId: category.category_id,
+        departmentId: category.department_id,
+        position: category.position
+      };
+    } catch (error) {
+      logger.error(`Database error getting overflow category: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Track an overflow category of a department
+   * @param {String} departmentId - The department ID
+   * @param {String} categoryId - The category channel ID
+   * @param {Number} position - The number shown in the category name
+   * @return {Promise<Boolean>} Success status
+   */
+  async addOverflowCategory(departmentId, categoryId, position) {
+    try {
+      await database.run(
+        'INSERT INTO department_categories (category_id, department_id, position) VALUES (?, ?, ?)',
+        [categoryId, departmentId, position]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error adding overflow category: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop tracking an overflow category
+   * @param {String} categoryId - The category channel ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async removeOverflowCategory(categoryId) {
+    try {
+      await database.run(
+        'DELETE FROM department_categories WHERE category_id = ?',
+        [categoryId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error removing overflow category: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the support channel a department opens its ticket threads in
+   * @param {String} departmentId - The department ID
+   * @param {String|null} channelId - The support channel ID, or null to use ticket channels again
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateDepartmentThreadChannel(departmentId, channelId) {
+    try {
+      await database.run(
+        'UPDATE departments SET thread_channel_id = ? WHERE id = ?',
+        [channelId, departmentId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error updating department thread channel: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Set how handed-off tickets of a department are assigned to staff
+   * @param {String} departmentId - The department ID
+   * @param {String} mode - off, roundrobin or leastopen
+   * @param {Number} timeoutMinutes - How long the chosen staff member has to accept
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateDepartmentAssignMode(departmentId, mode, timeoutMinutes) {
+    try {
+      await database.run(
+        'UPDATE departments SET assign_mode = ?, assign_timeout_minutes = ? WHERE id = ?',
+        [mode, timeoutMinutes, departmentId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error updating department assign mode: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get roles associated with a department
    * @param {String} departmentId - The department ID
@@ -168,6 +599,187 @@ class TicketRepository {
     }
   }
 
+  /**
+   * Get the escalation tiers of a department
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Array>} Escalation tiers ordered by level
+   */
+  async getEscalationTiers(departmentId) {
+    try {
+      const tiers = await database.all(
+        'SELECT * FROM department_escalation_tiers WHERE department_id = ? ORDER BY level ASC',
+        [departmentId]
+      );
+
+      return tiers.map(tier => ({
+        departmentId: tier.department_id,
+        level: tier.level,
+        roleId: tier.role_id,
+        name: tier.name
+      }));
+    } catch (error) {
+      logger.error(`Database error getting escalation tiers: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an escalation tier to the top of a department's ladder
+   * @param {String} departmentId - The department ID
+   * @param {String} roleId - The role pinged when a ticket reaches the tier
+   * @param {String} name - The tier name
+   * @return {Promise<Number>} The level of the new tier
+   */
+  async addEscalationTier(departmentId, roleId, name) {
+    try {
+      const row = await database.get(
+        'SELECT MAX(level) as level FROM department_escalation_tiers WHERE department_id = ?',
+        [departmentId]
+      );
+      const level = (row && row.level ? row.level : 0) + 1;
+
+      await database.run(
+        'INSERT INTO department_escalation_tiers (department_id, level, role_id, name) VALUES (?, ?, ?, ?)',
+        [departmentId, level, roleId, name]
+      );
+      return level;
+    } catch (error) {
+      logger.error(`Database error adding escalation tier: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the highest escalation tier of a department
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Object|null>} The removed tier, or null if the department has no tiers
+   */
+  async removeTopEscalationTier(departmentId) {
+    try {
+      const tier = await database.get(
+        'SELECT * FROM department_escalation_tiers WHERE department_id = ? ORDER BY level DESC LIMIT 1',
+        [departmentId]
+      );
+
+      if (!tier) return null;
+
+      await database.run(
+        'DELETE FROM department_escalation_tiers WHERE department_id = ? AND level = ?',
+        [departmentId, tier.level]
+      );
+      // Tickets already past the removed tier drop back to the new top tier
+      await database.run(
+        'UPDATE tickets SET escalation_level = ? WHERE department_id = ? AND escalation_level > ?',
+        [tier.level - 1, departmentId, tier.level - 1]
+      );
+
+      return {
+        departmentId: tier.department_id,
+        level: tier.level,
+        roleId: tier.role_id,
+        name: tier.name
+      };
+    } catch (error) {
+      logger.error(`Database error removing escalation tier: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the intake form fields of a department
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Array>} Array of form field objects, in display order
+   */
+  async getDepartmentFormFields(departmentId) {
+    try {
+      const fields = await database.all(
+        'SELECT * FROM department_form_fields WHERE department_id = ? ORDER BY position ASC, id ASC',
+        [departmentId]
+      );
+
+      return fields.map(field => ({
+        id: field.id,
+        departmentId: field.department_id,
+        label: field.label,
+        style: field.style,
+        required: Boolean(field.required),
+        minLength: field.min_length,
+        maxLength: field.max_length,
+        placeholder: field.placeholder,
+        position: field.position
+      }));
+    } catch (error) {
+      logger.error(`Database error getting department form fields: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an intake form field to a department
+   * @param {Object} field - The form field object
+   * @return {Promise<Object>} The created form field with its ID
+   */
+  async addDepartmentFormField(field) {
+    try {
+      const result = await database.run(
+        `INSERT INTO department_form_fields (
+          department_id, label, style, required, min_length, max_length, placeholder, position
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          field.departmentId,
+          field.label,
+          field.style,
+          field.required ? 1 : 0,
+          field.minLength,
+          field.maxLength,
+          field.placeholder,
+          field.position
+        ]
+      );
+
+      return { ...field, id: result.lastID };
+    } catch (error) {
+      logger.error(`Database error adding department form field: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an intake form field from a department
+   * @param {String} departmentId - The department ID
+   * @param {Number} fieldId - The form field ID
+   * @return {Promise<Boolean>} Whether a field was removed
+   */
+  async removeDepartmentFormField(departmentId, fieldId) {
+    try {
+      const result = await database.run(
+        'DELETE FROM department_form_fields WHERE department_id = ? AND id = ?',
+        [departmentId, fieldId]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Database error removing department form field: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse the stored intake form answers of a ticket
+   * @param {String} formData - The JSON encoded form answers
+   * @return {Array} Array of { label, value, style } objects
+   */
+  parseFormData(formData) {
+    if (!formData) return [];
+
+    try {
+      const parsed = JSON.parse(formData);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      logger.warn(`Could not parse ticket form data: ${error.message}`);
+      return [];
+    }
+  }
+
   /**
    * Create a new ticket
    * @param {Object} ticket - The ticket object
@@ -177,14 +789,17 @@ class TicketRepository {
     try {
       await database.run(
         `INSERT INTO tickets (
-          id, channel_id, user_id, department_id, status, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?)`,
+          id, guild_id, channel_id, user_id, department_id, status, priority, form_data, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           ticket.id,
+          ticket.guildId || null,
           ticket.channelId,
           ticket.userId,
           ticket.departmentId,
           ticket.status,
+          ticket.priority || 'normal',
+          ticket.formData && ticket.formData.length > 0 ? JSON.stringify(ticket.formData) : null,
           ticket.createdAt.toISOString()
         ]
       );
@@ -219,6 +834,12 @@ class TicketRepository {
         aiHandled: Boolean(ticket.ai_handled),
         humanHandled: Boolean(ticket.human_handled),
         staffId: ticket.staff_id,
+        formData: this.parseFormData(ticket.form_data),
+        priority: ticket.priority || 'normal',
+        closeReason: ticket.close_reason,
+        resolution: ticket.resolution,
+        notesThreadId: ticket.notes_thread_id,
+        escalationLevel: ticket.escalation_level || 0,
         createdAt: new Date(ticket.created_at),
         closedAt: ticket.closed_at ? new Date(ticket.closed_at) : null
       };
@@ -237,8 +858,8 @@ class TicketRepository {
   async getUserTicketByDepartment(userId, departmentId) {
     try {
       const ticket = await database.get(
-        'SELECT * FROM tickets WHERE user_id = ? AND department_id = ? AND status = "open"',
-        [userId, departmentId]
+        'SELECT * FROM tickets WHERE user_id = ? AND department_id = ? AND status != ?',
+        [userId, departmentId, TicketStatus.CLOSED]
       );
       
       if (!ticket) return null;
@@ -258,16 +879,176 @@ class TicketRepository {
     }
   }
 
+  /**
+   * Count the tickets of a user in a guild that are not closed, across all departments
+   * @param {String} guildId - The guild ID
+   * @param {String} userId - The user ID
+   * @return {Promise<Number>} The number of open tickets
+   */
+  async countUserOpenTickets(guildId, userId) {
+    try {
+      const row = await database.get(
+        'SELECT COUNT(*) as count FROM tickets WHERE guild_id = ? AND user_id = ? AND status != ?',
+        [guildId, userId, TicketStatus.CLOSED]
+      );
+      return row.count;
+    } catch (error) {
+      logger.error(`Database error counting user open tickets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get when a user's most recently closed ticket in a guild was closed
+   * @param {String} guildId - The guild ID
+   * @param {String} userId - The user ID
+   * @return {Promise<Date|null>} The close time, or null if the user has no closed tickets
+   */
+  async getUserLastClosedAt(guildId, userId) {
+    try {
+      const row = await database.get(
+        'SELECT MAX(closed_at) as closed_at FROM tickets WHERE guild_id = ? AND user_id = ? AND status = ?',
+        [guildId, userId, TicketStatus.CLOSED]
+      );
+      return row && row.closed_at ? new Date(row.closed_at) : null;
+    } catch (error) {
+      logger.error(`Database error getting user last closed ticket: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Map a ticket_blacklist row to a blacklist entry
+   * @param {Object} row - The database row
+   * @return {Object} The blacklist entry
+   */
+  mapBlacklistEntry(row) {
+    return {
+      guildId: row.guild_id,
+      userId: row.user_id,
+      reason: row.reason,
+      expiresAt: row.expires_at ? new Date(row.expires_at) : null,
+      createdBy: row.created_by,
+      createdAt: new Date(row.created_at)
+    };
+  }
+
+  /**
+   * Add a user to the ticket blacklist, replacing an existing entry
+   * @param {Object} entry - guildId, userId, reason, expiresAt (null for permanent) and createdBy
+   * @return {Promise<Boolean>} Success status
+   */
+  async addBlacklistEntry(entry) {
+    try {
+      await database.run(
+        `INSERT INTO ticket_blacklist (guild_id, user_id, reason, expires_at, created_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(guild_id, user_id) DO UPDATE SET
+           reason = excluded.reason,
+           expires_at = excluded.expires_at,
+           created_by = excluded.created_by,
+           created_at = excluded.created_at`,
+        [
+          entry.guildId,
+          entry.userId,
+          entry.reason,
+          entry.expiresAt ? entry.expiresAt.toISOString() : null,
+          entry.createdBy,
+          moment().tz(config.timezone || 'UTC').toISOString()
+        ]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error adding blacklist entry: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user from the ticket blacklist
+   * @param {String} guildId - The guild ID
+   * @param {String} userId - The user ID
+   * @return {Promise<Boolean>} Whether an entry was removed
+   */
+  async removeBlacklistEntry(guildId, userId) {
+    try {
+      const result = await database.run(
+        'DELETE FROM ticket_blacklist WHERE guild_id = ? AND user_id = ?',
+        [guildId, userId]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Database error removing blacklist entry: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the blacklist entry of a user
+   * @param {String} guildId - The guild ID
+   * @param {String} userId - The user ID
+   * @return {Promise<Object|null>} The entry, expired or not
+   */
+  async getBlacklistEntry(guildId, userId) {
+    try {
+      const row = await database.get(
+        'SELECT * FROM ticket_blacklist WHERE guild_id = ? AND user_id = ?',
+        [guildId, userId]
+      );
+      return row ? this.mapBlacklistEntry(row) : null;
+    } catch (error) {
+      logger.error(`Database error getting blacklist entry: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the ticket blacklist of a guild
+   * @param {String} guildId - The guild ID
+   * @return {Promise<Array>} Entries, newest first
+   */
+  async getBlacklist(guildId) {
+    try {
+      const rows = await database.all(
+        'SELECT * FROM ticket_blacklist WHERE guild_id = ? ORDER BY created_at DESC',
+        [guildId]
+      );
+      return rows.map(row => this.mapBlacklistEntry(row));
+    } catch (error) {
+      logger.error(`Database error getting blacklist: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete blacklist entries that have expired
+   * @param {String} guildId - The guild ID
+   * @return {Promise<Number>} The number of removed entries
+   */
+  async removeExpiredBlacklistEntries(guildId) {
+    try {
+      const result = await database.run(
+        'DELETE FROM ticket_blacklist WHERE guild_id = ? AND expires_at IS NOT NULL AND expires_at <= ?',
+        [guildId, new Date().toISOString()]
+      );
+      return result.changes;
+    } catch (error) {
+      logger.error(`Database error removing expired blacklist entries: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Close a ticket
    * @param {String} ticketId - The ticket ID
+   * @param {Object} closeInfo - The close reason and resolution category
    * @return {Promise<Boolean>} Success status
    */
-  async closeTicket(ticketId) {
+  async closeTicket(ticketId, closeInfo = {}) {
     try {
       await database.run(
-        'UPDATE tickets SET status = "closed", closed_at = ?, updated_at = ? WHERE id = ?',
-        [moment().tz(config.timezone || 'UTC').toISOString(), moment().tz(config.timezone || 'UTC').toISOString(), ticketId]
+        'UPDATE tickets SET status = ?, close_reason = ?, resolution = ?, closed_at = ?, updated_at = ? WHERE id = ?',
+        [TicketStatus.CLOSED, closeInfo.reason || null, closeInfo.resolution || null, moment().tz(config.timezone || 'UTC').toISOString(), moment().tz(config.timezone || 'UTC').toISOString(), ticketId]
       );
       return true;
     } catch (error) {
@@ -276,6 +1057,53 @@ class TicketRepository {
     }
   }
 
+  /**
+   * Count closed tickets by department and resolution category
+   * @param {Date} since - Only count tickets closed after this date
+   * @return {Promise<Array<Object>>} Rows with departmentId, resolution and count
+   */
+  async getResolutionReport(since) {
+    try {
+      const rows = await database.all(
+        `SELECT department_id, resolution, COUNT(*) as count
+         FROM tickets
+         WHERE status = ? AND closed_at >= ?
+         GROUP BY department_id, resolution
+         ORDER BY count DESC`,
+        [TicketStatus.CLOSED, since.toISOString()]
+      );
+
+      return rows.map(row => ({
+        departmentId: row.department_id,
+        resolution: row.resolution,
+        count: row.count
+      }));
+    } catch (error) {
+      logger.error(`Database error getting resolution report: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reopen a closed ticket in a new channel
+   * @param {String} ticketId - The ticket ID
+   * @param {String} channelId - The new channel ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async reopenTicket(ticketId, channelId) {
+    try {
+      // The claim, escalation, close details and notes thread are not carried over, the new channel starts unclaimed
+      await database.run(
+        'UPDATE tickets SET status = ?, channel_id = ?, staff_id = NULL, escalation_level = 0, close_reason = NULL, resolution = NULL, notes_thread_id = NULL, closed_at = NULL, updated_at = ? WHERE id = ?',
+        [TicketStatus.OPEN, channelId, moment().tz(config.timezone || 'UTC').toISOString(), ticketId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error reopening ticket: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Update ticket status
    * @param {String} ticketId - The ticket ID
@@ -309,28 +1137,66 @@ class TicketRepository {
       );
       return true;
     } catch (error) {
-      logger.error(`Database error updating ticket AI handled status: ${error.message}`);
+      logger.error(`Database error updating ticket AI handled status: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a ticket to a staff member
+   * @param {String} ticketId - The ticket ID
+   * @param {String} staffId - The staff user ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async assignTicketToStaff(ticketId, staffId) {
+    try {
+      logger.debug(`Assigning ticket ${ticketId} to staff ${staffId}, setting human_handled = 1`);
+      const result = await database.run(
+        'UPDATE tickets SET human_handled = ?, staff_id = ?, updated_at = ? WHERE id = ?',
+        [1, staffId, moment().tz(config.timezone || 'UTC').toISOString(), ticketId]
+      );
+      logger.debug(`Update result: changes=${result.changes}`);
+      return true;
+    } catch (error) {
+      logger.error(`Database error assigning ticket to staff: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Set or clear the staff member who claimed a ticket
+   * @param {String} ticketId - The ticket ID
+   * @param {String|null} staffId - The staff user ID, or null to unclaim
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateTicketClaim(ticketId, staffId) {
+    try {
+      await database.run(
+        'UPDATE tickets SET staff_id = ?, updated_at = ? WHERE id = ?',
+        [staffId, moment().tz(config.timezone || 'UTC').toISOString(), ticketId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error updating ticket claim: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Assign a ticket to a staff member
+   * Update ticket priority
    * @param {String} ticketId - The ticket ID
-   * @param {String} staffId - The staff user ID
+   * @param {String} priority - The new priority (low, normal, high, urgent)
    * @return {Promise<Boolean>} Success status
    */
-  async assignTicketToStaff(ticketId, staffId) {
+  async updateTicketPriority(ticketId, priority) {
     try {
-      logger.debug(`Assigning ticket ${ticketId} to staff ${staffId}, setting human_handled = 1`);
-      const result = await database.run(
-        'UPDATE tickets SET human_handled = ?, staff_id = ?, updated_at = ? WHERE id = ?',
-        [1, staffId, moment().tz(config.timezone || 'UTC').toISOString(), ticketId]
+      await database.run(
+        'UPDATE tickets SET priority = ?, updated_at = ? WHERE id = ?',
+        [priority, moment().tz(config.timezone || 'UTC').toISOString(), ticketId]
       );
-      logger.debug(`Update result: changes=${result.changes}`);
       return true;
     } catch (error) {
-      logger.error(`Database error assigning ticket to staff: ${error.message}`);
+      logger.error(`Database error updating ticket priority: ${error.message}`);
       throw error;
     }
   }
@@ -352,12 +1218,14 @@ class TicketRepository {
           try {
             const parsedContent = JSON.parse(message.content);
             parsedContent.username = message.username;
+            if (message.avatarUrl) parsedContent.avatarUrl = message.avatarUrl;
             finalContent = JSON.stringify(parsedContent);
           } catch (e) {
             // Not JSON, create a new JSON object with username and original content
             finalContent = JSON.stringify({
               text: message.content,
-              username: message.username
+              username: message.username,
+              avatarUrl: message.avatarUrl || undefined
             });
           }
         } catch (e) {
@@ -367,7 +1235,10 @@ class TicketRepository {
         }
       }
       
-      await database.run(
+      // REPLACE gives the row a new rowid, remember the old one to drop it from the search index
+      const previous = await database.get('SELECT rowid FROM messages WHERE id = ?', [message.id]);
+
+      const result = await database.run(
         `INSERT OR REPLACE INTO messages (
           id, ticket_id, user_id, content, is_ai, timestamp
         ) VALUES (?, ?, ?, ?, ?, ?)`,
@@ -381,6 +1252,12 @@ class TicketRepository {
         ]
       );
 
+      await this.indexMessage(previous ? previous.rowid : null, result.lastID, {
+        userId: message.userId,
+        content: finalContent,
+        isAI: message.isAI
+      });
+
       return message;
     } catch (error) {
       logger.error(`Database error saving message: ${error.message}`);
@@ -388,6 +1265,230 @@ class TicketRepository {
     }
   }
 
+  /**
+   * Get the searchable text of a stored message
+   * @param {Object} message - Message with userId, content and isAI
+   * @return {String} The message text, including embed titles, descriptions and fields
+   */
+  getMessageSearchText(message) {
+    const [entry] = TranscriptRenderer.normalizeMessages([{ ...message, timestamp: null }]);
+    if (!entry) return '';
+
+    const parts = [entry.text || ''];
+    for (const embed of entry.embeds) {
+      parts.push(embed.title || '', embed.description || '');
+      for (const field of embed.fields || []) {
+        parts.push(field.name || '', field.value || '');
+      }
+    }
+
+    return parts.filter(part => typeof part === 'string' && part.trim()).join('\n');
+  }
+
+  /**
+   * Update the search index entry of a message
+   * Indexing errors are logged but never stop a message from being saved.
+   * @param {Number|null} previousRowId - The rowid the message had before it was replaced
+   * @param {Number} rowId - The current rowid of the message
+   * @param {Object} message - Message with userId, content and isAI
+   * @return {Promise<void>}
+   */
+  async indexMessage(previousRowId, rowId, message) {
+    try {
+      if (previousRowId) {
+        await database.run('DELETE FROM messages_fts WHERE rowid = ?', [previousRowId]);
+      }
+
+      const text = this.getMessageSearchText(message);
+      if (text) {
+        await database.run('INSERT INTO messages_fts (rowid, content) VALUES (?, ?)', [rowId, text]);
+      }
+    } catch (error) {
+      logger.error(`Database error indexing message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rebuild the full-text search index from the messages table
+   * @return {Promise<Number>} The number of indexed messages
+   */
+  async rebuildSearchIndex() {
+    try {
+      await database.run('DELETE FROM messages_fts');
+
+      const rows = await database.all('SELECT rowid, user_id, content, is_ai FROM messages');
+      let indexed = 0;
+
+      for (const row of rows) {
+        const text = this.getMessageSearchText({ userId: row.user_id, content: row.content, isAI: Boolean(row.is_ai) });
+        if (!text) continue;
+
+        await database.run('INSERT INTO messages_fts (rowid, content) VALUES (?, ?)', [row.rowid, text]);
+        indexed++;
+      }
+
+      if (indexed > 0) {
+        logger.info(`Indexed ${indexed} ticket messages for search`);
+      }
+      return indexed;
+    } catch (error) {
+      logger.error(`Database error rebuilding search index: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Search tickets
+   * @param {Object} filters - guildId, userId, departmentIds, status, from, to, staffId and keyword, all optional
+   * @param {Number} limit - Page size
+   * @param {Number} offset - Number of tickets to skip
+   * @return {Promise<Object>} total and the tickets of the page, newest first; with a keyword each ticket carries the first matching message text as matchText
+   */
+  async searchTickets(filters, limit = 5, offset = 0) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.guildId) {
+        conditions.push('t.guild_id = ?');
+        params.push(filters.guildId);
+      }
+      if (filters.userId) {
+        conditions.push('t.user_id = ?');
+        params.push(filters.userId);
+      }
+      if (filters.departmentIds) {
+        if (filters.departmentIds.length === 0) return { total: 0, tickets: [] };
+        conditions.push(`t.department_id IN (${filters.departmentIds.map(() => '?').join(', ')})`);
+        params.push(...filters.departmentIds);
+      }
+      if (filters.status) {
+        conditions.push('t.status = ?');
+        params.push(filters.status);
+      }
+      if (filters.from) {
+        conditions.push('t.created_at >= ?');
+        params.push(filters.from.toISOString());
+      }
+      if (filters.to) {
+        conditions.push('t.created_at < ?');
+        params.push(filters.to.toISOString());
+      }
+      if (filters.staffId) {
+        conditions.push('t.staff_id = ?');
+        params.push(filters.staffId);
+      }
+
+      // Trigram queries need at least three characters, shorter keywords fall back to LIKE on the index
+      let keywordCondition = null;
+      let keywordParam = null;
+      if (filters.keyword) {
+        if ([...filters.keyword].length >= 3) {
+          keywordCondition = 'messages_fts MATCH ?';
+          keywordParam = `"${filters.keyword.replace(/"/g, '""')}"`;
+        } else {
+          keywordCondition = 'messages_fts.content LIKE ?';
+          keywordParam = `%${filters.keyword}%`;
+        }
+        conditions.push(`t.id IN (SELECT m.ticket_id FROM messages_fts JOIN messages m ON m.rowid = messages_fts.rowid WHERE ${keywordCondition})`);
+        params.push(keywordParam);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const countRow = await database.get(`SELECT COUNT(*) as count FROM tickets t ${where}`, params);
+
+      const matchColumn = keywordCondition
+        ? `, (SELECT messages_fts.content FROM messages_fts JOIN messages m ON m.rowid = messages_fts.rowid
+             WHERE m.ticket_id = t.id AND ${keywordCondition} ORDER BY m.timestamp ASC LIMIT 1) as match_text`
+        : '';
+      const rows = await database.all(
+        `SELECT t.*${matchColumn} FROM tickets t ${where} ORDER BY t.created_at DESC LIMIT ? OFFSET ?`,
+        [...(keywordCondition ? [keywordParam] : []), ...params, limit, offset]
+      );
+
+      return {
+        total: countRow.count,
+        tickets: rows.map(row => ({ ...this.mapTicket(row), matchText: row.match_text || null }))
+      };
+    } catch (error) {
+      logger.error(`Database error searching tickets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every ticket that is not closed
+   * @param {String|null} guildId - Only the tickets of this guild, null for every guild
+   * @return {Promise<Array>} Ticket objects, oldest first
+   */
+  async getActiveTickets(guildId = null) {
+    try {
+      const rows = await database.all(
+        `SELECT * FROM tickets WHERE status != ? ${guildId ? 'AND guild_id = ?' : ''} ORDER BY created_at ASC`,
+        guildId ? [TicketStatus.CLOSED, guildId] : [TicketStatus.CLOSED]
+      );
+      return rows.map(row => this.mapTicket(row));
+    } catch (error) {
+      logger.error(`Database error getting active tickets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the guild of tickets created before tickets stored their guild
+   * @param {String} guildId - The guild ID
+   * @param {Array<String>|null} channelIds - Only tickets in these channels, null for every ticket without a guild
+   * @return {Promise<Number>} The number of updated tickets
+   */
+  async setMissingTicketGuild(guildId, channelIds = null) {
+    try {
+      if (channelIds && channelIds.length === 0) return 0;
+
+      const channelCondition = channelIds ? `AND channel_id IN (${channelIds.map(() => '?').join(', ')})` : '';
+      const result = await database.run(
+        `UPDATE tickets SET guild_id = ? WHERE guild_id IS NULL ${channelCondition}`,
+        [guildId, ...(channelIds || [])]
+      );
+      return result.changes;
+    } catch (error) {
+      logger.error(`Database error setting ticket guilds: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the previous tickets of a user
+   * @param {String} userId - The user ID
+   * @param {String|null} excludeTicketId - A ticket to leave out, usually the one just created
+   * @param {Date} since - Tickets created after this date count as recent
+   * @param {Number} limit - Maximum number of tickets to return
+   * @return {Promise<Object>} total, recentCount and the latest tickets, newest first
+   */
+  async getUserTicketHistory(userId, excludeTicketId, since, limit = 10) {
+    try {
+      const counts = await database.get(
+        `SELECT COUNT(*) as total, SUM(CASE WHEN created_at >= ? THEN 1 ELSE 0 END) as recent
+         FROM tickets WHERE user_id = ? AND id != ?`,
+        [since.toISOString(), userId, excludeTicketId || '']
+      );
+
+      const rows = await database.all(
+        'SELECT * FROM tickets WHERE user_id = ? AND id != ? ORDER BY created_at DESC LIMIT ?',
+        [userId, excludeTicketId || '', limit]
+      );
+
+      return {
+        total: counts.total,
+        recentCount: counts.recent || 0,
+        tickets: rows.map(row => this.mapTicket(row))
+      };
+    } catch (error) {
+      logger.error(`Database error getting user ticket history: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get all messages for a ticket
    * @param {String} ticketId - The ticket ID
@@ -414,14 +1515,36 @@ class TicketRepository {
     }
   }
   
+  /**
+   * Move the stored messages of a merged ticket to the ticket it was merged into
+   * @param {String} sourceTicketId - The merged ticket ID
+   * @param {String} targetTicketId - The ticket ID the messages move to
+   * @return {Promise<Number>} Number of messages moved
+   */
+  async moveTicketMessages(sourceTicketId, targetTicketId) {
+    try {
+      // The description and the merge notice stay with the source ticket, its transcript still shows what it was
+      const result = await database.run(
+        `UPDATE messages SET ticket_id = ?
+         WHERE ticket_id = ? AND content NOT LIKE '{"isDescription":true%' AND content NOT LIKE '{"isMergeNotice":true%'`,
+        [targetTicketId, sourceTicketId]
+      );
+      return result.changes;
+    } catch (error) {
+      logger.error(`Database error moving ticket messages: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Export ticket messages to a file
    * @param {String} ticketId - The ticket ID
    * @param {Object} ticket - The ticket object
    * @param {Object} department - The department object
+   * @param {Array|null} notes - Internal notes, only passed for staff-facing transcripts
    * @return {Promise<String|null>} The path to the exported file or null if ticket logging is disabled
    */
-  async exportTicketMessages(ticketId, ticket, department) {
+  async exportTicketMessages(ticketId, ticket, department, notes = null) {
     try {
       // Check if ticket logging is enabled in config
       if (!config.enableTicketLogs) {
@@ -438,8 +1561,8 @@ class TicketRepository {
       // Get all messages for the ticket
       const messages = await this.getTicketMessages(ticketId);
       
-      // Create a file path using the ticket ID as the filename
-      const filePath = path.join(ticketLogDir, `${ticketId}.txt`);
+      // Create a file path using the ticket ID as the filename, staff copies are kept apart from the customer's
+      const filePath = path.join(ticketLogDir, notes ? `${ticketId}-staff.txt` : `${ticketId}.txt`);
       
       // Format the ticket information header
       let content = `====== 客服單記錄 ======\n`;
@@ -448,7 +1571,26 @@ class TicketRepository {
       content += `創建時間: ${ticket.createdAt.toISOString()}\n`;
       content += `關閉時間: ${ticket.closedAt ? ticket.closedAt.toISOString() : '未關閉'}\n`;
       content += `狀態: ${ticket.status}\n`;
+      if (ticket.resolution) {
+        content += `解決類別: ${config.closeResolution[ticket.resolution]?.name || ticket.resolution}\n`;
+      }
+      if (ticket.closeReason) {
+        content += `關閉原因: ${ticket.closeReason}\n`;
+      }
+      for (const field of ticket.formData || []) {
+        content += `${field.label}: ${field.value || '未填寫'}\n`;
+      }
       content += `==================\n\n`;
+
+      // The audit log comes first, so the transcript shows who changed what before the conversation
+      const timeline = await this.getTranscriptTimeline(ticketId);
+      if (timeline.length > 0) {
+        content += `====== 客服單時間軸 ======\n`;
+        for (const entry of timeline) {
+          content += `[${entry.timestamp.toISOString()}] [${entry.author}] ${entry.text}\n`;
+        }
+        content += `==================\n\n`;
+      }
       
       // Get user cache for display names
       const userCache = new Map();
@@ -478,6 +1620,8 @@ class TicketRepository {
             content += `[${timestamp}] [系統通知]\n${parsedContent.message.content || '非服務時間通知'}\n\n`;
           } else if (parsedContent && parsedContent.isNewTicketOffHoursNotice) {
             content += `[${timestamp}] [系統通知]\n${parsedContent.message.content || '非服務時間通知'}\n\n`;
+          } else if (parsedContent && parsedContent.isEscalationNotice) {
+            content += `[${timestamp}] [系統通知]\n${parsedContent.message}\n\n`;
           } else if (parsedContent && parsedContent.embeds) {
             // Handle embed messages
             content += `[${timestamp}] [系統嵌入]\n系統嵌入訊息\n\n`;
@@ -541,6 +1685,13 @@ class TicketRepository {
           content += `[${message.timestamp.toISOString()}] [訊息處理錯誤]\n${message.content}\n\n`;
         }
       }
+
+      if (notes && notes.length > 0) {
+        content += `====== 內部備註 ======\n\n`;
+        for (const note of notes) {
+          content += `[${note.createdAt.toISOString()}] [${note.authorTag || note.authorId}]\n${note.content}\n\n`;
+        }
+      }
       
       // Write the content to the file
       fs.writeFileSync(filePath, content, 'utf8');
@@ -553,6 +1704,57 @@ class TicketRepository {
     }
   }
   
+  /**
+   * Get the audit log of a ticket as transcript timeline entries
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<Array>} Timeline entries from TranscriptRenderer.normalizeEvents
+   */
+  async getTranscriptTimeline(ticketId) {
+    const events = await this.getTicketEvents(ticketId);
+    if (events.length === 0) return [];
+
+    const departments = await this.getAllDepartments();
+    return TranscriptRenderer.normalizeEvents(events, {
+      departments: new Map(departments.map(department => [department.id, department]))
+    });
+  }
+
+  /**
+   * Export ticket messages to an HTML transcript
+   * @param {String} ticketId - The ticket ID
+   * @param {Object} ticket - The ticket object
+   * @param {Object} department - The department object
+   * @param {Array|null} notes - Internal notes, only passed for staff-facing transcripts
+   * @return {Promise<String|null>} The path to the exported file or null if ticket logging is disabled
+   */
+  async exportTicketHtml(ticketId, ticket, department, notes = null) {
+    try {
+      // Check if ticket logging is enabled in config
+      if (!config.enableTicketLogs) {
+        logger.info(`Ticket logging is disabled in config, skipping HTML export of ticket ${ticketId}`);
+        return null;
+      }
+
+      // Ensure the directory exists
+      const ticketLogDir = path.join('logs', 'ticket');
+      if (!fs.existsSync(ticketLogDir)) {
+        fs.mkdirSync(ticketLogDir, { recursive: true });
+      }
+
+      const messages = await this.getTicketMessages(ticketId);
+      const filePath = path.join(ticketLogDir, notes ? `${ticketId}-staff.html` : `${ticketId}.html`);
+
+      const timeline = await this.getTranscriptTimeline(ticketId);
+      fs.writeFileSync(filePath, TranscriptRenderer.renderHtml(ticket, department, messages, notes, timeline), 'utf8');
+
+      logger.info(`Exported HTML transcript of ticket ${ticketId} to ${filePath}`);
+      return filePath;
+    } catch (error) {
+      logger.error(`Error exporting HTML transcript: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get a ticket by ID
    * @param {String} ticketId - The ticket ID
@@ -569,6 +1771,7 @@ class TicketRepository {
       
       return {
         id: ticket.id,
+        guildId: ticket.guild_id || null,
         channelId: ticket.channel_id,
         userId: ticket.user_id,
         departmentId: ticket.department_id,
@@ -576,6 +1779,12 @@ class TicketRepository {
         aiHandled: Boolean(ticket.ai_handled),
         humanHandled: Boolean(ticket.human_handled),
         staffId: ticket.staff_id,
+        formData: this.parseFormData(ticket.form_data),
+        priority: ticket.priority || 'normal',
+        closeReason: ticket.close_reason,
+        resolution: ticket.resolution,
+        notesThreadId: ticket.notes_thread_id,
+        escalationLevel: ticket.escalation_level || 0,
         createdAt: new Date(ticket.created_at),
         closedAt: ticket.closed_at ? new Date(ticket.closed_at) : null
       };
@@ -585,6 +1794,25 @@ class TicketRepository {
     }
   }
 
+  /**
+   * Get a ticket by its full ID or the short ID shown in the ticket embed
+   * @param {String} idPrefix - The full ticket ID or its first section
+   * @return {Promise<Object|null>} The ticket object, or null if not found
+   */
+  async getTicketByIdPrefix(idPrefix) {
+    try {
+      const row = await database.get(
+        'SELECT id FROM tickets WHERE id LIKE ? ORDER BY created_at DESC LIMIT 1',
+        [`${idPrefix.replace(/[%_]/g, '')}%`]
+      );
+
+      return row ? await this.getTicket(row.id) : null;
+    } catch (error) {
+      logger.error(`Database error getting ticket by ID prefix: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get a user's ticket by user ID and department
    * @param {String} userId - The user ID
@@ -609,6 +1837,12 @@ class TicketRepository {
         aiHandled: Boolean(ticket.ai_handled),
         humanHandled: Boolean(ticket.human_handled),
         staffId: ticket.staff_id,
+        formData: this.parseFormData(ticket.form_data),
+        priority: ticket.priority || 'normal',
+        closeReason: ticket.close_reason,
+        resolution: ticket.resolution,
+        notesThreadId: ticket.notes_thread_id,
+        escalationLevel: ticket.escalation_level || 0,
         createdAt: new Date(ticket.created_at),
         closedAt: ticket.closed_at ? new Date(ticket.closed_at) : null
       };
@@ -618,6 +1852,25 @@ class TicketRepository {
     }
   }
 
+  /**
+   * Update the escalation level of a ticket
+   * @param {String} ticketId - The ticket ID
+   * @param {Number} level - The escalation level, 0 for the department roles
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateTicketEscalation(ticketId, level) {
+    try {
+      await database.run(
+        'UPDATE tickets SET escalation_level = ?, updated_at = ? WHERE id = ?',
+        [level, moment().tz(config.timezone || 'UTC').toISOString(), ticketId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error updating ticket escalation: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Update ticket department
    * @param {String} ticketId - The ticket ID
@@ -627,7 +1880,7 @@ class TicketRepository {
   async updateTicketDepartment(ticketId, newDepartmentId) {
     try {
       await database.run(
-        'UPDATE tickets SET department_id = ?, updated_at = ? WHERE id = ?',
+        'UPDATE tickets SET department_id = ?, escalation_level = 0, updated_at = ? WHERE id = ?',
         [newDepartmentId, moment().tz(config.timezone || 'UTC').toISOString(), ticketId]
       );
       return true;
@@ -657,6 +1910,64 @@ class TicketRepository {
     }
   }
 
+  /**
+   * Record a lifecycle event of a ticket in the audit log
+   * @param {Object} event - The event data (ticketId, type, actorId, actorTag, before, after, details)
+   * @return {Promise<Object>} The saved event
+   */
+  async addTicketEvent(event) {
+    try {
+      const createdAt = moment().tz(config.timezone || 'UTC').toISOString();
+      const result = await database.run(
+        `INSERT INTO ticket_events (ticket_id, event_type, actor_id, actor_tag, before_value, after_value, details, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          event.ticketId,
+          event.type,
+          event.actorId || null,
+          event.actorTag || null,
+          event.before === undefined || event.before === null ? null : String(event.before),
+          event.after === undefined || event.after === null ? null : String(event.after),
+          event.details || null,
+          createdAt
+        ]
+      );
+      return { id: result.lastID, ...event, createdAt: new Date(createdAt) };
+    } catch (error) {
+      logger.error(`Database error adding ticket event: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the audit log of a ticket
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<Array>} Events ordered by time
+   */
+  async getTicketEvents(ticketId) {
+    try {
+      const events = await database.all(
+        'SELECT * FROM ticket_events WHERE ticket_id = ? ORDER BY created_at ASC, id ASC',
+        [ticketId]
+      );
+
+      return events.map(event => ({
+        id: event.id,
+        ticketId: event.ticket_id,
+        type: event.event_type,
+        actorId: event.actor_id,
+        actorTag: event.actor_tag,
+        before: event.before_value,
+        after: event.after_value,
+        details: event.details,
+        createdAt: new Date(event.created_at)
+      }));
+    } catch (error) {
+      logger.error(`Database error getting ticket events: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get all invites for a ticket
    * @param {String} ticketId - The ticket ID
@@ -673,6 +1984,89 @@ class TicketRepository {
       throw error;
     }
   }
+
+  /**
+   * Add an internal staff note to a ticket
+   * @param {Object} note - The note data
+   * @return {Promise<Object>} The saved note
+   */
+  async addTicketNote(note) {
+    try {
+      const createdAt = moment().tz(config.timezone || 'UTC').toISOString();
+      const result = await database.run(
+        'INSERT INTO ticket_notes (ticket_id, author_id, author_tag, content, source_message_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [note.ticketId, note.authorId, note.authorTag, note.content, note.sourceMessageId || null, createdAt]
+      );
+      return { id: result.lastID, ...note, createdAt: new Date(createdAt) };
+    } catch (error) {
+      logger.error(`Database error adding ticket note: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the internal notes of a ticket
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<Array>} Notes ordered by creation time
+   */
+  async getTicketNotes(ticketId) {
+    try {
+      const notes = await database.all(
+        'SELECT * FROM ticket_notes WHERE ticket_id = ? ORDER BY created_at ASC',
+        [ticketId]
+      );
+
+      return notes.map(note => ({
+        id: note.id,
+        ticketId: note.ticket_id,
+        authorId: note.author_id,
+        authorTag: note.author_tag,
+        content: note.content,
+        sourceMessageId: note.source_message_id,
+        createdAt: new Date(note.created_at)
+      }));
+    } catch (error) {
+      logger.error(`Database error getting ticket notes: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remember the private thread that holds a ticket's notes
+   * @param {String} ticketId - The ticket ID
+   * @param {String} threadId - The thread ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateNotesThread(ticketId, threadId) {
+    try {
+      await database.run(
+        'UPDATE tickets SET notes_thread_id = ? WHERE id = ?',
+        [threadId, ticketId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error updating notes thread: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a ticket by the ID of its notes thread
+   * @param {String} threadId - The notes thread ID
+   * @return {Promise<Object|null>} The ticket object
+   */
+  async getTicketByNotesThreadId(threadId) {
+    try {
+      const ticket = await database.get(
+        'SELECT * FROM tickets WHERE notes_thread_id = ?',
+        [threadId]
+      );
+      return ticket ? this.mapTicket(ticket) : null;
+    } catch (error) {
+      logger.error(`Database error getting ticket by notes thread: ${error.message}`);
+      throw error;
+    }
+  }
 }
 
 module.exports = TicketRepository;
\ No newline at end of file
@@ -1,5 +1,7 @@
 const logger = require('../../core/logger');
 const config = require('../../core/config');
+const Embeds = require('../../utils/embeds');
+const moment = require('moment-timezone');
 
 class TicketService {
   constructor(ticketRepository) {
@@ -21,6 +23,79 @@ class TicketService {
     }
   }
 
+  /**
+   * Get the overflow categories of a department
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Array>} Overflow categories ordered by their number
+   */
+  async getOverflowCategories(departmentId) {
+    try {
+      return await this.repository.getOverflowCategories(departmentId);
+    } catch (error) {
+      logger.error(`Error getting overflow categories: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an overflow category by its channel ID
+   * @param {String} categoryId - The category channel ID
+   * @return {Promise<Object|null>} The overflow category, or null if the category is not an overflow category
+   */
+  async getOverflowCategory(categoryId) {
+    try {
+      return await this.repository.getOverflowCategory(categoryId);
+    } catch (error) {
+      logger.error(`Error getting overflow category: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Track an overflow category of a department
+   * @param {String} departmentId - The department ID
+   * @param {String} categoryId - The category channel ID
+   * @param {Number} position - The number shown in the category name
+   * @return {Promise<Boolean>} Success status
+   */
+  async addOverflowCategory(departmentId, categoryId, position) {
+    try {
+      return await this.repository.addOverflowCategory(departmentId, categoryId, position);
+    } catch (error) {
+      logger.error(`Error adding overflow category: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop tracking an overflow category
+   * @param {String} categoryId - The category channel ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async removeOverflowCategory(categoryId) {
+    try {
+      return await this.repository.removeOverflowCategory(categoryId);
+    } catch (error) {
+      logger.error(`Error removing overflow category: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the support channel a department opens its ticket threads in
+   * @param {String} departmentId - The department ID
+   * @param {String|null} channelId - The support channel ID, or null to use ticket channels again
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateDepartmentThreadChannel(departmentId, channelId) {
+    try {
+      return await this.repository.updateDepartmentThreadChannel(departmentId, channelId);
+    } catch (error) {
+      logger.error(`Error updating department thread channel: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Save a ticket panel to the database
    * @param {String} guildId - The guild ID
@@ -50,6 +125,35 @@ class TicketService {
     }
   }
 
+  /**
+   * Get ticket settings for a guild
+   * @param {String} guildId - The guild ID
+   * @return {Promise<Object>} The guild settings
+   */
+  async getGuildSettings(guildId) {
+    try {
+      return await this.repository.getGuildSettings(guildId);
+    } catch (error) {
+      logger.error(`Error getting guild settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update ticket settings for a guild
+   * @param {String} guildId - The guild ID
+   * @param {Object} settings - The settings to update
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateGuildSettings(guildId, settings) {
+    try {
+      return await this.repository.updateGuildSettings(guildId, settings);
+    } catch (error) {
+      logger.error(`Error updating guild settings: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get a department by ID
    * @param {String} departmentId - The department ID
@@ -64,6 +168,92 @@ class TicketService {
     }
   }
 
+  /**
+   * Get all departments
+   * @return {Promise<Array>} Array of department objects
+   */
+  async getAllDepartments() {
+    try {
+      return await this.repository.getAllDepartments();
+    } catch (error) {
+      logger.error(`Error getting departments: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new department
+   * @param {Object} department - The department object
+   * @return {Promise<Object>} The created department
+   */
+  async createDepartment(department) {
+    try {
+      return await this.repository.createDepartment(department);
+    } catch (error) {
+      logger.error(`Error creating department: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a department's display settings
+   * @param {String} departmentId - The department ID
+   * @param {Object} department - The department fields to update
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateDepartment(departmentId, department) {
+    try {
+      return await this.repository.updateDepartment(departmentId, department);
+    } catch (error) {
+      logger.error(`Error updating department: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a department, refused while it has tickets that are not closed
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Boolean>} Whether the department was deleted
+   */
+  async deleteDepartment(departmentId) {
+    try {
+      return await this.repository.deleteDepartment(departmentId);
+    } catch (error) {
+      logger.error(`Error deleting department: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the tickets of a department that are not closed yet
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Number>} Number of active tickets
+   */
+  async countActiveDepartmentTickets(departmentId) {
+    try {
+      return await this.repository.countActiveDepartmentTickets(departmentId);
+    } catch (error) {
+      logger.error(`Error counting department tickets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Set how handed-off tickets of a department are assigned to staff
+   * @param {String} departmentId - The department ID
+   * @param {String} mode - off, roundrobin or leastopen
+   * @param {Number} timeoutMinutes - How long the chosen staff member has to accept
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateDepartmentAssignMode(departmentId, mode, timeoutMinutes) {
+    try {
+      return await this.repository.updateDepartmentAssignMode(departmentId, mode, timeoutMinutes);
+    } catch (error) {
+      logger.error(`Error updating department assign mode: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get roles associated with a department
    * @param {String} departmentId - The department ID
@@ -101,6 +291,93 @@ class TicketService {
     }
   }
 
+  /**
+   * Get the escalation tiers of a department
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Array>} Escalation tiers ordered by level
+   */
+  async getEscalationTiers(departmentId) {
+    try {
+      return await this.repository.getEscalationTiers(departmentId);
+    } catch (error) {
+      logger.error(`Error getting escalation tiers: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Add an escalation tier to the top of a department's ladder
+   * @param {String} departmentId - The department ID
+   * @param {String} roleId - The role pinged when a ticket reaches the tier
+   * @param {String} name - The tier name
+   * @return {Promise<Number>} The level of the new tier
+   */
+  async addEscalationTier(departmentId, roleId, name) {
+    try {
+      return await this.repository.addEscalationTier(departmentId, roleId, name);
+    } catch (error) {
+      logger.error(`Error adding escalation tier: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the highest escalation tier of a department
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Object|null>} The removed tier, or null if the department has no tiers
+   */
+  async removeTopEscalationTier(departmentId) {
+    try {
+      return await this.repository.removeTopEscalationTier(departmentId);
+    } catch (error) {
+      logger.error(`Error removing escalation tier: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the intake form fields of a department
+   * @param {String} departmentId - The department ID
+   * @return {Promise<Array>} Array of form field objects
+   */
+  async getDepartmentFormFields(departmentId) {
+    try {
+      return await this.repository.getDepartmentFormFields(departmentId);
+    } catch (error) {
+      logger.error(`Error getting department form fields: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an intake form field to a department
+   * @param {Object} field - The form field object
+   * @return {Promise<Object>} The created form field
+   */
+  async addDepartmentFormField(field) {
+    try {
+      return await this.repository.addDepartmentFormField(field);
+    } catch (error) {
+      logger.error(`Error adding department form field: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an intake form field from a department
+   * @param {String} departmentId - The department ID
+   * @param {Number} fieldId - The form field ID
+   * @return {Promise<Boolean>} Whether a field was removed
+   */
+  async removeDepartmentFormField(departmentId, fieldId) {
+    try {
+      return await this.repository.removeDepartmentFormField(departmentId, fieldId);
+    } catch (error) {
+      logger.error(`Error removing department form field: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Create a new ticket
    * @param {Object} ticket - The ticket object
@@ -144,14 +421,112 @@ class TicketService {
     }
   }
 
+  /**
+   * Count the tickets of a user in a guild that are not closed
+   * @param {String} guildId - The guild ID
+   * @param {String} userId - The user ID
+   * @return {Promise<Number>} The number of open tickets
+   */
+  async countUserOpenTickets(guildId, userId) {
+    try {
+      return await this.repository.countUserOpenTickets(guildId, userId);
+    } catch (error) {
+      logger.error(`Error counting user open tickets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get when a user's most recently closed ticket in a guild was closed
+   * @param {String} guildId - The guild ID
+   * @param {String} userId - The user ID
+   * @return {Promise<Date|null>} The close time
+   */
+  async getUserLastClosedAt(guildId, userId) {
+    try {
+      return await this.repository.getUserLastClosedAt(guildId, userId);
+    } catch (error) {
+      logger.error(`Error getting user last closed ticket: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a user to the ticket blacklist
+   * @param {Object} entry - guildId, userId, reason, expiresAt (null for permanent) and createdBy
+   * @return {Promise<Boolean>} Success status
+   */
+  async addToBlacklist(entry) {
+    try {
+      return await this.repository.addBlacklistEntry(entry);
+    } catch (error) {
+      logger.error(`Error adding user to blacklist: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user from the ticket blacklist
+   * @param {String} guildId - The guild ID
+   * @param {String} userId - The user ID
+   * @return {Promise<Boolean>} Whether the user was blacklisted
+   */
+  async removeFromBlacklist(guildId, userId) {
+    try {
+      return await this.repository.removeBlacklistEntry(guildId, userId);
+    } catch (error) {
+      logger.error(`Error removing user from blacklist: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active blacklist entry of a user, expired entries are removed
+   * @param {String} guildId - The guild ID
+   * @param {String} userId - The user ID
+   * @return {Promise<Object|null>} The entry, or null if the user may open tickets
+   */
+  async getActiveBlacklistEntry(guildId, userId) {
+    try {
+      const entry = await this.repository.getBlacklistEntry(guildId, userId);
+      if (!entry) return null;
+
+      if (entry.expiresAt && entry.expiresAt <= new Date()) {
+        await this.repository.removeBlacklistEntry(guildId, userId);
+        return null;
+      }
+
+      return entry;
+    } catch (error) {
+      logger.error(`Error getting blacklist entry: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active ticket blacklist of a guild
+   * @param {String} guildId - The guild ID
+   * @return {Promise<Array>} Entries, newest first
+   */
+  async getBlacklist(guildId) {
+    try {
+      await this.repository.removeExpiredBlacklistEntries(guildId);
+      return await this.repository.getBlacklist(guildId);
+    } catch (error) {
+      logger.error(`Error getting blacklist: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Close a ticket
    * @param {String} ticketId - The ticket ID
+   * @param {Object} closeInfo - The close reason and resolution category
    * @return {Promise<Boolean>} Success status
    */
-  async closeTicket(ticketId) {
+  async closeTicket(ticketId, closeInfo = {}) {
     try {
-      return await this.repository.closeTicket(ticketId);
+      return await this.repository.closeTicket(ticketId, closeInfo);
     } catch (error) {
       logger.error(`Error closing ticket: ${error.message}`);
       throw error;
@@ -188,6 +563,51 @@ class TicketService {
     }
   }
 
+  /**
+   * Claim a ticket for a staff member
+   * @param {String} ticketId - The ticket ID
+   * @param {String} staffId - The staff user ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async claimTicket(ticketId, staffId) {
+    try {
+      // Claiming also marks the ticket as human handled
+      return await this.repository.assignTicketToStaff(ticketId, staffId);
+    } catch (error) {
+      logger.error(`Error claiming ticket: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Release the claim on a ticket
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async unclaimTicket(ticketId) {
+    try {
+      return await this.repository.updateTicketClaim(ticketId, null);
+    } catch (error) {
+      logger.error(`Error unclaiming ticket: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update ticket priority
+   * @param {String} ticketId - The ticket ID
+   * @param {String} priority - The new priority (low, normal, high, urgent)
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateTicketPriority(ticketId, priority) {
+    try {
+      return await this.repository.updateTicketPriority(ticketId, priority);
+    } catch (error) {
+      logger.error(`Error updating ticket priority: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Update ticket AI handling status
    * @param {String} ticketId - The ticket ID
@@ -234,9 +654,10 @@ class TicketService {
   /**
    * Export ticket messages to a file
    * @param {String} ticketId - The ticket ID
+   * @param {Boolean} includeNotes - Whether to include internal notes (staff-facing transcripts only)
    * @return {Promise<String|null>} The path to the exported file or null if ticket logging is disabled
    */
-  async exportTicket(ticketId) {
+  async exportTicket(ticketId, includeNotes = false) {
     try {
       // Check if ticket logging is enabled
       if (!config.enableTicketLogs) {
@@ -254,7 +675,8 @@ class TicketService {
       const department = await this.getDepartment(ticket.departmentId);
       
       // Export the ticket messages to a file
-      const filePath = await this.repository.exportTicketMessages(ticketId, ticket, department);
+      const notes = includeNotes ? await this.repository.getTicketNotes(ticketId) : null;
+      const filePath = await this.repository.exportTicketMessages(ticketId, ticket, department, notes);
       
       return filePath;
     } catch (error) {
@@ -263,13 +685,224 @@ class TicketService {
     }
   }
   
+  /**
+   * Export a ticket to an HTML transcript
+   * @param {String} ticketId - The ticket ID
+   * @param {Boolean} includeNotes - Whether to include internal notes (staff-facing transcripts only)
+   * @return {Promise<String|null>} The path to the exported file or null if ticket logging is disabled
+   */
+  async exportTicketHtml(ticketId, includeNotes = false) {
+    try {
+      const ticket = await this.repository.getTicket(ticketId);
+      if (!ticket) {
+        throw new Error(`Ticket ${ticketId} not found`);
+      }
+
+      const department = await this.getDepartment(ticket.departmentId);
+      const notes = includeNotes ? await this.repository.getTicketNotes(ticketId) : null;
+      return await this.repository.exportTicketHtml(ticketId, ticket, department, notes);
+    } catch (error) {
+      logger.error(`Error exporting HTML transcript: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Export both transcript formats of a ticket
+   * @param {String} ticketId - The ticket ID
+   * @param {Boolean} includeNotes - Whether to include internal notes (staff-facing transcripts only)
+   * @return {Promise<Array<String>>} The plain-text and HTML file paths, empty if ticket logging is disabled
+   */
+  async exportTicketTranscripts(ticketId, includeNotes = false) {
+    const filePath = await this.exportTicket(ticketId, includeNotes);
+    if (!filePath) return [];
+
+    const htmlPath = await this.exportTicketHtml(ticketId, includeNotes);
+    return htmlPath ? [filePath, htmlPath] : [filePath];
+  }
+
+  /**
+   * Add an internal staff note to a ticket
+   * @param {Object} note - The note data (ticketId, authorId, authorTag, content, sourceMessageId)
+   * @return {Promise<Object>} The saved note
+   */
+  async addTicketNote(note) {
+    try {
+      return await this.repository.addTicketNote(note);
+    } catch (error) {
+      logger.error(`Error adding ticket note: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the internal notes of a ticket
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<Array>} Notes ordered by creation time
+   */
+  async getTicketNotes(ticketId) {
+    try {
+      return await this.repository.getTicketNotes(ticketId);
+    } catch (error) {
+      logger.error(`Error getting ticket notes: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remember the private thread that holds a ticket's notes
+   * @param {String} ticketId - The ticket ID
+   * @param {String} threadId - The thread ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateNotesThread(ticketId, threadId) {
+    try {
+      return await this.repository.updateNotesThread(ticketId, threadId);
+    } catch (error) {
+      logger.error(`Error updating notes thread: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Move the stored messages of a merged ticket to the ticket it was merged into
+   * @param {String} sourceTicketId - The merged ticket ID
+   * @param {String} targetTicketId - The ticket ID the messages move to
+   * @return {Promise<Number>} Number of messages moved
+   */
+  async moveTicketMessages(sourceTicketId, targetTicketId) {
+    try {
+      return await this.repository.moveTicketMessages(sourceTicketId, targetTicketId);
+    } catch (error) {
+      logger.error(`Error moving ticket messages: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a ticket by the ID of its notes thread
+   * @param {String} threadId - The notes thread ID
+   * @return {Promise<Object|null>} The ticket object
+   */
+  async getTicketByNotesThreadId(threadId) {
+    try {
+      return await this.repository.getTicketByNotesThreadId(threadId);
+    } catch (error) {
+      logger.error(`Error getting ticket by notes thread: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Count closed tickets by department and resolution category
+   * @param {Number} days - How many days back to count
+   * @return {Promise<Array<Object>>} Rows with departmentId, resolution and count
+   */
+  async getResolutionReport(days) {
+    try {
+      return await this.repository.getResolutionReport(moment().subtract(days, 'days').toDate());
+    } catch (error) {
+      logger.error(`Error getting resolution report: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a ticket by its full ID or the short ID shown in the ticket embed
+   * @param {String} idPrefix - The full ticket ID or its first section
+   * @return {Promise<Object|null>} The ticket object
+   */
+  async getTicketByIdPrefix(idPrefix) {
+    try {
+      return await this.repository.getTicketByIdPrefix(idPrefix);
+    } catch (error) {
+      logger.error(`Error getting ticket by ID prefix: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Search tickets by user, department, status, date range, claimer and message keyword
+   * @param {Object} filters - userId, departmentIds, status, from, to, staffId and keyword, all optional
+   * @param {Number} page - Zero-based page number
+   * @param {Number} pageSize - Tickets per page
+   * @return {Promise<Object>} total and the tickets of the page
+   */
+  async searchTickets(filters, page = 0, pageSize = 5) {
+    try {
+      return await this.repository.searchTickets(filters, pageSize, page * pageSize);
+    } catch (error) {
+      logger.error(`Error searching tickets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every ticket that is not closed
+   * @param {String|null} guildId - Only the tickets of this guild, null for every guild
+   * @return {Promise<Array>} Ticket objects, oldest first
+   */
+  async getActiveTickets(guildId = null) {
+    try {
+      return await this.repository.getActiveTickets(guildId);
+    } catch (error) {
+      logger.error(`Error getting active tickets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the guild of tickets created before tickets stored their guild
+   * @param {Collection<String, Guild>} guilds - The guilds the bot is in
+   * @return {Promise<Number>} The number of updated tickets
+   */
+  async backfillTicketGuilds(guilds) {
+    try {
+      let updated = 0;
+      for (const guild of guilds.values()) {
+        updated += await this.repository.setMissingTicketGuild(guild.id, [...guild.channels.cache.keys()]);
+      }
+
+      // The channels of closed tickets are gone, with a single guild they can only belong to it
+      if (guilds.size === 1) {
+        updated += await this.repository.setMissingTicketGuild(guilds.first().id);
+      }
+      return updated;
+    } catch (error) {
+      logger.error(`Error backfilling ticket guilds: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the previous tickets of a user and how many of them are recent
+   * @param {String} userId - The user ID
+   * @param {String|null} excludeTicketId - The ticket being created, left out of the history
+   * @return {Promise<Object>} total, recentCount and the latest tickets
+   */
+  async getUserTicketHistory(userId, excludeTicketId = null) {
+    try {
+      const { repeatContactDays, maxTickets } = config.ticketHistory;
+      return await this.repository.getUserTicketHistory(
+        userId,
+        excludeTicketId,
+        moment().subtract(repeatContactDays, 'days').toDate(),
+        maxTickets
+      );
+    } catch (error) {
+      logger.error(`Error getting user ticket history: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Send ticket transcript to user
    * @param {String} ticketId - The ticket ID
    * @param {Client} client - The Discord client
+   * @param {String|null} guildId - The guild the ticket belongs to, enables the reopen button
    * @return {Promise<Boolean>} Success status
    */
-  async sendTicketTranscriptToUser(ticketId, client) {
+  async sendTicketTranscriptToUser(ticketId, client, guildId = null) {
     try {
       // Check if ticket logging is enabled
       if (!config.enableTicketLogs) {
@@ -293,21 +926,41 @@ class TicketService {
       // Get the department
       const department = await this.getDepartment(ticket.departmentId);
       
-      // Export the ticket
-      const filePath = await this.exportTicket(ticketId);
+      // Export the ticket, the HTML transcript is attached next to the plain-text log
+      const files = await this.exportTicketTranscripts(ticketId);
       
-      // If filePath is null, it means ticket logging is disabled
-      if (!filePath) {
+      // No files means ticket logging is disabled
+      if (files.length === 0) {
         logger.info(`No transcript file generated for ticket ${ticketId}, skipping sending to user`);
         return true;
       }
       
+      // Offer a reopen button while the guild's reopen window is open
+      const components = [];
+      if (guildId) {
+        const settings = await this.getGuildSettings(guildId);
+        if (settings.reopenWindowHours > 0) {
+          components.push(Embeds.reopenTicketButton(guildId, ticket.id));
+        }
+      }
+
       // Try to send the file to the user
       try {
         const dmChannel = await user.createDM();
+        // Tell the customer how the ticket was closed
+        let content = `您好！以下是您的客服單記錄 (ID: ${ticket.id.split('-')[0]})`;
+        if (ticket.resolution) {
+          const resolution = config.closeResolution[ticket.resolution];
+          content += `\n解決類別: ${resolution ? `${resolution.emoji} ${resolution.name}` : ticket.resolution}`;
+        }
+        if (ticket.closeReason) {
+          content += `\n關閉原因: ${ticket.closeReason}`;
+        }
+
         await dmChannel.send({
-          content: `您好！以下是您的客服單記錄 (ID: ${ticket.id.split('-')[0]})`,
-          files: [filePath]
+          content,
+          files,
+          components
         });
         logger.info(`Successfully sent ticket transcript for ${ticketId} to user ${user.tag}`);
         return true;
@@ -322,6 +975,21 @@ class TicketService {
     }
   }
   
+  /**
+   * Reopen a closed ticket in a new channel
+   * @param {String} ticketId - The ticket ID
+   * @param {String} channelId - The new channel ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async reopenTicket(ticketId, channelId) {
+    try {
+      return await this.repository.reopenTicket(ticketId, channelId);
+    } catch (error) {
+      logger.error(`Error reopening ticket: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get a ticket by ID
    * @param {String} ticketId - The ticket ID
@@ -336,6 +1004,21 @@ class TicketService {
     }
   }
 
+  /**
+   * Update the escalation level of a ticket
+   * @param {String} ticketId - The ticket ID
+   * @param {Number} level - The escalation level, 0 for the department roles
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateTicketEscalation(ticketId, level) {
+    try {
+      return await this.repository.updateTicketEscalation(ticketId, level);
+    } catch (error) {
+      logger.error(`Error updating ticket escalation: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Transfer a ticket to another department
    * @param {String} ticketId - The ticket ID
@@ -367,6 +1050,47 @@ class TicketService {
     }
   }
 
+  /**
+   * Record a lifecycle event of a ticket in the audit log
+   * The actor is a Discord user, or null for changes made by the bot itself (auto-close, AI)
+   * @param {String} ticketId - The ticket ID
+   * @param {String} type - The event type, see TranscriptRenderer.describeEvent
+   * @param {User|null} actor - The user who made the change
+   * @param {Object} values - The before and after values and optional details
+   * @return {Promise<Object|null>} The saved event, or null if it could not be saved
+   */
+  async recordTicketEvent(ticketId, type, actor = null, values = {}) {
+    try {
+      return await this.repository.addTicketEvent({
+        ticketId,
+        type,
+        actorId: actor ? actor.id : null,
+        actorTag: actor ? actor.tag : null,
+        before: values.before,
+        after: values.after,
+        details: values.details
+      });
+    } catch (error) {
+      // The audit log must never block the change it describes
+      logger.error(`Error recording ticket event: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the audit log of a ticket
+   * @param {String} ticketId - The ticket ID
+   * @return {Promise<Array>} Events ordered by time
+   */
+  async getTicketEvents(ticketId) {
+    try {
+      return await this.repository.getTicketEvents(ticketId);
+    } catch (error) {
+      logger.error(`Error getting ticket events: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get all invites for a ticket
    * @param {String} ticketId - The ticket ID
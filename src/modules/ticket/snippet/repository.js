@@ -0,0 +1,153 @@
+const database = require('../../../core/database');
+const logger = require('../../../core/logger');
+const moment = require('moment-timezone');
+const config = require('../../../core/config');
+
+class SnippetRepository {
+  /**
+   * Map a snippet row to a snippet object
+   * @param {Object} row - The database row
+   * @return {Object} The snippet object
+   */
+  mapSnippet(row) {
+    return {
+      id: row.id,
+      guildId: row.guild_id,
+      name: row.name,
+      content: row.content,
+      departmentId: row.department_id,
+      createdBy: row.created_by,
+      useCount: row.use_count || 0,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+
+  /**
+   * Create a snippet
+   * @param {Object} snippet - The snippet data (guildId, name, content, departmentId, createdBy)
+   * @return {Promise<Object>} The created snippet
+   */
+  async createSnippet(snippet) {
+    try {
+      const now = moment().tz(config.timezone || 'UTC').toISOString();
+      const result = await database.run(
+        'INSERT INTO snippets (guild_id, name, content, department_id, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [snippet.guildId, snippet.name, snippet.content, snippet.departmentId || null, snippet.createdBy, now, now]
+      );
+      return await this.getSnippetById(result.lastID);
+    } catch (error) {
+      logger.error(`Database error creating snippet: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a snippet's content
+   * @param {Number} snippetId - The snippet ID
+   * @param {String} content - The new content
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateSnippetContent(snippetId, content) {
+    try {
+      await database.run(
+        'UPDATE snippets SET content = ?, updated_at = ? WHERE id = ?',
+        [content, moment().tz(config.timezone || 'UTC').toISOString(), snippetId]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error updating snippet: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a snippet
+   * @param {Number} snippetId - The snippet ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async deleteSnippet(snippetId) {
+    try {
+      await database.run('DELETE FROM snippets WHERE id = ?', [snippetId]);
+      return true;
+    } catch (error) {
+      logger.error(`Database error deleting snippet: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a snippet by ID
+   * @param {Number} snippetId - The snippet ID
+   * @return {Promise<Object|null>} The snippet object
+   */
+  async getSnippetById(snippetId) {
+    try {
+      const row = await database.get('SELECT * FROM snippets WHERE id = ?', [snippetId]);
+      return row ? this.mapSnippet(row) : null;
+    } catch (error) {
+      logger.error(`Database error getting snippet: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a snippet by name
+   * @param {String} guildId - The guild ID
+   * @param {String} name - The snippet name
+   * @return {Promise<Object|null>} The snippet object
+   */
+  async getSnippetByName(guildId, name) {
+    try {
+      const row = await database.get(
+        'SELECT * FROM snippets WHERE guild_id = ? AND name = ?',
+        [guildId, name]
+      );
+      return row ? this.mapSnippet(row) : null;
+    } catch (error) {
+      logger.error(`Database error getting snippet by name: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the snippets of a guild
+   * @param {String} guildId - The guild ID
+   * @param {String|null} departmentId - Only return snippets usable in this department (plus shared ones)
+   * @return {Promise<Array>} Snippets, most used first
+   */
+  async getSnippets(guildId, departmentId = null) {
+    try {
+      const rows = departmentId
+        ? await database.all(
+          'SELECT * FROM snippets WHERE guild_id = ? AND (department_id IS NULL OR department_id = ?) ORDER BY use_count DESC, name ASC',
+          [guildId, departmentId]
+        )
+        : await database.all(
+          'SELECT * FROM snippets WHERE guild_id = ? ORDER BY use_count DESC, name ASC',
+          [guildId]
+        );
+      return rows.map(row => this.mapSnippet(row));
+    } catch (error) {
+      logger.error(`Database error getting snippets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a use of a snippet
+   * @param {Number} snippetId - The snippet ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async incrementUseCount(snippetId) {
+    try {
+      await database.run('UPDATE snippets SET use_count = use_count + 1 WHERE id = ?', [snippetId]);
+      return true;
+    } catch (error) {
+      logger.error(`Database error updating snippet use count: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = SnippetRepository;
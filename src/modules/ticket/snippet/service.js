@@ -0,0 +1,184 @@
+const moment = require('moment-timezone');
+const SnippetRepository = require('./repository');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+
+class SnippetService {
+  constructor() {
+    this.snippetRepository = new SnippetRepository();
+  }
+
+  /**
+   * Create a snippet
+   * @param {Object} snippet - The snippet data (guildId, name, content, departmentId, createdBy)
+   * @return {Promise<Object>} The created snippet
+   */
+  async createSnippet(snippet) {
+    try {
+      return await this.snippetRepository.createSnippet(snippet);
+    } catch (error) {
+      logger.error(`Error creating snippet: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a snippet's content
+   * @param {Number} snippetId - The snippet ID
+   * @param {String} content - The new content
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateSnippetContent(snippetId, content) {
+    try {
+      return await this.snippetRepository.updateSnippetContent(snippetId, content);
+    } catch (error) {
+      logger.error(`Error updating snippet: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a snippet
+   * @param {Number} snippetId - The snippet ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async deleteSnippet(snippetId) {
+    try {
+      return await this.snippetRepository.deleteSnippet(snippetId);
+    } catch (error) {
+      logger.error(`Error deleting snippet: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a snippet by ID
+   * @param {Number} snippetId - The snippet ID
+   * @return {Promise<Object|null>} The snippet object
+   */
+  async getSnippetById(snippetId) {
+    try {
+      return await this.snippetRepository.getSnippetById(snippetId);
+    } catch (error) {
+      logger.error(`Error getting snippet: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a snippet by name
+   * @param {String} guildId - The guild ID
+   * @param {String} name - The snippet name
+   * @return {Promise<Object|null>} The snippet object
+   */
+  async getSnippetByName(guildId, name) {
+    try {
+      return await this.snippetRepository.getSnippetByName(guildId, name);
+    } catch (error) {
+      logger.error(`Error getting snippet by name: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the snippets of a guild
+   * @param {String} guildId - The guild ID
+   * @param {String|null} departmentId - Only return snippets usable in this department (plus shared ones)
+   * @return {Promise<Array>} Snippets, most used first
+   */
+  async getSnippets(guildId, departmentId = null) {
+    try {
+      return await this.snippetRepository.getSnippets(guildId, departmentId);
+    } catch (error) {
+      logger.error(`Error getting snippets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a use of a snippet
+   * @param {Number} snippetId - The snippet ID
+   * @return {Promise<Boolean>} Success status
+   */
+  async recordUse(snippetId) {
+    try {
+      return await this.snippetRepository.incrementUseCount(snippetId);
+    } catch (error) {
+      logger.error(`Error recording snippet use: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Answer snippet name autocomplete
+   * In a ticket channel only the ticket department's snippets and shared snippets are offered.
+   * @param {AutocompleteInteraction} interaction - The autocomplete interaction
+   * @param {String|null} departmentId - The department of the current ticket
+   */
+  async respondAutocomplete(interaction, departmentId = null) {
+    try {
+      const focused = interaction.options.getFocused().toLowerCase();
+      const snippets = await this.getSnippets(interaction.guild.id, departmentId);
+
+      const choices = snippets
+        .filter(snippet => snippet.name.toLowerCase().includes(focused))
+        .slice(0, 25)
+        .map(snippet => ({ name: snippet.name, value: snippet.name }));
+
+      await interaction.respond(choices);
+    } catch (error) {
+      logger.error(`Error responding to snippet autocomplete: ${error.message}`);
+      await interaction.respond([]).catch(() => {});
+    }
+  }
+
+  /**
+   * Fill in the placeholders of a snippet
+   * @param {String} content - The snippet content
+   * @param {Object} context - ticket, department, guildId, staff and the optional whmcsService
+   * @return {Promise<String>} The rendered text
+   */
+  async renderSnippet(content, context) {
+    const { ticket, department, guildId, staff, whmcsService } = context;
+    const timezone = config.timezone || 'UTC';
+
+    const values = {
+      user: `<@${ticket.userId}>`,
+      staff: `<@${staff.id}>`,
+      ticket_id: ticket.id.split('-')[0],
+      department: department ? department.name : '未知'
+    };
+
+    // The lookups below are slow, only run them when the snippet uses them
+    if (content.includes('{next_service_time}')) {
+      try {
+        const serviceHoursModule = require('../../service-hours');
+        const next = await serviceHoursModule.service.getNextServiceTime(guildId);
+        values.next_service_time = next ? moment(next).tz(timezone).format('YYYY-MM-DD HH:mm') : '未設定';
+      } catch (error) {
+        logger.error(`Error getting next service time for snippet: ${error.message}`);
+        values.next_service_time = '未設定';
+      }
+    }
+
+    if (content.includes('{whmcs_client_id}') || content.includes('{whmcs_services}')) {
+      values.whmcs_client_id = '未綁定';
+      values.whmcs_services = '無';
+
+      if (whmcsService && config.whmcs && config.whmcs.enabled) {
+        const result = await whmcsService.getClientServices(ticket.userId);
+        if (result.clientId) values.whmcs_client_id = String(result.clientId);
+        if (result.success && result.services.length > 0) {
+          values.whmcs_services = result.services
+            .filter(service => service.isActive)
+            .map(service => service.domain ? `${service.name} (${service.domain})` : service.name)
+            .join('、') || '無';
+        }
+      }
+    }
+
+    return content.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+  }
+}
+
+module.exports = new SnippetService();
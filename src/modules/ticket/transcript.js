@@ -0,0 +1,345 @@
+const moment = require('moment-timezone');
+const config = require('../../core/config');
+
+/**
+ * Turns stored ticket messages into readable transcripts
+ */
+class TranscriptRenderer {
+  /**
+   * Normalize stored messages into transcript entries
+   * Messages are stored in several JSON shapes (descriptions, notices, embeds, AI responses),
+   * this flattens them so renderers don't need to know about each one.
+   * @param {Array} messages - Messages from TicketRepository.getTicketMessages
+   * @returns {Array<Object>} Entries with kind, author, avatarUrl, text, embeds and timestamp
+   */
+  static normalizeMessages(messages) {
+    const entries = [];
+    const processedAIMessages = new Set();
+
+    for (const message of messages) {
+      let parsedContent = null;
+      try {
+        parsedContent = JSON.parse(message.content);
+      } catch (e) {
+        // Not JSON, plain message text
+      }
+      if (!parsedContent || typeof parsedContent !== 'object') {
+        parsedContent = null;
+      }
+
+      const entry = {
+        kind: 'message',
+        authorId: message.userId,
+        author: parsedContent && parsedContent.username ? parsedContent.username : message.userId,
+        avatarUrl: parsedContent ? parsedContent.avatarUrl || null : null,
+        text: message.content,
+        embeds: [],
+        timestamp: message.timestamp
+      };
+
+      if (parsedContent && parsedContent.isDescription) {
+        entry.kind = 'description';
+        entry.text = parsedContent.text;
+      } else if (parsedContent && (parsedContent.isOffHoursNotice || parsedContent.isNewTicketOffHoursNotice || parsedContent.isHolidayNotice || parsedContent.isEscalationNotice)) {
+        // Off-hours messages can be plain text or a message payload with embeds
+        const notice = parsedContent.message || '';
+        entry.kind = 'notice';
+        entry.text = typeof notice === 'string' ? notice : notice.content || '';
+        entry.embeds = typeof notice === 'string' ? [] : notice.embeds || [];
+      } else if (parsedContent && parsedContent.embeds) {
+        entry.kind = 'embed';
+        entry.text = parsedContent.content || '';
+        entry.embeds = parsedContent.embeds;
+      } else if (message.isAI) {
+        // AI responses can be stored twice, once when sent and once when the channel is archived
+        const aiContent = parsedContent && parsedContent.aiResponseId ? parsedContent.content : message.content;
+        const key = parsedContent && parsedContent.aiResponseId ? parsedContent.aiResponseId : message.content;
+        if (processedAIMessages.has(key)) continue;
+        processedAIMessages.add(key);
+
+        entry.kind = 'ai';
+        entry.author = 'AI';
+        entry.text = aiContent;
+      } else if (parsedContent) {
+        entry.text = parsedContent.text || '';
+      }
+
+      entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Describe an audit log event in one line
+   * @param {Object} event - An event from TicketRepository.getTicketEvents
+   * @param {Object} options - departments: Map of department ID to department, formatUser: formats a user ID
+   * @returns {String} The event description
+   */
+  static describeEvent(event, options = {}) {
+    const departments = options.departments || new Map();
+    const formatUser = options.formatUser || (userId => userId);
+    const departmentName = departmentId => (departments.get(departmentId) ? departments.get(departmentId).name : departmentId || '未知');
+    const statusName = status => (config.ticketStatus[status] ? `${config.ticketStatus[status].emoji} ${config.ticketStatus[status].name}` : status || '無');
+    const priorityName = priority => (config.ticketPriority[priority] ? `${config.ticketPriority[priority].emoji} ${config.ticketPriority[priority].name}` : priority || '一般');
+
+    let text;
+    switch (event.type) {
+      case 'created':
+        text = `建立客服單（${departmentName(event.after)}）`;
+        break;
+      case 'status':
+        text = `狀態 ${statusName(event.before)} → ${statusName(event.after)}`;
+        break;
+      case 'claimed':
+        text = event.before ? `認領客服單（原認領人 ${formatUser(event.before)}）` : '認領客服單';
+        break;
+      case 'unclaimed':
+        text = `取消認領（原認領人 ${formatUser(event.before)}）`;
+        break;
+      case 'transferred':
+        text = `轉移部門 ${departmentName(event.before)} → ${departmentName(event.after)}`;
+        break;
+      case 'invited':
+        // The details hold the invitee's tag, plain transcripts can't resolve user IDs
+        return `邀請 ${options.formatUser ? formatUser(event.after) : event.details || event.after} 加入客服單`;
+      case 'priority':
+        text = `優先級 ${priorityName(event.before)} → ${priorityName(event.after)}`;
+        break;
+      case 'escalated':
+        text = `升級層級 第 ${event.before || 0} 級 → 第 ${event.after} 級`;
+        break;
+      case 'merged':
+        text = `合併至客服單 #${String(event.after).split('-')[0]}`;
+        break;
+      case 'mergedFrom':
+        text = `合併了客服單 #${String(event.before).split('-')[0]}`;
+        break;
+      default:
+        text = event.type;
+    }
+
+    return event.details ? `${text}：${event.details}` : text;
+  }
+
+  /**
+   * Normalize audit log events into timeline entries
+   * @param {Array} events - Events from TicketRepository.getTicketEvents
+   * @param {Object} options - Passed to describeEvent
+   * @returns {Array<Object>} Entries with authorId, author, text and timestamp
+   */
+  static normalizeEvents(events, options = {}) {
+    return events.map(event => ({
+      authorId: event.actorId,
+      author: event.actorTag || event.actorId || '系統',
+      text: this.describeEvent(event, options),
+      timestamp: event.createdAt
+    }));
+  }
+
+  /**
+   * Render a ticket transcript as a standalone HTML page
+   * @param {Object} ticket - The ticket object
+   * @param {Object} department - The department object
+   * @param {Array} messages - Messages from TicketRepository.getTicketMessages
+   * @param {Array|null} notes - Internal notes, only passed for staff-facing transcripts
+   * @param {Array} timeline - Timeline entries from normalizeEvents
+   * @returns {String} The HTML document
+   */
+  static renderHtml(ticket, department, messages, notes = null, timeline = []) {
+    const timezone = config.timezone || 'UTC';
+    const formatTime = date => moment(date).tz(timezone).format('YYYY-MM-DD HH:mm:ss');
+    const entries = this.normalizeMessages(messages);
+
+    const headerRows = [
+      ['ID', ticket.id],
+      ['部門', department?.name || '未知'],
+      ['創建時間', formatTime(ticket.createdAt)],
+      ['關閉時間', ticket.closedAt ? formatTime(ticket.closedAt) : '未關閉'],
+      ['狀態', ticket.status],
+      ...(ticket.resolution ? [['解決類別', config.closeResolution[ticket.resolution]?.name || ticket.resolution]] : []),
+      ...(ticket.closeReason ? [['關閉原因', ticket.closeReason]] : []),
+      ...(ticket.formData || []).map(field => [field.label, field.value || '未填寫'])
+    ];
+
+    const body = entries.map(entry => this.renderEntry(entry, formatTime)).join('\n');
+    const timelineSection = timeline.length > 0
+      ? `<div class="timeline">
+  <h2>客服單時間軸</h2>
+  <ul>
+${timeline.map(entry => `    <li><span class="time">${formatTime(entry.timestamp)}</span><span class="author">${this.escapeHtml(entry.author)}</span> ${this.escapeHtml(entry.text)}</li>`).join('\n')}
+  </ul>
+</div>`
+      : '';
+    const notesSection = notes && notes.length > 0
+      ? `<h2 class="notes-title">內部備註</h2>\n${notes.map(note => this.renderEntry({
+        kind: 'note',
+        author: note.authorTag || note.authorId,
+        text: note.content,
+        timestamp: note.createdAt
+      }, formatTime)).join('\n')}`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="zh-Hant">
+<head>
+<meta charset="utf-8">
+<title>客服單記錄 ${this.escapeHtml(ticket.id.split('-')[0])}</title>
+<style>
+  body { background: #313338; color: #dbdee1; font-family: "Segoe UI", "Noto Sans TC", sans-serif; margin: 0; padding: 24px; }
+  .header { background: #2b2d31; border-radius: 8px; padding: 16px; margin-bottom: 24px; }
+  .header h1 { margin: 0 0 12px; font-size: 20px; color: #f2f3f5; }
+  .header table { border-collapse: collapse; }
+  .header td { padding: 2px 12px 2px 0; vertical-align: top; }
+  .header td:first-child { color: #949ba4; white-space: nowrap; }
+  .timeline { background: #2b2d31; border-radius: 8px; padding: 16px; margin-bottom: 24px; }
+  .timeline h2 { margin: 0 0 8px; font-size: 16px; color: #f2f3f5; }
+  .timeline ul { list-style: none; margin: 0; padding: 0; }
+  .timeline li { padding: 2px 0; }
+  .timeline .time { margin: 0 8px 0 0; }
+  .message { display: flex; gap: 12px; padding: 8px 0; }
+  .avatar { width: 40px; height: 40px; border-radius: 50%; flex-shrink: 0; background: #5865f2; color: #fff; display: flex; align-items: center; justify-content: center; font-weight: bold; overflow: hidden; }
+  .avatar img { width: 100%; height: 100%; }
+  .content { min-width: 0; flex: 1; }
+  .author { font-weight: 600; color: #f2f3f5; }
+  .time { color: #949ba4; font-size: 12px; margin-left: 8px; }
+  .text { white-space: pre-wrap; word-wrap: break-word; margin-top: 2px; }
+  .badge { font-size: 11px; border-radius: 4px; padding: 1px 5px; margin-left: 6px; vertical-align: middle; }
+  .message.ai .content { background: #2b2d42; border-left: 3px solid #5865f2; border-radius: 4px; padding: 6px 10px; }
+  .message.ai .badge { background: #5865f2; color: #fff; }
+  .message.ai .avatar { background: #4e5d94; }
+  .message.notice .content { background: #3a3527; border-left: 3px solid #f0b232; border-radius: 4px; padding: 6px 10px; }
+  .message.notice .badge { background: #f0b232; color: #1e1f22; }
+  .message.description .content { background: #27352d; border-left: 3px solid #23a55a; border-radius: 4px; padding: 6px 10px; }
+  .message.description .badge { background: #23a55a; color: #fff; }
+  .notes-title { font-size: 16px; color: #f2f3f5; border-top: 1px solid #3f4147; padding-top: 16px; margin-top: 24px; }
+  .message.note .content { background: #3b2a35; border-left: 3px solid #eb459e; border-radius: 4px; padding: 6px 10px; }
+  .message.note .badge { background: #eb459e; color: #fff; }
+  .embed { background: #2b2d31; border-left: 4px solid #1e1f22; border-radius: 4px; padding: 8px 12px; margin-top: 6px; max-width: 520px; }
+  .embed-title { font-weight: 600; color: #f2f3f5; }
+  .embed-description { white-space: pre-wrap; margin-top: 4px; }
+  .embed-fields { display: flex; flex-wrap: wrap; gap: 8px 16px; margin-top: 8px; }
+  .embed-field { flex: 1 1 100%; }
+  .embed-field.inline { flex: 1 1 30%; }
+  .embed-field-name { font-weight: 600; color: #f2f3f5; font-size: 13px; }
+  .embed-field-value { white-space: pre-wrap; font-size: 13px; }
+  .embed-footer { color: #949ba4; font-size: 12px; margin-top: 8px; }
+  .attachment-image { display: block; max-width: 400px; max-height: 300px; border-radius: 4px; margin-top: 6px; }
+  a { color: #00a8fc; }
+</style>
+</head>
+<body>
+<div class="header">
+  <h1>客服單記錄</h1>
+  <table>
+${headerRows.map(([label, value]) => `    <tr><td>${this.escapeHtml(label)}</td><td>${this.escapeHtml(value)}</td></tr>`).join('\n')}
+  </table>
+</div>
+${timelineSection}
+${body}
+${notesSection}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Render a single transcript entry
+   * @param {Object} entry - The normalized entry
+   * @param {Function} formatTime - Formats a date in the configured timezone
+   * @returns {String} The HTML for the entry
+   */
+  static renderEntry(entry, formatTime) {
+    const badges = {
+      ai: 'AI 回應',
+      notice: '系統通知',
+      description: '問題描述',
+      embed: '系統',
+      note: '內部備註'
+    };
+
+    const avatar = entry.avatarUrl
+      ? `<img src="${this.escapeHtml(entry.avatarUrl)}" alt="">`
+      : this.escapeHtml(String(entry.author || '?').charAt(0).toUpperCase());
+    const badge = badges[entry.kind] ? `<span class="badge">${badges[entry.kind]}</span>` : '';
+    const text = entry.text ? `<div class="text">${this.formatText(entry.text)}</div>` : '';
+    const images = this.extractImageUrls(entry.text || '')
+      .map(url => `<a href="${this.escapeHtml(url)}"><img class="attachment-image" src="${this.escapeHtml(url)}" alt=""></a>`)
+      .join('');
+    const embeds = (entry.embeds || []).map(embed => this.renderEmbed(embed, formatTime)).join('');
+
+    return `<div class="message ${entry.kind}">
+  <div class="avatar">${avatar}</div>
+  <div class="content">
+    <span class="author">${this.escapeHtml(entry.author)}</span>${badge}<span class="time">${formatTime(entry.timestamp)}</span>
+    ${text}${images}${embeds}
+  </div>
+</div>`;
+  }
+
+  /**
+   * Render a stored Discord embed
+   * @param {Object} embed - The embed JSON
+   * @param {Function} formatTime - Formats a date in the configured timezone
+   * @returns {String} The HTML for the embed
+   */
+  static renderEmbed(embed, formatTime) {
+    const color = typeof embed.color === 'number'
+      ? `#${embed.color.toString(16).padStart(6, '0')}`
+      : embed.color || '#1e1f22';
+
+    const fields = (embed.fields || []).map(field => `<div class="embed-field${field.inline ? ' inline' : ''}">
+        <div class="embed-field-name">${this.escapeHtml(field.name)}</div>
+        <div class="embed-field-value">${this.formatText(field.value)}</div>
+      </div>`).join('');
+
+    const footerParts = [];
+    if (embed.footer && embed.footer.text) footerParts.push(this.escapeHtml(embed.footer.text));
+    if (embed.timestamp) footerParts.push(formatTime(embed.timestamp));
+
+    return `<div class="embed" style="border-left-color: ${this.escapeHtml(color)}">
+      ${embed.title ? `<div class="embed-title">${this.escapeHtml(embed.title)}</div>` : ''}
+      ${embed.description ? `<div class="embed-description">${this.formatText(embed.description)}</div>` : ''}
+      ${fields ? `<div class="embed-fields">${fields}</div>` : ''}
+      ${footerParts.length > 0 ? `<div class="embed-footer">${footerParts.join(' • ')}</div>` : ''}
+    </div>`;
+  }
+
+  /**
+   * Escape text and turn URLs into links
+   * @param {String} text - The message text
+   * @returns {String} HTML safe text
+   */
+  static formatText(text) {
+    return this.escapeHtml(text).replace(
+      /https?:\/\/[^\s<]+/g,
+      url => `<a href="${url}">${url}</a>`
+    );
+  }
+
+  /**
+   * Find image links (attachments are stored as URLs in the message text)
+   * @param {String} text - The message text
+   * @returns {Array<String>} The image URLs
+   */
+  static extractImageUrls(text) {
+    const urls = text.match(/https?:\/\/[^\s<]+/g) || [];
+    return urls.filter(url => /\.(png|jpe?g|gif|webp)$/i.test(url.split('?')[0]));
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {*} value - The value to escape
+   * @returns {String} The escaped string
+   */
+  static escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = TranscriptRenderer;
@@ -0,0 +1,243 @@
+const database = require('../../../core/database');
+const logger = require('../../../core/logger');
+const moment = require('moment-timezone');
+const config = require('../../../core/config');
+
+class WebhookRepository {
+  /**
+   * Map a webhooks row to a webhook object
+   * @param {Object} webhook - The database row
+   * @return {Object} The webhook object
+   */
+  mapWebhook(webhook) {
+    let events = [];
+    try {
+      events = JSON.parse(webhook.events);
+    } catch (error) {
+      logger.warn(`Could not parse events of webhook ${webhook.id}: ${error.message}`);
+    }
+
+    return {
+      id: webhook.id,
+      guildId: webhook.guild_id || null,
+      url: webhook.url,
+      secret: webhook.secret,
+      events,
+      description: webhook.description,
+      createdBy: webhook.created_by,
+      createdAt: new Date(webhook.created_at)
+    };
+  }
+
+  /**
+   * Map a webhook_deliveries row to a delivery object
+   * @param {Object} delivery - The database row
+   * @return {Object} The delivery object
+   */
+  mapDelivery(delivery) {
+    return {
+      id: delivery.id,
+      webhookId: delivery.webhook_id,
+      event: delivery.event,
+      payload: delivery.payload,
+      status: delivery.status,
+      attempts: delivery.attempts || 0,
+      responseStatus: delivery.response_status,
+      error: delivery.error,
+      nextAttemptAt: delivery.next_attempt_at ? new Date(delivery.next_attempt_at) : null,
+      deliveredAt: delivery.delivered_at ? new Date(delivery.delivered_at) : null,
+      createdAt: new Date(delivery.created_at)
+    };
+  }
+
+  /**
+   * Get the webhooks of a guild
+   * @param {String} guildId - The guild ID
+   * @return {Promise<Array>} Webhook objects
+   */
+  async getWebhooks(guildId) {
+    try {
+      const webhooks = await database.all('SELECT * FROM webhooks WHERE guild_id = ? ORDER BY id ASC', [guildId]);
+      return webhooks.map(webhook => this.mapWebhook(webhook));
+    } catch (error) {
+      logger.error(`Database error getting webhooks: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a webhook by ID
+   * @param {Number} webhookId - The webhook ID
+   * @return {Promise<Object|null>} The webhook, or null if it doesn't exist
+   */
+  async getWebhook(webhookId) {
+    try {
+      const webhook = await database.get('SELECT * FROM webhooks WHERE id = ?', [webhookId]);
+      return webhook ? this.mapWebhook(webhook) : null;
+    } catch (error) {
+      logger.error(`Database error getting webhook: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a webhook
+   * @param {Object} webhook - The webhook data (guildId, url, secret, events, description, createdBy)
+   * @return {Promise<Object>} The created webhook
+   */
+  async createWebhook(webhook) {
+    try {
+      const createdAt = moment().tz(config.timezone || 'UTC').toISOString();
+      const result = await database.run(
+        'INSERT INTO webhooks (guild_id, url, secret, events, description, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [webhook.guildId, webhook.url, webhook.secret, JSON.stringify(webhook.events), webhook.description || null, webhook.createdBy || null, createdAt]
+      );
+      return { id: result.lastID, ...webhook, createdAt: new Date(createdAt) };
+    } catch (error) {
+      logger.error(`Database error creating webhook: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the guild of webhooks registered before webhooks were stored per guild
+   * @param {String} guildId - The guild ID
+   * @return {Promise<Number>} The number of updated webhooks
+   */
+  async setMissingWebhookGuild(guildId) {
+    try {
+      const result = await database.run('UPDATE webhooks SET guild_id = ? WHERE guild_id IS NULL', [guildId]);
+      return result.changes;
+    } catch (error) {
+      logger.error(`Database error setting webhook guilds: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the webhooks registered before webhooks were stored per guild
+   * @return {Promise<Number>} The number of webhooks without a guild
+   */
+  async countWebhooksWithoutGuild() {
+    try {
+      const result = await database.get('SELECT COUNT(*) as count FROM webhooks WHERE guild_id IS NULL');
+      return result.count;
+    } catch (error) {
+      logger.error(`Database error counting webhooks without a guild: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @param {Number} webhookId - The webhook ID
+   * @return {Promise<Boolean>} Whether a webhook was deleted
+   */
+  async deleteWebhook(webhookId) {
+    try {
+      await database.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+      const result = await database.run('DELETE FROM webhooks WHERE id = ?', [webhookId]);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Database error deleting webhook: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a delivery
+   * @param {Object} delivery - The delivery data (id, webhookId, event, payload, nextAttemptAt)
+   * @return {Promise<Boolean>} Success status
+   */
+  async createDelivery(delivery) {
+    try {
+      await database.run(
+        `INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, attempts, next_attempt_at, created_at)
+         VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)`,
+        [
+          delivery.id,
+          delivery.webhookId,
+          delivery.event,
+          delivery.payload,
+          moment(delivery.nextAttemptAt).tz(config.timezone || 'UTC').toISOString(),
+          moment().tz(config.timezone || 'UTC').toISOString()
+        ]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error creating webhook delivery: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the result of a delivery attempt
+   * @param {String} deliveryId - The delivery ID
+   * @param {Object} result - status, attempts, responseStatus, error, nextAttemptAt and deliveredAt
+   * @return {Promise<Boolean>} Success status
+   */
+  async updateDelivery(deliveryId, result) {
+    try {
+      const toIso = date => (date ? moment(date).tz(config.timezone || 'UTC').toISOString() : null);
+      await database.run(
+        `UPDATE webhook_deliveries
+         SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?, delivered_at = ?
+         WHERE id = ?`,
+        [
+          result.status,
+          result.attempts,
+          result.responseStatus || null,
+          result.error || null,
+          toIso(result.nextAttemptAt),
+          toIso(result.deliveredAt),
+          deliveryId
+        ]
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Database error updating webhook delivery: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending deliveries whose next attempt is due
+   * @return {Promise<Array>} Delivery objects, oldest first
+   */
+  async getDueDeliveries() {
+    try {
+      const deliveries = await database.all(
+        `SELECT * FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= ?
+         ORDER BY created_at ASC
+         LIMIT 50`,
+        [moment().tz(config.timezone || 'UTC').toISOString()]
+      );
+      return deliveries.map(delivery => this.mapDelivery(delivery));
+    } catch (error) {
+      logger.error(`Database error getting due webhook deliveries: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest deliveries of a webhook
+   * @param {Number} webhookId - The webhook ID
+   * @param {Number} limit - The maximum number of deliveries
+   * @return {Promise<Array>} Delivery objects, newest first
+   */
+  async getRecentDeliveries(webhookId, limit = 10) {
+    try {
+      const deliveries = await database.all(
+        'SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ?',
+        [webhookId, limit]
+      );
+      return deliveries.map(delivery => this.mapDelivery(delivery));
+    } catch (error) {
+      logger.error(`Database error getting webhook deliveries: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookRepository;
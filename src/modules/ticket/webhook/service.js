@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment-timezone');
+const WebhookRepository = require('./repository');
+const logger = require('../../../core/logger');
+const config = require('../../../core/config');
+
+class WebhookService {
+  constructor() {
+    this.webhookRepository = new WebhookRepository();
+    this.retryInterval = null;
+    // Deliveries being attempted right now, so the retry check doesn't send them twice
+    this.inFlight = new Set();
+    // Whether a retry run is still going, a run can outlast the interval when endpoints time out
+    this.processing = false;
+  }
+
+  /**
+   * Initialize the webhook service
+   */
+  initialize() {
+    logger.info('Webhook service initialized');
+
+    // Start the retry interval
+    this.startRetries();
+  }
+
+  /**
+   * Start periodic retries of failed deliveries
+   */
+  startRetries() {
+    this.retryInterval = setInterval(() => {
+      this.processDueDeliveries();
+    }, 30 * 1000);
+
+    logger.info('Started webhook retry interval - checking every 30 seconds');
+
+    // Retries may have come due while the bot was offline
+    setTimeout(() => {
+      this.processDueDeliveries();
+    }, 10000); // Wait 10 seconds for bot to be ready
+  }
+
+  /**
+   * Stop periodic retries
+   */
+  stopRetries() {
+    if (this.retryInterval) {
+      clearInterval(this.retryInterval);
+      this.retryInterval = null;
+      logger.info('Stopped webhook retry interval');
+    }
+  }
+
+  /**
+   * Sign a request body with a webhook secret
+   * @param {String} secret - The webhook secret
+   * @param {String} body - The raw JSON body
+   * @return {String} The signature header value, sha256=<hex digest>
+   */
+  static sign(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  /**
+   * The ticket fields sent in webhook payloads
+   * @param {Object} ticket - The ticket object
+   * @return {Object} The serialized ticket
+   */
+  serializeTicket(ticket) {
+    return {
+      id: ticket.id,
+      guildId: ticket.guildId || null,
+      channelId: ticket.channelId,
+      userId: ticket.userId,
+      departmentId: ticket.departmentId,
+      status: ticket.status,
+      priority: ticket.priority || 'normal',
+      staffId: ticket.staffId || null,
+      escalationLevel: ticket.escalationLevel || 0,
+      createdAt: ticket.createdAt ? moment(ticket.createdAt).toISOString() : null,
+      closedAt: ticket.closedAt ? moment(ticket.closedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Send an event to every webhook of the ticket's guild subscribed to it
+   * Never throws and callers don't need to wait for it, failed deliveries are retried in the background
+   * @param {String} event - The event name, one of config.webhooks.events
+   * @param {Object} ticket - The ticket the event is about
+   * @param {Object} data - Event specific data added to the payload
+   * @return {Promise<void>}
+   */
+  async dispatch(event, ticket, data = {}) {
+    try {
+      // Webhooks only receive the events of their own guild, tickets whose guild isn't known go nowhere
+      if (!ticket.guildId) return;
+
+      const webhooks = (await this.webhookRepository.getWebhooks(ticket.guildId))
+        .filter(webhook => webhook.events.includes(event));
+
+      for (const webhook of webhooks) {
+        const delivery = await this.queueDelivery(webhook, event, { ticket: this.serializeTicket(ticket), ...data });
+        await this.attemptDelivery(webhook, delivery);
+      }
+    } catch (error) {
+      logger.error(`Error dispatching webhook event ${event}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a delivery before its first attempt, so it is retried even if the bot stops mid-request
+   * @param {Object} webhook - The webhook
+   * @param {String} event - The event name
+   * @param {Object} data - The payload data
+   * @return {Promise<Object>} The delivery
+   */
+  async queueDelivery(webhook, event, data) {
+    const delivery = {
+      id: uuidv4(),
+      webhookId: webhook.id,
+      event,
+      attempts: 0
+    };
+    delivery.payload = JSON.stringify({
+      id: delivery.id,
+      event,
+      timestamp: moment().toISOString(),
+      data
+    });
+    // The retry check only picks this up if the first attempt never stored a result
+    delivery.nextAttemptAt = moment().add(config.webhooks.timeoutMs, 'milliseconds').add(config.webhooks.retryBaseSeconds, 'seconds').toDate();
+
+    await this.webhookRepository.createDelivery(delivery);
+    return delivery;
+  }
+
+  /**
+   * POST a delivery to its webhook and store the result
+   * @param {Object} webhook - The webhook
+   * @param {Object} delivery - The delivery
+   * @param {Boolean} retry - Whether a failed attempt is scheduled for another try
+   * @return {Promise<Object>} The stored result (status, attempts, responseStatus, error)
+   */
+  async attemptDelivery(webhook, delivery, retry = true) {
+    this.inFlight.add(delivery.id);
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await axios.post(webhook.url, delivery.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'DCTicket-Pro-Webhook',
+          'X-DCTicket-Event': delivery.event,
+          'X-DCTicket-Delivery': delivery.id,
+          'X-DCTicket-Signature': WebhookService.sign(webhook.secret, delivery.payload)
+        },
+        timeout: config.webhooks.timeoutMs,
+        // The body is sent as is, the signature covers these exact bytes
+        transformRequest: [body => body],
+        validateStatus: () => true
+      });
+      responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    let result;
+    if (!error) {
+      result = { status: 'success', attempts, responseStatus, deliveredAt: new Date() };
+    } else if (retry && attempts < config.webhooks.maxAttempts) {
+      const delaySeconds = config.webhooks.retryBaseSeconds * Math.pow(2, attempts - 1);
+      result = { status: 'pending', attempts, responseStatus, error, nextAttemptAt: moment().add(delaySeconds, 'seconds').toDate() };
+      logger.warn(`Webhook delivery ${delivery.id} to ${webhook.url} failed (${error}), retrying in ${delaySeconds} seconds`);
+    } else {
+      result = { status: 'failed', attempts, responseStatus, error };
+      logger.error(`Webhook delivery ${delivery.id} to ${webhook.url} failed after ${attempts} attempts: ${error}`);
+    }
+
+    try {
+      await this.webhookRepository.updateDelivery(delivery.id, result);
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+    return result;
+  }
+
+  /**
+   * Retry deliveries whose backoff has passed
+   */
+  async processDueDeliveries() {
+    // The next run would read deliveries this run has queued but not sent yet, and send them twice
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const deliveries = await this.webhookRepository.getDueDeliveries();
+      for (const delivery of deliveries) {
+        if (this.inFlight.has(delivery.id)) continue;
+
+        const webhook = await this.webhookRepository.getWebhook(delivery.webhookId);
+        if (!webhook) {
+          await this.webhookRepository.updateDelivery(delivery.id, { status: 'failed', attempts: delivery.attempts, error: 'Webhook removed' });
+          continue;
+        }
+
+        await this.attemptDelivery(webhook, delivery);
+      }
+    } catch (error) {
+      logger.error(`Error retrying webhook deliveries: ${error.message}`);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Send a test event to one webhook, without retries
+   * @param {Object} webhook - The webhook
+   * @param {User} user - The user who requested the test
+   * @return {Promise<Object>} The delivery result
+   */
+  async sendTest(webhook, user) {
+    const delivery = await this.queueDelivery(webhook, 'ping', {
+      message: 'DCTicket-Pro webhook test',
+      requestedBy: user.id
+    });
+    return await this.attemptDelivery(webhook, delivery, false);
+  }
+
+  /**
+   * Register a webhook, a random secret is generated when none is given
+   * @param {Object} webhook - The webhook data (guildId, url, events, secret, description, createdBy)
+   * @return {Promise<Object>} The created webhook, including its secret
+   */
+  async addWebhook(webhook) {
+    try {
+      return await this.webhookRepository.createWebhook({
+        ...webhook,
+        secret: webhook.secret || crypto.randomBytes(32).toString('hex')
+      });
+    } catch (error) {
+      logger.error(`Error adding webhook: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the webhooks of a guild
+   * @param {String} guildId - The guild ID
+   * @return {Promise<Array>} Webhook objects
+   */
+  async getWebhooks(guildId) {
+    try {
+      return await this.webhookRepository.getWebhooks(guildId);
+    } catch (error) {
+      logger.error(`Error getting webhooks: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a webhook by ID
+   * @param {Number} webhookId - The webhook ID
+   * @return {Promise<Object|null>} The webhook, or null if it doesn't exist
+   */
+  async getWebhook(webhookId) {
+    try {
+      return await this.webhookRepository.getWebhook(webhookId);
+    } catch (error) {
+      logger.error(`Error getting webhook: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the guild of webhooks registered before webhooks were stored per guild
+   * With a single guild they can only belong to it, otherwise they receive nothing until they are added again
+   * @param {Collection} guilds - The guilds the bot is in
+   * @return {Promise<Number>} The number of updated webhooks
+   */
+  async backfillWebhookGuilds(guilds) {
+    try {
+      if (guilds.size === 1) {
+        return await this.webhookRepository.setMissingWebhookGuild(guilds.first().id);
+      }
+
+      const orphaned = await this.webhookRepository.countWebhooksWithoutGuild();
+      if (orphaned > 0) {
+        logger.warn(`${orphaned} webhooks have no guild and receive no events, remove them and add them again with /webhook add`);
+      }
+      return 0;
+    } catch (error) {
+      logger.error(`Error backfilling webhook guilds: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a webhook and its delivery log
+   * @param {Number} webhookId - The webhook ID
+   * @return {Promise<Boolean>} Whether a webhook was removed
+   */
+  async removeWebhook(webhookId) {
+    try {
+      return await this.webhookRepository.deleteWebhook(webhookId);
+    } catch (error) {
+      logger.error(`Error removing webhook: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest deliveries of a webhook
+   * @param {Number} webhookId - The webhook ID
+   * @param {Number} limit - The maximum number of deliveries
+   * @return {Promise<Array>} Delivery objects, newest first
+   */
+  async getRecentDeliveries(webhookId, limit = 10) {
+    try {
+      return await this.webhookRepository.getRecentDeliveries(webhookId, limit);
+    } catch (error) {
+      logger.error(`Error getting webhook deliveries: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WebhookService();
@@ -112,13 +112,13 @@ class WHMCSModule {
         const self = this;
         
         // Override the createTicket method to add WHMCS services
-        ticketModule.controller.createTicket = async function(interaction, departmentId, description) {
+        ticketModule.controller.createTicket = async function(interaction, departmentId, description, formData) {
           const now = moment().tz(config.timezone || 'UTC');
           whmcsLogger.debug(`Intercepted ticket creation for user ${interaction.user.id} in department ${departmentId} at ${now.format('YYYY-MM-DD HH:mm:ss')}`);
           logger.debug(`Intercepted ticket creation for user ${interaction.user.id} in department ${departmentId}`);
           
           // Call the original method
-          await originalCreateTicket.call(this, interaction, departmentId, description);
+          await originalCreateTicket.call(this, interaction, departmentId, description, formData);
           whmcsLogger.debug('Original ticket creation completed');
           
           try {
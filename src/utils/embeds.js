@@ -1,6 +1,7 @@
-const { EmbedBuilder, ButtonBuilder, ActionRowBuilder, ButtonStyle } = require('discord.js');
+const { EmbedBuilder, ButtonBuilder, ActionRowBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
 const config = require('../core/config');
 const moment = require('moment-timezone');
+const { TicketStatus } = require('../modules/ticket/lifecycle');
 
 /**
  * Utility class for creating Discord embeds and components
@@ -8,19 +9,20 @@ const moment = require('moment-timezone');
 class Embeds {
   /**
    * Create the ticket panel embed
+   * @param {Array} departments - The departments to list on the panel
    * @param {String} title - The embed title
    * @param {String} description - The embed description
    * @returns {EmbedBuilder} The created embed
    */
-  static ticketPanelEmbed(title = '客服單系統', description = '請選擇下方按鈕以創建客服單') {
+  static ticketPanelEmbed(departments, title = '客服單系統', description = '請選擇下方按鈕以創建客服單') {
     return new EmbedBuilder()
       .setTitle(title)
       .setDescription(description)
       .setColor('#5865F2')
       .addFields(
-        ...config.departments.map(dept => ({
-          name: `${dept.emoji} ${dept.name}`,
-          value: dept.description,
+        ...departments.map(dept => ({
+          name: `${dept.emoji || ''} ${dept.name}`.trim(),
+          value: dept.description || '\u200b',
           inline: false
         })),
         {
@@ -35,10 +37,11 @@ class Embeds {
 
   /**
    * Create the buttons for ticket panel
-   * @returns {ActionRowBuilder} Row with department buttons
+   * @param {Array} departments - The departments to create buttons for
+   * @returns {Array<ActionRowBuilder>} Rows with department buttons (max 5 per row)
    */
-  static ticketPanelButtons() {
-    const buttons = config.departments.map(dept => {
+  static ticketPanelButtons(departments) {
+    const buttons = departments.map(dept => {
       // Map department IDs to specific button styles
       let buttonStyle = ButtonStyle.Primary; // Default is blue
 
@@ -48,44 +51,70 @@ class Embeds {
         buttonStyle = ButtonStyle.Danger; // Red
       }
 
-      return new ButtonBuilder()
+      const button = new ButtonBuilder()
         .setCustomId(`create_ticket:${dept.id}`)
         .setLabel(dept.name)
-        .setEmoji(dept.emoji)
         .setStyle(buttonStyle);
+
+      if (dept.emoji) {
+        button.setEmoji(dept.emoji);
+      }
+
+      return button;
     });
 
-    return new ActionRowBuilder().addComponents(...buttons);
+    // Discord allows at most 5 buttons per action row
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 5) {
+      rows.push(new ActionRowBuilder().addComponents(...buttons.slice(i, i + 5)));
+    }
+
+    return rows;
   }
 
   /**
    * Create the ticket information embed
    * @param {Object} ticket - The ticket information
    * @param {String} userTag - The user's tag
+   * @param {Object} department - The department the ticket belongs to
    * @returns {EmbedBuilder} The created embed
    */
-  static ticketInfoEmbed(ticket, userTag) {
-    const department = config.departments.find(d => d.id === ticket.departmentId);
+  static ticketInfoEmbed(ticket, userTag, department) {
     if (!department) return null;
 
     // Get status info from config
-    const status = ticket.status || 'open';
+    const status = ticket.status || TicketStatus.OPEN;
     const statusConfig = config.ticketStatus[status] || {
       name: '開啟',
       emoji: '🟢',
       color: department.color
     };
 
+    const priority = ticket.priority || 'normal';
+    const priorityConfig = config.ticketPriority[priority] || config.ticketPriority.normal;
+
+    // Intake form answers are shown as separate fields (field values are limited to 1024 characters)
+    const formFields = (ticket.formData || []).map(field => ({
+      name: field.label,
+      value: field.value ? field.value.substring(0, 1024) : '未填寫',
+      inline: field.style !== 'paragraph'
+    }));
+
     return new EmbedBuilder()
       .setTitle(`${statusConfig.emoji} 客服單 #${ticket.id}`)
       .setDescription(`感謝您創建客服單，我們的團隊會儘快處理您的請求。`)
       .setColor(statusConfig.color || department.color)
       .addFields(
         { name: '用戶', value: userTag, inline: true },
-        { name: '部門', value: `${department.emoji} ${department.name}`, inline: true },
+        { name: '部門', value: `${department.emoji || ''} ${department.name}`.trim(), inline: true },
         { name: '創建時間', value: moment(ticket.createdAt).tz(config.timezone || 'UTC').format('YYYY-MM-DD HH:mm:ss'), inline: true },
         { name: '問題描述', value: ticket.description || '無描述' },
-        { name: '狀態', value: `${statusConfig.emoji} ${statusConfig.name}`, inline: true }
+        ...formFields,
+        { name: '狀態', value: `${statusConfig.emoji} ${statusConfig.name}`, inline: true },
+        { name: '優先級', value: `${priorityConfig.emoji} ${priorityConfig.name}`, inline: true },
+        { name: '認領人', value: ticket.staffId ? `<@${ticket.staffId}>` : '未認領', inline: true },
+        // Only escalated tickets show their tier
+        ...(ticket.escalation ? [{ name: '升級層級', value: `⏫ 第 ${ticket.escalation.level} 級 · ${ticket.escalation.name}`, inline: true }] : [])
       )
       .setFooter({ text: '請在此頻道中描述您的問題，我們會盡快回覆' })
       .setTimestamp(moment().tz(config.timezone || 'UTC').toDate());
@@ -94,9 +123,11 @@ class Embeds {
   /**
    * Create the buttons for ticket controls
    * @param {boolean} showHumanHandoff - Whether to show the human handoff button
+   * @param {String|null} claimedBy - The ID of the staff member who claimed the ticket
+   * @param {boolean} canEscalate - Whether the department has a tier above the ticket's current one
    * @returns {ActionRowBuilder} Row with ticket management buttons
    */
-  static ticketControlButtons(showHumanHandoff = false) {
+  static ticketControlButtons(showHumanHandoff = false, claimedBy = null, canEscalate = false) {
     const buttons = [];
 
     if (showHumanHandoff) {
@@ -109,6 +140,31 @@ class Embeds {
       buttons.push(handoffButton);
     }
 
+    // Show claim or unclaim depending on whether someone owns the ticket
+    const claimButton = claimedBy
+      ? new ButtonBuilder()
+        .setCustomId('unclaim_ticket')
+        .setLabel('取消認領')
+        .setEmoji('↩️')
+        .setStyle(ButtonStyle.Secondary)
+      : new ButtonBuilder()
+        .setCustomId('claim_ticket')
+        .setLabel('認領客服單')
+        .setEmoji('🙋')
+        .setStyle(ButtonStyle.Success);
+
+    buttons.push(claimButton);
+
+    if (canEscalate) {
+      const escalateButton = new ButtonBuilder()
+        .setCustomId('escalate_ticket')
+        .setLabel('升級處理')
+        .setEmoji('⏫')
+        .setStyle(ButtonStyle.Secondary);
+
+      buttons.push(escalateButton);
+    }
+
     const closeButton = new ButtonBuilder()
       .setCustomId('close_ticket')
       .setLabel('關閉客服單')
@@ -120,6 +176,490 @@ class Embeds {
     return new ActionRowBuilder().addComponents(...buttons);
   }
 
+  /**
+   * Create the buttons of an auto-assignment offer
+   * @param {String} ticketId - The ticket ID
+   * @returns {ActionRowBuilder} Row with the accept and decline buttons
+   */
+  static assignmentOfferButtons(ticketId) {
+    const acceptButton = new ButtonBuilder()
+      .setCustomId(`assign_accept:${ticketId}`)
+      .setLabel('接受分派')
+      .setEmoji('✅')
+      .setStyle(ButtonStyle.Success);
+
+    const declineButton = new ButtonBuilder()
+      .setCustomId(`assign_decline:${ticketId}`)
+      .setLabel('略過')
+      .setEmoji('↩️')
+      .setStyle(ButtonStyle.Secondary);
+
+    return new ActionRowBuilder().addComponents(acceptButton, declineButton);
+  }
+
+  /**
+   * Create the select menu for changing a ticket's priority
+   * @param {String} currentPriority - The ticket's current priority
+   * @returns {ActionRowBuilder} Row with the priority select menu
+   */
+  static prioritySelectMenu(currentPriority = 'normal') {
+    const options = Object.entries(config.ticketPriority).map(([value, priority]) => ({
+      label: priority.name,
+      value: value,
+      emoji: priority.emoji,
+      default: value === currentPriority
+    }));
+
+    const selectMenu = new StringSelectMenuBuilder()
+      .setCustomId('ticket_priority')
+      .setPlaceholder('選擇客服單優先級')
+      .addOptions(options);
+
+    return new ActionRowBuilder().addComponents(selectMenu);
+  }
+
+  /**
+   * Create the resolution category select menu shown when closing a ticket
+   * @param {String} cancelIdPrefix - Custom ID prefix of the cancel button
+   * @returns {Array<ActionRowBuilder>} Rows with the select menu and the cancel button
+   */
+  static closeResolutionComponents(cancelIdPrefix = 'confirm') {
+    const options = Object.entries(config.closeResolution).filter(([value]) => value !== 'merged').map(([value, resolution]) => ({
+      label: resolution.name,
+      value: value,
+      emoji: resolution.emoji
+    }));
+
+    const selectMenu = new StringSelectMenuBuilder()
+      .setCustomId('close_resolution')
+      .setPlaceholder('選擇解決類別')
+      .addOptions(options);
+
+    const cancelButton = new ButtonBuilder()
+      .setCustomId(`${cancelIdPrefix}:no`)
+      .setLabel('取消')
+      .setStyle(ButtonStyle.Secondary);
+
+    return [
+      new ActionRowBuilder().addComponents(selectMenu),
+      new ActionRowBuilder().addComponents(cancelButton)
+    ];
+  }
+
+  /**
+   * Create the button that lets a customer reopen a closed ticket from the transcript DM
+   * @param {String} guildId - The guild the ticket belongs to (DM interactions carry no guild)
+   * @param {String} ticketId - The ticket ID
+   * @returns {ActionRowBuilder} Row with the reopen button
+   */
+  static reopenTicketButton(guildId, ticketId) {
+    const reopenButton = new ButtonBuilder()
+      .setCustomId(`reopen_ticket:${guildId}:${ticketId}`)
+      .setLabel('重新開啟客服單')
+      .setEmoji('🔓')
+      .setStyle(ButtonStyle.Primary);
+
+    return new ActionRowBuilder().addComponents(reopenButton);
+  }
+
+  /**
+   * Create the summary posted to the ticket log channel when a ticket closes
+   * @param {Object} ticket - The ticket object
+   * @param {Object} department - The department object
+   * @param {Object} summary - Close details: closedBy, resolution, reason, messageCount
+   * @returns {EmbedBuilder} The created embed
+   */
+  static ticketLogEmbed(ticket, department, summary) {
+    const closedAt = moment();
+    const durationText = this.formatDuration(ticket.createdAt, closedAt);
+    const resolution = config.closeResolution[summary.resolution];
+
+    return new EmbedBuilder()
+      .setTitle(`📁 客服單已關閉 #${ticket.id.split('-')[0]}`)
+      .setColor(department?.color || '#5865F2')
+      .addFields(
+        { name: '開單者', value: `<@${ticket.userId}>`, inline: true },
+        { name: '部門', value: department ? `${department.emoji || ''} ${department.name}`.trim() : '未知', inline: true },
+        { name: '認領人', value: ticket.staffId ? `<@${ticket.staffId}>` : '未認領', inline: true },
+        { name: '持續時間', value: durationText, inline: true },
+        { name: '訊息數量', value: String(summary.messageCount), inline: true },
+        { name: '關閉者', value: summary.closedBy || '未知', inline: true },
+        { name: '解決類別', value: resolution ? `${resolution.emoji} ${resolution.name}` : '未分類', inline: true },
+        { name: '關閉原因', value: summary.reason ? summary.reason.substring(0, 1024) : '未提供' }
+      )
+      .setFooter({ text: `客服單 ID: ${ticket.id}` })
+      .setTimestamp(closedAt.tz(config.timezone || 'UTC').toDate());
+  }
+
+  /**
+   * Format the time between two dates as days, hours and minutes
+   * @param {Date} from - The start date
+   * @param {Date} to - The end date
+   * @returns {String} The formatted duration
+   */
+  static formatDuration(from, to) {
+    const duration = moment.duration(moment(to).diff(moment(from)));
+    const days = Math.floor(duration.asDays());
+    return `${days > 0 ? `${days} 天 ` : ''}${duration.hours()} 小時 ${duration.minutes()} 分鐘`;
+  }
+
+  /**
+   * Create the staff-facing summary of a single ticket
+   * @param {Object} ticket - The ticket object
+   * @param {Object} department - The department object
+   * @param {Number} messageCount - Number of conversation messages
+   * @returns {EmbedBuilder} The created embed
+   */
+  static ticketSummaryEmbed(ticket, department, messageCount) {
+    const timezone = config.timezone || 'UTC';
+    const status = config.ticketStatus[ticket.status] || { name: ticket.status, emoji: '❔' };
+    const priority = config.ticketPriority[ticket.priority] || config.ticketPriority.normal;
+    const resolution = config.closeResolution[ticket.resolution];
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📋 客服單 #${ticket.id.split('-')[0]}`)
+      .setColor(status.color || department?.color || '#5865F2')
+      .addFields(
+        { name: '開單者', value: `<@${ticket.userId}>`, inline: true },
+        { name: '部門', value: department ? `${department.emoji || ''} ${department.name}`.trim() : '未知', inline: true },
+        { name: '狀態', value: `${status.emoji} ${status.name}`, inline: true },
+        { name: '優先級', value: `${priority.emoji} ${priority.name}`, inline: true },
+        { name: '認領人', value: ticket.staffId ? `<@${ticket.staffId}>` : '未認領', inline: true },
+        { name: '訊息數量', value: String(messageCount), inline: true },
+        { name: '創建時間', value: moment(ticket.createdAt).tz(timezone).format('YYYY-MM-DD HH:mm'), inline: true },
+        { name: '關閉時間', value: ticket.closedAt ? moment(ticket.closedAt).tz(timezone).format('YYYY-MM-DD HH:mm') : '未關閉', inline: true },
+        { name: '持續時間', value: this.formatDuration(ticket.createdAt, ticket.closedAt || new Date()), inline: true }
+      )
+      .setFooter({ text: `客服單 ID: ${ticket.id}` });
+
+    if (ticket.status === TicketStatus.CLOSED) {
+      embed.addFields(
+        { name: '解決類別', value: resolution ? `${resolution.emoji} ${resolution.name}` : '未分類', inline: true },
+        { name: '關閉原因', value: ticket.closeReason ? ticket.closeReason.substring(0, 1024) : '未提供' }
+      );
+    } else {
+      embed.addFields({ name: '頻道', value: `<#${ticket.channelId}>`, inline: true });
+    }
+
+    for (const field of ticket.formData || []) {
+      embed.addFields({ name: field.label.substring(0, 256), value: (field.value || '未填寫').substring(0, 1024) });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Create the notice posted in both tickets when one ticket is merged into another
+   * @param {Object} sourceTicket - The ticket that is merged and closed
+   * @param {Object} targetTicket - The ticket the conversation continues in
+   * @param {String} staffTag - Who merged the tickets
+   * @param {String|null} description - The source ticket's description, shown in the target ticket
+   * @returns {EmbedBuilder} The created embed
+   */
+  static ticketMergeEmbed(sourceTicket, targetTicket, staffTag, description = null) {
+    const sourceId = sourceTicket.id.split('-')[0];
+    const targetId = targetTicket.id.split('-')[0];
+
+    const embed = new EmbedBuilder()
+      .setTitle('🔀 客服單已合併')
+      .setDescription(description === null
+        ? `此客服單已合併至客服單 \`${targetId}\` (<#${targetTicket.channelId}>)，對話記錄已移至該客服單。`
+        : `客服單 \`${sourceId}\` 已合併至此客服單，其對話記錄已移至此處。`)
+      .setColor(0x9B59B6)
+      .addFields(
+        { name: '來源客服單', value: `\`${sourceId}\` (<@${sourceTicket.userId}>)`, inline: true },
+        { name: '目標客服單', value: `\`${targetId}\` (<@${targetTicket.userId}>)`, inline: true },
+        { name: '合併者', value: staffTag, inline: true }
+      )
+      .setTimestamp();
+
+    if (description) {
+      embed.addFields({ name: '來源客服單的問題描述', value: description.substring(0, 1024) });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Create the ticket timeline embed from its audit log
+   * @param {Object} ticket - The ticket
+   * @param {Array} entries - Timeline entries from TranscriptRenderer.normalizeEvents
+   * @param {Number} limit - The maximum number of entries to show, the latest ones are kept
+   * @returns {EmbedBuilder} The created embed
+   */
+  static ticketTimelineEmbed(ticket, entries, limit = 25) {
+    const timezone = config.timezone || 'UTC';
+    const status = config.ticketStatus[ticket.status] || { name: ticket.status, emoji: '❔', color: '#5865F2' };
+    const lines = entries.slice(-limit).map(entry =>
+      `\`${moment(entry.timestamp).tz(timezone).format('MM-DD HH:mm')}\` ${entry.authorId ? `<@${entry.authorId}>` : '系統'} · ${entry.text}`
+    );
+
+    // Embed descriptions are limited to 4096 characters, drop the oldest lines first
+    while (lines.join('\n').length > 4000) {
+      lines.shift();
+    }
+
+    return new EmbedBuilder()
+      .setTitle(`🕒 客服單 #${ticket.id.split('-')[0]} 時間軸`)
+      .setDescription(lines.length > 0 ? lines.join('\n') : '此客服單尚無任何記錄。')
+      .setColor(status.color || '#5865F2')
+      .setFooter({
+        text: lines.length < entries.length
+          ? `僅顯示最後 ${lines.length} 筆，共 ${entries.length} 筆 · 完整記錄請參閱客服單記錄檔`
+          : `共 ${entries.length} 筆記錄 · 目前狀態: ${status.name}`
+      });
+  }
+
+  /**
+   * Create the ticket search results embed
+   * @param {Array} tickets - The tickets on the current page
+   * @param {Map} departments - Department objects by ID
+   * @param {Object} pageInfo - page (zero-based), pageSize, totalPages, total and filtersText
+   * @returns {EmbedBuilder} The created embed
+   */
+  static ticketSearchEmbed(tickets, departments, pageInfo) {
+    const timezone = config.timezone || 'UTC';
+    const embed = new EmbedBuilder()
+      .setTitle('🔍 客服單搜尋結果')
+      .setDescription(pageInfo.filtersText || '未設定篩選條件')
+      .setColor('#5865F2')
+      .setFooter({ text: `第 ${pageInfo.page + 1}/${Math.max(pageInfo.totalPages, 1)} 頁 · 共 ${pageInfo.total} 張客服單` });
+
+    if (tickets.length === 0) {
+      embed.addFields({ name: '沒有結果', value: '找不到符合條件的客服單。' });
+      return embed;
+    }
+
+    tickets.forEach((ticket, index) => {
+      const status = config.ticketStatus[ticket.status] || { name: ticket.status, emoji: '❔' };
+      const department = departments.get(ticket.departmentId);
+      const lines = [
+        `<@${ticket.userId}> · ${department ? department.name : ticket.departmentId} · ${moment(ticket.createdAt).tz(timezone).format('YYYY-MM-DD HH:mm')}`,
+        `認領人: ${ticket.staffId ? `<@${ticket.staffId}>` : '未認領'}`
+      ];
+
+      if (ticket.matchText) {
+        const excerpt = ticket.matchText.replace(/\s+/g, ' ').trim();
+        lines.push(`> ${excerpt.length > 150 ? `${excerpt.substring(0, 150)}...` : excerpt}`);
+      }
+
+      embed.addFields({
+        name: `${pageInfo.page * pageInfo.pageSize + index + 1}. #${ticket.id.split('-')[0]} · ${status.emoji} ${status.name}`,
+        value: lines.join('\n').substring(0, 1024)
+      });
+    });
+
+    return embed;
+  }
+
+  /**
+   * Create summary and transcript buttons for a list of tickets
+   * @param {Array} tickets - The tickets, only the first five get buttons
+   * @returns {Array<ActionRowBuilder>} A summary row and a transcript row, or nothing without tickets
+   */
+  static ticketLinkButtons(tickets) {
+    const linked = tickets.slice(0, 5);
+    if (linked.length === 0) return [];
+
+    return [
+      new ActionRowBuilder().addComponents(linked.map(ticket =>
+        new ButtonBuilder()
+          .setCustomId(`ticket_summary:${ticket.id}`)
+          .setLabel(`#${ticket.id.split('-')[0]}`)
+          .setEmoji('📋')
+          .setStyle(ButtonStyle.Primary)
+      )),
+      new ActionRowBuilder().addComponents(linked.map(ticket =>
+        new ButtonBuilder()
+          .setCustomId(`ticket_transcript:${ticket.id}`)
+          .setLabel(`#${ticket.id.split('-')[0]}`)
+          .setEmoji('📥')
+          .setStyle(ButtonStyle.Secondary)
+      ))
+    ];
+  }
+
+  /**
+   * Create the summary, transcript and page buttons under the search results
+   * @param {String} sessionId - The search session ID
+   * @param {Array} tickets - The tickets on the current page, at most five
+   * @param {Number} page - The zero-based page number
+   * @param {Number} totalPages - The number of pages
+   * @returns {Array<ActionRowBuilder>} The button rows
+   */
+  static ticketSearchComponents(sessionId, tickets, page, totalPages) {
+    const rows = this.ticketLinkButtons(tickets);
+
+    if (totalPages > 1) {
+      rows.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`ticket_search_page:${sessionId}:${page - 1}`)
+          .setLabel('上一頁')
+          .setEmoji('◀️')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(page <= 0),
+        new ButtonBuilder()
+          .setCustomId(`ticket_search_page:${sessionId}:${page + 1}`)
+          .setLabel('下一頁')
+          .setEmoji('▶️')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(page >= totalPages - 1)
+      ));
+    }
+
+    return rows;
+  }
+
+  /**
+   * Create the staff-facing list of a customer's previous tickets
+   * @param {String} userId - The customer's user ID
+   * @param {Object} history - total, recentCount and tickets from TicketService.getUserTicketHistory
+   * @param {Map} departments - Department objects by ID
+   * @returns {EmbedBuilder} The created embed
+   */
+  static userTicketHistoryEmbed(userId, history, departments) {
+    const timezone = config.timezone || 'UTC';
+    const { repeatContactDays } = config.ticketHistory;
+    const isRepeat = history.recentCount > 0;
+
+    const description = [`<@${userId}> 先前共有 **${history.total}** 張客服單。`];
+    if (isRepeat) {
+      description.push(`⚠️ **重複聯繫**：此用戶在 ${repeatContactDays} 天內已開過 ${history.recentCount} 張客服單。`);
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle('🗂️ 客戶歷史客服單')
+      .setDescription(description.join('\n'))
+      .setColor(isRepeat ? '#FFA500' : '#5865F2');
+
+    for (const ticket of history.tickets) {
+      const status = config.ticketStatus[ticket.status] || { name: ticket.status, emoji: '❔' };
+      const department = departments.get(ticket.departmentId);
+      const lines = [
+        `${moment(ticket.createdAt).tz(timezone).format('YYYY-MM-DD HH:mm')} · 持續 ${this.formatDuration(ticket.createdAt, ticket.closedAt || new Date())}`
+      ];
+
+      if (ticket.status === TicketStatus.CLOSED) {
+        const resolution = config.closeResolution[ticket.resolution];
+        const reason = ticket.closeReason ? ticket.closeReason.replace(/\s+/g, ' ') : null;
+        lines.push(`${resolution ? `${resolution.emoji} ${resolution.name}` : '未分類'}${reason ? ` · ${reason.length > 100 ? `${reason.substring(0, 100)}...` : reason}` : ''}`);
+      } else {
+        lines.push(`頻道: <#${ticket.channelId}>`);
+      }
+
+      embed.addFields({
+        name: `#${ticket.id.split('-')[0]} · ${status.emoji} ${status.name} · ${department ? department.name : ticket.departmentId}`,
+        value: lines.join('\n').substring(0, 1024)
+      });
+    }
+
+    if (history.total > history.tickets.length) {
+      embed.setFooter({ text: `僅顯示最近 ${history.tickets.length} 張客服單` });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Create the button that downloads a ticket transcript
+   * @param {String} ticketId - The ticket ID
+   * @returns {ActionRowBuilder} Row with the download button
+   */
+  static ticketTranscriptButton(ticketId) {
+    const transcriptButton = new ButtonBuilder()
+      .setCustomId(`ticket_transcript:${ticketId}`)
+      .setLabel('下載對話記錄')
+      .setEmoji('📥')
+      .setStyle(ButtonStyle.Secondary);
+
+    return new ActionRowBuilder().addComponents(transcriptButton);
+  }
+
+  /**
+   * Create the button that re-sends a ticket transcript to the staff member who clicks it
+   * @param {String} ticketId - The ticket ID
+   * @returns {ActionRowBuilder} Row with the resend button
+   */
+  static resendTranscriptButton(ticketId) {
+    const resendButton = new ButtonBuilder()
+      .setCustomId(`resend_transcript:${ticketId}`)
+      .setLabel('私訊傳送記錄')
+      .setEmoji('📨')
+      .setStyle(ButtonStyle.Secondary);
+
+    return new ActionRowBuilder().addComponents(resendButton);
+  }
+
+  /**
+   * Create the customer satisfaction survey embed sent after a ticket closes
+   * @param {Object} ticket - The ticket object
+   * @param {Object} department - The department object
+   * @returns {EmbedBuilder} The created embed
+   */
+  static csatSurveyEmbed(ticket, department) {
+    return new EmbedBuilder()
+      .setTitle('⭐ 您對這次的服務滿意嗎？')
+      .setDescription(`您的客服單 (ID: ${ticket.id.split('-')[0]}) 已關閉。請為這次的服務評分，您的意見能幫助我們改善服務品質。`)
+      .setColor(department?.color || '#FEE75C')
+      .setFooter({ text: '1 星為非常不滿意，5 星為非常滿意' })
+      .setTimestamp(moment().tz(config.timezone || 'UTC').toDate());
+  }
+
+  /**
+   * Create the 1-5 star rating buttons of the satisfaction survey
+   * @param {String} ticketId - The ticket ID
+   * @returns {ActionRowBuilder} Row with the rating buttons
+   */
+  static csatRatingButtons(ticketId) {
+    const buttons = [1, 2, 3, 4, 5].map(rating =>
+      new ButtonBuilder()
+        .setCustomId(`csat_rate:${ticketId}:${rating}`)
+        .setLabel('⭐'.repeat(rating))
+        .setStyle(rating >= 4 ? ButtonStyle.Success : rating <= 2 ? ButtonStyle.Danger : ButtonStyle.Secondary)
+    );
+
+    return new ActionRowBuilder().addComponents(buttons);
+  }
+
+  /**
+   * Create the button that opens the optional comment modal after rating
+   * @param {String} ticketId - The ticket ID
+   * @returns {ActionRowBuilder} Row with the comment button
+   */
+  static csatCommentButton(ticketId) {
+    const commentButton = new ButtonBuilder()
+      .setCustomId(`csat_comment:${ticketId}`)
+      .setLabel('留下意見')
+      .setEmoji('💬')
+      .setStyle(ButtonStyle.Primary);
+
+    return new ActionRowBuilder().addComponents(commentButton);
+  }
+
+  /**
+   * Create the embed posted to the notes thread for an internal note
+   * @param {Object} note - The saved note
+   * @param {TextChannel} channel - The ticket channel, used to link the source message
+   * @returns {EmbedBuilder} The created embed
+   */
+  static ticketNoteEmbed(note, channel) {
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: `📝 ${note.authorTag}` })
+      .setDescription(note.content)
+      .setColor('#EB459E')
+      .setFooter({ text: '內部備註 - 客戶及 AI 皆不會看到' })
+      .setTimestamp(moment(note.createdAt).tz(config.timezone || 'UTC').toDate());
+
+    if (note.sourceMessageId) {
+      embed.addFields({
+        name: '相關訊息',
+        value: `https://discord.com/channels/${channel.guild.id}/${channel.id}/${note.sourceMessageId}`
+      });
+    }
+
+    return embed;
+  }
+
   /**
    * Create a confirmation message embed
    * @param {String} title - The title of the confirmation
@@ -0,0 +1,194 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { request } = require('./helpers');
+const config = require('../src/core/config');
+const { ApiServer, ApiError, HttpResponse } = require('../src/core/api');
+
+const TOKEN = 'test-token';
+const AUTH = { Authorization: `Bearer ${TOKEN}` };
+
+describe('ApiServer', () => {
+  let api;
+  let port;
+
+  before(async () => {
+    Object.assign(config.api, { enabled: true, token: TOKEN, host: '127.0.0.1', port: 0 });
+
+    api = new ApiServer();
+    api.get('/api/ping', async () => ({ pong: true }), { public: true });
+    api.get('/api/items/active', async () => ({ active: true }));
+    api.get('/api/items/:id', async ({ params, query, auth }) => ({ id: params.id, query, auth }));
+    api.post('/api/items', async (req) => {
+      req.status = 201;
+      return { created: req.body };
+    });
+    api.delete('/api/items/:id', async () => undefined);
+    api.get('/api/guilds/:guildId/settings', async ({ params }) => ({ guildId: params.guildId }));
+    api.get('/api/missing', async () => {
+      throw new ApiError(404, 'Item not found');
+    });
+    api.get('/api/broken', async () => {
+      throw new Error('database is locked');
+    });
+    api.get('/page', async () => new HttpResponse(200, '<p>hi</p>', { 'Content-Type': 'text/html' }), { public: true });
+
+    // A session-like authenticator limited to one guild
+    api.addAuthenticator(async (req) => (req.headers['x-test-session'] === 'guild-1' ? { type: 'session', guildId: 'guild-1' } : null));
+
+    await api.start();
+    port = api.server.address().port;
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  describe('routing', () => {
+    it('answers public routes without a token', async () => {
+      const res = await request(port, 'GET', '/api/ping');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.json, { pong: true });
+    });
+
+    it('passes decoded parameters and the query to the handler', async () => {
+      const res = await request(port, 'GET', '/api/items/a%20b?sort=desc', { headers: AUTH });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.json, { id: 'a b', query: { sort: 'desc' }, auth: { type: 'token' } });
+    });
+
+    it('prefers the route registered first', async () => {
+      const res = await request(port, 'GET', '/api/items/active', { headers: AUTH });
+      assert.deepEqual(res.json, { active: true });
+    });
+
+    it('accepts a trailing slash', async () => {
+      const res = await request(port, 'GET', '/api/ping/');
+      assert.equal(res.status, 200);
+    });
+
+    it('answers 404 for unknown paths', async () => {
+      const res = await request(port, 'GET', '/api/nothing', { headers: AUTH });
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.json, { error: 'Not found' });
+    });
+
+    it('answers 405 with the allowed methods for a known path', async () => {
+      const res = await request(port, 'PUT', '/api/items/1', { headers: AUTH });
+      assert.equal(res.status, 405);
+      assert.equal(res.headers.allow, 'GET, DELETE');
+    });
+
+    it('uses the status set by the handler and parses JSON bodies', async () => {
+      const res = await request(port, 'POST', '/api/items', {
+        headers: { ...AUTH, 'Content-Type': 'application/json' },
+        body: { name: 'test' }
+      });
+      assert.equal(res.status, 201);
+      assert.deepEqual(res.json, { created: { name: 'test' } });
+    });
+
+    it('answers 204 when the handler returns nothing', async () => {
+      const res = await request(port, 'DELETE', '/api/items/1', { headers: AUTH });
+      assert.equal(res.status, 204);
+      assert.equal(res.body, '');
+    });
+
+    it('sends an HttpResponse as is', async () => {
+      const res = await request(port, 'GET', '/page');
+      assert.equal(res.status, 200);
+      assert.equal(res.headers['content-type'], 'text/html');
+      assert.equal(res.body, '<p>hi</p>');
+    });
+  });
+
+  describe('authentication', () => {
+    it('answers 401 without a token', async () => {
+      const res = await request(port, 'GET', '/api/items/1');
+      assert.equal(res.status, 401);
+      assert.equal(res.headers['www-authenticate'], 'Bearer');
+    });
+
+    it('answers 401 for a wrong token', async () => {
+      const res = await request(port, 'GET', '/api/items/1', { headers: { Authorization: 'Bearer wrong' } });
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects the token while the API is disabled', async () => {
+      config.api.enabled = false;
+      try {
+        const res = await request(port, 'GET', '/api/items/1', { headers: AUTH });
+        assert.equal(res.status, 401);
+      } finally {
+        config.api.enabled = true;
+      }
+    });
+
+    it('falls back to the added authenticators', async () => {
+      const res = await request(port, 'GET', '/api/items/1', { headers: { 'X-Test-Session': 'guild-1' } });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.json.auth, { type: 'session', guildId: 'guild-1' });
+    });
+
+    it('limits an auth object with a guildId to the routes of that guild', async () => {
+      const own = await request(port, 'GET', '/api/guilds/guild-1/settings', { headers: { 'X-Test-Session': 'guild-1' } });
+      assert.equal(own.status, 200);
+
+      const other = await request(port, 'GET', '/api/guilds/guild-2/settings', { headers: { 'X-Test-Session': 'guild-1' } });
+      assert.equal(other.status, 403);
+    });
+
+    it('lets the API token reach every guild', async () => {
+      const res = await request(port, 'GET', '/api/guilds/guild-2/settings', { headers: AUTH });
+      assert.equal(res.status, 200);
+    });
+
+    it('authenticates before it looks at malformed parameters', async () => {
+      const res = await request(port, 'GET', '/api/items/%E0%A4%A');
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('errors', () => {
+    it('answers an ApiError with its status and message', async () => {
+      const res = await request(port, 'GET', '/api/missing', { headers: AUTH });
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.json, { error: 'Item not found' });
+    });
+
+    it('hides the message of unexpected errors', async () => {
+      const res = await request(port, 'GET', '/api/broken', { headers: AUTH });
+      assert.equal(res.status, 500);
+      assert.deepEqual(res.json, { error: 'Internal server error' });
+    });
+
+    it('answers 400 for malformed parameter escapes', async () => {
+      const res = await request(port, 'GET', '/api/items/%E0%A4%A', { headers: AUTH });
+      assert.equal(res.status, 400);
+    });
+
+    it('answers 400 for invalid JSON bodies', async () => {
+      const res = await request(port, 'POST', '/api/items', { headers: AUTH, body: '{"name":' });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.json, { error: 'Request body is not valid JSON' });
+    });
+
+    it('answers 413 for bodies over 1 MB', async () => {
+      const res = await request(port, 'POST', '/api/items', { headers: AUTH, body: 'x'.repeat(2 * 1024 * 1024) });
+      assert.equal(res.status, 413);
+      assert.equal(res.headers.connection, 'close');
+    });
+
+    it('answers 400 for a request URL that is not a URL', async () => {
+      const statusLine = await new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => socket.write('GET http://[ HTTP/1.1\r\nHost: localhost\r\n\r\n'));
+        socket.once('data', data => {
+          resolve(data.toString().split('\r\n')[0]);
+          socket.destroy();
+        });
+        socket.on('error', reject);
+      });
+      assert.equal(statusLine, 'HTTP/1.1 400 Bad Request');
+    });
+  });
+});
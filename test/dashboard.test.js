@@ -0,0 +1,193 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Collection } = require('discord.js');
+const { setupDatabase, teardownDatabase, request } = require('./helpers');
+const config = require('../src/core/config');
+const database = require('../src/core/database');
+const { ApiServer } = require('../src/core/api');
+const DashboardRepository = require('../src/modules/dashboard/repository');
+const DashboardService = require('../src/modules/dashboard/service');
+const registerDashboardRoutes = require('../src/modules/dashboard/api');
+
+const CSRF = { 'X-Requested-With': 'DCTicket-Dashboard' };
+
+/**
+ * A guild whose members are admins while their entry in `admins` is true
+ * @param {String} id - The guild ID
+ * @param {Object} admins - Whether each user ID has the Administrator permission
+ * @return {Object} The guild
+ */
+function fakeGuild(id, admins) {
+  const guild = {
+    id,
+    name: `Guild ${id}`,
+    ownerId: 'owner',
+    members: {
+      async fetch(userId) {
+        if (!(userId in admins)) throw new Error('Unknown Member');
+        return { id: userId, guild, permissions: { has: () => admins[userId] } };
+      }
+    }
+  };
+  return guild;
+}
+
+describe('dashboard login and sessions', () => {
+  let api;
+  let port;
+  let service;
+  const admins = {};
+
+  before(async () => {
+    await setupDatabase();
+    Object.assign(config.api, { enabled: true, token: 'test-token', host: '127.0.0.1', port: 0 });
+    Object.assign(config.dashboard, { enabled: true, publicUrl: 'http://localhost:3000', sessionHours: 12 });
+
+    service = new DashboardService(new DashboardRepository());
+    const bot = {
+      client: {
+        guilds: { cache: new Collection([['guild-1', fakeGuild('guild-1', admins)]]) },
+        users: { cache: new Collection([['admin', { id: 'admin', tag: 'admin#0001' }]]) }
+      }
+    };
+
+    api = new ApiServer();
+    registerDashboardRoutes(api, { bot, service });
+    api.get('/api/guilds/:guildId/settings', async ({ params }) => ({ guildId: params.guildId }));
+    api.post('/api/guilds/:guildId/settings', async ({ params }) => ({ saved: params.guildId }));
+    await api.start();
+    port = api.server.address().port;
+  });
+
+  after(async () => {
+    await api.stop();
+    await teardownDatabase();
+  });
+
+  beforeEach(async () => {
+    admins.admin = true;
+    await database.run('DELETE FROM dashboard_login_tokens');
+    await database.run('DELETE FROM dashboard_sessions');
+  });
+
+  /**
+   * Create a login link for the admin and return its token
+   * @return {Promise<String>} The login token
+   */
+  async function createToken() {
+    const { url } = await service.createLoginLink('admin', 'guild-1');
+    return new URL(url).searchParams.get('token');
+  }
+
+  /**
+   * Log in with a new link and return the session cookie
+   * @return {Promise<String>} The Cookie header value
+   */
+  async function login() {
+    const res = await request(port, 'POST', `/dashboard/login?token=${await createToken()}`);
+    return res.headers['set-cookie'][0].split(';')[0];
+  }
+
+  it('only shows a confirmation when the login link is opened', async () => {
+    const token = await createToken();
+
+    const page = await request(port, 'GET', `/dashboard/login?token=${token}`);
+    assert.equal(page.status, 200);
+    assert.equal(page.headers['set-cookie'], undefined);
+    assert.match(page.body, /<form method="post"/);
+
+    // Opening the link didn't use up the token
+    const res = await request(port, 'POST', `/dashboard/login?token=${token}`);
+    assert.equal(res.status, 303);
+  });
+
+  it('swaps the token for a session cookie exactly once', async () => {
+    const token = await createToken();
+
+    const res = await request(port, 'POST', `/dashboard/login?token=${token}`);
+    assert.equal(res.status, 303);
+    assert.equal(res.headers.location, '/dashboard');
+    assert.match(res.headers['set-cookie'][0], /^dcticket_session=[^;]+; Path=\/; HttpOnly; SameSite=Strict; Max-Age=43200$/);
+
+    const again = await request(port, 'POST', `/dashboard/login?token=${token}`);
+    assert.equal(again.status, 403);
+    assert.equal(again.headers['set-cookie'], undefined);
+  });
+
+  it('refuses unknown and expired tokens', async () => {
+    const unknown = await request(port, 'POST', `/dashboard/login?token=${'a'.repeat(43)}`);
+    assert.equal(unknown.status, 403);
+
+    const malformed = await request(port, 'GET', '/dashboard/login?token=<script>');
+    assert.equal(malformed.status, 403);
+
+    const token = await createToken();
+    await database.run('UPDATE dashboard_login_tokens SET expires_at = ?', [new Date(0).toISOString()]);
+    const expired = await request(port, 'POST', `/dashboard/login?token=${token}`);
+    assert.equal(expired.status, 403);
+  });
+
+  it('authenticates API requests with the session cookie', async () => {
+    const Cookie = await login();
+
+    const res = await request(port, 'GET', '/api/session', { headers: { Cookie } });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.userId, 'admin');
+    assert.equal(res.json.userTag, 'admin#0001');
+    assert.equal(res.json.guildId, 'guild-1');
+    assert.ok(!res.json.activeStatuses.includes('closed'));
+  });
+
+  it('requires the CSRF header for requests that change something', async () => {
+    const Cookie = await login();
+
+    const without = await request(port, 'POST', '/api/guilds/guild-1/settings', { headers: { Cookie } });
+    assert.equal(without.status, 403);
+
+    const withHeader = await request(port, 'POST', '/api/guilds/guild-1/settings', { headers: { Cookie, ...CSRF } });
+    assert.equal(withHeader.status, 200);
+    assert.deepEqual(withHeader.json, { saved: 'guild-1' });
+  });
+
+  it('limits a session to the guild of its login link', async () => {
+    const Cookie = await login();
+
+    const own = await request(port, 'GET', '/api/guilds/guild-1/settings', { headers: { Cookie } });
+    assert.equal(own.status, 200);
+
+    const other = await request(port, 'GET', '/api/guilds/guild-2/settings', { headers: { Cookie } });
+    assert.equal(other.status, 403);
+  });
+
+  it('answers 401 for unknown and malformed session cookies', async () => {
+    const unknown = await request(port, 'GET', '/api/session', { headers: { Cookie: 'dcticket_session=nope' } });
+    assert.equal(unknown.status, 401);
+
+    const malformed = await request(port, 'GET', '/api/session', { headers: { Cookie: 'dcticket_session=%E0%A4%A' } });
+    assert.equal(malformed.status, 401);
+  });
+
+  it('ends the session once the admin loses the Administrator permission', async () => {
+    const Cookie = await login();
+    admins.admin = false;
+
+    const res = await request(port, 'GET', '/api/session', { headers: { Cookie } });
+    assert.equal(res.status, 401);
+
+    // The session is gone even after the permission comes back
+    admins.admin = true;
+    const again = await request(port, 'GET', '/api/session', { headers: { Cookie } });
+    assert.equal(again.status, 401);
+  });
+
+  it('logs out and clears the cookie', async () => {
+    const Cookie = await login();
+
+    const res = await request(port, 'POST', '/dashboard/logout', { headers: { Cookie, ...CSRF } });
+    assert.equal(res.status, 204);
+    assert.match(res.headers['set-cookie'][0], /^dcticket_session=; .*Max-Age=0/);
+
+    const loggedOut = await request(port, 'GET', '/api/session', { headers: { Cookie } });
+    assert.equal(loggedOut.status, 401);
+  });
+});
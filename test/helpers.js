@@ -0,0 +1,65 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+
+// Every test file runs in its own process with its own database, set before the core modules read the config
+process.env.DB_PATH = path.join(os.tmpdir(), `dcticket-test-${process.pid}.db`);
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const database = require('../src/core/database');
+
+/**
+ * Create the tables in a fresh test database
+ * @return {Promise<Database>} The database
+ */
+async function setupDatabase() {
+  fs.rmSync(process.env.DB_PATH, { force: true });
+  await database.initialize();
+  return database;
+}
+
+/**
+ * Close and delete the test database
+ * @return {Promise<void>}
+ */
+async function teardownDatabase() {
+  await database.close();
+  fs.rmSync(process.env.DB_PATH, { force: true });
+}
+
+/**
+ * Send a request to a local server
+ * @param {Number} port - The server port
+ * @param {String} method - The HTTP method
+ * @param {String} requestPath - The path and query
+ * @param {Object} options - headers and body (a string is sent as is, anything else as JSON)
+ * @return {Promise<Object>} status, headers, body (the raw text) and json (the parsed body, if any)
+ */
+function request(port, method, requestPath, options = {}) {
+  const body = options.body === undefined || typeof options.body === 'string'
+    ? options.body
+    : JSON.stringify(options.body);
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: requestPath, headers: options.headers || {} }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        let json = null;
+        try {
+          json = text ? JSON.parse(text) : null;
+        } catch (error) {
+          // Pages and redirects aren't JSON
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body: text, json });
+      });
+    });
+    req.on('error', reject);
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+module.exports = { setupDatabase, teardownDatabase, request };
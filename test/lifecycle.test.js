@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { TicketStatus, TicketLifecycle } = require('../src/modules/ticket/lifecycle');
+
+/**
+ * A ticket service that only records what the lifecycle stores
+ */
+function fakeTicketService() {
+  return {
+    statusUpdates: [],
+    events: [],
+    async updateTicketStatus(ticketId, status) {
+      this.statusUpdates.push({ ticketId, status });
+    },
+    async recordTicketEvent(ticketId, type, actor, data) {
+      this.events.push({ ticketId, type, actor, ...data });
+    }
+  };
+}
+
+describe('TicketLifecycle.canTransition', () => {
+  it('lets an open ticket move to every other status', () => {
+    for (const status of Object.values(TicketStatus)) {
+      if (status === TicketStatus.OPEN) continue;
+      assert.equal(TicketLifecycle.canTransition(TicketStatus.OPEN, status), true, status);
+    }
+  });
+
+  it('never moves a staff status back to open', () => {
+    for (const status of [TicketStatus.WAITING_STAFF, TicketStatus.ON_HOLD, TicketStatus.PENDING_CUSTOMER, TicketStatus.RESOLVED]) {
+      assert.equal(TicketLifecycle.canTransition(status, TicketStatus.OPEN), false, status);
+    }
+  });
+
+  it('only reopens a closed ticket', () => {
+    for (const status of Object.values(TicketStatus)) {
+      assert.equal(TicketLifecycle.canTransition(TicketStatus.CLOSED, status), status === TicketStatus.OPEN, status);
+    }
+  });
+
+  it('lets a resolved ticket go back to staff or close', () => {
+    assert.equal(TicketLifecycle.canTransition(TicketStatus.RESOLVED, TicketStatus.WAITING_STAFF), true);
+    assert.equal(TicketLifecycle.canTransition(TicketStatus.RESOLVED, TicketStatus.CLOSED), true);
+    assert.equal(TicketLifecycle.canTransition(TicketStatus.RESOLVED, TicketStatus.ON_HOLD), false);
+  });
+
+  it('rejects unknown statuses', () => {
+    assert.equal(TicketLifecycle.canTransition('unknown', TicketStatus.CLOSED), false);
+    assert.equal(TicketLifecycle.canTransition(TicketStatus.OPEN, 'unknown'), false);
+  });
+});
+
+describe('TicketLifecycle.assertTransition', () => {
+  it('throws with both status names for a forbidden transition', () => {
+    assert.throws(
+      () => TicketLifecycle.assertTransition(TicketStatus.CLOSED, TicketStatus.RESOLVED),
+      error => error.message.includes(TicketLifecycle.statusName(TicketStatus.CLOSED)) &&
+        error.message.includes(TicketLifecycle.statusName(TicketStatus.RESOLVED))
+    );
+  });
+
+  it('accepts an allowed transition', () => {
+    assert.doesNotThrow(() => TicketLifecycle.assertTransition(TicketStatus.WAITING_STAFF, TicketStatus.ON_HOLD));
+  });
+});
+
+describe('TicketLifecycle.isActive', () => {
+  it('treats every status except closed as active', () => {
+    for (const status of Object.values(TicketStatus)) {
+      assert.equal(TicketLifecycle.isActive(status), status !== TicketStatus.CLOSED, status);
+    }
+  });
+});
+
+describe('TicketLifecycle#transition', () => {
+  it('stores the status, records the event and updates the ticket', async () => {
+    const service = fakeTicketService();
+    const lifecycle = new TicketLifecycle(service);
+    const ticket = { id: 't1', status: TicketStatus.WAITING_STAFF };
+    const actor = { id: 'staff', tag: 'staff#0001' };
+
+    assert.equal(await lifecycle.transition(ticket, TicketStatus.PENDING_CUSTOMER, actor, 'waiting for logs'), true);
+    assert.equal(ticket.status, TicketStatus.PENDING_CUSTOMER);
+    assert.deepEqual(service.statusUpdates, [{ ticketId: 't1', status: TicketStatus.PENDING_CUSTOMER }]);
+    assert.deepEqual(service.events, [{
+      ticketId: 't1',
+      type: 'status',
+      actor,
+      before: TicketStatus.WAITING_STAFF,
+      after: TicketStatus.PENDING_CUSTOMER,
+      details: 'waiting for logs'
+    }]);
+  });
+
+  it('does nothing when the ticket already has the status', async () => {
+    const service = fakeTicketService();
+    const ticket = { id: 't1', status: TicketStatus.ON_HOLD };
+
+    assert.equal(await new TicketLifecycle(service).transition(ticket, TicketStatus.ON_HOLD), false);
+    assert.equal(service.statusUpdates.length, 0);
+    assert.equal(service.events.length, 0);
+  });
+
+  it('stores nothing for a forbidden transition', async () => {
+    const service = fakeTicketService();
+    const ticket = { id: 't1', status: TicketStatus.CLOSED };
+
+    await assert.rejects(new TicketLifecycle(service).transition(ticket, TicketStatus.RESOLVED));
+    assert.equal(ticket.status, TicketStatus.CLOSED);
+    assert.equal(service.statusUpdates.length, 0);
+  });
+});
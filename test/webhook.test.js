@@ -0,0 +1,177 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { Collection } = require('discord.js');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+const config = require('../src/core/config');
+const database = require('../src/core/database');
+const webhookService = require('../src/modules/ticket/webhook/service');
+
+const WebhookService = webhookService.constructor;
+
+describe('WebhookService.sign', () => {
+  it('signs the body with HMAC-SHA256 of the secret', () => {
+    const body = JSON.stringify({ event: 'ticket.created' });
+    const expected = crypto.createHmac('sha256', 'secret').update(body).digest('hex');
+    assert.equal(WebhookService.sign('secret', body), `sha256=${expected}`);
+  });
+
+  it('changes with the secret and the body', () => {
+    assert.notEqual(WebhookService.sign('secret', 'a'), WebhookService.sign('other', 'a'));
+    assert.notEqual(WebhookService.sign('secret', 'a'), WebhookService.sign('secret', 'b'));
+  });
+});
+
+describe('webhook delivery', () => {
+  let server;
+  let url;
+  let received;
+  let responseStatus;
+
+  before(async () => {
+    await setupDatabase();
+    Object.assign(config.webhooks, { maxAttempts: 3, retryBaseSeconds: 30, timeoutMs: 2000 });
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responseStatus;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await teardownDatabase();
+  });
+
+  beforeEach(async () => {
+    received = [];
+    responseStatus = 200;
+    await database.run('DELETE FROM webhook_deliveries');
+    await database.run('DELETE FROM webhooks');
+  });
+
+  /**
+   * Register a webhook for a guild that receives every event
+   * @param {String} guildId - The guild ID
+   * @return {Promise<Object>} The webhook
+   */
+  function addWebhook(guildId) {
+    return webhookService.addWebhook({ guildId, url, events: Object.keys(config.webhooks.events), createdBy: 'admin' });
+  }
+
+  it('sends a signed payload and stores a successful delivery', async () => {
+    const webhook = await addWebhook('guild-1');
+    await webhookService.dispatch('ticket.created', { id: 't1', guildId: 'guild-1', status: 'open' });
+
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    assert.equal(headers['x-dcticket-event'], 'ticket.created');
+    assert.equal(headers['x-dcticket-signature'], WebhookService.sign(webhook.secret, body));
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.event, 'ticket.created');
+    assert.equal(payload.data.ticket.id, 't1');
+    assert.equal(payload.data.ticket.guildId, 'guild-1');
+
+    const [delivery] = await webhookService.getRecentDeliveries(webhook.id);
+    assert.equal(delivery.status, 'success');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.responseStatus, 200);
+  });
+
+  it('only delivers to the webhooks of the ticket\'s guild', async () => {
+    await addWebhook('guild-1');
+    const other = await addWebhook('guild-2');
+
+    await webhookService.dispatch('ticket.closed', { id: 't1', guildId: 'guild-1', status: 'closed' });
+    assert.equal(received.length, 1);
+    assert.equal((await webhookService.getRecentDeliveries(other.id)).length, 0);
+
+    // A ticket whose guild isn't known goes nowhere
+    await webhookService.dispatch('ticket.closed', { id: 't2', status: 'closed' });
+    assert.equal(received.length, 1);
+  });
+
+  it('skips webhooks that aren\'t subscribed to the event', async () => {
+    await webhookService.addWebhook({ guildId: 'guild-1', url, events: ['ticket.closed'] });
+    await webhookService.dispatch('ticket.created', { id: 't1', guildId: 'guild-1', status: 'open' });
+    assert.equal(received.length, 0);
+  });
+
+  it('backs off exponentially and fails after the last attempt', async () => {
+    responseStatus = 500;
+    const webhook = await addWebhook('guild-1');
+    const delivery = await webhookService.queueDelivery(webhook, 'ticket.created', { ticket: { id: 't1' } });
+
+    for (let attempt = 1; attempt < config.webhooks.maxAttempts; attempt++) {
+      const startedAt = Date.now();
+      const result = await webhookService.attemptDelivery(webhook, { ...delivery, attempts: attempt - 1 });
+      const expectedDelay = config.webhooks.retryBaseSeconds * Math.pow(2, attempt - 1) * 1000;
+
+      assert.equal(result.status, 'pending');
+      assert.equal(result.attempts, attempt);
+      assert.equal(result.responseStatus, 500);
+      assert.equal(result.error, 'HTTP 500');
+      const delay = result.nextAttemptAt.getTime() - startedAt;
+      assert.ok(delay >= expectedDelay && delay < expectedDelay + 5000, `attempt ${attempt} retries after ${delay}ms`);
+    }
+
+    const last = await webhookService.attemptDelivery(webhook, { ...delivery, attempts: config.webhooks.maxAttempts - 1 });
+    assert.equal(last.status, 'failed');
+    assert.equal(last.attempts, config.webhooks.maxAttempts);
+
+    const [stored] = await webhookService.getRecentDeliveries(webhook.id);
+    assert.equal(stored.status, 'failed');
+    assert.equal(stored.nextAttemptAt, null);
+  });
+
+  it('doesn\'t retry test deliveries', async () => {
+    responseStatus = 404;
+    const webhook = await addWebhook('guild-1');
+    const result = await webhookService.sendTest(webhook, { id: 'admin' });
+
+    assert.equal(result.status, 'failed');
+    assert.equal(result.attempts, 1);
+    assert.equal(JSON.parse(received[0].body).event, 'ping');
+  });
+
+  it('retries due deliveries and marks those of removed webhooks as failed', async () => {
+    const webhook = await addWebhook('guild-1');
+    const due = await webhookService.queueDelivery(webhook, 'ticket.created', { ticket: { id: 't1' } });
+    await database.run('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?', [new Date(0).toISOString(), due.id]);
+
+    await webhookService.processDueDeliveries();
+    assert.equal(received.length, 1);
+    assert.equal((await webhookService.getRecentDeliveries(webhook.id))[0].status, 'success');
+
+    const orphan = await webhookService.queueDelivery({ id: 999 }, 'ticket.created', {});
+    await database.run('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?', [new Date(0).toISOString(), orphan.id]);
+
+    await webhookService.processDueDeliveries();
+    assert.equal(received.length, 1);
+    const [stored] = await webhookService.getRecentDeliveries(999);
+    assert.equal(stored.status, 'failed');
+    assert.equal(stored.error, 'Webhook removed');
+  });
+
+  it('assigns webhooks without a guild to the only guild', async () => {
+    await database.run('INSERT INTO webhooks (url, secret, events, created_at) VALUES (?, ?, ?, ?)', [url, 'secret', '["ticket.created"]', new Date().toISOString()]);
+
+    const guilds = new Collection([['guild-1', { id: 'guild-1' }], ['guild-2', { id: 'guild-2' }]]);
+    assert.equal(await webhookService.backfillWebhookGuilds(guilds), 0);
+    assert.equal((await webhookService.getWebhooks('guild-1')).length, 0);
+
+    guilds.delete('guild-2');
+    assert.equal(await webhookService.backfillWebhookGuilds(guilds), 1);
+    assert.equal((await webhookService.getWebhooks('guild-1')).length, 1);
+  });
+});